@@ -1,6 +1,6 @@
 /**
  * API Client Module
- * Handles communication with the arrangements, mute sets, and set lists Lambda API
+ * Handles communication with the arrangements, mute sets, mixes, set lists, and metadata Lambda API
  */
 
 const API_BASE_URL = 'https://g1pan67cc9.execute-api.us-east-2.amazonaws.com/prod';
@@ -363,6 +363,279 @@ export async function checkMuteSetExists(songName, name) {
     return muteSets.some(m => m.toLowerCase() === name.toLowerCase());
 }
 
+// ============ Mix API Functions ============
+
+/**
+ * List all mixes for a song
+ * @param {string} songName - Name of the song
+ * @returns {Promise<string[]>} - Array of mix names
+ * @throws {Error} - On network or API errors
+ */
+export async function listMixes(songName) {
+    const response = await fetchWithTimeoutAndRetry(
+        `${API_BASE_URL}/mixes/${encodeURIComponent(songName)}`,
+        {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        }
+    );
+
+    const data = await response.json();
+
+    if (!response.ok) {
+        const error = new Error(data.error || 'Failed to list mixes');
+        error.status = response.status;
+        error.data = data;
+        throw error;
+    }
+
+    return data.mixes;
+}
+
+/**
+ * Get a specific mix
+ * @param {string} songName - Name of the song
+ * @param {string} name - Name of the mix
+ * @returns {Promise<Object>} - Mix object with name, tracks, protected, createdAt, modifiedAt
+ * @throws {Error} - On network or API errors
+ */
+export async function getMix(songName, name) {
+    const response = await fetchWithTimeoutAndRetry(
+        `${API_BASE_URL}/mixes/${encodeURIComponent(songName)}/${encodeURIComponent(name)}`,
+        {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        }
+    );
+
+    const data = await response.json();
+
+    if (!response.ok) {
+        const error = new Error(data.error || 'Failed to get mix');
+        error.status = response.status;
+        error.data = data;
+        throw error;
+    }
+
+    return data;
+}
+
+/**
+ * Save a mix (create or update)
+ * @param {string} songName - Name of the song
+ * @param {string} name - Name of the mix
+ * @param {Object} data - Mix data
+ * @param {Object} data.tracks - Map of track filename to { volume, pan, solo, mute, pitchExempt }
+ * @param {boolean} [data.protected=false] - Whether to protect this mix
+ * @param {string} [data.secret] - Required if overwriting a protected mix
+ * @returns {Promise<Object>} - Response with success, message, and saved mix
+ * @throws {Error} - On network or API errors
+ */
+export async function saveMix(songName, name, data) {
+    const response = await fetchWithTimeoutAndRetry(
+        `${API_BASE_URL}/mixes/${encodeURIComponent(songName)}/${encodeURIComponent(name)}`,
+        {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(data)
+        }
+    );
+
+    const responseData = await response.json();
+
+    if (!response.ok) {
+        const error = new Error(responseData.error || 'Failed to save mix');
+        error.status = response.status;
+        error.data = responseData;
+        throw error;
+    }
+
+    return responseData;
+}
+
+/**
+ * Delete a mix
+ * @param {string} songName - Name of the song
+ * @param {string} name - Name of the mix
+ * @param {string} [secret] - Required if deleting a protected mix
+ * @returns {Promise<Object>} - Response with success and message
+ * @throws {Error} - On network or API errors
+ */
+export async function deleteMix(songName, name, secret = null) {
+    const body = secret ? { secret } : {};
+    
+    const response = await fetchWithTimeoutAndRetry(
+        `${API_BASE_URL}/mixes/${encodeURIComponent(songName)}/${encodeURIComponent(name)}`,
+        {
+            method: 'DELETE',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        }
+    );
+
+    const data = await response.json();
+
+    if (!response.ok) {
+        const error = new Error(data.error || 'Failed to delete mix');
+        error.status = response.status;
+        error.data = data;
+        throw error;
+    }
+
+    return data;
+}
+
+/**
+ * Check if a mix with the given name already exists
+ * @param {string} songName - Name of the song
+ * @param {string} name - Name to check
+ * @returns {Promise<boolean>} - True if mix exists
+ * @throws {Error} - On network or API errors
+ */
+export async function checkMixExists(songName, name) {
+    const mixes = await listMixes(songName);
+    return mixes.some(m => m.toLowerCase() === name.toLowerCase());
+}
+
+// ============ Loop API Functions ============
+
+/**
+ * List all published loops for a song
+ * @param {string} songName - Name of the song
+ * @returns {Promise<string[]>} - Array of loop names
+ * @throws {Error} - On network or API errors
+ */
+export async function listLoops(songName) {
+    const response = await fetchWithTimeoutAndRetry(
+        `${API_BASE_URL}/loops/${encodeURIComponent(songName)}`,
+        {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        }
+    );
+
+    const data = await response.json();
+
+    if (!response.ok) {
+        const error = new Error(data.error || 'Failed to list loops');
+        error.status = response.status;
+        error.data = data;
+        throw error;
+    }
+
+    return data.loops;
+}
+
+/**
+ * Get a specific published loop
+ * @param {string} songName - Name of the song
+ * @param {string} name - Name of the loop
+ * @returns {Promise<Object>} - Loop object with name, start, end, protected, createdAt, modifiedAt
+ * @throws {Error} - On network or API errors
+ */
+export async function getLoop(songName, name) {
+    const response = await fetchWithTimeoutAndRetry(
+        `${API_BASE_URL}/loops/${encodeURIComponent(songName)}/${encodeURIComponent(name)}`,
+        {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        }
+    );
+
+    const data = await response.json();
+
+    if (!response.ok) {
+        const error = new Error(data.error || 'Failed to get loop');
+        error.status = response.status;
+        error.data = data;
+        throw error;
+    }
+
+    return data;
+}
+
+/**
+ * Publish a loop (create or update)
+ * @param {string} songName - Name of the song
+ * @param {string} name - Name of the loop
+ * @param {Object} data - Loop data
+ * @param {number} data.start - Loop start in seconds
+ * @param {number} data.end - Loop end in seconds
+ * @param {boolean} [data.protected=false] - Whether to protect this loop
+ * @param {string} [data.secret] - Required if overwriting a protected loop
+ * @returns {Promise<Object>} - Response with success, message, and saved loop
+ * @throws {Error} - On network or API errors
+ */
+export async function saveLoop(songName, name, data) {
+    const response = await fetchWithTimeoutAndRetry(
+        `${API_BASE_URL}/loops/${encodeURIComponent(songName)}/${encodeURIComponent(name)}`,
+        {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(data)
+        }
+    );
+
+    const responseData = await response.json();
+
+    if (!response.ok) {
+        const error = new Error(responseData.error || 'Failed to save loop');
+        error.status = response.status;
+        error.data = responseData;
+        throw error;
+    }
+
+    return responseData;
+}
+
+/**
+ * Delete a published loop
+ * @param {string} songName - Name of the song
+ * @param {string} name - Name of the loop
+ * @param {string} [secret] - Required if deleting a protected loop
+ * @returns {Promise<Object>} - Response with success and message
+ * @throws {Error} - On network or API errors
+ */
+export async function deleteLoop(songName, name, secret = null) {
+    const body = secret ? { secret } : {};
+    
+    const response = await fetchWithTimeoutAndRetry(
+        `${API_BASE_URL}/loops/${encodeURIComponent(songName)}/${encodeURIComponent(name)}`,
+        {
+            method: 'DELETE',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        }
+    );
+
+    const data = await response.json();
+
+    if (!response.ok) {
+        const error = new Error(data.error || 'Failed to delete loop');
+        error.status = response.status;
+        error.data = data;
+        throw error;
+    }
+
+    return data;
+}
+
 // ============ Set List API Functions ============
 
 /**
@@ -639,6 +912,142 @@ export async function checkMashupExists(name) {
     return mashups.some(m => m.toLowerCase() === name.toLowerCase());
 }
 
+// ============ Metadata API Functions ============
+
+/**
+ * Publish a song's metadata.json (replaces the whole file)
+ * @param {string} songName - Name of the song
+ * @param {Object} metadata - Metadata object (key, tempos, time-sigs, markers, ...)
+ * @param {string} secret - Admin secret (always required)
+ * @returns {Promise<Object>} - Response with success, message, and saved metadata (with modifiedAt)
+ * @throws {Error} - On network or API errors
+ */
+export async function saveMetadata(songName, metadata, secret) {
+    const response = await fetchWithTimeoutAndRetry(
+        `${API_BASE_URL}/metadata/${encodeURIComponent(songName)}`,
+        {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ metadata, secret })
+        }
+    );
+
+    const responseData = await response.json();
+
+    if (!response.ok) {
+        const error = new Error(responseData.error || 'Failed to publish metadata');
+        error.status = response.status;
+        error.data = responseData;
+        throw error;
+    }
+
+    return responseData;
+}
+
+// ============ Performance History API Functions ============
+
+/**
+ * List performed set lists
+ * @param {string} [from] - First date to include (YYYY-MM-DD)
+ * @param {string} [to] - Last date to include (YYYY-MM-DD)
+ * @returns {Promise<Array>} - Performances, newest first: { setListName, date, songs, recordedAt },
+ *   where songs is [{ songName, ccli, authors, copyright, publisher }]
+ * @throws {Error} - On network or API errors
+ */
+export async function listPerformances(from = null, to = null) {
+    const params = new URLSearchParams();
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    const query = params.toString();
+
+    const response = await fetchWithTimeoutAndRetry(
+        `${API_BASE_URL}/performances${query ? `?${query}` : ''}`,
+        {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        }
+    );
+
+    const data = await response.json();
+
+    if (!response.ok) {
+        const error = new Error(data.error || 'Failed to list performances');
+        error.status = response.status;
+        error.data = data;
+        throw error;
+    }
+
+    return data.performances;
+}
+
+/**
+ * Mark a saved set list as performed on a date (re-marking adds songs new to the set list)
+ * @param {string} date - Date performed (YYYY-MM-DD)
+ * @param {string} setListName - Name of the set list
+ * @param {string} secret - Admin secret
+ * @returns {Promise<Object>} - Response with success, message, and the recorded performance
+ * @throws {Error} - On network or API errors
+ */
+export async function recordPerformance(date, setListName, secret) {
+    const response = await fetchWithTimeoutAndRetry(
+        `${API_BASE_URL}/performances/${encodeURIComponent(date)}/${encodeURIComponent(setListName)}`,
+        {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ secret })
+        }
+    );
+
+    const responseData = await response.json();
+
+    if (!response.ok) {
+        const error = new Error(responseData.error || 'Failed to record performance');
+        error.status = response.status;
+        error.data = responseData;
+        throw error;
+    }
+
+    return responseData;
+}
+
+/**
+ * Remove a performance from the history
+ * @param {string} date - Date performed (YYYY-MM-DD)
+ * @param {string} setListName - Name of the set list
+ * @param {string} secret - Admin secret (always required)
+ * @returns {Promise<Object>} - Response with success and message
+ * @throws {Error} - On network or API errors
+ */
+export async function deletePerformance(date, setListName, secret) {
+    const response = await fetchWithTimeoutAndRetry(
+        `${API_BASE_URL}/performances/${encodeURIComponent(date)}/${encodeURIComponent(setListName)}`,
+        {
+            method: 'DELETE',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ secret })
+        }
+    );
+
+    const data = await response.json();
+
+    if (!response.ok) {
+        const error = new Error(data.error || 'Failed to delete performance');
+        error.status = response.status;
+        error.data = data;
+        throw error;
+    }
+
+    return data;
+}
+
 // ============ Validation Utilities ============
 
 /**
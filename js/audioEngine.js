@@ -12,22 +12,70 @@ import * as State from './state.js';
 import { BASE_PIXELS_PER_SECOND } from './ui/waveformPanel.js';
 import { getWaveformPanel } from './ui/waveformPanel.js';
 import { getPreference } from './storage.js';
+import Metronome, { getCountInTiming } from './metronome.js';
+import { getSongLoudnessOffset, dbToGain } from './loudness.js';
+import { applyMonitorPan, applyStereoPan } from './monitorRouting.js';
+import { scheduleEnvelopeSegment } from './volumeEnvelope.js';
+import { decodeProgressively } from './progressiveDecode.js';
 
-// Crossfade duration for section skipping (Phase 3)
+// Crossfade duration for section skipping (Phase 3, RAF fallback path)
 const SECTION_SKIP_CROSSFADE_MS = 50;
 
+// Pre-scheduled skip/loop jumps: crossfade length, and the minimum lead time for
+// arming a jump (the incoming sources can't start in the past)
+const JUMP_CROSSFADE_SECONDS = 0.02;
+const JUMP_MIN_LEAD_SECONDS = 0.01;
+
+// Per-track EQ bands (see applyTrackEq)
+const EQ_LOW_SHELF_FREQUENCY = 200;
+const EQ_MID_FREQUENCY = 1000;
+const EQ_MID_Q = 0.9;
+const EQ_HIGH_SHELF_FREQUENCY = 4000;
+// Cutoff used when the high-pass is off - well below anything in a stem
+const EQ_HIGHPASS_OFF_FREQUENCY = 10;
+
+// Master limiter (DynamicsCompressorNode configured as a brickwall-style limiter)
+const LIMITER_THRESHOLD_DB = -1;
+const LIMITER_RATIO = 20;
+const LIMITER_ATTACK_SECONDS = 0.002;
+const LIMITER_RELEASE_SECONDS = 0.1;
+
+// Output meter analyser size (~43ms at 48kHz)
+const METER_FFT_SIZE = 2048;
+
+// Delay before the first count-in click so it isn't swallowed by the play() master mute
+const COUNT_IN_LEAD_SECONDS = 0.1;
+
+/**
+ * Apply EQ settings to a track's filter nodes
+ * @param {Object} eqNodes - { highpass, low, mid, high } BiquadFilterNodes
+ * @param {Object} eq - EQ settings (highpass in Hz, 0 = off; band gains in dB)
+ */
+function applyTrackEq(eqNodes, eq) {
+    const settings = eq || State.createDefaultEq();
+    eqNodes.highpass.frequency.value = settings.highpass > 0 ? settings.highpass : EQ_HIGHPASS_OFF_FREQUENCY;
+    eqNodes.low.gain.value = settings.low || 0;
+    eqNodes.mid.gain.value = settings.mid || 0;
+    eqNodes.high.gain.value = settings.high || 0;
+}
+
 class AudioEngine {
     constructor() {
         this.audioContext = null;
         this.masterGain = null;
+        this.masterChain = null; // { masterGain, normalizationGain, limiter, masterOutput }
+        this.meterAnalysers = null; // [left, right] AnalyserNodes after the limiter
+        this.meterData = null;
         this.pitchShifter = null; // PitchShifterWorklet for tempo/pitch processing (normal tracks)
         this.bypassPitchShifter = null; // PitchShifterWorklet for pitch-exempt tracks (pitch always 0, same tempo)
-        this.trackNodes = new Map(); // trackId -> { source, gainNode, panNode, audioBuffer }
+        this.trackNodes = new Map(); // trackId -> { source, sourceFade, gainNode, panNode, audioBuffer }
         this.audioBuffers = new Map(); // trackId -> AudioBuffer (persists across song switches)
+        this.metronome = null; // Virtual click track synthesized from the tempo map
         
         this.isPlaying = false;
         this.startTime = 0; // AudioContext time when playback started
         this.startPosition = 0; // Position in audio when playback started
+        this.countInBars = 0; // Bars counted in by the current play() (0 = none)
         
         this.animationFrame = null;
         
@@ -45,10 +93,14 @@ class AudioEngine {
         this.autoPausedForVisibility = false;
         
         // Pre-scheduled event tracking for background tab support
-        this.scheduledSkipTimeout = null;   // setTimeout ID for section skip
-        this.scheduledLoopTimeout = null;   // setTimeout ID for loop
+        this.scheduledSkipTimeout = null;   // setTimeout ID for end of the enabled sections
+        this.scheduledLoopTimeout = null;   // setTimeout ID for loops that count in
         this.scheduledEndTimeout = null;    // setTimeout ID for end-of-song (mashup advance)
         
+        // Next skip/loop jump, pre-scheduled on the audio clock (see armJump)
+        // { time, from, to, type, sources: Map<trackId, { source, fadeGain }>, timeout }
+        this.pendingJump = null;
+        
         // Guard flag to prevent concurrent play() calls
         this.isPlayInProgress = false;
 
@@ -79,15 +131,31 @@ class AudioEngine {
         await this.bypassPitchShifter.init();
         this.bypassPitchShifter.pitchSemitones = 0; // Always keep at 0
         
-        // Create master gain node
-        this.masterGain = this.audioContext.createGain();
+        // Create master bus: masterGain -> normalization -> limiter -> masterOutput
+        this.masterChain = this.createMasterChain(this.audioContext);
+        this.masterGain = this.masterChain.masterGain;
         
         // Connect both pitch shifters to master gain -> destination
         this.pitchShifter.connect(this.masterGain);
         this.bypassPitchShifter.connect(this.masterGain);
         // Route through MediaStreamDestination -> <audio> element for Safari background audio
         this.mediaStreamDest = this.audioContext.createMediaStreamDestination();
-        this.masterGain.connect(this.mediaStreamDest);
+        this.masterChain.masterOutput.connect(this.mediaStreamDest);
+
+        // Output meter taps (one analyser per channel, after the limiter)
+        const splitter = this.audioContext.createChannelSplitter(2);
+        this.masterChain.masterOutput.connect(splitter);
+        this.meterAnalysers = [0, 1].map(channel => {
+            const analyser = this.audioContext.createAnalyser();
+            analyser.fftSize = METER_FFT_SIZE;
+            splitter.connect(analyser, channel);
+            return analyser;
+        });
+        this.meterData = new Float32Array(METER_FFT_SIZE);
+
+        // Virtual click track (routed through the bypass pitch shifter, never pitch-shifted)
+        this.metronome = new Metronome(this);
+        this.metronome.init();
 
         this.outputAudioElement = document.createElement('audio');
         this.outputAudioElement.srcObject = this.mediaStreamDest.stream;
@@ -138,9 +206,10 @@ class AudioEngine {
             }
             // If pauseOnBlur is disabled, scheduled timeouts will handle skips/loops
         } else {
-            // Tab became visible - cancel scheduled events, let RAF take over
-            // This prevents race conditions between scheduled timeouts and RAF
-            this.cancelScheduledEvents();
+            // Tab became visible - cancel the end-of-arrangement/song timeouts and let RAF
+            // take over (prevents both advancing a mashup). An armed skip/loop jump stays:
+            // it runs on the audio clock, and RAF leaves jumps alone while one is armed.
+            this.clearEventTimeouts();
             
             // Auto-resume if we auto-paused
             if (this.autoPausedForVisibility) {
@@ -157,8 +226,17 @@ class AudioEngine {
 
     /**
      * Cancel any pending scheduled skip or loop events
+     * A jump whose audio time has already passed is completed rather than undone.
      */
     cancelScheduledEvents() {
+        this.clearEventTimeouts();
+        this.settlePendingJump();
+    }
+
+    /**
+     * Clear the end-of-arrangement and end-of-song timeouts
+     */
+    clearEventTimeouts() {
         if (this.scheduledSkipTimeout) {
             clearTimeout(this.scheduledSkipTimeout);
             this.scheduledSkipTimeout = null;
@@ -245,32 +323,43 @@ class AudioEngine {
 
     /**
      * Schedule a section skip
+     * Skips to a target are pre-scheduled on the audio clock; reaching the end of the
+     * enabled sections (no target) needs JS to stop or advance the mashup.
      * @param {number} skipTime - Virtual time when skip should occur
      * @param {number|null} skipTarget - Target position to skip to, or null to stop
      * @param {number} currentPosition - Current virtual position
      */
     scheduleSkip(skipTime, skipTarget, currentPosition) {
-        const timeUntilSkip = skipTime - currentPosition;
-        const realTimeUntilSkip = timeUntilSkip / this._speed;
+        if (skipTarget !== null) {
+            this.armJump(skipTime, skipTarget, 'skip');
+            return;
+        }
         
-        // Trigger slightly early to allow for crossfade
-        const delay = Math.max(0, (realTimeUntilSkip - SECTION_SKIP_CROSSFADE_MS / 1000) * 1000);
+        const timeUntilSkip = skipTime - currentPosition;
+        const delay = Math.max(0, (timeUntilSkip / this._speed + this.getCountInRemaining()) * 1000);
         
         this.scheduledSkipTimeout = setTimeout(() => {
             this.scheduledSkipTimeout = null;
-            this.executeScheduledSkip(skipTarget);
+            this.executeScheduledSkip();
         }, delay);
     }
 
     /**
      * Schedule a loop
+     * Loops are pre-scheduled on the audio clock, except when each repeat counts in
+     * (the count-in restarts playback, so the loop goes through seek()).
      * @param {number} loopTime - Virtual time when loop should trigger (loopEnd)
      * @param {number} loopTarget - Target position to loop to
      * @param {number} currentPosition - Current virtual position
      */
     scheduleLoop(loopTime, loopTarget, currentPosition) {
+        if (this.getCountInBars('loop') === 0) {
+            this.armJump(loopTime, loopTarget, 'loop');
+            return;
+        }
+        
         const timeUntilLoop = loopTime - currentPosition;
-        const realTimeUntilLoop = timeUntilLoop / this._speed;
+        const realTimeUntilLoop = timeUntilLoop / this._speed + this.getCountInRemaining();
         const delay = Math.max(0, realTimeUntilLoop * 1000);
         
         this.scheduledLoopTimeout = setTimeout(() => {
@@ -280,65 +369,187 @@ class AudioEngine {
     }
 
     /**
-     * Execute a scheduled section skip
-     * @param {number|null} target - Target position, or null to stop
+     * Execute a scheduled end of the enabled sections: advance the mashup or stop
+     */
+    executeScheduledSkip() {
+        if (!this.isPlaying) return;
+        
+        import('./mashupController.js').then(({ tryMashupAdvance }) => {
+            tryMashupAdvance().then(advanced => {
+                if (!advanced) {
+                    this.stop();
+                }
+            });
+        });
+    }
+
+    /**
+     * Execute a scheduled loop that counts in
+     * @param {number} target - Target position to loop to
      */
-    executeScheduledSkip(target) {
+    executeScheduledLoop(target) {
         if (!this.isPlaying) return;
         
+        this.seek(target, 'loop');
+        // Note: seek() -> play() will call scheduleNextEvents()
+    }
+
+    // =========================================================================
+    // Audio-clock Jumps (sample-accurate skips and loops)
+    // =========================================================================
+
+    /**
+     * Get the AudioContext time at which a position of the current segment plays
+     * @param {number} position - Source position
+     * @returns {number}
+     */
+    getContextTimeAtPosition(position) {
+        return this.startTime + (position - this.startPosition) / this._speed;
+    }
+
+    /**
+     * Pre-schedule a jump on the audio clock
+     * Every track gets a new source started with start(when, offset) at the exact time the
+     * jump point plays; the outgoing and incoming sources crossfade over JUMP_CROSSFADE_SECONDS
+     * on their own fade gains, so volume, mute and envelope automation are untouched.
+     * A timeout then hands the new sources over (see commitJump) - its lateness doesn't
+     * affect what is heard.
+     * @param {number} from - Source position where the jump happens
+     * @param {number} to - Source position playback continues from
+     * @param {string} type - 'skip' or 'loop'
+     */
+    armJump(from, to, type) {
         const song = State.getActiveSong();
         if (!song) return;
         
-        const { loopEnabled, loopStart, loopEnd } = song.transport;
-        const currentPosition = this.getCurrentPosition();
+        const now = this.audioContext.currentTime;
+        const time = Math.max(this.getContextTimeAtPosition(from), now + JUMP_MIN_LEAD_SECONDS);
+        const fadeEnd = time + JUMP_CROSSFADE_SECONDS;
+        const jump = { time, from, to, type, sources: new Map(), timeout: null };
         
-        // Check if loop end falls within the range we're about to skip
-        // If so, loop back instead of skipping forward (matches RAF behavior)
-        if (loopEnabled && loopEnd !== null && target !== null) {
-            // loopEnd is in skip range if it's between current position and skip target
-            if (loopEnd >= currentPosition && loopEnd < target) {
-                const loopTarget = this.calculateLoopTarget(loopStart, loopEnd);
-                if (loopTarget !== null) {
-                    this.seek(loopTarget);
-                    return;
-                }
-            }
-            // Also check if loopEnd is within a disabled section we're in or about to enter
-            const sectionAtLoopEnd = State.getArrangementSectionAtTime(loopEnd);
-            if (sectionAtLoopEnd && !sectionAtLoopEnd.enabled && loopEnd >= currentPosition) {
-                const loopTarget = this.calculateLoopTarget(loopStart, loopEnd);
-                if (loopTarget !== null) {
-                    this.seek(loopTarget);
-                    return;
-                }
-            }
-        }
+        song.tracks.forEach(track => {
+            const nodes = this.trackNodes.get(track.id);
+            if (!nodes || !nodes.source || !nodes.audioBuffer) return;
+            
+            // Fade out the outgoing source from the jump point
+            nodes.sourceFade.gain.setValueAtTime(1, time);
+            nodes.sourceFade.gain.linearRampToValueAtTime(0, fadeEnd);
+            
+            // Fade in the incoming source, starting exactly at the jump point
+            const { source, fadeGain } = this.createTrackSource(nodes);
+            fadeGain.gain.setValueAtTime(0, time);
+            fadeGain.gain.linearRampToValueAtTime(1, fadeEnd);
+            const offset = Math.max(0, Math.min(to, nodes.audioBuffer.duration));
+            source.start(time, offset);
+            jump.sources.set(track.id, { source, fadeGain });
+            
+            // The envelope continues from the target
+            nodes.envelopeGain.gain.cancelScheduledValues(time);
+            scheduleEnvelopeSegment(
+                nodes.envelopeGain.gain, State.getVolumeEnvelope(track.id),
+                offset, nodes.audioBuffer.duration, time, this._speed
+            );
+        });
         
-        if (target === null) {
-            // No more enabled sections - check mashup advance or stop
-            import('./mashupController.js').then(({ tryMashupAdvance }) => {
-                tryMashupAdvance().then(advanced => {
-                    if (!advanced) {
-                        this.stop();
-                    }
-                });
-            });
-            return;
+        jump.timeout = setTimeout(() => this.commitJump(jump), (time - now) * 1000);
+        this.pendingJump = jump;
+    }
+
+    /**
+     * Complete an armed jump once its audio time has passed, then arm the next one
+     * @param {Object} jump - The jump armed by armJump()
+     */
+    commitJump(jump) {
+        if (this.pendingJump !== jump || !this.isPlaying) return;
+        
+        this.finishJump(jump);
+        State.setPosition(this.getCurrentPosition());
+        
+        if (jump.type === 'loop') {
+            State.emit(State.Events.LOOP_PASS_COMPLETED, { target: jump.to });
         }
         
-        this.skipToPosition(target, SECTION_SKIP_CROSSFADE_MS / 1000);
-        // Note: skipToPosition will call scheduleNextEvents() after completing
+        this.scheduleNextEvents();
     }
 
     /**
-     * Execute a scheduled loop
-     * @param {number} target - Target position to loop to
+     * Hand playback over to a jump's sources and move the timing reference to the jump
+     * @param {Object} jump - Jump whose audio time has passed
      */
-    executeScheduledLoop(target) {
-        if (!this.isPlaying) return;
+    finishJump(jump) {
+        clearTimeout(jump.timeout);
+        this.pendingJump = null;
         
-        this.seek(target);
-        // Note: seek() -> play() will call scheduleNextEvents()
+        this.startTime = jump.time;
+        this.startPosition = jump.to;
+        this.sourceStartPosition = jump.to;
+        
+        const stopAt = jump.time + JUMP_CROSSFADE_SECONDS;
+        this.trackNodes.forEach((nodes, trackId) => {
+            const outgoing = nodes.source;
+            const outgoingFade = nodes.sourceFade;
+            const incoming = jump.sources.get(trackId);
+            
+            if (!incoming) {
+                // Track started after the jump was armed - restart it in the new segment
+                if (outgoing) this.startTrack(trackId, this.getCurrentSourcePosition());
+                return;
+            }
+            
+            if (outgoing) {
+                outgoing.onended = () => {
+                    outgoing.disconnect();
+                    outgoingFade.disconnect();
+                };
+                try {
+                    outgoing.stop(stopAt);
+                } catch (e) {}
+            }
+            
+            nodes.source = incoming.source;
+            nodes.sourceFade = incoming.fadeGain;
+            this.attachSourceEndHandler(incoming.source);
+        });
+    }
+
+    /**
+     * Resolve the armed jump before timing changes: complete it if its audio time has
+     * passed, otherwise cancel its sources and fades
+     */
+    settlePendingJump() {
+        const jump = this.pendingJump;
+        if (!jump) return;
+        
+        const now = this.audioContext.currentTime;
+        if (now >= jump.time) {
+            this.finishJump(jump);
+            return;
+        }
+        
+        clearTimeout(jump.timeout);
+        this.pendingJump = null;
+        
+        jump.sources.forEach(({ source, fadeGain }) => {
+            source.onended = null;
+            try {
+                source.stop();
+            } catch (e) {}
+            source.disconnect();
+            fadeGain.disconnect();
+        });
+        
+        this.trackNodes.forEach((nodes) => {
+            if (nodes.sourceFade) {
+                nodes.sourceFade.gain.cancelScheduledValues(now);
+                nodes.sourceFade.gain.setValueAtTime(1, now);
+            }
+        });
+        
+        // Undo the clicks and envelope automation scheduled past the jump
+        if (this.metronome?.hasFollowedJump(jump)) {
+            this.restartClicks(this.getCurrentPosition());
+        }
+        this.rescheduleEnvelopes();
     }
 
     /**
@@ -373,11 +584,19 @@ class AudioEngine {
         }
         
         // Determine which event comes first and schedule it
-        // Note: If loopEnd falls within a skip range or disabled section,
-        // executeScheduledSkip() will handle converting the skip to a loop at execution time.
         // If a skip would happen before loop end, schedule the skip
         // If loop end comes first, schedule the loop
         
+        // Loop end inside the range a skip passes over: the loop jump happens at the skip point
+        if (skipInfo && loopEnabled && loopEnd !== null && loopStart !== null &&
+            loopEnd >= skipInfo.time && (skipInfo.target === null || loopEnd < skipInfo.target)) {
+            const loopTarget = this.calculateLoopTarget(loopStart, loopEnd);
+            if (loopTarget !== null) {
+                this.scheduleLoop(skipInfo.time, loopTarget, currentPosition);
+                return;
+            }
+        }
+        
         if (skipInfo && loopInfo) {
             // Both events possible - which comes first?
             if (skipInfo.time < loopInfo.time) {
@@ -400,7 +619,7 @@ class AudioEngine {
         if (!loopEnabled && song.mashupGroupId) {
             const maxDuration = State.getMaxDuration();
             if (currentPosition < maxDuration) {
-                const timeUntilEnd = (maxDuration - currentPosition) / this._speed;
+                const timeUntilEnd = (maxDuration - currentPosition) / this._speed + this.getCountInRemaining();
                 const delayMs = timeUntilEnd * 1000;
                 
                 if (delayMs > 0 && delayMs < 600000) { // Cap at 10 minutes
@@ -464,16 +683,15 @@ class AudioEngine {
         this.pitchShifter.connect(this.masterGain);
         this.bypassPitchShifter.connect(this.masterGain);
         
-        // Reconnect all track panNodes - respecting pitch-exempt status
+        // Reconnect all track panNodes - respecting pitch-exempt status.
+        // Only the panNode output changes; gain -> envelope -> EQ -> pan stays wired.
         this.trackNodes.forEach((nodes, trackId) => {
             if (nodes.panNode) {
                 // Disconnect from old (now defunct) pitchShifter input
                 try {
                     nodes.panNode.disconnect();
                 } catch (e) {}
-                // Reconnect gain -> pan
-                nodes.gainNode.connect(nodes.panNode);
-                
+
                 // Route based on pitch-exempt status
                 const isPitchExempt = State.isTrackPitchExempt(trackId);
                 if (isPitchExempt) {
@@ -484,6 +702,11 @@ class AudioEngine {
                 nodes.isPitchExempt = isPitchExempt;
             }
         });
+        
+        // Reconnect the click voice to the new bypass pitch shifter
+        if (this.metronome) {
+            this.metronome.connect(this.bypassPitchShifter);
+        }
     }
 
     /**
@@ -521,6 +744,115 @@ class AudioEngine {
         return audioBuffer;
     }
 
+    /**
+     * Decode an audio file progressively (see progressiveDecode.js)
+     * The returned buffer has its full length but only the first chunk decoded; iterate
+     * `remaining` to fill in the rest, and call refreshTrackSource() once the buffer
+     * belongs to a playing track.
+     * @param {Blob} blob - Audio file blob
+     * @returns {Promise<{audioBuffer: AudioBuffer, remaining: AsyncGenerator<{start: number, end: number}>|null}>}
+     */
+    async decodeAudioProgressively(blob) {
+        await this.init();
+        return decodeProgressively(this.audioContext, blob);
+    }
+
+    /**
+     * Build the master bus in a given context
+     * Shared by live playback and offline mixdown so both sound the same.
+     * Chain: masterGain -> normalizationGain -> [limiter] -> masterOutput
+     * @param {BaseAudioContext} context - Live or offline audio context
+     * @returns {{masterGain: GainNode, normalizationGain: GainNode, limiter: DynamicsCompressorNode, masterOutput: GainNode}}
+     */
+    createMasterChain(context) {
+        const masterGain = context.createGain();
+        const normalizationGain = context.createGain();
+        const limiter = context.createDynamicsCompressor();
+        const masterOutput = context.createGain();
+
+        limiter.threshold.value = LIMITER_THRESHOLD_DB;
+        limiter.knee.value = 0;
+        limiter.ratio.value = LIMITER_RATIO;
+        limiter.attack.value = LIMITER_ATTACK_SECONDS;
+        limiter.release.value = LIMITER_RELEASE_SECONDS;
+
+        normalizationGain.gain.value = dbToGain(this.getLoudnessOffset());
+        masterGain.connect(normalizationGain);
+
+        const chain = { masterGain, normalizationGain, limiter, masterOutput };
+        this.routeLimiter(chain, getPreference('masterLimiter'));
+        return chain;
+    }
+
+    /**
+     * Insert or bypass the limiter in a master chain
+     * @param {Object} chain - Master chain from createMasterChain
+     * @param {boolean} enabled - True to limit, false to bypass
+     */
+    routeLimiter(chain, enabled) {
+        chain.normalizationGain.disconnect();
+        chain.limiter.disconnect();
+
+        if (enabled) {
+            chain.normalizationGain.connect(chain.limiter);
+            chain.limiter.connect(chain.masterOutput);
+        } else {
+            chain.normalizationGain.connect(chain.masterOutput);
+        }
+    }
+
+    /**
+     * Enable or bypass the master limiter
+     * @param {boolean} enabled
+     */
+    setLimiterEnabled(enabled) {
+        if (!this.masterChain) return;
+        this.routeLimiter(this.masterChain, enabled);
+    }
+
+    /**
+     * Get the loudness normalization offset for the active song
+     * @returns {number} Offset in dB (0 when normalization is off)
+     */
+    getLoudnessOffset() {
+        if (!getPreference('normalizeLoudness')) return 0;
+        return getSongLoudnessOffset(State.getActiveSong());
+    }
+
+    /**
+     * Re-apply the loudness normalization offset (song switch, tracks measured/added/removed)
+     */
+    updateLoudnessNormalization() {
+        if (!this.masterChain) return;
+        const gain = dbToGain(this.getLoudnessOffset());
+        this.masterChain.normalizationGain.gain.setTargetAtTime(gain, this.audioContext.currentTime, 0.05);
+    }
+
+    /**
+     * Read the current master output levels (for the transport bar meter)
+     * @returns {{channels: Array<{peak: number, rms: number}>, reduction: number}|null}
+     *          Linear peak/RMS per channel, and limiter gain reduction in dB (positive)
+     */
+    getOutputLevels() {
+        if (!this.meterAnalysers) return null;
+
+        const channels = this.meterAnalysers.map(analyser => {
+            analyser.getFloatTimeDomainData(this.meterData);
+            let peak = 0;
+            let sumSquares = 0;
+            for (let i = 0; i < this.meterData.length; i++) {
+                const sample = this.meterData[i];
+                const abs = Math.abs(sample);
+                if (abs > peak) peak = abs;
+                sumSquares += sample * sample;
+            }
+            return { peak, rms: Math.sqrt(sumSquares / this.meterData.length) };
+        });
+
+        const limiterActive = getPreference('masterLimiter');
+        return { channels, reduction: limiterActive ? -this.masterChain.limiter.reduction : 0 };
+    }
+
     /**
      * Serialize an AudioBuffer into a binary Blob for OPFS storage.
      * Format: 16-byte header [sampleRate(f64), numChannels(u32), length(u32)]
@@ -638,30 +970,15 @@ class AudioEngine {
         // Clean up existing nodes
         this.disposeTrackNodes(trackId);
 
-        // Create nodes
-        const gainNode = this.audioContext.createGain();
-        const panNode = this.audioContext.createStereoPanner();
-        
-        // Apply track settings
-        gainNode.gain.value = track.volume / 100;
-        panNode.pan.value = track.pan / 100;
-
-        // Connect chain: gainNode -> panNode -> [pitchShifter OR bypassPitchShifter] -> masterGain -> destination
-        // Pitch-exempt tracks go through bypassPitchShifter (pitch=0) to maintain same latency as pitched tracks
-        gainNode.connect(panNode);
-        
-        const isPitchExempt = State.isTrackPitchExempt(trackId);
-        if (isPitchExempt) {
-            // Route through bypass pitch shifter (pitch=0, same tempo) for consistent latency
-            panNode.connect(this.bypassPitchShifter.inputNode);
-        } else {
-            // Normal: route through primary pitch shifter
-            panNode.connect(this.pitchShifter.inputNode);
-        }
+        const { gainNode, envelopeGain, eqNodes, panNode, isPitchExempt } = this.buildTrackChain(
+            this.audioContext, track, this.pitchShifter, this.bypassPitchShifter
+        );
 
         const nodes = {
             audioBuffer,
             gainNode,
+            envelopeGain,
+            eqNodes,
             panNode,
             source: null,
             isPitchExempt // Track current routing state for updateTrackPitchRouting
@@ -671,6 +988,68 @@ class AudioEngine {
         return nodes;
     }
 
+    /**
+     * Build the per-track processing chain in a given context
+     * Shared by live playback and offline mixdown so both sound the same.
+     * @param {BaseAudioContext} context - Live or offline audio context
+     * @param {Object} track - Track object from state
+     * @param {PitchShifterWorklet} pitchShifter - Primary pitch shifter in that context
+     * @param {PitchShifterWorklet} bypassPitchShifter - Bypass (pitch=0) shifter in that context
+     * @param {Object} [options]
+     * @param {boolean} [options.monitorSplit=true] - Follow the split monitor mode (false for mixdown)
+     * @returns {{gainNode: GainNode, envelopeGain: GainNode, eqNodes: Object, panNode: StereoPannerNode, isPitchExempt: boolean}}
+     */
+    buildTrackChain(context, track, pitchShifter, bypassPitchShifter, { monitorSplit = true } = {}) {
+        const gainNode = context.createGain();
+        const envelopeGain = context.createGain(); // Volume envelope automation
+        const panNode = context.createStereoPanner();
+
+        const eqNodes = {
+            highpass: context.createBiquadFilter(),
+            low: context.createBiquadFilter(),
+            mid: context.createBiquadFilter(),
+            high: context.createBiquadFilter()
+        };
+        eqNodes.highpass.type = 'highpass';
+        eqNodes.low.type = 'lowshelf';
+        eqNodes.low.frequency.value = EQ_LOW_SHELF_FREQUENCY;
+        eqNodes.mid.type = 'peaking';
+        eqNodes.mid.frequency.value = EQ_MID_FREQUENCY;
+        eqNodes.mid.Q.value = EQ_MID_Q;
+        eqNodes.high.type = 'highshelf';
+        eqNodes.high.frequency.value = EQ_HIGH_SHELF_FREQUENCY;
+
+        // Apply track settings
+        gainNode.gain.value = track.volume / 100;
+        if (monitorSplit) {
+            applyMonitorPan(panNode, track.pan, State.isMonitorCueByName(track.name));
+        } else {
+            applyStereoPan(panNode, track.pan);
+        }
+        applyTrackEq(eqNodes, track.eq);
+
+        // Connect chain: gainNode -> envelopeGain -> highpass -> low shelf -> mid peak -> high shelf
+        //   -> panNode -> [pitchShifter OR bypassPitchShifter] -> masterGain -> destination
+        // Pitch-exempt tracks go through bypassPitchShifter (pitch=0) to maintain same latency as pitched tracks
+        gainNode.connect(envelopeGain);
+        envelopeGain.connect(eqNodes.highpass);
+        eqNodes.highpass.connect(eqNodes.low);
+        eqNodes.low.connect(eqNodes.mid);
+        eqNodes.mid.connect(eqNodes.high);
+        eqNodes.high.connect(panNode);
+
+        const isPitchExempt = State.isTrackPitchExempt(track.id);
+        if (isPitchExempt) {
+            // Route through bypass pitch shifter (pitch=0, same tempo) for consistent latency
+            panNode.connect(bypassPitchShifter.inputNode);
+        } else {
+            // Normal: route through primary pitch shifter
+            panNode.connect(pitchShifter.inputNode);
+        }
+
+        return { gainNode, envelopeGain, eqNodes, panNode, isPitchExempt };
+    }
+
     /**
      * Update pitch routing for a track (when pitch-exempt status changes)
      * Disconnects from current destination and reconnects to the appropriate one
@@ -715,7 +1094,22 @@ class AudioEngine {
                 } catch (e) {}
                 nodes.source.disconnect();
             }
+            if (nodes.sourceFade) nodes.sourceFade.disconnect();
+            const incoming = this.pendingJump?.sources.get(trackId);
+            if (incoming) {
+                incoming.source.onended = null;
+                try {
+                    incoming.source.stop();
+                } catch (e) {}
+                incoming.source.disconnect();
+                incoming.fadeGain.disconnect();
+                this.pendingJump.sources.delete(trackId);
+            }
             if (nodes.gainNode) nodes.gainNode.disconnect();
+            if (nodes.envelopeGain) nodes.envelopeGain.disconnect();
+            if (nodes.eqNodes) {
+                Object.values(nodes.eqNodes).forEach(node => node.disconnect());
+            }
             if (nodes.panNode) nodes.panNode.disconnect();
         }
         this.trackNodes.delete(trackId);
@@ -724,8 +1118,9 @@ class AudioEngine {
     /**
      * Start playback from a position
      * @param {number} position - Position in seconds (virtual time for arrangements)
+     * @param {string|null} countInTrigger - 'play' or 'loop' to allow a count-in (per Preferences)
      */
-    async play(position = null) {
+    async play(position = null, countInTrigger = null) {
         // Guard against concurrent play calls
         if (this.isPlayInProgress) return;
         this.isPlayInProgress = true;
@@ -776,8 +1171,15 @@ class AudioEngine {
             // Position is now directly the source position (no virtual timeline)
             const sourcePos = virtualPos;
 
+            // Optional count-in: tracks start after one or two bars of clicks
+            const countInBars = this.getCountInBars(countInTrigger);
+            const countInDuration = countInBars > 0
+                ? COUNT_IN_LEAD_SECONDS + getCountInTiming(sourcePos, countInBars, this._speed).duration
+                : 0;
+
             this.isPlaying = true;
-            this.startTime = this.audioContext.currentTime;
+            this.countInBars = countInBars;
+            this.startTime = this.audioContext.currentTime + countInDuration;
             this.startPosition = sourcePos;
             this.sourceStartPosition = sourcePos;
             this.isInCrossfade = false;
@@ -786,6 +1188,10 @@ class AudioEngine {
             song.tracks.forEach(track => {
                 this.startTrack(track.id, sourcePos);
             });
+            this.metronome.start(sourcePos);
+            if (countInBars > 0) {
+                this.metronome.scheduleCountIn(sourcePos, this.startTime, countInBars);
+            }
 
             State.setPlaybackState('playing');
             this.startPositionUpdate();
@@ -829,8 +1235,35 @@ class AudioEngine {
                 nodes.source.stop();
             } catch (e) {}
         }
+        if (nodes.sourceFade) nodes.sourceFade.disconnect();
 
         // Create new source
+        const { source, fadeGain } = this.createTrackSource(nodes);
+        nodes.source = source;
+        nodes.sourceFade = fadeGain;
+
+        // Set gain based on track audibility AND section mute state
+        const shouldBeMuted = !isTrackAudible || isSectionMuted;
+        nodes.gainNode.gain.value = shouldBeMuted ? 0 : track.volume / 100;
+
+        // Calculate offset, clamped to valid range
+        const offset = Math.max(0, Math.min(sourcePosition, nodes.audioBuffer.duration));
+        
+        // Start playback (startTime may be in the future during a count-in)
+        const when = Math.max(this.startTime, this.audioContext.currentTime);
+        source.start(when, offset);
+        this.scheduleTrackEnvelope(trackId, offset, when);
+
+        this.attachSourceEndHandler(source);
+    }
+
+    /**
+     * Create a buffer source for a track, feeding the track chain through its own fade gain
+     * (used to crossfade pre-scheduled skip/loop jumps)
+     * @param {Object} nodes - Track nodes
+     * @returns {{source: AudioBufferSourceNode, fadeGain: GainNode}}
+     */
+    createTrackSource(nodes) {
         const source = this.audioContext.createBufferSource();
         source.buffer = nodes.audioBuffer;
         
@@ -839,20 +1272,59 @@ class AudioEngine {
         // pitch shift caused by playbackRate) and any user-requested pitch shift.
         source.playbackRate.value = this._speed;
 
-        source.connect(nodes.gainNode);
-        nodes.source = source;
+        const fadeGain = this.audioContext.createGain();
+        source.connect(fadeGain);
+        fadeGain.connect(nodes.gainNode);
 
-        // Set gain based on track audibility AND section mute state
-        const shouldBeMuted = !isTrackAudible || isSectionMuted;
-        nodes.gainNode.gain.value = shouldBeMuted ? 0 : track.volume / 100;
+        return { source, fadeGain };
+    }
 
-        // Calculate offset, clamped to valid range
-        const offset = Math.max(0, Math.min(sourcePosition, nodes.audioBuffer.duration));
+    /**
+     * Crossfade a playing track onto a new source at the current position
+     * A buffer source reads its buffer's contents when it starts, so samples filled in
+     * afterwards (progressive decoding) are only heard through a new source.
+     * @param {string} trackId - Track ID
+     */
+    refreshTrackSource(trackId) {
+        const nodes = this.trackNodes.get(trackId);
+        if (!this.isPlaying || !nodes || !nodes.source || !nodes.audioBuffer) return;
         
-        // Start playback
-        source.start(0, offset);
+        // An armed jump's incoming sources hold the old contents too - re-arm it afterwards
+        this.cancelScheduledEvents();
+        
+        const now = this.audioContext.currentTime;
+        const time = Math.max(this.startTime, now + JUMP_MIN_LEAD_SECONDS);
+        const fadeEnd = time + JUMP_CROSSFADE_SECONDS;
+        const position = this.startPosition + (time - this.startTime) * this._speed;
+        
+        const outgoing = nodes.source;
+        const outgoingFade = nodes.sourceFade;
+        outgoingFade.gain.setValueAtTime(1, time);
+        outgoingFade.gain.linearRampToValueAtTime(0, fadeEnd);
+        outgoing.onended = () => {
+            outgoing.disconnect();
+            outgoingFade.disconnect();
+        };
+        try {
+            outgoing.stop(fadeEnd);
+        } catch (e) {}
+        
+        const { source, fadeGain } = this.createTrackSource(nodes);
+        fadeGain.gain.setValueAtTime(0, time);
+        fadeGain.gain.linearRampToValueAtTime(1, fadeEnd);
+        source.start(time, Math.max(0, Math.min(position, nodes.audioBuffer.duration)));
+        nodes.source = source;
+        nodes.sourceFade = fadeGain;
+        this.attachSourceEndHandler(source);
+        
+        this.scheduleNextEvents();
+    }
 
-        // Handle track end
+    /**
+     * Check for the end of playback when a track's source ends
+     * @param {AudioBufferSourceNode} source - Track source
+     */
+    attachSourceEndHandler(source) {
         source.onended = () => {
             if (this.isPlaying) {
                 // Check if all tracks have ended
@@ -876,6 +1348,7 @@ class AudioEngine {
 
         this.isPlaying = false;
         this.stopPositionUpdate();
+        if (this.metronome) this.metronome.stop();
 
         // Stop all sources
         this.trackNodes.forEach((nodes, trackId) => {
@@ -912,6 +1385,7 @@ class AudioEngine {
         
         this.isPlaying = false;
         this.stopPositionUpdate();
+        if (this.metronome) this.metronome.stop();
 
         // Stop all sources
         this.trackNodes.forEach((nodes, trackId) => {
@@ -945,11 +1419,53 @@ class AudioEngine {
             return song ? song.transport.position : 0;
         }
 
+        // An armed jump whose audio time has passed is already playing, even if
+        // commitJump() hasn't run yet (timeouts are late in background tabs)
+        const now = this.audioContext.currentTime;
+        const jump = this.pendingJump;
+        if (jump && now >= jump.time) {
+            return jump.to + (now - jump.time) * this._speed;
+        }
+
         // Calculate elapsed real time, scaled by speed to get song time
-        const elapsed = this.audioContext.currentTime - this.startTime;
+        // (clamped so the position holds still during a count-in)
+        const elapsed = Math.max(0, now - this.startTime);
         return this.startPosition + elapsed * this._speed;
     }
 
+    /**
+     * Get remaining count-in time before the tracks start
+     * @returns {number} Real seconds until playback audio starts (0 if not counting in)
+     */
+    getCountInRemaining() {
+        if (!this.isPlaying) return 0;
+        return Math.max(0, this.startTime - this.audioContext.currentTime);
+    }
+
+    /**
+     * Restart the click scheduler from a position, keeping a count-in that is still playing
+     * metronome.start() silences every scheduled click, count-in clicks included, so the
+     * rest of the count-in is scheduled again (at the current speed, still ending at startTime).
+     * @param {number} position - Song position in seconds
+     */
+    restartClicks(position) {
+        this.metronome.start(position);
+        if (this.countInBars > 0 && this.getCountInRemaining() > 0) {
+            this.metronome.scheduleCountIn(this.startPosition, this.startTime, this.countInBars);
+        }
+    }
+
+    /**
+     * Get the number of count-in bars for a play trigger, based on Preferences
+     * @param {string|null} trigger - 'play' (user pressed play), 'loop' (loop jump) or null
+     * @returns {number} Number of bars (0 = no count-in)
+     */
+    getCountInBars(trigger) {
+        if (!trigger) return 0;
+        if (trigger === 'loop' && !getPreference('countInOnLoop')) return 0;
+        return getPreference('countInBars') || 0;
+    }
+
     /**
      * Get current source (audio) position
      * Now the same as getCurrentPosition() since we removed virtual sections
@@ -961,12 +1477,23 @@ class AudioEngine {
     /**
      * Seek to a position (virtual time for arrangements)
      * @param {number} virtualPosition - Target position in virtual time
+     * @param {string|null} countInTrigger - Passed to play() ('loop' for loop jumps)
      */
-    seek(virtualPosition) {
+    seek(virtualPosition, countInTrigger = null) {
         const wasPlaying = this.isPlaying;
         
+        // Loop jumps that restart playback (loops that count in, or the RAF fallback)
+        // complete a loop pass here; pre-scheduled jumps announce it in commitJump().
+        // Announce it while still playing so listeners (speed trainer) can change speed
+        // before playback restarts at the loop start.
+        if (wasPlaying && countInTrigger === 'loop') {
+            State.emit(State.Events.LOOP_PASS_COMPLETED, { target: virtualPosition });
+        }
+        
         if (wasPlaying) {
-            // Stop current playback
+            // Drop any armed jump, then stop current playback
+            this.cancelScheduledEvents();
+            this.metronome.stop();
             this.trackNodes.forEach((nodes) => {
                 if (nodes.source) {
                     try {
@@ -997,7 +1524,7 @@ class AudioEngine {
 
         if (wasPlaying) {
             // Resume from new position (play() handles virtual-to-source conversion)
-            this.play(virtualPosition);
+            this.play(virtualPosition, countInTrigger);
         }
     }
     /**
@@ -1054,6 +1581,7 @@ class AudioEngine {
                         nodes.gainNode.gain.setTargetAtTime(targetGain, nowFadeIn, fadeDuration / 3);
                     }
                 });
+                this.metronome.start(toPosition);
             }
             
             // Update state position
@@ -1091,9 +1619,13 @@ class AudioEngine {
             // Get loop state early - needed for disabled section checks
             const { loopEnabled, loopStart, loopEnd } = song.transport;
             
+            // Skips and loops normally run as jumps pre-scheduled on the audio clock;
+            // the checks below are a fallback for when no jump is armed
+            const jumpArmed = this.pendingJump !== null;
+            
             // Phase 3: Check if entering a disabled arrangement section
             // This handles the case where playback reaches a disabled section boundary
-            if (State.hasDisabledArrangementSections() && !this.isInCrossfade) {
+            if (State.hasDisabledArrangementSections() && !this.isInCrossfade && !jumpArmed) {
                 const currentSection = State.getArrangementSectionAtTime(virtualPosition);
                 
                 if (currentSection && !currentSection.enabled) {
@@ -1102,7 +1634,7 @@ class AudioEngine {
                         loopEnd >= currentSection.start && loopEnd <= currentSection.end) {
                         // Loop end is within this disabled section - loop back instead of skipping
                         console.log(`Loop end (${loopEnd.toFixed(3)}s) is within disabled section, looping back to start`);
-                        this.seek(loopStart);
+                        this.seek(loopStart, 'loop');
                         return;
                     }
                     
@@ -1115,7 +1647,7 @@ class AudioEngine {
                             loopEnd > virtualPosition && loopEnd < nextEnabled.start) {
                             // Loop end is within the range we're about to skip - loop back instead
                             console.log(`Loop end (${loopEnd.toFixed(3)}s) is within skip range, looping back to start`);
-                            this.seek(loopStart);
+                            this.seek(loopStart, 'loop');
                             return;
                         }
                         
@@ -1126,7 +1658,7 @@ class AudioEngine {
                         // No more enabled sections - check if we should loop
                         if (loopEnabled && loopEnd !== null && loopEnd >= currentSection.start) {
                             console.log('No more enabled sections but loop end reached, looping back');
-                            this.seek(loopStart);
+                            this.seek(loopStart, 'loop');
                             return;
                         }
                         // No more enabled sections - check mashup advance or stop
@@ -1155,7 +1687,7 @@ class AudioEngine {
                                 loopEnd >= nextSection.start && loopEnd <= nextSection.end) {
                                 // Loop end is within the disabled section - loop back instead of skipping
                                 console.log(`Pre-emptive: Loop end (${loopEnd.toFixed(3)}s) is within disabled section, looping back`);
-                                this.seek(loopStart);
+                                this.seek(loopStart, 'loop');
                                 return;
                             }
                             
@@ -1167,7 +1699,7 @@ class AudioEngine {
                                     loopEnd > currentSection.end && loopEnd < nextEnabled.start) {
                                     // Loop end is within the range we're about to skip - loop back instead
                                     console.log(`Pre-emptive: Loop end (${loopEnd.toFixed(3)}s) is within skip range, looping back`);
-                                    this.seek(loopStart);
+                                    this.seek(loopStart, 'loop');
                                     return;
                                 }
                                 
@@ -1178,7 +1710,7 @@ class AudioEngine {
                                 // No more enabled sections after disabled - check if we should loop
                                 if (loopEnabled && loopEnd !== null && loopEnd >= nextSection.start) {
                                     console.log('Pre-emptive: No more enabled sections but loop end in disabled, looping back');
-                                    this.seek(loopStart);
+                                    this.seek(loopStart, 'loop');
                                     return;
                                 }
                                 // Will stop when we reach the disabled section
@@ -1190,7 +1722,7 @@ class AudioEngine {
             
             // Check if loop is active and we've reached the loop end (in virtual time)
             // Note: loopEnabled, loopStart, loopEnd already extracted above for disabled section checks
-            if (loopEnabled && loopStart !== null && loopEnd !== null) {
+            if (loopEnabled && loopStart !== null && loopEnd !== null && !jumpArmed) {
                 // Only loop back if position is close to loopEnd (within 0.1s tolerance)
                 // This prevents looping when user deliberately seeks past the loop
                 if (virtualPosition >= loopEnd && virtualPosition < loopEnd + 0.1) {
@@ -1223,7 +1755,7 @@ class AudioEngine {
                     }
                     
                     // Loop back to target position (handles crossfade automatically via seek->play)
-                    this.seek(targetPosition);
+                    this.seek(targetPosition, 'loop');
                     return; // seek() will restart position update if playing
                 }
             }
@@ -1269,6 +1801,7 @@ class AudioEngine {
      * Used by mashup controller during entry transitions.
      */
     stopAllSources() {
+        this.cancelScheduledEvents();
         this.trackNodes.forEach((nodes) => {
             if (nodes.source) {
                 // Clear onended to prevent checkPlaybackComplete from firing
@@ -1281,8 +1814,8 @@ class AudioEngine {
         });
         this.trackSectionState.clear();
         this.isInCrossfade = false;
+        if (this.metronome) this.metronome.stop();
         this.stopPositionUpdate();
-        this.cancelScheduledEvents();
     }
 
     /**
@@ -1319,8 +1852,68 @@ class AudioEngine {
     setTrackPan(trackId, pan) {
         const nodes = this.trackNodes.get(trackId);
         if (nodes && nodes.panNode) {
-            nodes.panNode.pan.value = pan / 100;
+            applyMonitorPan(nodes.panNode, pan, State.isTrackMonitorCue(trackId));
+        }
+    }
+
+    /**
+     * Re-apply every voice's panning after the monitor mode changes
+     */
+    updateMonitorRouting() {
+        for (const [trackId, nodes] of this.trackNodes) {
+            const track = State.getTrack(trackId);
+            if (track && nodes.panNode) {
+                applyMonitorPan(nodes.panNode, track.pan, State.isMonitorCueByName(track.name));
+            }
         }
+        this.metronome?.applySettings();
+    }
+
+    /**
+     * Update track EQ (high-pass + 3-band)
+     * @param {string} trackId - Track ID
+     * @param {Object} eq - EQ settings ({ highpass, low, mid, high })
+     */
+    setTrackEq(trackId, eq) {
+        const nodes = this.trackNodes.get(trackId);
+        if (nodes && nodes.eqNodes) {
+            applyTrackEq(nodes.eqNodes, eq);
+        }
+    }
+
+    /**
+     * Schedule a track's volume envelope from a source position onwards
+     * Skips, loops and seeks restart the sources (and so reschedule from the new position).
+     * @param {string} trackId - Track ID
+     * @param {number} sourcePosition - Source position that plays at `when`
+     * @param {number} when - Context time
+     */
+    scheduleTrackEnvelope(trackId, sourcePosition, when) {
+        const nodes = this.trackNodes.get(trackId);
+        if (!nodes || !nodes.envelopeGain || !nodes.audioBuffer) return;
+
+        const param = nodes.envelopeGain.gain;
+        param.cancelScheduledValues(this.audioContext.currentTime);
+        scheduleEnvelopeSegment(
+            param, State.getVolumeEnvelope(trackId),
+            sourcePosition, nodes.audioBuffer.duration, when, this._speed
+        );
+    }
+
+    /**
+     * Reschedule volume envelopes from the current position (after an edit or speed change)
+     * @param {string|null} trackId - Track ID, or null for all tracks
+     */
+    rescheduleEnvelopes(trackId = null) {
+        if (!this.isPlaying) return;
+
+        // During a count-in the sources haven't started yet
+        const countingIn = this.getCountInRemaining() > 0;
+        const sourcePosition = countingIn ? this.startPosition : this.getCurrentSourcePosition();
+        const when = countingIn ? this.startTime : this.audioContext.currentTime;
+
+        const trackIds = trackId ? [trackId] : [...this.trackNodes.keys()];
+        trackIds.forEach(id => this.scheduleTrackEnvelope(id, sourcePosition, when));
     }
 
     /**
@@ -1441,9 +2034,13 @@ class AudioEngine {
      * SoundTouch compensates for the resulting pitch shift with pitch = 1/speed.
      */
     setSpeed(speed) {
+        // An armed jump was timed for the old speed (it is re-armed below)
+        if (this.isPlaying) this.cancelScheduledEvents();
+        
         // Capture current position before changing speed to prevent position jump.
         // getCurrentPosition() uses this._speed, so we must snapshot before updating.
-        if (this.isPlaying) {
+        // (Not during a count-in: the sources are already scheduled to start at startTime.)
+        if (this.isPlaying && this.getCountInRemaining() === 0) {
             const currentPos = this.getCurrentPosition();
             this.startPosition = currentPos;
             this.startTime = this.audioContext.currentTime;
@@ -1471,9 +2068,11 @@ class AudioEngine {
             }
         });
         
-        // Reschedule skip/loop events with new timing
+        // Reschedule skip/loop events, clicks and envelopes with new timing
         if (this.isPlaying) {
             this.scheduleNextEvents();
+            this.restartClicks(this.startPosition);
+            this.rescheduleEnvelopes();
         }
     }
 
@@ -1499,33 +2098,63 @@ class AudioEngine {
      * @returns {{left: Float32Array, right: Float32Array|null, isStereo: boolean, maxPeak: number}} - Peak values normalized to 0-1 for each channel, plus maximum peak value across all channels
      */
     extractPeaks(audioBuffer, samplesPerSecond = 400) {
-        const numChannels = audioBuffer.numberOfChannels;
-        const leftChannelData = audioBuffer.getChannelData(0);
-        const rightChannelData = numChannels > 1 ? audioBuffer.getChannelData(1) : null;
-        const totalSamples = leftChannelData.length;
+        const peaks = this.createEmptyPeaks(audioBuffer, samplesPerSecond);
+        this.fillPeaks(audioBuffer, peaks, 0, audioBuffer.length);
+        return peaks;
+    }
+
+    /**
+     * Allocate zeroed waveform peaks sized for an audio buffer (filled by fillPeaks)
+     * @param {AudioBuffer} audioBuffer
+     * @param {number} samplesPerSecond - Number of peak samples per second of audio
+     * @returns {{left: Float32Array, right: Float32Array|null, isStereo: boolean, maxPeak: number}}
+     */
+    createEmptyPeaks(audioBuffer, samplesPerSecond = 400) {
+        const isStereo = audioBuffer.numberOfChannels > 1;
         
         // Compute duration explicitly from sample count and sample rate
         // This avoids precision issues with audioBuffer.duration, especially for
         // MP3 files that get resampled (e.g., 44100 Hz -> 48000 Hz)
-        const duration = totalSamples / audioBuffer.sampleRate;
+        const duration = audioBuffer.length / audioBuffer.sampleRate;
         
         // Calculate number of peak samples based on duration
         // Use at least 2000 samples, or 200 samples per second, whichever is greater
         const peakCount = Math.max(2000, Math.ceil(duration * samplesPerSecond));
         
+        return {
+            left: new Float32Array(peakCount),
+            right: isStereo ? new Float32Array(peakCount) : null,
+            isStereo,
+            maxPeak: 0
+        };
+    }
+
+    /**
+     * Compute the peaks covering a range of an audio buffer's samples
+     * Peaks that straddle the range edges are recomputed from the whole buffer, so a
+     * progressively decoded buffer can be filled in chunk by chunk.
+     * @param {AudioBuffer} audioBuffer
+     * @param {Object} peaks - Peaks from createEmptyPeaks() (updated in place, including maxPeak)
+     * @param {number} startSample - First sample of the range
+     * @param {number} endSample - Sample after the range
+     */
+    fillPeaks(audioBuffer, peaks, startSample, endSample) {
+        const totalSamples = audioBuffer.length;
+        const peakCount = peaks.left.length;
+        
+        // Peak i represents samples [floor(i * total / count), floor((i + 1) * total / count))
+        const firstPeak = Math.max(0, Math.floor(startSample * peakCount / totalSamples) - 1);
+        const lastPeak = Math.min(peakCount, Math.ceil(endSample * peakCount / totalSamples) + 1);
+        
         /**
-         * Extract peaks from a single channel
+         * Fill peaks from a single channel
          * @param {Float32Array} channelData
-         * @returns {{peaks: Float32Array, maxPeak: number}}
+         * @param {Float32Array} channelPeaks
          */
-        const extractChannelPeaks = (channelData) => {
-            const peaks = new Float32Array(peakCount);
-            let channelMaxPeak = 0;
-            
-            for (let i = 0; i < peakCount; i++) {
+        const fillChannelPeaks = (channelData, channelPeaks) => {
+            for (let i = firstPeak; i < lastPeak; i++) {
                 // Use proportional indexing to ensure peaks exactly span the full duration
                 // This avoids drift caused by Math.floor(blockSize) truncation
-                // Peak i represents the time range: [i/peakCount * duration, (i+1)/peakCount * duration]
                 const start = Math.floor(i * totalSamples / peakCount);
                 const end = Math.floor((i + 1) * totalSamples / peakCount);
                 
@@ -1541,31 +2170,19 @@ class AudioEngine {
                 
                 // Use the larger absolute value for more accurate peaks
                 const peakValue = Math.max(Math.abs(max), Math.abs(min));
-                peaks[i] = peakValue;
+                channelPeaks[i] = peakValue;
                 
-                // Track maximum peak for normalization
-                if (peakValue > channelMaxPeak) {
-                    channelMaxPeak = peakValue;
+                // Track maximum peak (across all channels) for normalization
+                if (peakValue > peaks.maxPeak) {
+                    peaks.maxPeak = peakValue;
                 }
             }
-            
-            return { peaks, maxPeak: channelMaxPeak };
         };
         
-        const leftResult = extractChannelPeaks(leftChannelData);
-        const rightResult = rightChannelData ? extractChannelPeaks(rightChannelData) : null;
-        
-        // Maximum peak across all channels (for normalization)
-        const maxPeak = rightResult 
-            ? Math.max(leftResult.maxPeak, rightResult.maxPeak)
-            : leftResult.maxPeak;
-        
-        return {
-            left: leftResult.peaks,
-            right: rightResult ? rightResult.peaks : null,
-            isStereo: rightResult !== null,
-            maxPeak: maxPeak
-        };
+        fillChannelPeaks(audioBuffer.getChannelData(0), peaks.left);
+        if (peaks.right) {
+            fillChannelPeaks(audioBuffer.getChannelData(1), peaks.right);
+        }
     }
 
     /**
@@ -1630,6 +2247,13 @@ State.subscribe(State.Events.MUTE_SECTIONS_CHANGED, ({ trackId }) => {
     }
 });
 
+// Reschedule volume envelopes when they are edited during playback
+State.subscribe(State.Events.VOLUME_ENVELOPE_CHANGED, ({ trackId }) => {
+    if (audioEngineInstance && audioEngineInstance.isPlaying) {
+        audioEngineInstance.rescheduleEnvelopes(trackId);
+    }
+});
+
 // Re-schedule skip/loop events when arrangement sections change
 State.subscribe(State.Events.ARRANGEMENT_SECTIONS_CHANGED, () => {
     if (audioEngineInstance && audioEngineInstance.isPlaying) {
@@ -1644,4 +2268,48 @@ State.subscribe(State.Events.LOOP_UPDATED, () => {
     }
 });
 
+// Apply click track volume/pan/mute, and start/stop clicks when it is toggled mid-playback
+State.subscribe(State.Events.METRONOME_UPDATED, ({ updates }) => {
+    if (!audioEngineInstance || !audioEngineInstance.metronome) return;
+    audioEngineInstance.metronome.applySettings();
+    if ('enabled' in updates && audioEngineInstance.isPlaying) {
+        audioEngineInstance.restartClicks(audioEngineInstance.getCurrentPosition());
+    }
+});
+
+// Click settings are per-song
+State.subscribe(State.Events.SONG_SWITCHED, () => {
+    if (audioEngineInstance && audioEngineInstance.metronome) {
+        audioEngineInstance.metronome.applySettings();
+    }
+});
+
+// Loudness normalization follows the active song and its measured tracks
+State.subscribe(State.Events.SONG_SWITCHED, () => {
+    if (audioEngineInstance) audioEngineInstance.updateLoudnessNormalization();
+});
+State.subscribe(State.Events.TRACK_ADDED, () => {
+    if (audioEngineInstance) audioEngineInstance.updateLoudnessNormalization();
+});
+State.subscribe(State.Events.TRACK_REMOVED, () => {
+    if (audioEngineInstance) audioEngineInstance.updateLoudnessNormalization();
+});
+State.subscribe(State.Events.TRACK_UPDATED, ({ updates }) => {
+    if (audioEngineInstance && 'peaks' in updates) {
+        audioEngineInstance.updateLoudnessNormalization();
+    }
+});
+
+// Master bus preferences
+window.addEventListener('preferenceChanged', (e) => {
+    if (!audioEngineInstance) return;
+    if (e.detail?.key === 'masterLimiter') {
+        audioEngineInstance.setLimiterEnabled(e.detail.value);
+    } else if (e.detail?.key === 'normalizeLoudness') {
+        audioEngineInstance.updateLoudnessNormalization();
+    } else if (e.detail?.key === 'monitorMode') {
+        audioEngineInstance.updateMonitorRouting();
+    }
+});
+
 export default AudioEngine;
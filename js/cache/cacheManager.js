@@ -116,6 +116,20 @@ export async function cacheTrack(songName, trackName, blob, peaks) {
     return results.every(r => r);
 }
 
+/**
+ * Cache (or overwrite) only the peaks data for a track
+ * Used when peaks gain new analysis data (e.g., loudness) after the audio was cached
+ * @param {string} songName - Song name
+ * @param {string} trackName - Track filename
+ * @param {{left: Float32Array, right: Float32Array|null, isStereo: boolean}} peaks - Stereo peaks data
+ * @returns {Promise<boolean>}
+ */
+export async function cachePeaks(songName, trackName, peaks) {
+    if (!initialized) return false;
+    const peaksKey = getPeaksKey(songName, trackName);
+    return await peaksCache.store(peaksKey, peaks);
+}
+
 /**
  * Get cached audio blob for a track
  * @param {string} songName 
@@ -127,7 +127,7 @@ async function withTransaction(mode, callback, defaultValue) {
 /**
  * Store peaks data for a track
  * @param {string} trackId - Unique track identifier
- * @param {{left: Float32Array, right: Float32Array|null, isStereo: boolean, maxPeak?: number}} peaks - Stereo peaks data
+ * @param {{left: Float32Array, right: Float32Array|null, isStereo: boolean, maxPeak?: number, loudness?: number}} peaks - Stereo peaks data (loudness in LUFS, if analysed)
  * @returns {Promise<boolean>} True if stored successfully
  */
 export async function store(trackId, peaks) {
@@ -142,7 +142,8 @@ export async function store(trackId, peaks) {
         left: peaks.left instanceof Float32Array ? Array.from(peaks.left) : peaks.left,
         right: peaks.right ? (peaks.right instanceof Float32Array ? Array.from(peaks.right) : peaks.right) : null,
         isStereo: peaks.isStereo,
-        maxPeak: peaks.maxPeak !== undefined ? peaks.maxPeak : null
+        maxPeak: peaks.maxPeak !== undefined ? peaks.maxPeak : null,
+        loudness: typeof peaks.loudness === 'number' ? peaks.loudness : null
     };
 
     const result = await withTransaction('readwrite', (objectStore) => {
@@ -182,7 +183,7 @@ function calculateMaxPeak(leftPeaks, rightPeaks) {
 /**
  * Retrieve peaks data for a track
  * @param {string} trackId - Unique track identifier
- * @returns {Promise<{left: Float32Array, right: Float32Array|null, isStereo: boolean, maxPeak: number}|null>} Peaks data or null if not found
+ * @returns {Promise<{left: Float32Array, right: Float32Array|null, isStereo: boolean, maxPeak: number, loudness: number|null}|null>} Peaks data or null if not found
  */
 export async function retrieve(trackId) {
     if (!initialized || !db) {
@@ -212,7 +213,8 @@ export async function retrieve(trackId) {
                 left: leftPeaks,
                 right: rightPeaks,
                 isStereo: peaks.isStereo,
-                maxPeak: maxPeak
+                maxPeak: maxPeak,
+                loudness: typeof peaks.loudness === 'number' ? peaks.loudness : null
             };
         } else {
             // Legacy mono format - convert to new format
@@ -222,7 +224,8 @@ export async function retrieve(trackId) {
                 left: leftPeaks,
                 right: null,
                 isStereo: false,
-                maxPeak: maxPeak
+                maxPeak: maxPeak,
+                loudness: null
             };
         }
     }
@@ -0,0 +1,60 @@
+/**
+ * Capo
+ * Works out capo positions for guitarists: the key a song sounds in (its
+ * metadata.key moved by the pitch control) and the chord shapes that, with a capo,
+ * produce it. A capo at fret N raises every shape by N semitones, so G shapes with
+ * capo 2 sound in A.
+ */
+
+import { METADATA_KEYS, transposeKey } from './metadata.js';
+
+// Shapes most guitarists play open (listed first in the shape preference)
+export const OPEN_SHAPES = ['G', 'C', 'D', 'A', 'E'];
+
+// Highest capo position worth suggesting (higher frets crowd the neck)
+export const MAX_CAPO = 7;
+
+/**
+ * Get the key a song sounds in
+ * @param {Object} song - Song object
+ * @returns {string|null} Key from METADATA_KEYS, or null if the song's key is unknown
+ */
+export function getSoundingKey(song) {
+    const key = song?.metadata?.key;
+    if (!METADATA_KEYS.includes(key)) return null;
+    return transposeKey(key, song.transport?.pitch ?? 0);
+}
+
+/**
+ * Get the capo position that makes a shape sound in a key
+ * @param {string} soundingKey - Key to sound in
+ * @param {string} shape - Key of the chord shapes played
+ * @returns {number} Capo fret, 0-11 (0 = no capo)
+ */
+export function getCapoFor(soundingKey, shape) {
+    const interval = METADATA_KEYS.indexOf(soundingKey) - METADATA_KEYS.indexOf(shape);
+    return (interval + 12) % 12;
+}
+
+/**
+ * List the capo positions and shapes that sound in a key
+ * @param {string} soundingKey - Key to sound in
+ * @returns {Array} {capo, shape, open} for capo 0..MAX_CAPO; open = an open-chord shape
+ */
+export function getCapoOptions(soundingKey) {
+    const options = [];
+    for (let capo = 0; capo <= MAX_CAPO; capo++) {
+        const shape = transposeKey(soundingKey, -capo);
+        options.push({ capo, shape, open: OPEN_SHAPES.includes(shape) });
+    }
+    return options;
+}
+
+/**
+ * Describe a capo position
+ * @param {number} capo - Capo fret
+ * @returns {string} 'No capo' or 'Capo N'
+ */
+export function formatCapo(capo) {
+    return capo === 0 ? 'No capo' : `Capo ${capo}`;
+}
@@ -0,0 +1,309 @@
+/**
+ * Chord Charts
+ * Loads a song's ChordPro chart (audio/{song}/chart.cho), parses it, and transposes
+ * its chords to follow the pitch control.
+ *
+ * Transposed chords are spelled for the key they land in: the song's key
+ * (metadata.key, else the chart's {key} directive) moved by the pitch. Each chord is
+ * spelled as the scale degree it is in that key, so a D chord in E becomes the b7
+ * (D), not C##, and F# in D stays F# rather than Gb. Spellings that guitarists
+ * don't read (Cb, Fb, E#, B#, double accidentals) fall back to the key's side:
+ * flats in F, Bb, Eb, Ab, Db and Gb, sharps otherwise.
+ *
+ * Nashville numbers are the same for every pitch: each chord's scale degree in the
+ * original key (Am7 in C is 6m7, D/F# in D is 1/3).
+ */
+
+import { METADATA_KEYS, transposeKey } from './metadata.js';
+
+// Cache for loaded charts (null = song has no chart)
+const chartCache = new Map();
+
+// Note names by pitch class (C = 0)
+const SHARP_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FLAT_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Keys whose signatures have flats
+const FLAT_KEYS = ['F', 'Bb', 'Eb', 'Ab', 'Db', 'Gb'];
+
+// Letter names and their pitch classes
+const LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const LETTER_VALUES = [0, 2, 4, 5, 7, 9, 11];
+
+// Semitones above the key -> letter steps above the key's letter
+// (chromatic degrees read as b2, b3, #4, b6 and b7)
+const DEGREE_STEPS = [0, 1, 1, 2, 2, 3, 3, 4, 5, 5, 6, 6];
+
+// Semitones above the key -> Nashville number
+const NASHVILLE_DEGREES = ['1', 'b2', '2', 'b3', '3', '4', '#4', '5', 'b6', '6', 'b7', '7'];
+
+// Spellings that fall back to the key's sharp/flat names
+const AWKWARD_NAMES = ['Cb', 'Fb', 'E#', 'B#'];
+
+// Section directives: short and long forms -> section kind
+const SECTION_STARTS = { soc: 'chorus', sov: 'verse', sob: 'bridge', sot: 'tab', sog: 'grid' };
+const SECTION_ENDS = { eoc: 'chorus', eov: 'verse', eob: 'bridge', eot: 'tab', eog: 'grid' };
+
+// Directive aliases -> full names
+const DIRECTIVE_ALIASES = { t: 'title', st: 'subtitle', c: 'comment', ci: 'comment_italic', cb: 'comment_box' };
+
+// ============================================================================
+// Loading
+// ============================================================================
+
+/**
+ * Load a song's chord chart
+ * @param {string} songName - Song name (directory name)
+ * @returns {Promise<string|null>} ChordPro text, or null if the song has no chart
+ */
+export async function loadChart(songName) {
+    if (chartCache.has(songName)) {
+        return chartCache.get(songName);
+    }
+
+    try {
+        const path = `audio/${encodeURIComponent(songName)}/chart.cho`;
+        const response = await fetch(path);
+        const text = response.ok ? await response.text() : null;
+        chartCache.set(songName, text);
+        return text;
+    } catch (error) {
+        // Don't cache network errors, the chart may load next time
+        console.warn(`Failed to load chord chart for ${songName}:`, error);
+        return null;
+    }
+}
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+/**
+ * Parse a ChordPro chart
+ * @param {string} text - ChordPro text
+ * @returns {Object} {title, subtitle, artist, key, lines}, where each line is one of:
+ *   {type: 'lyrics', segments: [{chord, text}]} - chord is null before the first chord
+ *   {type: 'comment', text, italic}
+ *   {type: 'section', kind, label} - start of a chorus/verse/bridge/tab/grid
+ *   {type: 'section-end'}
+ *   {type: 'chorus-repeat', label} - {chorus}: "repeat the chorus here"
+ *   {type: 'tab', text} - line inside a tab section, shown as written
+ *   {type: 'space'} - blank line
+ */
+export function parseChordPro(text) {
+    const chart = { title: '', subtitle: '', artist: '', key: '', lines: [] };
+    let inTab = false;
+
+    for (const raw of text.replace(/\r\n?/g, '\n').split('\n')) {
+        const line = raw.trimEnd();
+
+        // # starts a comment line that isn't shown
+        if (line.startsWith('#')) continue;
+
+        const directive = line.trim().match(/^\{\s*([\w-]+)\s*(?:[:\s]\s*(.*?))?\s*\}$/);
+        if (directive) {
+            inTab = parseDirective(chart, directive[1].toLowerCase(), directive[2] || '', inTab);
+            continue;
+        }
+
+        if (inTab) {
+            chart.lines.push({ type: 'tab', text: line });
+        } else if (line.trim() === '') {
+            chart.lines.push({ type: 'space' });
+        } else {
+            chart.lines.push({ type: 'lyrics', segments: parseLyricsLine(line) });
+        }
+    }
+
+    return chart;
+}
+
+/**
+ * Apply a directive to a chart being parsed
+ * @param {Object} chart - Chart being built
+ * @param {string} name - Directive name (lowercase)
+ * @param {string} value - Directive value
+ * @param {boolean} inTab - Whether a tab section is open
+ * @returns {boolean} Whether a tab section is open afterwards
+ */
+function parseDirective(chart, name, value, inTab) {
+    name = DIRECTIVE_ALIASES[name] || name;
+
+    const start = SECTION_STARTS[name] || name.match(/^start_of_(\w+)$/)?.[1];
+    if (start) {
+        const label = value || start.charAt(0).toUpperCase() + start.slice(1);
+        chart.lines.push({ type: 'section', kind: start, label });
+        return start === 'tab';
+    }
+
+    if (SECTION_ENDS[name] || /^end_of_\w+$/.test(name)) {
+        chart.lines.push({ type: 'section-end' });
+        return false;
+    }
+
+    switch (name) {
+        case 'title':
+        case 'subtitle':
+        case 'artist':
+        case 'key':
+            chart[name] = value;
+            break;
+        case 'comment':
+        case 'comment_box':
+            chart.lines.push({ type: 'comment', text: value, italic: false });
+            break;
+        case 'comment_italic':
+            chart.lines.push({ type: 'comment', text: value, italic: true });
+            break;
+        case 'chorus':
+            chart.lines.push({ type: 'chorus-repeat', label: value || 'Chorus' });
+            break;
+        default:
+            // Formatting and other directives don't change what's shown
+            break;
+    }
+    return inTab;
+}
+
+/**
+ * Split a lyrics line into chord/text segments
+ * @param {string} line - Line such as "[G]Amazing [G7]grace"
+ * @returns {Array} Segments: {chord, text}
+ */
+function parseLyricsLine(line) {
+    const segments = [];
+    const parts = line.split(/\[([^\]]*)\]/);
+
+    // parts alternates text, chord, text, chord, text...
+    if (parts[0]) {
+        segments.push({ chord: null, text: parts[0] });
+    }
+    for (let i = 1; i < parts.length; i += 2) {
+        segments.push({ chord: parts[i].trim(), text: parts[i + 1] || '' });
+    }
+    return segments;
+}
+
+// ============================================================================
+// Chords
+// ============================================================================
+
+/**
+ * Get the pitch class of a note name
+ * @param {string} note - Note such as 'F#' or 'Bb'
+ * @returns {number} 0-11 (C = 0)
+ */
+function noteValue(note) {
+    const letter = LETTER_VALUES[LETTERS.indexOf(note[0])];
+    const accidental = note[1] === '#' ? 1 : note[1] === 'b' ? -1 : 0;
+    return (letter + accidental + 12) % 12;
+}
+
+/**
+ * Split a chord into root, quality and bass note
+ * @param {string} chord - Chord such as 'F#m7/C#'
+ * @returns {Object|null} {root, quality, bass}, or null if it isn't a chord (N.C., %)
+ */
+export function parseChord(chord) {
+    const slash = chord.match(/^(.*)\/([A-G][#b]?)$/);
+    const body = slash ? slash[1] : chord;
+    const match = body.match(/^([A-G][#b]?)(.*)$/);
+    if (!match) return null;
+    return { root: match[1], quality: match[2], bass: slash ? slash[2] : null };
+}
+
+/**
+ * Get the root of a key name (minor keys use their relative major's signature)
+ * @param {string} key - Key such as 'D', 'Bb' or 'F#m'
+ * @returns {string|null} Major key from METADATA_KEYS, or null if not a key
+ */
+export function getMajorKey(key) {
+    const match = key?.trim().match(/^([A-G][#b]?)(m|min|minor)?$/);
+    if (!match) return null;
+    const value = (noteValue(match[1]) + (match[2] ? 3 : 0)) % 12;
+    return METADATA_KEYS.find(k => noteValue(k) === value);
+}
+
+/**
+ * Spell a pitch class for a key
+ * @param {number} value - Pitch class (C = 0)
+ * @param {string|null} key - Major key to spell in, or null to use sharps/flats as preferred
+ * @param {boolean} preferFlats - Side to use when there's no key (or the spelling is awkward)
+ * @returns {string}
+ */
+function spellNote(value, key, preferFlats) {
+    const fallback = () => ((key ? FLAT_KEYS.includes(key) : preferFlats) ? FLAT_NAMES : SHARP_NAMES)[value];
+    if (!key) return fallback();
+
+    const interval = (value - noteValue(key) + 12) % 12;
+    const letterIndex = (LETTERS.indexOf(key[0]) + DEGREE_STEPS[interval]) % 7;
+    const offset = ((value - LETTER_VALUES[letterIndex] + 18) % 12) - 6;
+    if (Math.abs(offset) > 1) return fallback();
+
+    const name = LETTERS[letterIndex] + (offset === 1 ? '#' : offset === -1 ? 'b' : '');
+    return AWKWARD_NAMES.includes(name) ? fallback() : name;
+}
+
+/**
+ * Transpose a chord
+ * @param {string} chord - Chord as written
+ * @param {number} semitones - Semitones to move
+ * @param {string|null} targetKey - Major key the chord lands in (for spelling), if known
+ * @returns {string} Transposed chord (non-chords are returned unchanged)
+ */
+export function transposeChord(chord, semitones, targetKey) {
+    const parsed = parseChord(chord);
+    if (!parsed) return chord;
+
+    const move = (note) => spellNote((noteValue(note) + semitones + 120) % 12, targetKey, note.includes('b'));
+    return move(parsed.root) + parsed.quality + (parsed.bass ? `/${move(parsed.bass)}` : '');
+}
+
+/**
+ * Write a chord as Nashville numbers
+ * @param {string} chord - Chord as written
+ * @param {string} key - Major key the chart is written in
+ * @returns {string} Number chord such as '6m7' or '1/3' (non-chords are returned unchanged)
+ */
+export function toNashville(chord, key) {
+    const parsed = parseChord(chord);
+    if (!parsed) return chord;
+
+    const degree = (note) => NASHVILLE_DEGREES[(noteValue(note) - noteValue(key) + 12) % 12];
+    return degree(parsed.root) + parsed.quality + (parsed.bass ? `/${degree(parsed.bass)}` : '');
+}
+
+/**
+ * Get the key a chart is written in
+ * @param {Object} chart - Parsed chart
+ * @param {Object} metadata - Song metadata
+ * @returns {string|null} Major key from METADATA_KEYS, or null if unknown
+ */
+export function getChartKey(chart, metadata) {
+    if (METADATA_KEYS.includes(metadata?.key)) return metadata.key;
+    return getMajorKey(chart.key);
+}
+
+/**
+ * Get a function that shows a chart's chords for a pitch
+ * @param {Object} chart - Parsed chart
+ * @param {Object} metadata - Song metadata
+ * @param {number} pitch - Pitch shift in semitones
+ * @param {boolean} nashville - Show Nashville numbers instead of chord names
+ * @returns {Object} {format, key, playedKey}: format(chord) gives the chord to show;
+ *   key is the written key and playedKey the key it's played in (null if unknown)
+ */
+export function getChordFormatter(chart, metadata, pitch, nashville) {
+    const key = getChartKey(chart, metadata);
+    const playedKey = key ? transposeKey(key, pitch) : null;
+
+    let format;
+    if (nashville && key) {
+        format = (chord) => toNashville(chord, key);
+    } else if (pitch === 0) {
+        format = (chord) => chord;
+    } else {
+        format = (chord) => transposeChord(chord, pitch, playedKey);
+    }
+    return { format, key, playedKey };
+}
@@ -0,0 +1,382 @@
+/**
+ * Click Track Analysis
+ * Sample-exact tempo map from a song's click stem.
+ *
+ * Clicks are found as transients in the stem's AudioBuffer (a rise above a fraction of
+ * the loudest sample after a quiet gap), each timed at the first sample of its attack.
+ * Accented clicks - louder or higher-pitched than the others - are downbeats; the beats
+ * between downbeats give the time signatures. Runs of clicks at one interval become
+ * tempo changes, with silent stretches (whole beats without clicks) bridged.
+ *
+ * The result uses the metadata.json format ([{tempo, start}] and [{sig, start}]), so it
+ * feeds calculateAllBeatPositions() directly, and tempos are stored at the coarsest
+ * precision that keeps the grid on every click.
+ */
+
+import { buildPickup } from './metadata.js';
+
+// Clicks: level that counts as a click (relative to the loudest sample), shortest gap
+// between clicks, and how far back the attack is searched for the click's first sample
+const CLICK_THRESHOLD = 0.1;
+const CLICK_MIN_GAP_SECONDS = 0.06;
+const CLICK_ATTACK_SECONDS = 0.005;
+
+// A click starts at the first sample of its attack reaching this fraction of its peak
+const CLICK_START_LEVEL = 0.1;
+
+// Click level and pitch are measured over this much of each click
+const CLICK_FEATURE_SECONDS = 0.02;
+
+// Accents: the two groups of clicks must differ by this much (dB for level, semitones for
+// pitch), and by this many standard deviations of the clicks within each group
+const ACCENT_MIN_DIFFERENCE = 1;
+const ACCENT_SEPARATION = 3;
+
+// An interval within this fraction of the running beat length (per beat) continues the run
+const BEAT_TOLERANCE = 0.005;
+
+// Tempos are rounded to the fewest decimals that keep a run's last click this close
+const MAX_DRIFT_SECONDS = 0.0005;
+const MAX_TEMPO_DECIMALS = 3;
+
+// Longest bar taken from the accents (more beats than this means an accent was missed)
+const MAX_BEATS_PER_BAR = 16;
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+// ============================================================================
+// Clicks
+// ============================================================================
+
+/**
+ * Mix an AudioBuffer's channels down to one
+ * @param {AudioBuffer} buffer
+ * @returns {Float32Array}
+ */
+function getMonoSignal(buffer) {
+    if (buffer.numberOfChannels === 1) {
+        return buffer.getChannelData(0);
+    }
+    const mono = new Float32Array(buffer.length);
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+        const channel = buffer.getChannelData(c);
+        for (let i = 0; i < mono.length; i++) mono[i] += channel[i];
+    }
+    for (let i = 0; i < mono.length; i++) mono[i] /= buffer.numberOfChannels;
+    return mono;
+}
+
+/**
+ * Find the clicks in a click stem
+ * @param {Float32Array} signal - Mono signal
+ * @param {number} sampleRate
+ * @returns {Array<{time: number, level: number, pitch: number}>} time of the click's first
+ *   sample, level in dB and pitch (zero-crossing rate) in semitones, for telling accents apart
+ */
+function findClicks(signal, sampleRate) {
+    let peak = 0;
+    for (let i = 0; i < signal.length; i++) {
+        const value = Math.abs(signal[i]);
+        if (value > peak) peak = value;
+    }
+    if (peak < 1e-4) return [];
+
+    const threshold = peak * CLICK_THRESHOLD;
+    const minGap = Math.round(CLICK_MIN_GAP_SECONDS * sampleRate);
+    const attack = Math.round(CLICK_ATTACK_SECONDS * sampleRate);
+    const featureLength = Math.round(CLICK_FEATURE_SECONDS * sampleRate);
+
+    const clicks = [];
+    let earliest = 0;   // Samples before this belong to the previous click
+    let i = 0;
+    while (i < signal.length) {
+        if (Math.abs(signal[i]) < threshold) {
+            i++;
+            continue;
+        }
+
+        const end = Math.min(signal.length, i + featureLength);
+        let clickPeak = 0;
+        for (let j = i; j < end; j++) clickPeak = Math.max(clickPeak, Math.abs(signal[j]));
+
+        // First sample of the attack
+        let start = i;
+        const startLevel = clickPeak * CLICK_START_LEVEL;
+        for (let j = Math.max(earliest, i - attack); j < i; j++) {
+            if (Math.abs(signal[j]) >= startLevel) {
+                start = j;
+                break;
+            }
+        }
+
+        // Level over the feature window; pitch from zero crossings while the click is
+        // still loud (the noise floor after it would add crossings of its own)
+        let energy = 0;
+        let loudEnd = start;
+        const featureEnd = Math.min(signal.length, start + featureLength);
+        for (let j = start; j < featureEnd; j++) {
+            energy += signal[j] * signal[j];
+            if (Math.abs(signal[j]) >= startLevel) loudEnd = j;
+        }
+        let crossings = 0;
+        for (let j = start + 1; j <= loudEnd; j++) {
+            if ((signal[j] >= 0) !== (signal[j - 1] >= 0)) crossings++;
+        }
+        const length = Math.max(1, featureEnd - start);
+        const crossingRate = Math.max(1, crossings * sampleRate / (2 * Math.max(1, loudEnd - start)));
+
+        clicks.push({
+            time: start / sampleRate,
+            level: 10 * Math.log10(energy / length + 1e-12),
+            pitch: 12 * Math.log2(crossingRate)
+        });
+
+        earliest = start + minGap;
+        i = Math.max(i + 1, earliest);
+    }
+
+    return clicks;
+}
+
+/**
+ * Find the accented clicks
+ * Each feature (level, pitch) is split into the two groups that best explain it; the
+ * better-separated feature wins, and its smaller group (the higher one on a tie) is the
+ * accents.
+ * @param {Array} clicks - From findClicks()
+ * @returns {boolean[]|null} Accent flag per click, or null if the clicks are all alike
+ */
+function findAccents(clicks) {
+    let best = null;
+
+    for (const feature of ['level', 'pitch']) {
+        const values = clicks.map(c => c[feature]);
+        const sorted = [...values].sort((a, b) => a - b);
+        const n = sorted.length;
+        const prefix = [0];
+        const prefixSquares = [0];
+        for (const value of sorted) {
+            prefix.push(prefix[prefix.length - 1] + value);
+            prefixSquares.push(prefixSquares[prefixSquares.length - 1] + value * value);
+        }
+        const spread = (from, to) => {
+            const count = to - from;
+            const sum = prefix[to] - prefix[from];
+            return prefixSquares[to] - prefixSquares[from] - sum * sum / count;
+        };
+
+        for (let split = 1; split < n; split++) {
+            const lowMean = prefix[split] / split;
+            const highMean = (prefix[n] - prefix[split]) / (n - split);
+            const difference = highMean - lowMean;
+            if (difference < ACCENT_MIN_DIFFERENCE) continue;
+
+            const deviation = Math.sqrt(Math.max(0, spread(0, split) + spread(split, n)) / n);
+            const separation = difference / Math.max(deviation, 1e-6);
+            if (separation >= ACCENT_SEPARATION && (!best || separation > best.separation)) {
+                best = { feature, values, separation, boundary: (sorted[split - 1] + sorted[split]) / 2, highCount: n - split };
+            }
+        }
+    }
+
+    if (!best) return null;
+
+    const accentsHigh = best.highCount <= best.values.length / 2;
+    return best.values.map(value => (value > best.boundary) === accentsHigh);
+}
+
+// ============================================================================
+// Tempo map
+// ============================================================================
+
+/**
+ * Number the clicks as beats and split them into runs of one tempo
+ * An interval of whole beats continues the run (clicks left out of a break); any other
+ * interval starts a new run - at the interval itself when the next interval repeats it
+ * (a tempo change), otherwise after it, as a stretch of its own (a break of odd length).
+ * @param {Array} clicks - From findClicks()
+ * @returns {{beats: number[], runs: Array<{first: number, last: number}>, steady: number}}
+ *   beat number per click, runs by click index (neighbours share a click), and the
+ *   fraction of intervals that continued a run
+ */
+function findRuns(clicks) {
+    const beats = [0];
+    const runs = [];
+    let first = 0;
+    let beatLength = null;
+    let steady = 0;
+
+    const isWhole = (interval, length) => {
+        const ratio = interval / length;
+        const whole = Math.round(ratio);
+        return whole >= 1 && Math.abs(ratio - whole) <= whole * BEAT_TOLERANCE ? whole : 0;
+    };
+
+    for (let i = 1; i < clicks.length; i++) {
+        const interval = clicks[i].time - clicks[i - 1].time;
+
+        if (beatLength === null) {
+            beats.push(beats[i - 1] + 1);
+            beatLength = interval;
+            continue;
+        }
+
+        const whole = isWhole(interval, beatLength);
+        if (whole) {
+            beats.push(beats[i - 1] + whole);
+            beatLength = (clicks[i].time - clicks[first].time) / (beats[i] - beats[first]);
+            steady++;
+            continue;
+        }
+
+        if (first < i - 1) runs.push({ first, last: i - 1 });
+
+        const next = clicks[i + 1] ? clicks[i + 1].time - clicks[i].time : null;
+        if (next !== null && isWhole(next, interval) === 1) {
+            // Tempo change: the new run starts with this interval
+            beats.push(beats[i - 1] + 1);
+            first = i - 1;
+            beatLength = interval;
+        } else {
+            // A break that isn't whole beats: its own stretch, at about the old beat length
+            beats.push(beats[i - 1] + Math.max(1, Math.round(interval / beatLength)));
+            runs.push({ first: i - 1, last: i });
+            first = i;
+            beatLength = null;
+        }
+    }
+    if (first < clicks.length - 1) runs.push({ first, last: clicks.length - 1 });
+
+    return { beats, runs, steady: clicks.length > 2 ? steady / (clicks.length - 2) : 0 };
+}
+
+/**
+ * Round a run's tempo to the fewest decimals that keep its last click on the grid
+ * @param {number} beatCount - Beats in the run
+ * @param {number} length - Seconds from the run's first click to its last
+ * @param {number} denominator - Beat unit of the time signature
+ * @returns {number} BPM (quarter notes)
+ */
+function roundTempo(beatCount, length, denominator) {
+    const exact = 60 * 4 / denominator * beatCount / length;
+    for (let decimals = 0; decimals < MAX_TEMPO_DECIMALS; decimals++) {
+        const factor = 10 ** decimals;
+        const tempo = Math.round(exact * factor) / factor;
+        const drift = Math.abs(beatCount * (60 / tempo) * (4 / denominator) - length);
+        if (drift <= MAX_DRIFT_SECONDS) return tempo;
+    }
+    const factor = 10 ** MAX_TEMPO_DECIMALS;
+    return Math.round(exact * factor) / factor;
+}
+
+/**
+ * Get the time signature changes from the accents
+ * @param {Array} clicks - From findClicks()
+ * @param {number[]} beats - Beat number per click
+ * @param {boolean[]} accents - Accent flag per click
+ * @returns {Array<{sig: string, start: number}>} From the first downbeat on
+ */
+function getTimeSigs(clicks, beats, accents) {
+    const downbeats = clicks.map((_, i) => i).filter(i => accents[i]);
+    const timeSigs = [];
+
+    for (let k = 0; k < downbeats.length - 1; k++) {
+        const beatsPerBar = beats[downbeats[k + 1]] - beats[downbeats[k]];
+        const previous = timeSigs[timeSigs.length - 1];
+        // Several bars of the current length (a break without clicks), or a missed accent
+        if (previous && beatsPerBar % parseInt(previous.sig, 10) === 0) continue;
+        if (beatsPerBar > MAX_BEATS_PER_BAR) continue;
+        const sig = `${beatsPerBar}/4`;
+        if (sig !== previous?.sig) {
+            timeSigs.push({ sig, start: round3(clicks[downbeats[k]].time) });
+        }
+    }
+
+    return timeSigs;
+}
+
+/**
+ * Build the tempo map from numbered clicks
+ * The silence before the first click becomes a pickup (see buildPickup()), and the bar
+ * lines are counted back from the first downbeat, so clicks before it make a short
+ * first bar when they aren't whole bars.
+ * @param {Array} clicks - From findClicks()
+ * @param {Object} analysis - From findRuns()
+ * @param {number} downbeat - Click index of the first downbeat
+ * @param {Array} barSigs - Time signature changes from the first downbeat on
+ * @returns {{tempos: Array, timeSigs: Array}}
+ */
+function buildTempoMap(clicks, { beats, runs }, downbeat, barSigs) {
+    const barSig = barSigs[0].sig;
+    const [beatsPerBar, denominator] = barSig.split('/').map(Number);
+
+    const firstRun = runs[0];
+    const firstBeatLength = (clicks[firstRun.last].time - clicks[firstRun.first].time) /
+        (beats[firstRun.last] - beats[firstRun.first]);
+    const pickup = buildPickup(clicks[0].time, firstBeatLength, barSig);
+    const pickupBeatLength = pickup.tempos.length > 0 ? (60 / pickup.tempos[0].tempo) * (4 / denominator) : 0;
+    const pickupBeats = pickupBeatLength > 0 ? Math.round(pickup.downbeat / pickupBeatLength) : 0;
+
+    const tempos = [...pickup.tempos];
+    for (const run of runs) {
+        const start = clicks[run.first].time;
+        const tempo = roundTempo(beats[run.last] - beats[run.first], clicks[run.last].time - start, denominator);
+        if (tempo === tempos[tempos.length - 1]?.tempo) continue;
+        // The first run starts where the pickup puts the first click
+        tempos.push({ tempo, start: run === firstRun ? pickup.downbeat : round3(start) });
+    }
+
+    // Beats before the first downbeat that don't fill whole bars make a short first bar
+    const leadIn = pickupBeats + beats[downbeat] - beats[0];
+    const partial = leadIn % beatsPerBar;
+    const timeSigs = [{ sig: partial > 0 ? `${partial}/${denominator}` : barSig, start: 0 }];
+    if (partial > 0) {
+        const barStart = partial <= pickupBeats
+            ? partial * pickupBeatLength
+            : pickup.downbeat + (partial - pickupBeats) * firstBeatLength;
+        timeSigs.push({ sig: barSig, start: round3(barStart) });
+    }
+    for (const change of barSigs.slice(1)) {
+        if (change.sig !== timeSigs[timeSigs.length - 1].sig) timeSigs.push(change);
+    }
+
+    return { tempos, timeSigs };
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Derive a tempo map from a click stem
+ * @param {AudioBuffer} buffer - Decoded click stem
+ * @param {Object} [options]
+ * @param {string} [options.sig='4/4'] - Time signature to use when the click has no accents
+ * @returns {Object|null} { tempos, timeSigs, clickCount, accented, confidence }, or null if
+ *   too few clicks were found; accented tells whether downbeats came from accents
+ *   (otherwise the first click is the first downbeat)
+ */
+export function analyzeClickTrack(buffer, { sig = '4/4' } = {}) {
+    const clicks = findClicks(getMonoSignal(buffer), buffer.sampleRate);
+    if (clicks.length < 4) return null;
+
+    const analysis = findRuns(clicks);
+    if (analysis.runs.length === 0) return null;
+
+    const accents = findAccents(clicks);
+    const downbeat = accents ? accents.indexOf(true) : 0;
+    let barSigs = accents ? getTimeSigs(clicks, analysis.beats, accents) : [];
+    if (barSigs.length === 0) {
+        barSigs = [{ sig, start: round3(clicks[downbeat].time) }];
+    }
+
+    const { tempos, timeSigs } = buildTempoMap(clicks, analysis, downbeat, barSigs);
+
+    return {
+        tempos,
+        timeSigs,
+        clickCount: clicks.length,
+        accented: Boolean(accents),
+        confidence: analysis.steady * (accents ? 1 : 0.7)
+    };
+}
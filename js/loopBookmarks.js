@@ -0,0 +1,89 @@
+/**
+ * Loop Bookmarks
+ * Named loop regions saved per song ("Bridge turnaround", "Tag ending"), so a loop
+ * can be recalled after another one has been set.
+ *
+ * Bookmarks are stored locally by song name (see storage.js). Sharing one with
+ * everyone is done by publishing it through the loops API (api.js saveLoop()),
+ * which stores the same {start, end} shape.
+ */
+
+import * as State from './state.js';
+import { loadLoopBookmarks, saveLoopBookmarks } from './storage.js';
+
+// Loop points closer than this are the same loop (they're set by dragging on the timeline)
+const LOOP_MATCH_EPSILON = 0.001;
+
+/**
+ * Get a song's loop bookmarks
+ * @param {string} songName - Song name (manifest folder)
+ * @returns {Array} Bookmarks: {name, start, end}, sorted by start
+ */
+export function getLoopBookmarks(songName) {
+    return [...loadLoopBookmarks(songName)].sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Save a loop bookmark (replacing any bookmark with the same name)
+ * @param {string} songName - Song name (manifest folder)
+ * @param {string} name - Bookmark name
+ * @param {number} start - Loop start in seconds
+ * @param {number} end - Loop end in seconds
+ */
+export function saveLoopBookmark(songName, name, start, end) {
+    const bookmarks = loadLoopBookmarks(songName)
+        .filter(bookmark => bookmark.name.toLowerCase() !== name.toLowerCase());
+    bookmarks.push({ name, start, end });
+    saveLoopBookmarks(songName, bookmarks);
+    State.emit(State.Events.LOOP_BOOKMARKS_CHANGED, { songName });
+}
+
+/**
+ * Delete a loop bookmark
+ * @param {string} songName - Song name (manifest folder)
+ * @param {string} name - Bookmark name
+ */
+export function deleteLoopBookmark(songName, name) {
+    const bookmarks = loadLoopBookmarks(songName).filter(bookmark => bookmark.name !== name);
+    saveLoopBookmarks(songName, bookmarks);
+    State.emit(State.Events.LOOP_BOOKMARKS_CHANGED, { songName });
+}
+
+/**
+ * Find the bookmark for a loop region
+ * @param {Array} bookmarks - Bookmarks: {name, start, end}
+ * @param {number|null} start - Loop start in seconds
+ * @param {number|null} end - Loop end in seconds
+ * @returns {Object|null} Matching bookmark, or null
+ */
+export function findLoopBookmark(bookmarks, start, end) {
+    if (start === null || end === null) return null;
+    return bookmarks.find(bookmark =>
+        Math.abs(bookmark.start - start) < LOOP_MATCH_EPSILON &&
+        Math.abs(bookmark.end - end) < LOOP_MATCH_EPSILON
+    ) || null;
+}
+
+/**
+ * Set the active song's loop to a bookmark (and enable looping)
+ * @param {Object} bookmark - {start, end}
+ */
+export function recallLoopBookmark(bookmark) {
+    if (!bookmark) return;
+    State.updateLoop({ start: bookmark.start, end: bookmark.end, enabled: true });
+}
+
+/**
+ * Format a bookmark's region for menus, as M:SS.m-M:SS.m
+ * @param {Object} bookmark - {start, end}
+ * @returns {string}
+ */
+export function formatLoopRange(bookmark) {
+    const format = (seconds) => {
+        const minutes = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        const tenths = Math.floor((seconds % 1) * 10);
+        return `${minutes}:${secs.toString().padStart(2, '0')}.${tenths}`;
+    };
+    return `${format(bookmark.start)}–${format(bookmark.end)}`;
+}
@@ -0,0 +1,185 @@
+/**
+ * Loudness Analysis
+ * Integrated loudness (LUFS) of decoded stems per ITU-R BS.1770 (K-weighting,
+ * 400ms blocks with 75% overlap, absolute and relative gating).
+ *
+ * Loudness is measured per track and cached alongside the waveform peaks.
+ * Normalization applies one offset per song (derived from all of its stems),
+ * so the balance between a song's stems is never changed.
+ */
+
+// Target loudness for a song's full stem mix
+const TARGET_LOUDNESS_LUFS = -16;
+
+// Largest correction applied in either direction
+const MAX_NORMALIZATION_DB = 12;
+
+// BS.1770 gating
+const BLOCK_SECONDS = 0.4;
+const BLOCK_STEP_SECONDS = 0.1; // 75% overlap
+const ABSOLUTE_GATE_LUFS = -70;
+const RELATIVE_GATE_LU = -10;
+
+/**
+ * Get the two K-weighting biquad stages for a sample rate
+ * (pre-filter high shelf + RLB high-pass, coefficients derived as in libebur128)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Array<{b0: number, b1: number, b2: number, a1: number, a2: number}>}
+ */
+function getKWeightingFilters(sampleRate) {
+    // Stage 1: high shelf (+4 dB above ~1.7 kHz, models the head)
+    let f0 = 1681.974450955533;
+    const G = 3.999843853973347;
+    let Q = 0.7071752369554196;
+    let K = Math.tan(Math.PI * f0 / sampleRate);
+    const Vh = Math.pow(10, G / 20);
+    const Vb = Math.pow(Vh, 0.4996667741545416);
+    let a0 = 1 + K / Q + K * K;
+    const shelf = {
+        b0: (Vh + Vb * K / Q + K * K) / a0,
+        b1: 2 * (K * K - Vh) / a0,
+        b2: (Vh - Vb * K / Q + K * K) / a0,
+        a1: 2 * (K * K - 1) / a0,
+        a2: (1 - K / Q + K * K) / a0
+    };
+
+    // Stage 2: RLB high-pass (~38 Hz)
+    f0 = 38.13547087602444;
+    Q = 0.5003270373238773;
+    K = Math.tan(Math.PI * f0 / sampleRate);
+    a0 = 1 + K / Q + K * K;
+    const highpass = {
+        b0: 1,
+        b1: -2,
+        b2: 1,
+        a1: 2 * (K * K - 1) / a0,
+        a2: (1 - K / Q + K * K) / a0
+    };
+
+    return [shelf, highpass];
+}
+
+/**
+ * K-weight one channel and accumulate its mean square per 100ms step
+ * @param {Float32Array} data - Channel samples
+ * @param {Array} filters - K-weighting stages from getKWeightingFilters
+ * @param {number} stepSize - Samples per step
+ * @param {Float64Array} stepPower - Accumulator (summed across channels)
+ */
+function accumulateStepPower(data, filters, stepSize, stepPower) {
+    const [s, h] = filters;
+    // Filter histories: x = input, y = output of each stage
+    let sx1 = 0, sx2 = 0, sy1 = 0, sy2 = 0;
+    let hy1 = 0, hy2 = 0;
+
+    for (let step = 0; step < stepPower.length; step++) {
+        const start = step * stepSize;
+        const end = start + stepSize;
+        let sum = 0;
+
+        for (let i = start; i < end; i++) {
+            const x = data[i];
+            const shelfOut = s.b0 * x + s.b1 * sx1 + s.b2 * sx2 - s.a1 * sy1 - s.a2 * sy2;
+            // Stage 2's input history is stage 1's output history (before the shift below)
+            const out = h.b0 * shelfOut + h.b1 * sy1 + h.b2 * sy2 - h.a1 * hy1 - h.a2 * hy2;
+
+            sx2 = sx1; sx1 = x;
+            sy2 = sy1; sy1 = shelfOut;
+            hy2 = hy1; hy1 = out;
+
+            sum += out * out;
+        }
+
+        stepPower[step] += sum / stepSize;
+    }
+}
+
+/**
+ * Measure the integrated loudness of an audio buffer
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @returns {number} Integrated loudness in LUFS (-Infinity if silent)
+ */
+export function measureIntegratedLoudness(audioBuffer) {
+    const sampleRate = audioBuffer.sampleRate;
+    const stepSize = Math.round(BLOCK_STEP_SECONDS * sampleRate);
+    const stepsPerBlock = Math.round(BLOCK_SECONDS / BLOCK_STEP_SECONDS);
+    const stepCount = Math.floor(audioBuffer.length / stepSize);
+    if (stepCount < stepsPerBlock) return -Infinity;
+
+    const filters = getKWeightingFilters(sampleRate);
+    const stepPower = new Float64Array(stepCount);
+    for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+        accumulateStepPower(audioBuffer.getChannelData(ch), filters, stepSize, stepPower);
+    }
+
+    // 400ms blocks = mean of 4 consecutive 100ms steps
+    const blockPower = new Float64Array(stepCount - stepsPerBlock + 1);
+    for (let b = 0; b < blockPower.length; b++) {
+        let sum = 0;
+        for (let k = 0; k < stepsPerBlock; k++) {
+            sum += stepPower[b + k];
+        }
+        blockPower[b] = sum / stepsPerBlock;
+    }
+
+    const toLufs = (power) => -0.691 + 10 * Math.log10(power);
+    const gatedMean = (threshold) => {
+        let sum = 0;
+        let count = 0;
+        for (const power of blockPower) {
+            if (power > 0 && toLufs(power) > threshold) {
+                sum += power;
+                count++;
+            }
+        }
+        return count > 0 ? sum / count : 0;
+    };
+
+    const absoluteMean = gatedMean(ABSOLUTE_GATE_LUFS);
+    if (absoluteMean === 0) return -Infinity;
+
+    const relativeGate = toLufs(absoluteMean) + RELATIVE_GATE_LU;
+    const integratedMean = gatedMean(Math.max(ABSOLUTE_GATE_LUFS, relativeGate));
+    return integratedMean > 0 ? toLufs(integratedMean) : -Infinity;
+}
+
+/**
+ * Check if a track's peaks data carries a loudness measurement
+ * @param {Object|null} peaks - Track peaks object
+ * @returns {boolean}
+ */
+export function hasLoudness(peaks) {
+    return typeof peaks?.loudness === 'number';
+}
+
+/**
+ * Get the normalization offset for a song
+ * Sums the stems' loudness (assuming uncorrelated stems) to estimate the full mix,
+ * then returns the gain needed to reach the target.
+ * @param {Object|null} song - Song object
+ * @returns {number} Offset in dB (0 if no track has been measured)
+ */
+export function getSongLoudnessOffset(song) {
+    if (!song?.tracks) return 0;
+
+    let totalPower = 0;
+    for (const track of song.tracks) {
+        if (hasLoudness(track.peaks) && Number.isFinite(track.peaks.loudness)) {
+            totalPower += Math.pow(10, track.peaks.loudness / 10);
+        }
+    }
+    if (totalPower === 0) return 0;
+
+    const mixLoudness = 10 * Math.log10(totalPower);
+    const offset = TARGET_LOUDNESS_LUFS - mixLoudness;
+    return Math.max(-MAX_NORMALIZATION_DB, Math.min(MAX_NORMALIZATION_DB, offset));
+}
+
+/**
+ * Convert decibels to a linear gain
+ * @param {number} db - Decibels
+ * @returns {number}
+ */
+export function dbToGain(db) {
+    return Math.pow(10, db / 20);
+}
@@ -0,0 +1,103 @@
+/**
+ * Lyrics
+ * Time-synced lyric lines from a song's metadata.json:
+ *
+ *   "lyrics": [
+ *     { "text": "Amazing grace, how sweet the sound", "start": 12.4 },
+ *     { "text": "", "start": 31.0 }
+ *   ]
+ *
+ * A line shows from its start until the next line starts (an empty line clears the
+ * display for an instrumental). Times are on the song's own timeline, like markers.
+ *
+ * Lines are laid out against the arrangement: a line that starts in a disabled
+ * arrangement section is skipped, and a line ends where playback jumps over a
+ * disabled section, so the next line shown is the next one actually heard.
+ */
+
+/**
+ * Get a song's lyric lines, sorted by start
+ * @param {Object} song - Song object
+ * @returns {Array} Lines: {text, start}
+ */
+export function getLyrics(song) {
+    const lyrics = song?.metadata?.lyrics;
+    if (!Array.isArray(lyrics)) return [];
+    return lyrics
+        .filter(line => typeof line?.text === 'string' && typeof line.start === 'number' && isFinite(line.start))
+        .map(line => ({ text: line.text, start: line.start }))
+        .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Check if a song has lyrics
+ * @param {Object} song - Song object
+ * @returns {boolean}
+ */
+export function hasLyrics(song) {
+    return getLyrics(song).length > 0;
+}
+
+/**
+ * Get a song's lyric lines as they play with its arrangement
+ * @param {Object} song - Song object
+ * @returns {Array} Lines: {index, text, start, end, skipped}, sorted by start. end is
+ *   where the line stops showing; skipped lines start in a disabled section.
+ */
+export function getPlayedLyrics(song) {
+    const lines = getLyrics(song);
+    if (lines.length === 0) return [];
+
+    const duration = song.tracks.reduce((max, t) => Math.max(max, t.duration || 0), 0);
+    const disabled = (song.arrangementSections || []).filter(section => !section.enabled);
+
+    return lines.map((line, i) => {
+        const next = lines[i + 1];
+        let end = next ? next.start : Math.max(duration, line.start);
+
+        // Playback jumps away at the next disabled section
+        const jump = disabled.find(section => section.start > line.start);
+        if (jump && jump.start < end) {
+            end = jump.start;
+        }
+
+        // A skipped line is never heard, so it only spans its own section
+        const skippedIn = disabled.find(section => line.start >= section.start && line.start < section.end);
+        if (skippedIn) {
+            end = Math.min(end, skippedIn.end);
+        }
+        return { index: i, text: line.text, start: line.start, end, skipped: !!skippedIn };
+    });
+}
+
+/**
+ * Find the line showing at a time
+ * @param {Array} lines - Lines from getPlayedLyrics()
+ * @param {number} time - Position in seconds
+ * @returns {number} Index into lines, or -1 between lines (or before the first)
+ */
+export function getLyricIndexAt(lines, time) {
+    for (let i = lines.length - 1; i >= 0; i--) {
+        const line = lines[i];
+        if (line.start > time) continue;
+        return !line.skipped && time < line.end ? i : -1;
+    }
+    return -1;
+}
+
+/**
+ * Get how much of a span is actually played (the parts in disabled sections are skipped)
+ * @param {Object} song - Song object
+ * @param {number} from - Start time in seconds
+ * @param {number} to - End time in seconds
+ * @returns {number} Seconds of song time (divide by the speed for real time)
+ */
+export function getPlayedSeconds(song, from, to) {
+    let seconds = Math.max(0, to - from);
+    for (const section of song?.arrangementSections || []) {
+        if (section.enabled) continue;
+        const overlap = Math.min(to, section.end) - Math.max(from, section.start);
+        if (overlap > 0) seconds -= overlap;
+    }
+    return Math.max(0, seconds);
+}
@@ -13,6 +13,7 @@ import { getTransport } from './transport.js';
 import { getTrackPanel } from './ui/trackPanel.js';
 import { getWaveformPanel } from './ui/waveformPanel.js';
 import { getTransportBar } from './ui/transportBar.js';
+import { getMasterMeter } from './ui/masterMeter.js';
 import { getTabs } from './ui/tabs.js';
 import { getMenuBar } from './ui/menubar.js';
 import { getTimeline } from './timeline.js';
@@ -20,9 +21,21 @@ import { getTimelineSections } from './ui/timelineSections.js';
 import { initDragDrop } from './ui/dragDrop.js';
 import { getModal } from './ui/modal.js';
 import { getSongLoader } from './ui/songLoader.js';
+import { getMetadataEditor } from './ui/metadataEditor.js';
+import { getSongInfo } from './ui/songInfo.js';
+import { getTapTempo } from './ui/tapTempo.js';
+import { getPracticeDashboard } from './ui/practiceDashboard.js';
+import { getLyricsView } from './ui/lyricsView.js';
+import { getChordChartPanel } from './ui/chordChartPanel.js';
+import { getCapoHelper } from './ui/capoHelper.js';
+import * as MarkerNavigation from './markerNavigation.js';
 import * as Manifest from './manifest.js';
 import * as cacheManager from './cache/cacheManager.js';
 import { getBackgroundAudioSupport } from './backgroundAudio.js';
+import { getSpeedTrainer } from './speedTrainer.js';
+import { getPracticeLog } from './practiceLog.js';
+import { getMemoryBudget } from './memoryBudget.js';
+import { exportMixdown } from './mixdown.js';
 
 class App {
     constructor() {
@@ -64,6 +77,24 @@ class App {
             // Initialize background audio support (iOS/Safari keepalive, media session, wake lock)
             getBackgroundAudioSupport().init();
 
+            // Speed trainer steps up playback speed after loop passes
+            getSpeedTrainer().init();
+
+            // Log practice time per song, section and loop
+            getPracticeLog().init();
+
+            // Large-type lyrics that follow the play head
+            getLyricsView().init();
+
+            // Chord chart that follows the pitch control
+            getChordChartPanel().init();
+
+            // Capo positions for the sounding key
+            getCapoHelper().init();
+
+            // Keep decoded audio for open songs within the memory budget
+            getMemoryBudget().init();
+
             // Load saved state
             await this.loadSavedState();
             
@@ -76,6 +107,9 @@ class App {
             // Set up cache indicator
             this.setupCacheIndicator();
             
+            // Measure loaded tracks when loudness normalization is switched on
+            this.setupLoudnessAnalysis();
+            
             // Update empty states
             this.updateEmptyStates();
             
@@ -97,6 +131,7 @@ class App {
         getTrackPanel();
         getWaveformPanel();
         getTransportBar();
+        getMasterMeter();
         getTabs();
         getMenuBar();
         getTimeline();
@@ -104,6 +139,8 @@ class App {
         initDragDrop();
         getModal();
         getSongLoader();
+        getMetadataEditor();
+        getTapTempo();
         
         // Help menu dropdown
         this.initHelpMenu();
@@ -151,6 +188,16 @@ class App {
             const modal = getModal();
             if (action === 'preferences') {
                 modal.showPreferences();
+            } else if (action === 'bounce') {
+                exportMixdown();
+            } else if (action === 'song-info') {
+                getSongInfo().show();
+            } else if (action === 'edit-metadata') {
+                getMetadataEditor().start();
+            } else if (action === 'practice-log') {
+                getPracticeDashboard().show();
+            } else if (action === 'diagnostics') {
+                modal.showDiagnostics(() => getMemoryBudget().getStatus());
             } else if (action === 'user-guide') {
                 modal.showHelp();
             }
@@ -214,14 +261,17 @@ class App {
 
     setupKeyboardShortcuts() {
         document.addEventListener('keydown', (e) => {
-            // Don't trigger shortcuts when typing in inputs
+            // Don't trigger shortcuts when typing in inputs or choosing in a select
             if (e.target.tagName === 'INPUT' || 
                 e.target.tagName === 'TEXTAREA' || 
+                e.target.tagName === 'SELECT' || 
                 e.target.contentEditable === 'true') {
                 return;
             }
 
             const transport = getTransport();
+            const modalOverlay = document.getElementById('modal-overlay');
+            const isModalOpen = modalOverlay && !modalOverlay.classList.contains('hidden');
 
             // Space: Play/Stop toggle
             if (e.code === 'Space' && !e.ctrlKey && !e.altKey && !e.metaKey) {
@@ -284,12 +334,39 @@ class App {
                 }
             }
 
+            // Ctrl+Arrow keys: Previous/next marker (not behind a dialog)
+            if (e.code === 'ArrowLeft' && e.ctrlKey && !isModalOpen) {
+                e.preventDefault();
+                MarkerNavigation.goToPreviousMarker();
+            }
+
+            if (e.code === 'ArrowRight' && e.ctrlKey && !isModalOpen) {
+                e.preventDefault();
+                MarkerNavigation.goToNextMarker();
+            }
+
+            // 1-9: Go to section N (labeled markers, in order)
+            if (/^Digit[1-9]$/.test(e.code) && !e.ctrlKey && !e.altKey && !e.metaKey && !isModalOpen) {
+                e.preventDefault();
+                MarkerNavigation.goToSection(parseInt(e.code.slice(5), 10));
+            }
+
+            // L: Loop the marker section at the play head
+            if (e.code === 'KeyL' && !e.ctrlKey && !e.altKey && !e.metaKey && !isModalOpen) {
+                e.preventDefault();
+                MarkerNavigation.loopCurrentSection();
+            }
+
+            // Escape: Close the lyrics follow view (before anything else)
+            if (e.code === 'Escape' && getLyricsView().isOpen) {
+                e.preventDefault();
+                getLyricsView().hide();
+                return;
+            }
+
             // Escape: Clear loop points (only if no modal is open)
             // Clears loop regardless of whether looping is enabled
             if (e.code === 'Escape') {
-                const modalOverlay = document.getElementById('modal-overlay');
-                const isModalOpen = modalOverlay && !modalOverlay.classList.contains('hidden');
-                
                 // Check if there are any loop points to clear
                 const loopState = State.getLoopState();
                 const hasLoopPoints = loopState.start !== null || loopState.end !== null;
@@ -329,6 +406,15 @@ class App {
         Storage.saveState(State.getSerializableState());
     }
 
+    setupLoudnessAnalysis() {
+        window.addEventListener('preferenceChanged', (e) => {
+            if (e.detail?.key === 'normalizeLoudness' && e.detail.value) {
+                TrackManager.analyzeSongLoudness(State.getActiveSong())
+                    .catch(err => console.error('Failed to analyze loudness:', err));
+            }
+        });
+    }
+
     setupLoadingOverlay() {
         const overlay = document.getElementById('loading-overlay');
         const message = document.getElementById('loading-message');
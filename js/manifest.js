@@ -73,6 +73,17 @@ export function getSongTracks(songName) {
     return song?.tracks || [];
 }
 
+/**
+ * Get a track's size and upload time
+ * @param {string} songName - The song name
+ * @param {string} trackFileName - The track filename
+ * @returns {Object|null} {name, size, modified} or null if not listed
+ */
+export function getTrackInfo(songName, trackFileName) {
+    const song = getSong(songName);
+    return song?.trackInfo?.find(t => t.name === trackFileName) || null;
+}
+
 /**
  * Get the file path for a track
  * @param {string} songName - The song name
@@ -107,3 +118,59 @@ export function clearCache() {
     manifest = null;
     loadPromise = null;
 }
+
+// ============================================================================
+// Song Summary (key, BPM, duration and tags from each song's metadata.json)
+// ============================================================================
+
+// Song list orders: value -> label and comparator
+// Songs missing the sorted field go last, then everything falls back to name order
+export const SONG_SORTS = {
+    name: { label: 'Name', compare: () => 0 },
+    key: { label: 'Key', compare: (a, b) => compareMissingLast(keyIndex(a.key), keyIndex(b.key)) },
+    bpm: { label: 'Tempo', compare: (a, b) => compareMissingLast(a.bpm, b.bpm) },
+    duration: { label: 'Length', compare: (a, b) => compareMissingLast(a.duration, b.duration) },
+    modified: { label: 'Recently updated', compare: (a, b) => compareMissingLast(b.modified, a.modified) }
+};
+
+// Key order for sorting (C first, as on a piano)
+const SORT_KEYS = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+function keyIndex(key) {
+    const index = SORT_KEYS.indexOf(key);
+    return index === -1 ? null : index;
+}
+
+function compareMissingLast(a, b) {
+    const missingA = a === null || a === undefined || a === '';
+    const missingB = b === null || b === undefined || b === '';
+    if (missingA || missingB) return missingA - missingB;
+    return typeof a === 'string' ? a.localeCompare(b) : a - b;
+}
+
+/**
+ * Sort songs for display
+ * @param {Array} songs - Manifest songs
+ * @param {string} sortBy - Key of SONG_SORTS
+ * @returns {Array} New sorted array
+ */
+export function sortSongs(songs, sortBy) {
+    const compare = (SONG_SORTS[sortBy] || SONG_SORTS.name).compare;
+    return [...songs].sort((a, b) => compare(a, b) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Describe a song's key, tempo and length for the song picker
+ * @param {Object} song - Manifest song
+ * @returns {string} e.g. "D · 72 BPM · 5:12" (empty if the song has no metadata)
+ */
+export function describeSong(song) {
+    const parts = [];
+    if (song.key) parts.push(song.key);
+    if (song.bpm) parts.push(`${Math.round(song.bpm)} BPM`);
+    if (song.duration) {
+        const seconds = Math.round(song.duration);
+        parts.push(`${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`);
+    }
+    return parts.join(' · ');
+}
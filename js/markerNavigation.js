@@ -0,0 +1,114 @@
+/**
+ * Marker Navigation
+ * Moving the play head between the song's markers (metadata.markers) and looping the
+ * section a marker starts, for rehearsing by section name ("go to Bridge").
+ *
+ * A marker section runs from its marker to the next one, or to the end of the song
+ * (see deriveSections()). Unlabeled markers are dividers: next/previous stop at them,
+ * but they don't rename the section being played and aren't numbered, so "section N"
+ * counts the labeled markers the way the section indicator bar shows them.
+ */
+
+import * as State from './state.js';
+import { deriveSections, getSectionAtTime } from './sections.js';
+import { getTransport } from './transport.js';
+
+// Previous marker within this long of passing a marker goes to the one before it,
+// otherwise back to the start of the current section (like a CD player)
+const PREVIOUS_MARKER_GRACE_SECONDS = 1;
+
+// Next marker skips a marker this close ahead (the play head is already on it)
+const MARKER_EPSILON = 0.01;
+
+/**
+ * Get a song's marker sections
+ * @param {Object} song - Song object
+ * @returns {Array} {index, name, unlabeled, start, end, duration}, sorted by start
+ */
+export function getMarkerSections(song) {
+    const duration = song?.tracks.reduce((max, t) => Math.max(max, t.duration || 0), 0) || 0;
+    if (duration <= 0) return [];
+    return deriveSections(song.metadata?.markers, duration);
+}
+
+/**
+ * Get a song's labeled sections (numbered 1..N by their position in the list)
+ * @param {Object} song - Song object
+ * @returns {Array} Sections as from getMarkerSections()
+ */
+export function getLabeledSections(song) {
+    return getMarkerSections(song).filter(section => !section.unlabeled);
+}
+
+/**
+ * Get the name of the section playing at a time
+ * @param {Object} song - Song object
+ * @param {number} time - Position in seconds
+ * @returns {string|null} Name of the last labeled marker at or before the time, or null
+ */
+export function getSectionNameAt(song, time) {
+    const sections = getLabeledSections(song);
+    let current = null;
+    for (const section of sections) {
+        if (section.start > time) break;
+        current = section;
+    }
+    return current?.name ?? null;
+}
+
+/**
+ * Go to the next marker
+ */
+export function goToNextMarker() {
+    const song = State.getActiveSong();
+    if (!song) return;
+
+    const position = getTransport().getCurrentPosition();
+    const next = getMarkerSections(song).find(section => section.start > position + MARKER_EPSILON);
+    if (next) {
+        getTransport().seek(next.start);
+    }
+}
+
+/**
+ * Go to the start of the current section, or to the previous marker just after a marker
+ */
+export function goToPreviousMarker() {
+    const song = State.getActiveSong();
+    if (!song) return;
+
+    const position = getTransport().getCurrentPosition();
+    const previous = getMarkerSections(song)
+        .filter(section => section.start < position - PREVIOUS_MARKER_GRACE_SECONDS)
+        .pop();
+    getTransport().seek(previous ? previous.start : 0);
+}
+
+/**
+ * Go to a labeled section
+ * @param {number} number - Section number (1 = first labeled marker)
+ */
+export function goToSection(number) {
+    const section = getLabeledSections(State.getActiveSong())[number - 1];
+    if (section) {
+        getTransport().seek(section.start);
+    }
+}
+
+/**
+ * Loop a marker section (and enable looping)
+ * @param {Object} section - Section from getMarkerSections()
+ */
+export function loopSection(section) {
+    if (!section) return;
+    State.updateLoop({ start: section.start, end: section.end, enabled: true });
+}
+
+/**
+ * Loop the marker section at the play head
+ */
+export function loopCurrentSection() {
+    const song = State.getActiveSong();
+    if (!song) return;
+    loopSection(getSectionAtTime(getMarkerSections(song), getTransport().getCurrentPosition()));
+}
@@ -123,6 +123,7 @@ async function advanceToNextEntry(currentSong, nextSongId) {
     nextSong.tracks.forEach(track => {
         audioEngine.startTrack(track.id, startPos);
     });
+    audioEngine.metronome.start(startPos);
     
     State.setPosition(startPos);
     State.setPlaybackState('playing');
@@ -0,0 +1,307 @@
+/**
+ * Memory Budget
+ * Keeps the decoded AudioBuffers of all open songs within a memory budget.
+ *
+ * Decoded audio is large (a 5 minute stereo stem is ~110 MB), so buffers of inactive
+ * songs are evicted least-recently-used first once the budget is exceeded. An evicted
+ * song reloads from the PCM cache on disk (if enabled) or is decoded again. The active
+ * song and the rest of its mashup are never evicted, and the next tab of a set list or
+ * mashup is pre-warmed in the background so switching to it doesn't wait for decoding.
+ */
+
+import * as State from './state.js';
+import * as TrackManager from './trackManager.js';
+import { getAudioEngine } from './audioEngine.js';
+import { getPreference } from './storage.js';
+
+const BYTES_PER_MB = 1024 * 1024;
+
+// Budget used when the preference is Auto (0)
+const AUTO_BUDGET_MOBILE_MB = 1024;
+const AUTO_BUDGET_DESKTOP_MB = 3072;
+
+// Delay after a song switch or track load before evicting/pre-warming,
+// so the active song's own loading isn't competing for the decoder
+const UPDATE_DELAY_MS = 2000;
+
+// Number of evictions kept for the diagnostics view
+const MAX_EVICTION_LOG = 10;
+
+/**
+ * Get the memory used by a decoded AudioBuffer (32-bit float samples)
+ * @param {AudioBuffer} audioBuffer
+ * @returns {number} Bytes
+ */
+export function getAudioBufferBytes(audioBuffer) {
+    return audioBuffer.length * audioBuffer.numberOfChannels * 4;
+}
+
+/**
+ * Check for a phone or tablet (mobile browsers kill pages at much lower memory use)
+ * @returns {boolean}
+ */
+function isMobileDevice() {
+    const ua = navigator.userAgent;
+    // iPadOS reports itself as a Mac, but has touch
+    const isIPad = /Macintosh/.test(ua) && navigator.maxTouchPoints > 1;
+    return /iPhone|iPad|iPod|Android/.test(ua) || isIPad;
+}
+
+class MemoryBudget {
+    constructor() {
+        this.lastUsed = new Map(); // songId -> timestamp of last activation
+        this.updateTimeout = null;
+        this.prewarm = { songId: null, status: null }; // status: 'loading', 'ready' or 'skipped'
+        this.evictions = []; // { songName, bytes, time }, most recent first
+    }
+
+    init() {
+        const song = State.getActiveSong();
+        if (song) this.lastUsed.set(song.id, Date.now());
+
+        State.subscribe(State.Events.SONG_SWITCHED, (song) => {
+            if (song) this.lastUsed.set(song.id, Date.now());
+            this.scheduleUpdate();
+        });
+
+        State.subscribe(State.Events.SONG_REMOVED, (song) => {
+            if (song) this.lastUsed.delete(song.id);
+        });
+
+        State.subscribe(State.Events.TRACK_ADDED, () => {
+            this.scheduleUpdate();
+        });
+
+        window.addEventListener('preferenceChanged', (e) => {
+            if (e.detail?.key === 'memoryBudgetMB') this.scheduleUpdate();
+        });
+    }
+
+    /**
+     * Get the memory budget for decoded audio
+     * @returns {number} Bytes
+     */
+    getBudgetBytes() {
+        const budgetMB = getPreference('memoryBudgetMB') ||
+            (isMobileDevice() ? AUTO_BUDGET_MOBILE_MB : AUTO_BUDGET_DESKTOP_MB);
+        return budgetMB * BYTES_PER_MB;
+    }
+
+    /**
+     * Get the decoded audio currently held in memory for a song
+     * @param {Object} song - Song object
+     * @returns {number} Bytes
+     */
+    getSongBytes(song) {
+        const audioEngine = getAudioEngine();
+        return song.tracks.reduce((total, track) => {
+            const audioBuffer = audioEngine.getAudioBuffer(track.id);
+            return total + (audioBuffer ? getAudioBufferBytes(audioBuffer) : 0);
+        }, 0);
+    }
+
+    /**
+     * Estimate a song's decoded size with all of its tracks in memory
+     * @param {Object} song - Song object
+     * @returns {number} Bytes
+     */
+    estimateSongBytes(song) {
+        const audioEngine = getAudioEngine();
+        const sampleRate = audioEngine.audioContext?.sampleRate || 48000;
+        return song.tracks.reduce((total, track) => {
+            const audioBuffer = audioEngine.getAudioBuffer(track.id);
+            if (audioBuffer) return total + getAudioBufferBytes(audioBuffer);
+            const channels = track.peaks?.isStereo === false ? 1 : 2;
+            return total + Math.ceil(track.duration * sampleRate) * channels * 4;
+        }, 0);
+    }
+
+    /**
+     * Get the decoded audio held in memory for all open songs
+     * @returns {number} Bytes
+     */
+    getTotalBytes() {
+        return State.state.songs.reduce((total, song) => total + this.getSongBytes(song), 0);
+    }
+
+    /**
+     * Get the song that plays next: the next mashup entry, or else the next tab
+     * @returns {string|null} Song ID
+     */
+    getNextSongId() {
+        const active = State.getActiveSong();
+        if (!active) return null;
+
+        const nextEntryId = State.getNextMashupSongId(active.id);
+        if (nextEntryId) return nextEntryId;
+
+        const songs = State.state.songs;
+        const index = songs.findIndex(s => s.id === active.id);
+        for (let i = index + 1; i < songs.length; i++) {
+            const song = songs[i];
+            // Skip the rest of the active song's own mashup group
+            if (active.mashupGroupId && song.mashupGroupId === active.mashupGroupId) continue;
+            // A mashup tab starts with its first entry
+            if (song.mashupGroupId) return State.getFirstMashupSongId(song.mashupGroupId) || song.id;
+            return song.id;
+        }
+        return null;
+    }
+
+    /**
+     * Evict or pre-warm shortly after a song switch or track load
+     */
+    scheduleUpdate() {
+        clearTimeout(this.updateTimeout);
+        this.updateTimeout = setTimeout(() => {
+            this.updateTimeout = null;
+            this.update().catch(err => console.error('Memory budget update failed:', err));
+        }, UPDATE_DELAY_MS);
+    }
+
+    /**
+     * Bring memory use within the budget, then pre-warm the next song
+     */
+    async update() {
+        // Wait for the active song to finish loading
+        if (State.state.ui.isLoading) {
+            this.scheduleUpdate();
+            return;
+        }
+
+        const active = State.getActiveSong();
+        await this.evictUntil(this.getBudgetBytes(), active ? [active.id] : []);
+        await this.prewarmNextSong();
+    }
+
+    /**
+     * Free memory for a song that is about to become active
+     * @param {Object} song - Song being switched to
+     */
+    async makeRoom(song) {
+        const needed = this.estimateSongBytes(song) - this.getSongBytes(song);
+        await this.evictUntil(this.getBudgetBytes() - needed, [song.id]);
+    }
+
+    /**
+     * Evict inactive songs, least recently used first, until memory use is within a limit
+     * @param {number} limit - Bytes
+     * @param {string[]} keepIds - Songs that must stay in memory (besides the active song)
+     */
+    async evictUntil(limit, keepIds) {
+        const activeId = State.state.activeSongId;
+        const keep = new Set([activeId, ...keepIds]);
+
+        // Songs of a playing mashup must be ready for the instant hand-off to the next entry
+        for (const id of [...keep]) {
+            const groupId = State.getSong(id)?.mashupGroupId;
+            const group = groupId && State.getMashupGroup(groupId);
+            if (group) group.tabIds.forEach(tabId => keep.add(tabId));
+        }
+
+        const candidates = State.state.songs
+            .filter(song => !keep.has(song.id) && this.getSongBytes(song) > 0)
+            .sort((a, b) => (this.lastUsed.get(a.id) || 0) - (this.lastUsed.get(b.id) || 0));
+
+        for (const song of candidates) {
+            if (this.getTotalBytes() <= limit) break;
+            await this.evictSong(song);
+        }
+    }
+
+    /**
+     * Drop a song's AudioBuffers from memory
+     * @param {Object} song - Song object (not the active song)
+     */
+    async evictSong(song) {
+        const trackIds = song.tracks.map(t => t.id);
+        const bytes = this.getSongBytes(song);
+
+        // Wait for any in-flight PCM writes to complete before evicting
+        await TrackManager.awaitPendingPCMWrites(trackIds);
+        if (State.state.activeSongId === song.id) return;
+
+        getAudioEngine().clearAudioBuffers(trackIds);
+        if (this.prewarm.songId === song.id) {
+            this.prewarm = { songId: null, status: null };
+        }
+
+        this.evictions.unshift({ songName: song.songName, bytes, time: Date.now() });
+        this.evictions.length = Math.min(this.evictions.length, MAX_EVICTION_LOG);
+        console.log(`Evicted ${trackIds.length} AudioBuffers for "${song.songName}" (${(bytes / BYTES_PER_MB).toFixed(0)} MB)`);
+    }
+
+    /**
+     * Decode the next song's tracks into memory if they fit the budget alongside the active song
+     */
+    async prewarmNextSong() {
+        const nextId = this.getNextSongId();
+        const next = nextId ? State.getSong(nextId) : null;
+        if (!next || next.tracks.length === 0) {
+            this.prewarm = { songId: null, status: null };
+            return;
+        }
+
+        const needed = this.estimateSongBytes(next) - this.getSongBytes(next);
+        if (needed <= 0) {
+            this.prewarm = { songId: next.id, status: 'ready' };
+            return;
+        }
+
+        const active = State.getActiveSong();
+        const activeBytes = active ? this.estimateSongBytes(active) : 0;
+        if (activeBytes + this.estimateSongBytes(next) > this.getBudgetBytes()) {
+            this.prewarm = { songId: next.id, status: 'skipped' };
+            return;
+        }
+
+        await this.evictUntil(this.getBudgetBytes() - needed, [next.id]);
+
+        this.prewarm = { songId: next.id, status: 'loading' };
+        await TrackManager.preloadTracksForSong(next);
+        if (this.prewarm.songId === next.id) {
+            this.prewarm.status = 'ready';
+        }
+    }
+
+    /**
+     * Get a snapshot of memory use for the diagnostics view
+     * @returns {{budget: number, total: number, songs: Array, prewarm: Object, evictions: Array}}
+     */
+    getStatus() {
+        const activeId = State.state.activeSongId;
+        const audioEngine = getAudioEngine();
+
+        const songs = State.state.songs.map(song => ({
+            id: song.id,
+            songName: song.songName,
+            bytes: this.getSongBytes(song),
+            estimatedBytes: this.estimateSongBytes(song),
+            tracksInMemory: song.tracks.filter(t => audioEngine.hasAudioBuffer(t.id)).length,
+            trackCount: song.tracks.length,
+            isActive: song.id === activeId,
+            prewarm: this.prewarm.songId === song.id ? this.prewarm.status : null,
+            lastUsed: this.lastUsed.get(song.id) || null
+        }));
+
+        return {
+            budget: this.getBudgetBytes(),
+            total: songs.reduce((total, song) => total + song.bytes, 0),
+            songs,
+            prewarm: { ...this.prewarm },
+            evictions: [...this.evictions]
+        };
+    }
+}
+
+// Singleton instance
+let memoryBudgetInstance = null;
+
+export function getMemoryBudget() {
+    if (!memoryBudgetInstance) {
+        memoryBudgetInstance = new MemoryBudget();
+    }
+    return memoryBudgetInstance;
+}
+
+export default MemoryBudget;
@@ -106,6 +106,112 @@ export async function refreshMetadataWithRetry(songName, expectedChange, maxRetr
     return await refreshMetadata(songName);
 }
 
+// ============================================================================
+// Validation
+// ============================================================================
+
+// Keys as spelled in metadata.json (major keys only, chromatic from A)
+export const METADATA_KEYS = ['A', 'Bb', 'B', 'C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab'];
+
+/**
+ * Transpose a key by semitones
+ * @param {string} originalKey - Original key (e.g., 'C', 'Bb')
+ * @param {number} semitones - Number of semitones to transpose
+ * @returns {string|null} Transposed key or null if invalid
+ */
+export function transposeKey(originalKey, semitones) {
+    const index = METADATA_KEYS.indexOf(originalKey);
+    if (index === -1) return null;
+    return METADATA_KEYS[((index + semitones) % 12 + 12) % 12];
+}
+
+/**
+ * Validate the fields of a metadata object before publishing
+ * Mirrors the checks of the PUT /metadata endpoint so errors show before the upload.
+ * @param {Object} metadata - Metadata object
+ * @returns {{ valid: boolean, error?: string }} - Validation result
+ */
+export function validateMetadata(metadata) {
+    const isTime = (value) => typeof value === 'number' && isFinite(value) && value >= 0;
+    const isAscending = (entries) => entries.every((entry, i) => i === 0 || entry.start > entries[i - 1].start);
+
+    if (metadata.key !== undefined && !METADATA_KEYS.includes(metadata.key)) {
+        return { valid: false, error: `Key must be one of: ${METADATA_KEYS.join(', ')}` };
+    }
+
+    const tempos = metadata.tempos || [];
+    if (tempos.some(t => !(t.tempo >= 20 && t.tempo <= 400) || !isTime(t.start))) {
+        return { valid: false, error: 'Each tempo must be between 20 and 400 BPM, with a start time of 0 or more' };
+    }
+    if (!isAscending(tempos)) {
+        return { valid: false, error: 'Two tempo changes have the same start time' };
+    }
+
+    const timeSigs = metadata['time-sigs'] || [];
+    if (timeSigs.some(t => !/^([1-9]|1[0-9])\/(2|4|8|16)$/.test(t.sig) || !isTime(t.start))) {
+        return { valid: false, error: 'Each time signature must look like 4/4 or 6/8, with a start time of 0 or more' };
+    }
+    if (!isAscending(timeSigs)) {
+        return { valid: false, error: 'Two time signature changes have the same start time' };
+    }
+
+    const markers = metadata.markers || [];
+    // Unlabeled markers may have no name
+    const isName = (m) => (typeof m.name === 'string' && m.name.length <= 100) || (m.name === undefined && m.unlabeled);
+    if (markers.some(m => !isName(m) || !isTime(m.start))) {
+        return { valid: false, error: 'Each marker must have a name of up to 100 characters and a start time of 0 or more' };
+    }
+
+    const lyrics = metadata.lyrics || [];
+    if (lyrics.some(l => typeof l.text !== 'string' || l.text.length > 200 || !isTime(l.start))) {
+        return { valid: false, error: 'Each lyric line must have text of up to 200 characters and a start time of 0 or more' };
+    }
+    if (!isAscending(lyrics)) {
+        return { valid: false, error: 'Lyric lines must be in order, with different start times' };
+    }
+
+    if (metadata.authors !== undefined &&
+        (!Array.isArray(metadata.authors) || metadata.authors.some(a => typeof a !== 'string' || !a.trim() || a.length > 100))) {
+        return { valid: false, error: 'Authors must be a list of names of up to 100 characters' };
+    }
+    if (metadata.ccli !== undefined && (typeof metadata.ccli !== 'string' || !/^\d{1,10}$/.test(metadata.ccli))) {
+        return { valid: false, error: 'The CCLI song number must be digits only' };
+    }
+    for (const field of ['copyright', 'publisher']) {
+        if (metadata[field] !== undefined && (typeof metadata[field] !== 'string' || metadata[field].length > 200)) {
+            return { valid: false, error: `The ${field} must be text of up to 200 characters` };
+        }
+    }
+
+    if (metadata.tags !== undefined &&
+        (!Array.isArray(metadata.tags) || metadata.tags.length > 20 || metadata.tags.some(t => typeof t !== 'string' || !t.trim() || t.length > 30))) {
+        return { valid: false, error: 'Tags must be a list of up to 20 tags of up to 30 characters' };
+    }
+    if (metadata.duration !== undefined && !(typeof metadata.duration === 'number' && metadata.duration > 0 && isFinite(metadata.duration))) {
+        return { valid: false, error: 'The duration must be a number of seconds' };
+    }
+
+    return { valid: true };
+}
+
+// ============================================================================
+// Catalog
+// ============================================================================
+
+/**
+ * Get a song's catalog fields (for song info and CCLI usage reports)
+ * @param {Object|null} metadata - Metadata object
+ * @returns {{ authors: string[], ccli: string, copyright: string, publisher: string }}
+ */
+export function getCatalogInfo(metadata) {
+    return {
+        authors: Array.isArray(metadata?.authors) ? metadata.authors : [],
+        ccli: metadata?.ccli || '',
+        copyright: metadata?.copyright || '',
+        publisher: metadata?.publisher || ''
+    };
+}
+
 // ============================================================================
 // Tempo Utility Functions
 // ============================================================================
@@ -420,3 +526,40 @@ export function calculateAllBeatPositions(duration, _unused, tempos, timeSigs) {
     
     return beats;
 }
+
+/**
+ * Build the start of a tempo map whose first downbeat is not at 0
+ * The beat grid always starts at 0, so a lead-in before the first downbeat becomes a
+ * pickup: whole beats at their own tempo, with the beats left over from whole bars as
+ * a short first bar. A lead-in of less than half a beat is a single quick pickup beat,
+ * unless it is shorter than a beat can be (400 BPM) - then the downbeat moves to 0.
+ * @param {number} downbeat - Time of the first downbeat (seconds)
+ * @param {number} beatSeconds - Beat length from the downbeat on (seconds)
+ * @param {string} sig - Time signature from the downbeat on, e.g. "4/4"
+ * @returns {{downbeat: number, tempos: Array, timeSigs: Array}} Pickup tempo (if any) and
+ *          time signatures up to the downbeat; downbeat lands exactly on the pickup grid
+ */
+export function buildPickup(downbeat, beatSeconds, sig) {
+    const [beatsPerBar, denominator] = sig.split('/').map(Number);
+    const shortestBeat = (60 / 400) * (4 / denominator);
+    const pickupBeats = downbeat < shortestBeat ? 0 : Math.max(1, Math.round(downbeat / beatSeconds));
+
+    if (pickupBeats === 0) {
+        return { downbeat: 0, tempos: [], timeSigs: [{ sig, start: 0 }] };
+    }
+
+    // Round the tempo as stored, then place the downbeat where that tempo's grid puts it
+    const tempo = Math.round(60 * 4 / denominator * pickupBeats / downbeat * 100) / 100;
+    const pickupBeat = (60 / tempo) * (4 / denominator);
+    const exactDownbeat = Math.round(pickupBeats * pickupBeat * 1000) / 1000;
+
+    const partial = pickupBeats % beatsPerBar;
+    const timeSigs = partial > 0
+        ? [
+            { sig: `${partial}/${denominator}`, start: 0 },
+            { sig, start: Math.round(partial * pickupBeat * 1000) / 1000 }
+        ]
+        : [{ sig, start: 0 }];
+
+    return { downbeat: exactDownbeat, tempos: [{ tempo, start: 0 }], timeSigs };
+}
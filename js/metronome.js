@@ -0,0 +1,382 @@
+/**
+ * Metronome (Virtual Click Track)
+ * Synthesizes accented/unaccented clicks from the song's pre-calculated beat positions
+ * (metadata tempos + time-sigs via calculateAllBeatPositions).
+ *
+ * Clicks are short synthesized AudioBuffers played like a click stem: source.playbackRate
+ * follows the speed, and the voice is routed through the bypass pitch shifter so it has
+ * the same latency as the audio tracks but is never pitch-shifted.
+ */
+
+import * as State from './state.js';
+import { getTempoAtTime, getTimeSigAtTime } from './metadata.js';
+import { applyMonitorPan, applyStereoPan } from './monitorRouting.js';
+
+// Lookahead scheduler timing (real seconds)
+const SCHEDULER_INTERVAL_MS = 100;
+const SCHEDULE_AHEAD_SECONDS = 1.0;
+
+// Click voice synthesis
+const CLICK_DURATION_SECONDS = 0.03;
+const ACCENT_FREQUENCY = 1500;
+const BEAT_FREQUENCY = 1000;
+const ACCENT_LEVEL = 1.0;
+const BEAT_LEVEL = 0.6;
+
+// Count-in voice level (independent of the click track's volume/mute)
+const COUNT_IN_LEVEL = 0.9;
+
+/**
+ * Create a short decaying sine "click" buffer
+ * @param {BaseAudioContext} context - Audio context to create the buffer in
+ * @param {number} frequency - Click frequency in Hz
+ * @param {number} level - Peak level (0-1)
+ * @returns {AudioBuffer}
+ */
+export function createClickBuffer(context, frequency, level) {
+    const sampleRate = context.sampleRate;
+    const length = Math.ceil(CLICK_DURATION_SECONDS * sampleRate);
+    const buffer = context.createBuffer(1, length, sampleRate);
+    const data = buffer.getChannelData(0);
+
+    for (let i = 0; i < length; i++) {
+        const t = i / sampleRate;
+        const envelope = Math.exp(-t * 150);
+        data[i] = Math.sin(2 * Math.PI * frequency * t) * envelope * level;
+    }
+
+    return buffer;
+}
+
+/**
+ * Get the gain the click voice should have for a song
+ * @param {Object} song - Song object
+ * @returns {number} Gain (0-1)
+ */
+export function getMetronomeGain(song) {
+    const metronome = song?.metronome;
+    if (!metronome || !metronome.enabled || metronome.mute) return 0;
+    return metronome.volume / 100;
+}
+
+/**
+ * Calculate count-in timing for a start position
+ * Uses the tempo and time signature in effect at the position, scaled by speed.
+ * @param {number} position - Song position playback will start from (seconds)
+ * @param {number} bars - Number of bars to count in
+ * @param {number} speed - Playback speed multiplier
+ * @returns {{beats: number, beatsPerMeasure: number, secondsPerBeat: number, duration: number}}
+ *          secondsPerBeat and duration are in real (wall clock) seconds
+ */
+export function getCountInTiming(position, bars, speed) {
+    const song = State.getActiveSong();
+    const tempo = getTempoAtTime(position, song?.metadata?.tempos);
+    const timeSig = getTimeSigAtTime(position, song?.metadata?.['time-sigs']);
+    const [num, denom] = timeSig.split('/').map(Number);
+    const beatsPerMeasure = num || 4;
+    const denominator = denom || 4;
+
+    // BPM is always in quarter notes, so adjust for the beat unit (e.g., eighth notes in 6/8)
+    const secondsPerBeat = (60 / tempo) * (4 / denominator) / speed;
+    const beats = bars * beatsPerMeasure;
+
+    return { beats, beatsPerMeasure, secondsPerBeat, duration: beats * secondsPerBeat };
+}
+
+/**
+ * Check whether a beat should click (skips beats in disabled arrangement sections)
+ * @param {Object} beat - Beat from calculateAllBeatPositions
+ * @returns {boolean}
+ */
+function isBeatPlayable(beat) {
+    const section = State.getArrangementSectionAtTime(beat.time);
+    return !section || section.enabled;
+}
+
+class Metronome {
+    /**
+     * @param {AudioEngine} audioEngine - Owning audio engine (for context and timing)
+     */
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+        this.outputGain = null;
+        this.panNode = null;
+        this.countInGain = null; // Dedicated count-in voice
+        this.countInPan = null;  // Count-in panner (only moves in split monitor mode)
+        this.accentBuffer = null;
+        this.beatBuffer = null;
+
+        this.schedulerInterval = null;
+        this.scheduledSources = new Set();
+        this.nextBeatIndex = 0;
+        this.cursor = 0; // Song time up to which beats have been scheduled
+
+        // Timing reference for scheduling: song position that plays at a context time.
+        // Moves to an armed skip/loop jump's target once the scheduler passes the jump.
+        this.segment = { time: 0, position: 0, jump: null };
+    }
+
+    /**
+     * Create click buffers and the output chain
+     * Must be called after the audio engine's context and pitch shifters exist
+     */
+    init() {
+        const context = this.audioEngine.audioContext;
+
+        this.accentBuffer = createClickBuffer(context, ACCENT_FREQUENCY, ACCENT_LEVEL);
+        this.beatBuffer = createClickBuffer(context, BEAT_FREQUENCY, BEAT_LEVEL);
+
+        this.outputGain = context.createGain();
+        this.panNode = context.createStereoPanner();
+        this.outputGain.connect(this.panNode);
+
+        this.countInGain = context.createGain();
+        this.countInGain.gain.value = COUNT_IN_LEVEL;
+        this.countInPan = context.createStereoPanner();
+        this.countInGain.connect(this.countInPan);
+
+        this.connect(this.audioEngine.bypassPitchShifter);
+
+        this.applySettings();
+    }
+
+    /**
+     * Route the click and count-in voices into a (possibly freshly recreated) bypass pitch shifter
+     * @param {PitchShifterWorklet} bypassPitchShifter
+     */
+    connect(bypassPitchShifter) {
+        if (!this.panNode) return;
+        try {
+            this.panNode.disconnect();
+            this.countInPan.disconnect();
+        } catch (e) {}
+        this.panNode.connect(bypassPitchShifter.inputNode);
+        this.countInPan.connect(bypassPitchShifter.inputNode);
+    }
+
+    /**
+     * Apply the active song's metronome volume/pan/mute to the output chain
+     */
+    applySettings() {
+        if (!this.outputGain) return;
+
+        const song = State.getActiveSong();
+        const now = this.audioEngine.audioContext.currentTime;
+        this.outputGain.gain.setTargetAtTime(getMetronomeGain(song), now, 0.015);
+        applyMonitorPan(this.panNode, song?.metronome?.pan ?? 0, true);
+        applyMonitorPan(this.countInPan, 0, true);
+    }
+
+    /**
+     * Check if the click should be scheduled for the active song
+     * @returns {boolean}
+     */
+    isActive() {
+        const song = State.getActiveSong();
+        return !!song?.metronome?.enabled && song.beatPositions?.length > 0;
+    }
+
+    /**
+     * Start scheduling clicks from a song position
+     * Called whenever the engine (re)starts sources: play, seek, speed change
+     * (pre-scheduled skip/loop jumps are followed by tick() without a restart)
+     * @param {number} position - Song position in seconds
+     */
+    start(position) {
+        this.stop();
+        if (!this.isActive()) return;
+
+        const beats = State.getActiveSong().beatPositions;
+        const engine = this.audioEngine;
+        this.segment = { time: engine.startTime, position: engine.startPosition, jump: null };
+        this.cursor = position;
+        this.nextBeatIndex = beats.findIndex(b => b.time >= position - 0.001);
+        if (this.nextBeatIndex === -1) return;
+
+        this.tick();
+        this.schedulerInterval = setInterval(() => this.tick(), SCHEDULER_INTERVAL_MS);
+    }
+
+    /**
+     * Schedule a count-in that ends exactly when playback starts
+     * Plays through the dedicated count-in voice, so it sounds even when the click track is off.
+     * Must be called after start(), which clears previously scheduled clicks.
+     * When re-scheduled partway through (speed change), clicks already past are left out.
+     * @param {number} position - Song position playback starts from
+     * @param {number} startWhen - AudioContext time the tracks start at
+     * @param {number} bars - Number of bars to count in
+     */
+    scheduleCountIn(position, startWhen, bars) {
+        const speed = this.audioEngine._speed;
+        const now = this.audioEngine.audioContext.currentTime;
+        const { beats, beatsPerMeasure, secondsPerBeat } = getCountInTiming(position, bars, speed);
+
+        for (let i = 0; i < beats; i++) {
+            const when = startWhen - (beats - i) * secondsPerBeat;
+            if (when < now) continue;
+            this.scheduleClick(i % beatsPerMeasure === 0, when, speed, this.countInGain);
+        }
+    }
+
+    /**
+     * Stop scheduling and silence any clicks that haven't played yet
+     */
+    stop() {
+        if (this.schedulerInterval) {
+            clearInterval(this.schedulerInterval);
+            this.schedulerInterval = null;
+        }
+
+        this.scheduledSources.forEach(source => {
+            source.onended = null;
+            try {
+                source.stop();
+            } catch (e) {}
+        });
+        this.scheduledSources.clear();
+    }
+
+    /**
+     * Check whether the scheduler has already scheduled clicks past a jump
+     * @param {Object} jump - Jump armed by the audio engine
+     * @returns {boolean}
+     */
+    hasFollowedJump(jump) {
+        return this.segment.jump === jump;
+    }
+
+    /**
+     * Scheduler tick: schedule all beats that fall within the lookahead window
+     */
+    tick() {
+        const engine = this.audioEngine;
+        if (!engine.isPlaying || engine.isInCrossfade) return;
+
+        const song = State.getActiveSong();
+        const beats = song?.beatPositions;
+        if (!beats) return;
+
+        const now = engine.audioContext.currentTime;
+
+        // An armed skip/loop jump inside the lookahead: click up to the jump point,
+        // then carry on from its target at the jump's exact audio time
+        const jump = engine.pendingJump;
+        const jumpAhead = jump && this.segment.jump !== jump;
+        if (jumpAhead && jump.time < now + SCHEDULE_AHEAD_SECONDS) {
+            this.scheduleBeats(jump.from, now);
+            this.segment = { time: jump.time, position: jump.to, jump };
+            this.nextBeatIndex = beats.findIndex(b => b.time >= jump.to - 0.001);
+            if (this.nextBeatIndex === -1) this.nextBeatIndex = beats.length;
+            this.cursor = jump.to;
+        } else if (jumpAhead) {
+            // Don't schedule past a jump that is still beyond the lookahead
+            this.scheduleBeats(Math.min(jump.from, this.getHorizon(now)), now);
+            return;
+        }
+
+        this.scheduleBeats(this.getHorizon(now), now);
+    }
+
+    /**
+     * Get the song position up to which beats should be scheduled
+     * @param {number} now - Current context time
+     * @returns {number}
+     */
+    getHorizon(now) {
+        const song = State.getActiveSong();
+        const elapsed = Math.max(0, now - this.segment.time);
+        let horizon = this.segment.position + (elapsed + SCHEDULE_AHEAD_SECONDS) * this.audioEngine._speed;
+
+        // Don't schedule past the loop end - the loop jump carries on from there
+        const { loopEnabled, loopStart, loopEnd } = song.transport;
+        if (loopEnabled && loopStart !== null && loopEnd !== null && this.cursor < loopEnd) {
+            horizon = Math.min(horizon, loopEnd - 0.001);
+        }
+
+        return horizon;
+    }
+
+    /**
+     * Schedule the beats of the current segment that fall before a song position
+     * @param {number} horizon - Song position to schedule up to (exclusive)
+     * @param {number} now - Current context time
+     */
+    scheduleBeats(horizon, now) {
+        const beats = State.getActiveSong().beatPositions;
+        const speed = this.audioEngine._speed;
+        const { time, position } = this.segment;
+
+        while (this.nextBeatIndex < beats.length && beats[this.nextBeatIndex].time < horizon) {
+            const beat = beats[this.nextBeatIndex];
+            this.nextBeatIndex++;
+
+            if (!isBeatPlayable(beat)) continue;
+
+            const when = time + (beat.time - position) / speed;
+            if (when < now - 0.01) continue; // Too late to play this one
+
+            this.scheduleClick(beat.isMeasureStart, Math.max(when, now), speed);
+        }
+
+        this.cursor = Math.max(this.cursor, horizon);
+    }
+
+    /**
+     * Schedule a single click on the audio clock
+     * @param {boolean} accent - True for the downbeat of a measure
+     * @param {number} when - AudioContext time to play at
+     * @param {number} speed - Playback speed (matches track sources' playbackRate)
+     * @param {AudioNode} destination - Voice to play through (defaults to the click track)
+     */
+    scheduleClick(accent, when, speed, destination = this.outputGain) {
+        const source = this.audioEngine.audioContext.createBufferSource();
+        source.buffer = accent ? this.accentBuffer : this.beatBuffer;
+        source.playbackRate.value = speed;
+        source.connect(destination);
+        source.onended = () => {
+            this.scheduledSources.delete(source);
+            source.disconnect();
+        };
+        this.scheduledSources.add(source);
+        source.start(when);
+    }
+
+    /**
+     * Schedule the click track into an offline render (used by mixdown export)
+     * @param {OfflineAudioContext} context - Offline context
+     * @param {PitchShifterWorklet} bypassPitchShifter - Offline bypass pitch shifter
+     * @param {Array} segments - Source-time segments in playback order ({ start, end })
+     * @param {number} speed - Playback speed multiplier
+     */
+    renderOffline(context, bypassPitchShifter, segments, speed) {
+        const song = State.getActiveSong();
+        const gain = getMetronomeGain(song);
+        const beats = song?.beatPositions;
+        if (gain === 0 || !beats || beats.length === 0) return;
+
+        const outputGain = context.createGain();
+        const panNode = context.createStereoPanner();
+        outputGain.gain.value = gain;
+        applyStereoPan(panNode, song.metronome.pan);
+        outputGain.connect(panNode);
+        panNode.connect(bypassPitchShifter.inputNode);
+
+        const accentBuffer = createClickBuffer(context, ACCENT_FREQUENCY, ACCENT_LEVEL);
+        const beatBuffer = createClickBuffer(context, BEAT_FREQUENCY, BEAT_LEVEL);
+
+        let outputTime = 0;
+        for (const segment of segments) {
+            for (const beat of beats) {
+                if (beat.time < segment.start || beat.time >= segment.end) continue;
+                const source = context.createBufferSource();
+                source.buffer = beat.isMeasureStart ? accentBuffer : beatBuffer;
+                source.playbackRate.value = speed;
+                source.connect(outputGain);
+                source.start(outputTime + (beat.time - segment.start) / speed);
+            }
+            outputTime += (segment.end - segment.start) / speed;
+        }
+    }
+}
+
+export default Metronome;
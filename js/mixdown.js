@@ -0,0 +1,312 @@
+/**
+ * Mixdown Export
+ * Renders the active song offline ("Bounce to file") and downloads it as a WAV.
+ * Uses the same gain -> EQ -> pan -> pitch shifter chain as live playback, and honours
+ * disabled arrangement sections, time-based mute sections, volume envelopes, solo/mute,
+ * speed and pitch, and goes through the same master bus (loudness normalization and limiter).
+ * The virtual click track is included when it is enabled and unmuted.
+ */
+
+import * as State from './state.js';
+import { getAudioEngine } from './audioEngine.js';
+import * as TrackManager from './trackManager.js';
+import { getModal } from './ui/modal.js';
+import { scheduleEnvelopeSegment } from './volumeEnvelope.js';
+
+// Fade applied at arrangement section joins (matches live SECTION_SKIP_CROSSFADE_MS)
+const SEGMENT_FADE_SECONDS = 0.05;
+
+// Extra render time so the SoundTouch pipeline can flush its last samples
+const RENDER_TAIL_SECONDS = 0.5;
+
+/**
+ * Get the source-time segments that make up the current arrangement
+ * @param {Object} song - Song object
+ * @param {number} duration - Full source duration in seconds
+ * @returns {Array} Array of { start, end } in source time, in playback order
+ */
+function getPlaybackSegments(song, duration) {
+    const sections = song.arrangementSections || [];
+    if (sections.length === 0) {
+        return [{ start: 0, end: duration }];
+    }
+
+    // Merge adjacent enabled sections so we only crossfade at real skips
+    const segments = [];
+    for (const section of sections) {
+        if (!section.enabled) continue;
+        const last = segments[segments.length - 1];
+        if (last && Math.abs(last.end - section.start) < 0.0001) {
+            last.end = section.end;
+        } else {
+            segments.push({ start: section.start, end: Math.min(section.end, duration) });
+        }
+    }
+    return segments.filter(s => s.end > s.start);
+}
+
+/**
+ * Schedule a track's time-based mute sections onto its gain node in output time
+ * @param {GainNode} gainNode - Track gain node
+ * @param {string} trackId - Track ID
+ * @param {number} volume - Track gain when unmuted (0-1)
+ * @param {Array} segments - Source-time segments in playback order
+ * @param {number} speed - Playback speed multiplier
+ */
+function scheduleMuteSections(gainNode, trackId, volume, segments, speed) {
+    const muteSections = State.getMuteSectionsForTrack(trackId);
+    const gainAt = (time) => {
+        const section = State.getMuteSectionAtTime(trackId, time);
+        return section?.muted ? 0 : volume;
+    };
+
+    let outputTime = 0;
+    for (const segment of segments) {
+        gainNode.gain.setValueAtTime(gainAt(segment.start), outputTime);
+
+        // Same ~50ms ramp the live engine uses when crossing a mute boundary
+        for (const section of muteSections) {
+            if (section.start > segment.start && section.start < segment.end) {
+                const when = outputTime + (section.start - segment.start) / speed;
+                gainNode.gain.setTargetAtTime(gainAt(section.start), when, 0.015);
+            }
+        }
+
+        outputTime += (segment.end - segment.start) / speed;
+    }
+}
+
+/**
+ * Schedule a track's volume envelope onto its envelope gain node in output time
+ * @param {GainNode} envelopeGain - Track envelope gain node
+ * @param {string} trackId - Track ID
+ * @param {Array} segments - Source-time segments in playback order
+ * @param {number} speed - Playback speed multiplier
+ */
+function scheduleVolumeEnvelope(envelopeGain, trackId, segments, speed) {
+    const points = State.getVolumeEnvelope(trackId);
+
+    let outputTime = 0;
+    for (const segment of segments) {
+        scheduleEnvelopeSegment(envelopeGain.gain, points, segment.start, segment.end, outputTime, speed);
+        outputTime += (segment.end - segment.start) / speed;
+    }
+}
+
+/**
+ * Render the active song through an OfflineAudioContext
+ * @returns {Promise<AudioBuffer|null>} Rendered mix, or null if nothing to render
+ */
+export async function renderMixdown() {
+    const song = State.getActiveSong();
+    if (!song || song.tracks.length === 0) return null;
+
+    // A bounce started while the song is still loading needs the whole of every stem,
+    // not just the chunks decoded so far
+    await TrackManager.awaitPendingDecodes(song.tracks.map(t => t.id));
+    if (State.getActiveSong() !== song) {
+        throw new Error('The song was switched while it was loading.');
+    }
+
+    const audioEngine = getAudioEngine();
+    await audioEngine.init();
+
+    const { speed, pitch } = song.transport;
+    const duration = State.getSourceDuration();
+    const segments = getPlaybackSegments(song, duration);
+    if (segments.length === 0) return null;
+
+    const outputDuration = segments.reduce((sum, s) => sum + (s.end - s.start), 0) / speed;
+    const sampleRate = audioEngine.audioContext.sampleRate;
+    const length = Math.ceil((outputDuration + RENDER_TAIL_SECONDS) * sampleRate);
+    const offlineContext = new OfflineAudioContext(2, length, sampleRate);
+
+    // Same pitch shifter setup as live playback: tempo stays at 1.0 (speed handled by
+    // source.playbackRate), pitch = 1/speed compensates, primary adds the user's semitones.
+    const pitchShifter = new PitchShifterWorklet(offlineContext);
+    await pitchShifter.init();
+    const bypassPitchShifter = new PitchShifterWorklet(offlineContext);
+    await bypassPitchShifter.init();
+
+    pitchShifter.tempo = 1.0;
+    pitchShifter.pitch = 1 / speed;
+    pitchShifter.pitchSemitones = pitch;
+    bypassPitchShifter.tempo = 1.0;
+    bypassPitchShifter.pitch = 1 / speed;
+    bypassPitchShifter.pitchSemitones = 0;
+
+    // Same master bus as live playback (loudness normalization + limiter)
+    const masterChain = audioEngine.createMasterChain(offlineContext);
+    pitchShifter.connect(masterChain.masterGain);
+    bypassPitchShifter.connect(masterChain.masterGain);
+    masterChain.masterOutput.connect(offlineContext.destination);
+
+    for (const track of song.tracks) {
+        // Solo/mute: silent tracks are simply left out of the mix
+        if (!State.isTrackAudible(track.id)) continue;
+
+        const audioBuffer = audioEngine.getAudioBuffer(track.id) || audioEngine.getTrackBuffer(track.id);
+        if (!audioBuffer) {
+            console.warn(`Mixdown: no decoded audio for track ${track.name}, skipping`);
+            continue;
+        }
+
+        // The bounce is a normal stereo mix: the split monitor mode is for listening only
+        const { gainNode, envelopeGain } = audioEngine.buildTrackChain(
+            offlineContext, track, pitchShifter, bypassPitchShifter, { monitorSplit: false }
+        );
+        scheduleMuteSections(gainNode, track.id, track.volume / 100, segments, speed);
+        scheduleVolumeEnvelope(envelopeGain, track.id, segments, speed);
+
+        // One source per segment, each with its own fade so skips don't click
+        let outputTime = 0;
+        for (const segment of segments) {
+            const segmentDuration = (segment.end - segment.start) / speed;
+            if (segment.start < audioBuffer.duration) {
+                const source = offlineContext.createBufferSource();
+                source.buffer = audioBuffer;
+                source.playbackRate.value = speed;
+
+                const fadeGain = offlineContext.createGain();
+                const fade = Math.min(SEGMENT_FADE_SECONDS, segmentDuration / 2);
+                const segmentEnd = outputTime + segmentDuration;
+                fadeGain.gain.setValueAtTime(0, outputTime);
+                fadeGain.gain.linearRampToValueAtTime(1, outputTime + fade);
+                fadeGain.gain.setValueAtTime(1, segmentEnd - fade);
+                fadeGain.gain.linearRampToValueAtTime(0, segmentEnd);
+
+                source.connect(fadeGain);
+                fadeGain.connect(gainNode);
+                source.start(outputTime, segment.start, segment.end - segment.start);
+            }
+            outputTime += segmentDuration;
+        }
+    }
+
+    // Virtual click track, if enabled for this song
+    if (audioEngine.metronome) {
+        audioEngine.metronome.renderOffline(offlineContext, bypassPitchShifter, segments, speed);
+    }
+
+    return await offlineContext.startRendering();
+}
+
+/**
+ * Encode an AudioBuffer as a 16-bit PCM WAV file
+ * @param {AudioBuffer} audioBuffer - Buffer to encode
+ * @returns {Blob} WAV file blob
+ */
+export function encodeWav(audioBuffer) {
+    const numChannels = audioBuffer.numberOfChannels;
+    const sampleRate = audioBuffer.sampleRate;
+    const numFrames = audioBuffer.length;
+    const bytesPerSample = 2;
+    const blockAlign = numChannels * bytesPerSample;
+    const dataSize = numFrames * blockAlign;
+
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+    const writeString = (offset, str) => {
+        for (let i = 0; i < str.length; i++) {
+            view.setUint8(offset + i, str.charCodeAt(i));
+        }
+    };
+
+    // RIFF header
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+
+    // fmt chunk (PCM)
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, numChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bytesPerSample * 8, true);
+
+    // data chunk (interleaved samples)
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const channels = [];
+    for (let ch = 0; ch < numChannels; ch++) {
+        channels.push(audioBuffer.getChannelData(ch));
+    }
+
+    let offset = 44;
+    for (let i = 0; i < numFrames; i++) {
+        for (let ch = 0; ch < numChannels; ch++) {
+            const sample = Math.max(-1, Math.min(1, channels[ch][i]));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+            offset += bytesPerSample;
+        }
+    }
+
+    return new Blob([buffer], { type: 'audio/wav' });
+}
+
+/**
+ * Build a download file name describing the current mix
+ * @param {Object} song - Song object
+ * @returns {string} File name (e.g., "Song Name (0.80x, +2).wav")
+ */
+function getMixdownFileName(song) {
+    const { speed, pitch } = song.transport;
+    const details = [];
+    if (speed !== 1.0) details.push(`${speed.toFixed(2)}x`);
+    if (pitch !== 0) details.push(pitch > 0 ? `+${pitch}` : `${pitch}`);
+    if (song.currentArrangementName) details.unshift(song.currentArrangementName);
+
+    const suffix = details.length > 0 ? ` (${details.join(', ')})` : '';
+    return `${song.name}${suffix}.wav`.replace(/[\\/:*?"<>|]/g, '_');
+}
+
+/**
+ * Render the active song and download it as a WAV file
+ */
+export async function exportMixdown() {
+    const song = State.getActiveSong();
+    if (!song || song.tracks.length === 0) {
+        await getModal().alert({
+            title: 'Nothing to Export',
+            message: 'Open a song with at least one track before bouncing to a file.'
+        });
+        return;
+    }
+
+    State.setLoading(true, `Rendering "${song.name}"...`);
+
+    try {
+        const rendered = await renderMixdown();
+        if (!rendered) {
+            State.setLoading(false);
+            await getModal().alert({
+                title: 'Nothing to Export',
+                message: 'The current arrangement has no enabled sections.'
+            });
+            return;
+        }
+
+        const blob = encodeWav(rendered);
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = getMixdownFileName(song);
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        State.setLoading(false);
+    } catch (error) {
+        State.setLoading(false);
+        console.error('Failed to export mixdown:', error);
+        await getModal().alert({
+            title: 'Export Failed',
+            message: `<p>The mixdown could not be rendered.</p><p>${error.message}</p>`
+        });
+    }
+}
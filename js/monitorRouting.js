@@ -0,0 +1,51 @@
+/**
+ * Monitor Routing
+ * "Split monitor" output mode for in-ear/single-earbud practice: cue tracks
+ * (click/guide, plus the virtual click and count-in) go to one channel and
+ * everything else is summed to mono on the other.
+ *
+ * Routing is done in each voice's StereoPannerNode, before the pitch shifters,
+ * so it works the same through the primary and bypass (pitch-exempt) paths.
+ * Bounce to File always uses the tracks' own pans: the split is for monitoring only.
+ */
+
+import { getPreference } from './storage.js';
+
+/**
+ * Check if split monitor mode is active
+ * @returns {boolean}
+ */
+export function isSplitMonitor() {
+    const mode = getPreference('monitorMode');
+    return mode === 'cues-left' || mode === 'cues-right';
+}
+
+/**
+ * Apply a voice's pan, taking the monitor mode into account
+ * In split mode the panner downmixes its input to mono (0.5 * (L + R)) and sends it
+ * hard to the cue side or the band side; the user's pan is ignored.
+ * @param {StereoPannerNode} panNode - Voice panner
+ * @param {number} pan - User pan (-100 to 100), used in stereo mode
+ * @param {boolean} isCue - True for click/guide voices
+ */
+export function applyMonitorPan(panNode, pan, isCue) {
+    if (isSplitMonitor()) {
+        const cueSide = getPreference('monitorMode') === 'cues-right' ? 1 : -1;
+        panNode.channelCount = 1;
+        panNode.channelCountMode = 'explicit';
+        panNode.pan.value = isCue ? cueSide : -cueSide;
+    } else {
+        applyStereoPan(panNode, pan);
+    }
+}
+
+/**
+ * Apply a voice's own pan, ignoring the monitor mode (used by mixdown export)
+ * @param {StereoPannerNode} panNode - Voice panner
+ * @param {number} pan - User pan (-100 to 100)
+ */
+export function applyStereoPan(panNode, pan) {
+    panNode.channelCount = 2;
+    panNode.channelCountMode = 'clamped-max';
+    panNode.pan.value = pan / 100;
+}
@@ -0,0 +1,277 @@
+/**
+ * Practice Log
+ * Records how long each song is actually played: a session runs from pressing play
+ * to stopping, pausing or switching songs (playing the same song again soon after
+ * continues it), and keeps the time spent at each speed, in each marker section and
+ * inside each loop region, plus completed loop passes.
+ * Sessions are stored in IndexedDB (practiceStore.js) and summarized for the
+ * practice dashboard.
+ *
+ * Time is wall-clock time while playing, taken from the position updates, so half
+ * speed practice counts the time it really took.
+ */
+
+import * as State from './state.js';
+import * as PracticeStore from './practiceStore.js';
+import { getSectionNameAt } from './markerNavigation.js';
+import { getLoopBookmarks, findLoopBookmark, formatLoopRange } from './loopBookmarks.js';
+
+// Sessions shorter than this (a quick listen to find a spot) aren't logged
+const MIN_SESSION_SECONDS = 5;
+
+// Playing the same song again within this long (after a pause or a stop to talk
+// something through) continues the previous session
+const RESUME_WINDOW_MS = 5 * 60 * 1000;
+
+// A running session is saved this often, so closing the tab mid-song loses little
+const CHECKPOINT_SECONDS = 30;
+
+// Longest gap between position updates that counts as playing (the tab may be
+// throttled in the background, but a sleeping computer isn't practising)
+const MAX_TICK_SECONDS = 60;
+
+class PracticeLog {
+    constructor() {
+        this.session = null;
+        this.lastSession = null;
+        this.lastTick = 0;
+        this.lastCheckpoint = 0;
+    }
+
+    init() {
+        State.subscribe(State.Events.PLAYBACK_STATE_CHANGED, ({ newState }) => {
+            if (newState === 'playing') {
+                this.begin();
+            } else {
+                this.end();
+            }
+        });
+
+        // Mashups switch songs while playing: the next position update starts a new session
+        State.subscribe(State.Events.SONG_SWITCHED, () => {
+            this.end();
+        });
+
+        State.subscribe(State.Events.POSITION_CHANGED, (position) => {
+            this.tick(position);
+        });
+
+        State.subscribe(State.Events.LOOP_PASS_COMPLETED, () => {
+            this.countLoopPass();
+        });
+
+        window.addEventListener('pagehide', () => this.end());
+    }
+
+    /**
+     * Start a session for the active song (no-op if one is running)
+     */
+    begin() {
+        if (this.session) return;
+
+        const song = State.getActiveSong();
+        if (!song?.songName) return;
+
+        const now = Date.now();
+        this.lastTick = performance.now();
+
+        const last = this.lastSession;
+        if (last?.songName === song.songName && now - last.endedAt < RESUME_WINDOW_MS) {
+            this.session = last;
+            this.lastCheckpoint = last.seconds;
+            return;
+        }
+
+        this.session = {
+            id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+            songName: song.songName,
+            startedAt: now,
+            endedAt: now,
+            seconds: 0,
+            speeds: {},    // speed ('1.00') -> seconds
+            sections: {},  // marker section name -> seconds
+            loops: []      // {start, end, label, seconds, passes}
+        };
+        this.lastCheckpoint = 0;
+    }
+
+    /**
+     * Finish the running session and save it if it's long enough
+     */
+    end() {
+        const session = this.session;
+        if (!session) return;
+
+        this.session = null;
+        this.lastSession = session;
+        if (session.seconds >= MIN_SESSION_SECONDS) {
+            this.save(session);
+        }
+    }
+
+    /**
+     * Add the time since the last position update to the running session
+     * @param {number} position - Play head position in seconds
+     */
+    tick(position) {
+        if (State.state.playbackState !== 'playing') return;
+        if (!this.session) {
+            this.begin();
+            return;
+        }
+
+        const song = State.getActiveSong();
+        if (!song || song.songName !== this.session.songName) {
+            this.end();
+            return;
+        }
+
+        const now = performance.now();
+        const elapsed = Math.min((now - this.lastTick) / 1000, MAX_TICK_SECONDS);
+        this.lastTick = now;
+        if (elapsed <= 0) return;
+
+        const session = this.session;
+        session.seconds += elapsed;
+        session.endedAt = Date.now();
+
+        const speed = song.transport.speed.toFixed(2);
+        session.speeds[speed] = (session.speeds[speed] || 0) + elapsed;
+
+        const section = getSectionNameAt(song, position);
+        if (section) {
+            session.sections[section] = (session.sections[section] || 0) + elapsed;
+        }
+
+        const loop = this.getLoopEntry(song);
+        if (loop && position >= loop.start && position <= loop.end) {
+            loop.seconds += elapsed;
+        }
+
+        if (session.seconds - this.lastCheckpoint >= CHECKPOINT_SECONDS) {
+            this.lastCheckpoint = session.seconds;
+            this.save(session);
+        }
+    }
+
+    /**
+     * Count a completed pass of the current loop
+     */
+    countLoopPass() {
+        if (!this.session) return;
+        const loop = this.getLoopEntry(State.getActiveSong());
+        if (loop) {
+            loop.passes++;
+        }
+    }
+
+    /**
+     * Get (or add) the running session's entry for the song's enabled loop
+     * @param {Object} song - Song object
+     * @returns {Object|null} {start, end, label, seconds, passes}, or null if not looping
+     */
+    getLoopEntry(song) {
+        const { loopEnabled, loopStart, loopEnd } = song?.transport || {};
+        if (!loopEnabled || loopStart === null || loopEnd === null) return null;
+
+        let loop = this.session.loops.find(l => l.start === loopStart && l.end === loopEnd);
+        if (!loop) {
+            loop = { start: loopStart, end: loopEnd, label: getLoopLabel(song, loopStart, loopEnd), seconds: 0, passes: 0 };
+            this.session.loops.push(loop);
+        }
+        return loop;
+    }
+
+    /**
+     * Save a copy of a session (the running one keeps changing while the write is pending)
+     * @param {Object} session - Session record
+     */
+    save(session) {
+        PracticeStore.saveSession(structuredClone(session)).then((ok) => {
+            if (!ok) console.warn('Failed to save practice session');
+        });
+    }
+}
+
+/**
+ * Name a loop region for the log: its bookmark name, else the marker section it
+ * starts in, else its time range
+ * @param {Object} song - Song object
+ * @param {number} start - Loop start in seconds
+ * @param {number} end - Loop end in seconds
+ * @returns {string}
+ */
+function getLoopLabel(song, start, end) {
+    const bookmark = findLoopBookmark(getLoopBookmarks(song.songName), start, end);
+    return bookmark?.name || getSectionNameAt(song, start) || formatLoopRange({ start, end });
+}
+
+/**
+ * Summarize practice sessions for the dashboard
+ * @param {Array} sessions - Session records
+ * @returns {Object} {totalSeconds, sessionCount, songs, loops, recent}:
+ *   songs - per song {songName, seconds, sessions, loopPasses, averageSpeed, lastPractised}, most practised first
+ *   loops - per song and loop label {songName, label, passes, seconds}, most looped first
+ *   recent - sessions, newest first
+ */
+export function summarizePractice(sessions) {
+    const songs = new Map();
+    const loops = new Map();
+    let totalSeconds = 0;
+
+    for (const session of sessions) {
+        totalSeconds += session.seconds;
+
+        let song = songs.get(session.songName);
+        if (!song) {
+            song = { songName: session.songName, seconds: 0, sessions: 0, loopPasses: 0, speedSeconds: 0, lastPractised: 0 };
+            songs.set(session.songName, song);
+        }
+        song.seconds += session.seconds;
+        song.sessions++;
+        song.lastPractised = Math.max(song.lastPractised, session.endedAt);
+        for (const [speed, seconds] of Object.entries(session.speeds)) {
+            song.speedSeconds += parseFloat(speed) * seconds;
+        }
+
+        for (const loop of session.loops) {
+            song.loopPasses += loop.passes;
+
+            const key = `${session.songName}\n${loop.label}`;
+            let entry = loops.get(key);
+            if (!entry) {
+                entry = { songName: session.songName, label: loop.label, passes: 0, seconds: 0 };
+                loops.set(key, entry);
+            }
+            entry.passes += loop.passes;
+            entry.seconds += loop.seconds;
+        }
+    }
+
+    return {
+        totalSeconds,
+        sessionCount: sessions.length,
+        songs: [...songs.values()]
+            .map(({ speedSeconds, ...song }) => ({
+                ...song,
+                averageSpeed: song.seconds > 0 ? speedSeconds / song.seconds : 1
+            }))
+            .sort((a, b) => b.seconds - a.seconds),
+        loops: [...loops.values()]
+            .filter(loop => loop.passes > 0)
+            .sort((a, b) => b.passes - a.passes || b.seconds - a.seconds),
+        recent: [...sessions].sort((a, b) => b.startedAt - a.startedAt)
+    };
+}
+
+// Singleton instance
+let practiceLogInstance = null;
+
+export function getPracticeLog() {
+    if (!practiceLogInstance) {
+        practiceLogInstance = new PracticeLog();
+    }
+    return practiceLogInstance;
+}
+
+export default PracticeLog;
@@ -0,0 +1,135 @@
+/**
+ * Practice Store - IndexedDB wrapper for the practice session log
+ *
+ * Each record is one practice session (see practiceLog.js) keyed by its id, with
+ * an index on startedAt so a date range can be read without loading everything.
+ *
+ * Like the peaks cache, transactions reconnect once if the connection has gone
+ * stale (Safari tab freezing/bfcache).
+ */
+
+const DB_NAME = 'worship-practice-log';
+const DB_VERSION = 1;
+const STORE_NAME = 'sessions';
+
+let db = null;
+let initialized = false;
+
+/**
+ * Check if IndexedDB is supported
+ * @returns {boolean}
+ */
+export function isSupported() {
+    return 'indexedDB' in window;
+}
+
+/**
+ * Initialize the IndexedDB database
+ * @returns {Promise<boolean>} True if initialization succeeded
+ */
+export async function init() {
+    if (initialized) return true;
+
+    if (!isSupported()) {
+        console.warn('IndexedDB is not supported in this browser');
+        return false;
+    }
+
+    return new Promise((resolve) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onerror = (event) => {
+            console.error('Failed to open practice log database:', event.target.error);
+            resolve(false);
+        };
+
+        request.onsuccess = (event) => {
+            db = event.target.result;
+            initialized = true;
+            resolve(true);
+        };
+
+        request.onupgradeneeded = (event) => {
+            const database = event.target.result;
+
+            if (!database.objectStoreNames.contains(STORE_NAME)) {
+                const store = database.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                store.createIndex('startedAt', 'startedAt');
+            }
+        };
+    });
+}
+
+/**
+ * Execute a callback that uses an IndexedDB transaction, reconnecting and
+ * retrying once if the connection is stale
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {function(IDBObjectStore): IDBRequest} callback - receives the object store, returns a request
+ * @param {*} defaultValue - value to return on failure
+ * @returns {Promise<*>}
+ */
+async function withTransaction(mode, callback, defaultValue) {
+    for (let attempt = 0; attempt < 2; attempt++) {
+        if (!initialized || !db) {
+            const ok = await init();
+            if (!ok) return defaultValue;
+        }
+
+        try {
+            return await new Promise((resolve, reject) => {
+                let transaction;
+                try {
+                    transaction = db.transaction([STORE_NAME], mode);
+                } catch (err) {
+                    reject(err);
+                    return;
+                }
+
+                const request = callback(transaction.objectStore(STORE_NAME));
+                request.onsuccess = (event) => resolve(event.target.result);
+                request.onerror = (event) => reject(event.target.error);
+                transaction.onerror = (event) => reject(event.target.error);
+            });
+        } catch (err) {
+            if (attempt === 0) {
+                console.warn('Practice log transaction failed (stale connection?), reinitializing...', err);
+                initialized = false;
+                db = null;
+            } else {
+                console.error('Practice log transaction failed after reinit:', err);
+                return defaultValue;
+            }
+        }
+    }
+    return defaultValue;
+}
+
+/**
+ * Store a practice session (replacing an earlier save of the same session)
+ * @param {Object} session - Session record with an id
+ * @returns {Promise<boolean>} True if stored successfully
+ */
+export async function saveSession(session) {
+    const result = await withTransaction('readwrite', (store) => store.put(session), null);
+    return result !== null;
+}
+
+/**
+ * Get practice sessions, oldest first
+ * @param {number} [since=0] - Only sessions started at or after this time (ms since epoch)
+ * @returns {Promise<Array>} Session records
+ */
+export async function getSessions(since = 0) {
+    return withTransaction('readonly', (store) => {
+        return store.index('startedAt').getAll(IDBKeyRange.lowerBound(since));
+    }, []);
+}
+
+/**
+ * Delete every practice session
+ * @returns {Promise<boolean>} True if cleared successfully
+ */
+export async function clearSessions() {
+    const result = await withTransaction('readwrite', (store) => store.clear(), null);
+    return result !== null;
+}
@@ -0,0 +1,249 @@
+/**
+ * Progressive Decode
+ * Decodes MP3 stems in chunks of whole frames so a track can start playing once its
+ * first chunk is ready, while the rest of the file is decoded in the background.
+ *
+ * The full-length AudioBuffer is allocated after the first chunk and filled in place.
+ * Each chunk is decoded with a few extra frames on either side (the bit reservoir and
+ * resampler need context) and only its own frames are copied in. Decoders may drop
+ * samples at the start of a chunk (encoder delay, unrecoverable first frames), so any
+ * shortfall against the frame count is treated as trimmed from the start.
+ *
+ * Anything that isn't a parseable MPEG Layer III stream falls back to a whole-file decode.
+ */
+
+// Length of the first chunk (time to playable) and of the chunks after it
+const FIRST_CHUNK_SECONDS = 30;
+const CHUNK_SECONDS = 60;
+
+// Extra frames decoded before/after each chunk and then discarded
+const OVERLAP_FRAMES_BEFORE = 8;
+const OVERLAP_FRAMES_AFTER = 4;
+
+// How far past the ID3 tag to look for the first frame
+const MAX_SYNC_SEARCH_BYTES = 64 * 1024;
+
+// Layer III bitrates (kbps) by bitrate index
+const BITRATES_MPEG1 = [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320];
+const BITRATES_MPEG2 = [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160];
+
+// Sample rates by version bits (0 = MPEG 2.5, 2 = MPEG 2, 3 = MPEG 1)
+const SAMPLE_RATES = {
+    0: [11025, 12000, 8000],
+    2: [22050, 24000, 16000],
+    3: [44100, 48000, 32000]
+};
+
+/**
+ * Parse an MPEG Layer III frame header
+ * @param {Uint8Array} bytes - File data
+ * @param {number} offset - Header offset
+ * @returns {{version: number, sampleRate: number, samplesPerFrame: number, frameLength: number, mono: boolean}|null}
+ */
+function parseFrameHeader(bytes, offset) {
+    if (offset + 4 > bytes.length) return null;
+    if (bytes[offset] !== 0xFF || (bytes[offset + 1] & 0xE0) !== 0xE0) return null;
+
+    const version = (bytes[offset + 1] >> 3) & 0x03;
+    const layer = (bytes[offset + 1] >> 1) & 0x03;
+    const bitrateIndex = bytes[offset + 2] >> 4;
+    const sampleRateIndex = (bytes[offset + 2] >> 2) & 0x03;
+    const padding = (bytes[offset + 2] >> 1) & 0x01;
+    const mono = (bytes[offset + 3] >> 6) === 3;
+
+    // Layer III only; free-format and invalid bitrates can't be framed
+    if (version === 1 || layer !== 1) return null;
+    if (bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) return null;
+
+    const isMpeg1 = version === 3;
+    const bitrate = (isMpeg1 ? BITRATES_MPEG1 : BITRATES_MPEG2)[bitrateIndex] * 1000;
+    const sampleRate = SAMPLE_RATES[version][sampleRateIndex];
+    const frameLength = Math.floor((isMpeg1 ? 144 : 72) * bitrate / sampleRate) + padding;
+
+    return {
+        version,
+        sampleRate,
+        samplesPerFrame: isMpeg1 ? 1152 : 576,
+        frameLength,
+        mono
+    };
+}
+
+/**
+ * Get the size of a leading ID3v2 tag
+ * @param {Uint8Array} bytes - File data
+ * @returns {number} Tag size in bytes (0 if there is none)
+ */
+function getId3v2Size(bytes) {
+    if (bytes.length < 10 || bytes[0] !== 0x49 || bytes[1] !== 0x44 || bytes[2] !== 0x33) {
+        return 0;
+    }
+    // Synchsafe size (7 bits per byte), excluding the 10-byte header and optional footer
+    const size = (bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9];
+    const hasFooter = (bytes[5] & 0x10) !== 0;
+    return 10 + size + (hasFooter ? 10 : 0);
+}
+
+/**
+ * Check whether a frame is a Xing/Info or VBRI header frame (no audio)
+ * @param {Uint8Array} bytes - File data
+ * @param {number} offset - Frame offset
+ * @param {Object} header - Parsed frame header
+ * @returns {boolean}
+ */
+function isVbrHeaderFrame(bytes, offset, header) {
+    const matches = (at, tag) => {
+        for (let i = 0; i < tag.length; i++) {
+            if (bytes[at + i] !== tag.charCodeAt(i)) return false;
+        }
+        return true;
+    };
+
+    // Xing/Info follows the side information, whose size depends on version and channels
+    const sideInfoSize = header.version === 3
+        ? (header.mono ? 17 : 32)
+        : (header.mono ? 9 : 17);
+    const xingOffset = offset + 4 + sideInfoSize;
+
+    return matches(xingOffset, 'Xing') || matches(xingOffset, 'Info') || matches(offset + 36, 'VBRI');
+}
+
+/**
+ * Locate the audio frames of an MP3 file
+ * @param {Uint8Array} bytes - File data
+ * @returns {{offsets: number[], end: number, sampleRate: number, samplesPerFrame: number}|null}
+ *   Frame start offsets (VBR header frame excluded) and the end of the last frame,
+ *   or null if the data isn't a consistent Layer III stream
+ */
+function parseMp3Frames(bytes) {
+    let offset = getId3v2Size(bytes);
+    const searchEnd = Math.min(bytes.length, offset + MAX_SYNC_SEARCH_BYTES);
+
+    // First frame: a valid header followed by another one with the same format
+    let first = null;
+    for (; offset < searchEnd; offset++) {
+        const header = parseFrameHeader(bytes, offset);
+        if (!header) continue;
+        const next = parseFrameHeader(bytes, offset + header.frameLength);
+        if (next && next.sampleRate === header.sampleRate && next.version === header.version) {
+            first = header;
+            break;
+        }
+    }
+    if (!first) return null;
+
+    const firstOffset = offset;
+    const offsets = [];
+    let end = offset;
+    while (offset < bytes.length) {
+        const header = parseFrameHeader(bytes, offset);
+        // Stop at trailing tags (ID3v1, APE) or anything else that isn't a frame
+        if (!header || header.sampleRate !== first.sampleRate || header.version !== first.version) break;
+        if (offset + header.frameLength > bytes.length) break;
+
+        if (offset !== firstOffset || !isVbrHeaderFrame(bytes, offset, header)) {
+            offsets.push(offset);
+        }
+        offset += header.frameLength;
+        end = offset;
+    }
+    if (offsets.length === 0) return null;
+
+    return {
+        offsets,
+        end,
+        sampleRate: first.sampleRate,
+        samplesPerFrame: first.samplesPerFrame
+    };
+}
+
+/**
+ * Decode a file progressively
+ * @param {BaseAudioContext} context - Context used for decoding (sets the output sample rate)
+ * @param {Blob} blob - Audio file blob
+ * @returns {Promise<{audioBuffer: AudioBuffer, remaining: AsyncGenerator<{start: number, end: number}>|null}>}
+ *   The full-length buffer with the first chunk decoded, and a generator that decodes the rest,
+ *   yielding each newly filled sample range (null when the whole file is already decoded)
+ */
+export async function decodeProgressively(context, blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const frames = parseMp3Frames(bytes);
+
+    const framesPerSecond = frames ? frames.sampleRate / frames.samplesPerFrame : 0;
+    const firstChunkFrames = Math.ceil(FIRST_CHUNK_SECONDS * framesPerSecond);
+    const chunkFrames = Math.ceil(CHUNK_SECONDS * framesPerSecond);
+
+    // Short or unparseable files: nothing to gain from chunking
+    if (!frames || frames.offsets.length <= firstChunkFrames + chunkFrames / 2) {
+        const audioBuffer = await context.decodeAudioData(bytes.buffer);
+        return { audioBuffer, remaining: null };
+    }
+
+    const { offsets, samplesPerFrame } = frames;
+    const frameCount = offsets.length;
+
+    /**
+     * Decode frames [start, end) plus overlap
+     * @param {number} start - First frame of the chunk
+     * @param {number} end - Frame after the chunk
+     * @param {number} [ratio] - Output/MP3 sample rate ratio (measured from the first chunk)
+     * @returns {Promise<{decoded: AudioBuffer, firstFrame: number, trim: number, ratio: number}>}
+     */
+    const decodeFrames = async (start, end, ratio) => {
+        const firstFrame = Math.max(0, start - OVERLAP_FRAMES_BEFORE);
+        const lastFrame = Math.min(frameCount, end + OVERLAP_FRAMES_AFTER);
+
+        // The first chunk keeps the file header (ID3, Xing/LAME) so decoders apply the encoder delay
+        const byteStart = firstFrame === 0 ? 0 : offsets[firstFrame];
+        const byteEnd = lastFrame === frameCount ? frames.end : offsets[lastFrame];
+        const decoded = await context.decodeAudioData(bytes.slice(byteStart, byteEnd).buffer);
+
+        const sampleRatio = ratio ?? decoded.sampleRate / frames.sampleRate;
+        const expected = (lastFrame - firstFrame) * samplesPerFrame * sampleRatio;
+        const trim = Math.max(0, Math.round(expected - decoded.length));
+        return { decoded, firstFrame, trim, ratio: sampleRatio };
+    };
+
+    // First chunk defines the timeline: output sample 0 is its first decoded sample
+    const first = await decodeFrames(0, firstChunkFrames);
+    const { ratio } = first;
+    const startTrim = first.trim;
+    const length = Math.round(frameCount * samplesPerFrame * ratio) - startTrim;
+    const numChannels = first.decoded.numberOfChannels;
+
+    const audioBuffer = context.createBuffer(numChannels, length, first.decoded.sampleRate);
+
+    /**
+     * Copy a chunk's own frames [start, end) into the output buffer
+     * @returns {{start: number, end: number}} Filled output sample range
+     */
+    const copyChunk = ({ decoded, firstFrame, trim }, start, end) => {
+        const frameSample = (frame) => Math.round(frame * samplesPerFrame * ratio) - startTrim;
+        const outStart = start === 0 ? 0 : frameSample(start);
+        const outEnd = end === frameCount ? length : Math.min(length, frameSample(end));
+
+        // Chunk sample k plays at output sample k + shift
+        const shift = frameSample(firstFrame) + trim;
+        const copyStart = Math.max(outStart, shift);
+        const copyEnd = Math.min(outEnd, shift + decoded.length);
+        if (copyEnd <= copyStart) return { start: outStart, end: outStart };
+
+        const channels = Math.min(numChannels, decoded.numberOfChannels);
+        for (let ch = 0; ch < channels; ch++) {
+            const data = decoded.getChannelData(ch).subarray(copyStart - shift, copyEnd - shift);
+            audioBuffer.copyToChannel(data, ch, copyStart);
+        }
+        return { start: copyStart, end: copyEnd };
+    };
+
+    copyChunk(first, 0, firstChunkFrames);
+
+    async function* decodeRemaining() {
+        for (let start = firstChunkFrames; start < frameCount; start += chunkFrames) {
+            const end = Math.min(frameCount, start + chunkFrames);
+            yield copyChunk(await decodeFrames(start, end, ratio), start, end);
+        }
+    }
+
+    return { audioBuffer, remaining: decodeRemaining() };
+}
@@ -0,0 +1,118 @@
+/**
+ * Set List History
+ * Turns the performed set list history (recorded server-side, one record per set
+ * list and date) into per-song usage for CCLI-style licensing reports: how many times
+ * each song was used in a date range, with its catalog details.
+ *
+ * Each performance snapshots the songs' catalog fields when it's recorded. Songs
+ * that had none then are filled in from their current metadata.json, so catalog
+ * details added later still reach the report.
+ */
+
+import * as Metadata from './metadata.js';
+
+// Report columns, in CSV order
+const CSV_HEADER = ['Song Title', 'CCLI Song #', 'Authors', 'Copyright', 'Publisher', 'Times Used', 'Dates'];
+
+/**
+ * Format a date in local time (performances are dated by the local calendar day)
+ * @param {Date} [date] - Date, defaults to now
+ * @returns {string} YYYY-MM-DD
+ */
+export function getLocalDate(date = new Date()) {
+    const pad = (n) => n.toString().padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Summarize song usage across performances
+ * @param {Array} performances - {setListName, date, songs: [{songName, ccli, authors, copyright, publisher}]}
+ * @returns {Array} {songName, ccli, authors, copyright, publisher, count, dates}, most used first
+ */
+export function summarizeUsage(performances) {
+    const usage = new Map();
+
+    for (const performance of performances) {
+        for (const song of performance.songs || []) {
+            let entry = usage.get(song.songName);
+            if (!entry) {
+                entry = {
+                    songName: song.songName,
+                    ccli: '',
+                    authors: [],
+                    copyright: '',
+                    publisher: '',
+                    count: 0,
+                    dates: []
+                };
+                usage.set(song.songName, entry);
+            }
+
+            entry.count++;
+            entry.dates.push(performance.date);
+
+            // Keep the first non-empty snapshot of each field
+            entry.ccli = entry.ccli || song.ccli || '';
+            entry.copyright = entry.copyright || song.copyright || '';
+            entry.publisher = entry.publisher || song.publisher || '';
+            if (entry.authors.length === 0 && song.authors?.length) {
+                entry.authors = [...song.authors];
+            }
+        }
+    }
+
+    const summary = [...usage.values()];
+    for (const entry of summary) {
+        entry.dates.sort();
+    }
+    return summary.sort((a, b) => b.count - a.count || a.songName.localeCompare(b.songName));
+}
+
+/**
+ * Fill in catalog fields missing from the snapshots with each song's current metadata
+ * @param {Array} summary - Usage from summarizeUsage() (updated in place)
+ * @returns {Promise<Array>} The same summary
+ */
+export async function fillCatalogFromMetadata(summary) {
+    const incomplete = summary.filter(entry => !entry.ccli || entry.authors.length === 0 || !entry.copyright || !entry.publisher);
+
+    await Promise.all(incomplete.map(async (entry) => {
+        const catalog = Metadata.getCatalogInfo(await Metadata.loadMetadata(entry.songName));
+        entry.ccli = entry.ccli || catalog.ccli;
+        entry.copyright = entry.copyright || catalog.copyright;
+        entry.publisher = entry.publisher || catalog.publisher;
+        if (entry.authors.length === 0) {
+            entry.authors = catalog.authors;
+        }
+    }));
+
+    return summary;
+}
+
+/**
+ * Quote a CSV field if needed
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+function csvField(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build the usage report CSV
+ * @param {Array} summary - Usage from summarizeUsage()
+ * @returns {string} CSV text with a header row
+ */
+export function buildUsageCsv(summary) {
+    const rows = summary.map(entry => [
+        entry.songName,
+        entry.ccli,
+        entry.authors.join('; '),
+        entry.copyright,
+        entry.publisher,
+        entry.count,
+        entry.dates.join('; ')
+    ]);
+    return [CSV_HEADER, ...rows].map(row => row.map(csvField).join(',')).join('\n');
+}
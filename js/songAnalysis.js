@@ -0,0 +1,699 @@
+/**
+ * Song Analysis
+ * Offline key and tempo estimation from a song's decoded stems, for songs whose
+ * metadata.json has no key or tempo map. The results are only suggestions, for an
+ * admin to review before they are used or published.
+ *
+ * - Key: chroma profile of the pitched stems (pitch-exempt tracks such as click and
+ *   drums are left out) correlated with the Krumhansl-Kessler major/minor key profiles.
+ * - Tempo: from the click stem's clicks when there is one (see clickAnalysis.js).
+ *   Otherwise (or if no clicks are found) the spectral-flux onset envelope of every stem
+ *   except cue tracks, local tempo by autocorrelation, merged into segments of constant
+ *   tempo and fitted to a beat grid. Downbeats are the strongest beat of the bar.
+ *
+ * The tempo map uses the metadata.json format ([{tempo, start}] and [{sig, start}]), so it
+ * feeds calculateAllBeatPositions() directly. A lead-in before the first downbeat becomes
+ * a pickup at its own tempo, since the beat grid always starts at 0.
+ */
+
+import * as State from './state.js';
+import { getAudioEngine } from './audioEngine.js';
+import { buildPickup } from './metadata.js';
+import { analyzeClickTrack } from './clickAnalysis.js';
+
+// Stems are mixed down to mono at a low rate - plenty for onsets and pitch classes
+const ANALYSIS_SAMPLE_RATE = 11025;
+
+// Onset envelope: FFT frame and hop (~11.6ms resolution), and the moving average subtracted from it
+const ONSET_FFT_SIZE = 512;
+const ONSET_HOP = 128;
+const ONSET_MEAN_WINDOW_SECONDS = 0.5;
+
+// Local tempo: autocorrelation windows, tempo range, and the tempo prior that resolves
+// half/double tempo ambiguity (log-normal around PREFERRED_BPM, one octave wide)
+const TEMPO_WINDOW_SECONDS = 8;
+const TEMPO_WINDOW_HOP_SECONDS = 2;
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+const PREFERRED_BPM = 120;
+
+// Tempo segments: relative change that starts a new segment, and the shortest segment kept
+const TEMPO_CHANGE_TOLERANCE = 0.03;
+const MIN_SEGMENT_WINDOWS = 4;
+
+// Beat grid fit: tempo search range around a segment's tempo, step, and phase resolution
+const TEMPO_FIT_RANGE = 0.03;
+const TEMPO_FIT_STEP_BPM = 0.05;
+const PHASE_BINS = 64;
+
+// A fitted tempo this close to a whole number is rounded to it
+const WHOLE_BPM_TOLERANCE = 0.2;
+
+// Tempo changes are placed on the best-fitting downbeat within this many bars of the estimate
+const TEMPO_CHANGE_SEARCH_BARS = 4;
+
+// Key: FFT size (~0.37s frames) and the frequency range mapped to pitch classes
+const KEY_FFT_SIZE = 4096;
+const KEY_MIN_FREQUENCY = 80;
+const KEY_MAX_FREQUENCY = 2000;
+
+const MAJOR_KEY_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+const MINOR_KEY_NAMES = ['Cm', 'C#m', 'Dm', 'Ebm', 'Em', 'Fm', 'F#m', 'Gm', 'G#m', 'Am', 'Bbm', 'Bm'];
+
+// Krumhansl-Kessler key profiles (tonic first)
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+// ============================================================================
+// Signal helpers
+// ============================================================================
+
+/**
+ * Create an in-place radix-2 FFT for a fixed size
+ * @param {number} size - Power of two
+ * @returns {Function} (re: Float32Array, im: Float32Array) => void
+ */
+function createFft(size) {
+    const levels = Math.log2(size);
+    const reverse = new Uint32Array(size);
+    for (let i = 0; i < size; i++) {
+        let r = 0;
+        for (let b = 0; b < levels; b++) r = (r << 1) | ((i >> b) & 1);
+        reverse[i] = r;
+    }
+
+    const cos = new Float32Array(size / 2);
+    const sin = new Float32Array(size / 2);
+    for (let i = 0; i < size / 2; i++) {
+        cos[i] = Math.cos(2 * Math.PI * i / size);
+        sin[i] = Math.sin(2 * Math.PI * i / size);
+    }
+
+    return (re, im) => {
+        for (let i = 0; i < size; i++) {
+            const j = reverse[i];
+            if (j > i) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+        for (let len = 2; len <= size; len <<= 1) {
+            const half = len >> 1;
+            const step = size / len;
+            for (let i = 0; i < size; i += len) {
+                for (let j = 0; j < half; j++) {
+                    const a = i + j;
+                    const b = a + half;
+                    const c = cos[j * step];
+                    const s = sin[j * step];
+                    const tre = re[b] * c + im[b] * s;
+                    const tim = im[b] * c - re[b] * s;
+                    re[b] = re[a] - tre;
+                    im[b] = im[a] - tim;
+                    re[a] += tre;
+                    im[a] += tim;
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Create a Hann window
+ * @param {number} size
+ * @returns {Float32Array}
+ */
+function createHannWindow(size) {
+    const window = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+        window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (size - 1));
+    }
+    return window;
+}
+
+/**
+ * Compute the magnitude spectrum of one frame
+ * @param {Function} fft - From createFft()
+ * @param {Float32Array} signal
+ * @param {number} offset - First sample of the frame
+ * @param {Float32Array} window - Hann window (its length is the frame size)
+ * @param {Float32Array} re - Scratch buffer (frame size)
+ * @param {Float32Array} im - Scratch buffer (frame size)
+ * @param {Float32Array} magnitudes - Output (frame size / 2)
+ */
+function getMagnitudes(fft, signal, offset, window, re, im, magnitudes) {
+    for (let i = 0; i < window.length; i++) {
+        re[i] = signal[offset + i] * window[i];
+        im[i] = 0;
+    }
+    fft(re, im);
+    for (let k = 0; k < magnitudes.length; k++) {
+        magnitudes[k] = Math.sqrt(re[k] * re[k] + im[k] * im[k]);
+    }
+}
+
+/**
+ * Mix AudioBuffers down to mono at the analysis sample rate
+ * @param {AudioBuffer[]} buffers
+ * @returns {Promise<Float32Array>}
+ */
+async function renderMonoMix(buffers) {
+    const duration = Math.max(...buffers.map(buffer => buffer.duration));
+    const length = Math.max(1, Math.ceil(duration * ANALYSIS_SAMPLE_RATE));
+    const context = new OfflineAudioContext(1, length, ANALYSIS_SAMPLE_RATE);
+
+    for (const buffer of buffers) {
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(context.destination);
+        source.start(0);
+    }
+
+    const rendered = await context.startRendering();
+    return rendered.getChannelData(0);
+}
+
+/**
+ * Yield to the event loop between analysis stages so the page stays responsive
+ */
+function yieldToUI() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+// ============================================================================
+// Tempo
+// ============================================================================
+
+/**
+ * Compute the onset strength envelope (positive spectral flux minus its local mean)
+ * @param {Float32Array} signal - Mono signal at ANALYSIS_SAMPLE_RATE
+ * @returns {Float32Array} One value per ONSET_HOP samples (frame f is centred at getFrameTime(f))
+ */
+function computeOnsetEnvelope(signal) {
+    const fft = createFft(ONSET_FFT_SIZE);
+    const window = createHannWindow(ONSET_FFT_SIZE);
+    const re = new Float32Array(ONSET_FFT_SIZE);
+    const im = new Float32Array(ONSET_FFT_SIZE);
+    const magnitudes = new Float32Array(ONSET_FFT_SIZE / 2);
+
+    const frameCount = Math.max(0, Math.floor((signal.length - ONSET_FFT_SIZE) / ONSET_HOP) + 1);
+    const flux = new Float32Array(frameCount);
+    let previous = new Float32Array(ONSET_FFT_SIZE / 2);
+    let current = new Float32Array(ONSET_FFT_SIZE / 2);
+
+    for (let f = 0; f < frameCount; f++) {
+        getMagnitudes(fft, signal, f * ONSET_HOP, window, re, im, magnitudes);
+        let sum = 0;
+        for (let k = 1; k < magnitudes.length; k++) {
+            // Log compression so quiet and loud onsets both register
+            current[k] = Math.log(1 + 100 * magnitudes[k]);
+            const rise = current[k] - previous[k];
+            if (rise > 0) sum += rise;
+        }
+        flux[f] = f > 0 ? sum : 0;
+        [previous, current] = [current, previous];
+    }
+
+    // Subtract the moving average and keep only what rises above it
+    const frameRate = ANALYSIS_SAMPLE_RATE / ONSET_HOP;
+    const half = Math.max(1, Math.round(ONSET_MEAN_WINDOW_SECONDS * frameRate / 2));
+    const prefix = new Float64Array(frameCount + 1);
+    for (let f = 0; f < frameCount; f++) prefix[f + 1] = prefix[f] + flux[f];
+
+    const envelope = new Float32Array(frameCount);
+    for (let f = 0; f < frameCount; f++) {
+        const start = Math.max(0, f - half);
+        const end = Math.min(frameCount, f + half + 1);
+        const mean = (prefix[end] - prefix[start]) / (end - start);
+        envelope[f] = Math.max(0, flux[f] - mean);
+    }
+    return envelope;
+}
+
+/**
+ * Get the time of an onset envelope frame (the centre of its FFT frame)
+ * @param {number} frame - Frame index (may be fractional)
+ * @returns {number} Seconds
+ */
+function getFrameTime(frame) {
+    return (frame * ONSET_HOP + ONSET_FFT_SIZE / 2) / ANALYSIS_SAMPLE_RATE;
+}
+
+/**
+ * Get the onset strength at a time (peak within a couple of frames)
+ * @param {Float32Array} envelope - Onset envelope
+ * @param {number} time - Seconds
+ * @returns {number}
+ */
+function getOnsetStrength(envelope, time) {
+    const center = Math.round((time * ANALYSIS_SAMPLE_RATE - ONSET_FFT_SIZE / 2) / ONSET_HOP);
+    let peak = 0;
+    for (let f = Math.max(0, center - 2); f <= Math.min(envelope.length - 1, center + 2); f++) {
+        peak = Math.max(peak, envelope[f]);
+    }
+    return peak;
+}
+
+/**
+ * Estimate the tempo in overlapping windows of the onset envelope
+ * @param {Float32Array} envelope - Onset envelope
+ * @returns {Array<{start: number, end: number, bpm: number, strength: number}>} Window frame ranges
+ */
+function estimateLocalTempos(envelope) {
+    const frameRate = ANALYSIS_SAMPLE_RATE / ONSET_HOP;
+    const windowFrames = Math.min(envelope.length, Math.round(TEMPO_WINDOW_SECONDS * frameRate));
+    const hopFrames = Math.round(TEMPO_WINDOW_HOP_SECONDS * frameRate);
+    const minLag = Math.floor(60 / MAX_BPM * frameRate);
+    const maxLag = Math.ceil(60 / MIN_BPM * frameRate);
+    if (windowFrames <= 2 * maxLag) return [];
+
+    const acf = new Float64Array(2 * maxLag + 2);
+    const windows = [];
+
+    for (let start = 0; start + windowFrames <= envelope.length; start += hopFrames) {
+        for (let lag = 0; lag < acf.length; lag++) {
+            let sum = 0;
+            for (let i = start; i < start + windowFrames - lag; i++) {
+                sum += envelope[i] * envelope[i + lag];
+            }
+            acf[lag] = sum;
+        }
+        // Skip silence
+        if (acf[0] <= 1e-6) continue;
+
+        // Autocorrelation at the beat period plus half of it at the bar-level double period,
+        // weighted by the tempo prior
+        const score = (lag) => {
+            const bpm = 60 * frameRate / lag;
+            const octaves = Math.log2(bpm / PREFERRED_BPM);
+            return (acf[lag] + 0.5 * acf[2 * lag]) * Math.exp(-0.5 * octaves * octaves);
+        };
+
+        let bestLag = minLag;
+        for (let lag = minLag + 1; lag <= maxLag; lag++) {
+            if (score(lag) > score(bestLag)) bestLag = lag;
+        }
+
+        // Parabolic interpolation around the peak
+        let lag = bestLag;
+        if (bestLag > minLag && bestLag < maxLag) {
+            const a = score(bestLag - 1);
+            const b = score(bestLag);
+            const c = score(bestLag + 1);
+            const denominator = a - 2 * b + c;
+            if (denominator < 0) lag += 0.5 * (a - c) / denominator;
+        }
+
+        windows.push({
+            start,
+            end: start + windowFrames,
+            bpm: 60 * frameRate / lag,
+            strength: acf[bestLag] / acf[0]
+        });
+    }
+
+    return windows;
+}
+
+/**
+ * Group local tempo windows into segments of (nearly) constant tempo
+ * @param {Array} windows - From estimateLocalTempos()
+ * @returns {Array<{start: number, end: number, bpm: number, strength: number}>} Frame ranges
+ */
+function segmentTempos(windows) {
+    const median = (values) => {
+        const sorted = [...values].sort((a, b) => a - b);
+        return sorted[Math.floor(sorted.length / 2)];
+    };
+
+    let segments = [];
+    for (const window of windows) {
+        const current = segments[segments.length - 1];
+        if (current && Math.abs(window.bpm - median(current.tempos)) / median(current.tempos) < TEMPO_CHANGE_TOLERANCE) {
+            current.tempos.push(window.bpm);
+            current.strengths.push(window.strength);
+            current.end = window.end;
+        } else {
+            segments.push({ start: window.start, end: window.end, tempos: [window.bpm], strengths: [window.strength] });
+        }
+    }
+
+    // Fold segments too short to trust into a neighbour (fills, breaks, endings)
+    let merged = true;
+    while (merged && segments.length > 1) {
+        merged = false;
+        const index = segments.findIndex(s => s.tempos.length < MIN_SEGMENT_WINDOWS);
+        if (index === -1) break;
+
+        const short = segments[index];
+        const target = index > 0 ? segments[index - 1] : segments[index + 1];
+        target.start = Math.min(target.start, short.start);
+        target.end = Math.max(target.end, short.end);
+        target.strengths.push(...short.strengths);
+        segments.splice(index, 1);
+        merged = true;
+    }
+
+    // Neighbours that ended up at the same tempo become one segment
+    segments = segments.reduce((result, segment) => {
+        const previous = result[result.length - 1];
+        if (previous && Math.abs(median(segment.tempos) - median(previous.tempos)) / median(previous.tempos) < TEMPO_CHANGE_TOLERANCE) {
+            previous.end = segment.end;
+            previous.tempos.push(...segment.tempos);
+            previous.strengths.push(...segment.strengths);
+        } else {
+            result.push(segment);
+        }
+        return result;
+    }, []);
+
+    return segments.map(segment => ({
+        start: segment.start,
+        end: segment.end,
+        bpm: median(segment.tempos),
+        strength: segment.strengths.reduce((a, b) => a + b, 0) / segment.strengths.length
+    }));
+}
+
+/**
+ * Fit a beat grid (exact tempo and phase) to a stretch of the onset envelope
+ * Folds the envelope at each candidate beat period and keeps the sharpest phase peak.
+ * @param {Float32Array} envelope - Onset envelope
+ * @param {Object} segment - { start, end, bpm } frame range and estimated tempo
+ * @returns {{bpm: number, phase: number}} Tempo and the frame of one beat (phase < period)
+ */
+function fitBeatGrid(envelope, segment) {
+    const frameRate = ANALYSIS_SAMPLE_RATE / ONSET_HOP;
+    const bins = new Float64Array(PHASE_BINS);
+    let best = { score: -1, bpm: segment.bpm, phase: 0 };
+
+    const minBpm = segment.bpm * (1 - TEMPO_FIT_RANGE);
+    const maxBpm = segment.bpm * (1 + TEMPO_FIT_RANGE);
+    for (let bpm = minBpm; bpm <= maxBpm; bpm += TEMPO_FIT_STEP_BPM) {
+        const period = 60 * frameRate / bpm;
+        bins.fill(0);
+        for (let f = segment.start; f < segment.end; f++) {
+            const bin = Math.floor((f % period) / period * PHASE_BINS) % PHASE_BINS;
+            bins[bin] += envelope[f];
+        }
+        for (let bin = 0; bin < PHASE_BINS; bin++) {
+            // Neighbouring bins count too, so a slightly smeared peak still wins
+            const score = bins[bin] + 0.5 * (bins[(bin + 1) % PHASE_BINS] + bins[(bin + PHASE_BINS - 1) % PHASE_BINS]);
+            if (score > best.score) {
+                best = { score, bpm, phase: (bin + 0.5) / PHASE_BINS * period };
+            }
+        }
+    }
+
+    const rounded = Math.round(best.bpm);
+    const bpm = Math.abs(best.bpm - rounded) < WHOLE_BPM_TOLERANCE ? rounded : Math.round(best.bpm * 100) / 100;
+    return { bpm, phase: best.phase };
+}
+
+/**
+ * Find the meter and which beat of the bar is the downbeat
+ * Compares the onset strength of every 3rd or 4th beat against the rest; 4/4 wins unless
+ * 3/4 is clearly stronger.
+ * @param {Float32Array} envelope - Onset envelope
+ * @param {Object} segment - Frame range
+ * @param {Object} grid - { bpm, phase } from fitBeatGrid()
+ * @returns {{beatsPerBar: number, downbeat: number}} Beats per bar and the frame of one downbeat
+ */
+function findDownbeats(envelope, segment, grid) {
+    const frameRate = ANALYSIS_SAMPLE_RATE / ONSET_HOP;
+    const period = 60 * frameRate / grid.bpm;
+
+    // Onset strength at each beat of the segment (peak within a couple of frames)
+    const beats = [];
+    const first = grid.phase + Math.ceil((segment.start - grid.phase) / period) * period;
+    for (let frame = first; frame < segment.end; frame += period) {
+        beats.push({ frame, strength: getOnsetStrength(envelope, getFrameTime(frame)) });
+    }
+    if (beats.length === 0) return { beatsPerBar: 4, downbeat: grid.phase };
+
+    const accent = (beatsPerBar) => {
+        let best = { score: -Infinity, offset: 0 };
+        for (let offset = 0; offset < beatsPerBar; offset++) {
+            let on = 0, onCount = 0, off = 0, offCount = 0;
+            beats.forEach((beat, i) => {
+                if (i % beatsPerBar === offset) { on += beat.strength; onCount++; } else { off += beat.strength; offCount++; }
+            });
+            const score = (onCount ? on / onCount : 0) - (offCount ? off / offCount : 0);
+            if (score > best.score) best = { score, offset };
+        }
+        return best;
+    };
+
+    const four = accent(4);
+    const three = accent(3);
+    const meter = three.score > Math.max(0, four.score) * 1.25
+        ? { beatsPerBar: 3, ...three }
+        : { beatsPerBar: 4, ...four };
+
+    return {
+        beatsPerBar: meter.beatsPerBar,
+        downbeat: beats[Math.min(meter.offset, beats.length - 1)].frame
+    };
+}
+
+/**
+ * Build a metadata tempo map from fitted segments
+ * @param {Float32Array} envelope - Onset envelope
+ * @param {Array} fitted - [{ start, bpm, phase }] per segment (start in frames)
+ * @param {Object} meter - { beatsPerBar, downbeat } from the first segment
+ * @param {number} duration - Song duration in seconds
+ * @returns {{tempos: Array<{tempo: number, start: number}>, timeSigs: Array<{sig: string, start: number}>}}
+ */
+function buildTempoMap(envelope, fitted, meter, duration) {
+    const round3 = (value) => Math.round(value * 1000) / 1000;
+    const { beatsPerBar } = meter;
+    const barSig = `${beatsPerBar}/4`;
+
+    // First downbeat at or after 0
+    const firstBeat = 60 / fitted[0].bpm;
+    const firstBar = firstBeat * beatsPerBar;
+    let downbeat = getFrameTime(meter.downbeat);
+    downbeat -= Math.floor(downbeat / firstBar) * firstBar;
+
+    // Lead-in before the first downbeat becomes a pickup
+    const pickup = buildPickup(downbeat, firstBeat, barSig);
+    const { tempos, timeSigs } = pickup;
+    downbeat = pickup.downbeat;
+    tempos.push({ tempo: fitted[0].bpm, start: round3(downbeat) });
+
+    // Later segments change tempo on a downbeat of the running grid: of the downbeats
+    // near the segment start, the one where the old grid before it and the new grid
+    // after it best match the onsets
+    let changeTime = downbeat;
+    for (let i = 1; i < fitted.length; i++) {
+        const previous = tempos[tempos.length - 1];
+        if (fitted[i].bpm === previous.tempo) continue;
+
+        const oldBeat = 60 / previous.tempo;
+        const newBeat = 60 / fitted[i].bpm;
+        const barLength = oldBeat * beatsPerBar;
+        const searchLength = TEMPO_CHANGE_SEARCH_BARS * barLength;
+        const estimate = Math.round((getFrameTime(fitted[i].start) - changeTime) / barLength);
+
+        let best = { score: -1, time: null };
+        for (let bars = Math.max(1, estimate - TEMPO_CHANGE_SEARCH_BARS); bars <= estimate + TEMPO_CHANGE_SEARCH_BARS; bars++) {
+            const time = changeTime + bars * barLength;
+            if (time >= duration) break;
+            // Mean strength per grid, so the faster grid doesn't win by having more beats
+            const mean = (times) => times.reduce((sum, t) => sum + getOnsetStrength(envelope, t), 0) / (times.length || 1);
+            const before = [];
+            const after = [];
+            for (let t = time - oldBeat; t > time - searchLength; t -= oldBeat) before.push(t);
+            for (let t = time; t < Math.min(duration, time + searchLength); t += newBeat) after.push(t);
+            const score = mean(before) + mean(after);
+            if (score > best.score) best = { score, time };
+        }
+        if (best.time === null) break;
+
+        changeTime = best.time;
+        tempos.push({ tempo: fitted[i].bpm, start: round3(best.time) });
+    }
+
+    return { tempos, timeSigs };
+}
+
+/**
+ * Estimate a tempo map from a mono signal
+ * @param {Float32Array} signal - Mono signal at ANALYSIS_SAMPLE_RATE
+ * @param {number} duration - Song duration in seconds
+ * @returns {{tempos: Array, timeSigs: Array, confidence: number}|null} Null if no steady beat was found
+ */
+function estimateTempoMap(signal, duration) {
+    const envelope = computeOnsetEnvelope(signal);
+    const segments = segmentTempos(estimateLocalTempos(envelope));
+    if (segments.length === 0) return null;
+
+    const fitted = segments.map(segment => ({ start: segment.start, ...fitBeatGrid(envelope, segment) }));
+
+    // Meter and downbeat from the longest segment, carried back to the first one
+    const longest = segments.reduce((a, b) => (b.end - b.start > a.end - a.start ? b : a));
+    const longestIndex = segments.indexOf(longest);
+    const meter = findDownbeats(envelope, longest, fitted[longestIndex]);
+    if (longestIndex !== 0) {
+        const first = findDownbeats(envelope, segments[0], fitted[0]);
+        meter.downbeat = first.downbeat;
+    }
+
+    const { tempos, timeSigs } = buildTempoMap(envelope, fitted, meter, duration);
+    const confidence = segments.reduce((sum, s) => sum + s.strength * (s.end - s.start), 0) /
+        segments.reduce((sum, s) => sum + (s.end - s.start), 0);
+
+    return { tempos, timeSigs, confidence };
+}
+
+// ============================================================================
+// Key
+// ============================================================================
+
+/**
+ * Estimate the key from a mono signal
+ * @param {Float32Array} signal - Mono signal at ANALYSIS_SAMPLE_RATE
+ * @returns {{key: string, name: string, mode: string, confidence: number}|null}
+ *   key is the app's key spelling (the relative major for minor keys), name the detected key
+ */
+function estimateKey(signal) {
+    const fft = createFft(KEY_FFT_SIZE);
+    const window = createHannWindow(KEY_FFT_SIZE);
+    const re = new Float32Array(KEY_FFT_SIZE);
+    const im = new Float32Array(KEY_FFT_SIZE);
+    const magnitudes = new Float32Array(KEY_FFT_SIZE / 2);
+
+    // Pitch class (C = 0) of each FFT bin in range, -1 otherwise
+    const binPitchClass = new Int8Array(KEY_FFT_SIZE / 2).fill(-1);
+    for (let k = 1; k < binPitchClass.length; k++) {
+        const frequency = k * ANALYSIS_SAMPLE_RATE / KEY_FFT_SIZE;
+        if (frequency < KEY_MIN_FREQUENCY || frequency > KEY_MAX_FREQUENCY) continue;
+        const midi = Math.round(69 + 12 * Math.log2(frequency / 440));
+        binPitchClass[k] = ((midi % 12) + 12) % 12;
+    }
+
+    // Average of per-frame normalized chroma, so loud sections don't dominate
+    const chroma = new Float64Array(12);
+    const frameChroma = new Float64Array(12);
+    for (let offset = 0; offset + KEY_FFT_SIZE <= signal.length; offset += KEY_FFT_SIZE) {
+        getMagnitudes(fft, signal, offset, window, re, im, magnitudes);
+        frameChroma.fill(0);
+        let total = 0;
+        for (let k = 0; k < magnitudes.length; k++) {
+            const pc = binPitchClass[k];
+            if (pc < 0) continue;
+            frameChroma[pc] += magnitudes[k];
+            total += magnitudes[k];
+        }
+        // Skip silent frames
+        if (total < 1e-3) continue;
+        for (let pc = 0; pc < 12; pc++) chroma[pc] += frameChroma[pc] / total;
+    }
+    if (chroma.every(value => value === 0)) return null;
+
+    const correlate = (profile, tonic) => {
+        const x = [];
+        const y = [];
+        for (let pc = 0; pc < 12; pc++) {
+            x.push(chroma[pc]);
+            y.push(profile[(pc - tonic + 12) % 12]);
+        }
+        const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+        const mx = mean(x);
+        const my = mean(y);
+        let sxy = 0, sxx = 0, syy = 0;
+        for (let i = 0; i < 12; i++) {
+            sxy += (x[i] - mx) * (y[i] - my);
+            sxx += (x[i] - mx) ** 2;
+            syy += (y[i] - my) ** 2;
+        }
+        return sxx > 0 ? sxy / Math.sqrt(sxx * syy) : 0;
+    };
+
+    const candidates = [];
+    for (let tonic = 0; tonic < 12; tonic++) {
+        candidates.push({ tonic, mode: 'major', r: correlate(MAJOR_PROFILE, tonic) });
+        candidates.push({ tonic, mode: 'minor', r: correlate(MINOR_PROFILE, tonic) });
+    }
+    candidates.sort((a, b) => b.r - a.r);
+    const [best, second] = candidates;
+
+    const isMinor = best.mode === 'minor';
+    return {
+        key: MAJOR_KEY_NAMES[isMinor ? (best.tonic + 3) % 12 : best.tonic],
+        name: isMinor ? MINOR_KEY_NAMES[best.tonic] : MAJOR_KEY_NAMES[best.tonic],
+        mode: best.mode,
+        confidence: Math.max(0, Math.min(1, (best.r - second.r) * 5))
+    };
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Find a song's click stem
+ * @param {Object} song - Song object
+ * @returns {Object|null} Track
+ */
+export function findClickTrack(song) {
+    return song.tracks.find(track => track.name.toLowerCase().includes('click')) || null;
+}
+
+/**
+ * Check whether a song's metadata is missing the key or tempo map
+ * @param {Object} song - Song object
+ * @returns {boolean}
+ */
+export function isMissingKeyOrTempo(song) {
+    return !song?.metadata?.key || !(song.metadata.tempos?.length > 0);
+}
+
+/**
+ * Estimate the key and tempo map of a song from its loaded stems
+ * @param {Object} song - Song object (its tracks' AudioBuffers must be loaded)
+ * @param {Function} [onProgress] - Called with a status message before each stage
+ * @returns {Promise<Object>} { key, keyName, keyMode, keyConfidence, tempos, 'time-sigs',
+ *   tempoConfidence, tempoSource } - key/tempo fields are null when nothing usable was found;
+ *   tempoSource is the click track's name, or null when the whole band was used
+ */
+export async function analyzeSong(song, onProgress = () => {}) {
+    const audioEngine = getAudioEngine();
+    const loaded = song.tracks
+        .map(track => ({ track, buffer: audioEngine.getAudioBuffer(track.id) || audioEngine.getTrackBuffer(track.id) }))
+        .filter(({ buffer }) => buffer);
+    if (loaded.length === 0) {
+        throw new Error('No decoded audio to analyze');
+    }
+    const duration = Math.max(...loaded.map(({ buffer }) => buffer.duration));
+
+    // Tempo from the click stem's clicks if there is one, otherwise the band without cue tracks
+    onProgress('Detecting tempo...');
+    await yieldToUI();
+    const clickTrack = findClickTrack(song);
+    const click = clickTrack && loaded.find(({ track }) => track.id === clickTrack.id);
+    let tempoMap = click ? analyzeClickTrack(click.buffer) : null;
+    if (!tempoMap) {
+        let tempoStems = click ? [click] : loaded.filter(({ track }) => !State.isMonitorCueByName(track.name));
+        if (tempoStems.length === 0) tempoStems = loaded;
+        tempoMap = estimateTempoMap(await renderMonoMix(tempoStems.map(s => s.buffer)), duration);
+    }
+
+    // Key from the pitched stems
+    onProgress('Detecting key...');
+    await yieldToUI();
+    let keyStems = loaded.filter(({ track }) => !State.isTrackPitchExempt(track.id));
+    if (keyStems.length === 0) keyStems = loaded;
+    const key = estimateKey(await renderMonoMix(keyStems.map(s => s.buffer)));
+
+    return {
+        key: key?.key || null,
+        keyName: key?.name || null,
+        keyMode: key?.mode || null,
+        keyConfidence: key?.confidence ?? 0,
+        tempos: tempoMap?.tempos || null,
+        'time-sigs': tempoMap?.timeSigs || null,
+        tempoConfidence: tempoMap?.confidence ?? 0,
+        tempoSource: click ? clickTrack.name : null
+    };
+}
@@ -11,7 +11,8 @@ import { getTransport } from './transport.js';
 import * as cacheManager from './cache/cacheManager.js';
 import * as Metadata from './metadata.js';
 import * as Manifest from './manifest.js';
-import { getPreference } from './storage.js';
+import { getMemoryBudget } from './memoryBudget.js';
+import { recordRecentSong } from './songSearch.js';
 
 /**
  * Open a song from the manifest
@@ -33,6 +34,7 @@ export function openSong(songName) {
     
     // Create new song (no tracks loaded initially)
     const song = State.addSong(State.createDefaultSong(songName));
+    recordRecentSong(songName);
     
     // Load metadata (fire-and-forget)
     Metadata.loadMetadata(songName).then(metadata => {
@@ -99,25 +101,17 @@ export async function switchSong(songId) {
         audioEngine.stop();
     }
     
-    // Unload current song's tracks
+    // Unload current song's tracks (their AudioBuffers stay cached, within the memory budget)
     if (currentSong) {
         TrackManager.unloadTracksForSong(currentSong);
-        
-        // When PCM caching is enabled, evict AudioBuffers from memory for the
-        // song we're switching away from. The data is safely on disk as PCM.
-        // Don't evict mashup songs -- they need instant access during auto-advance.
-        if (getPreference('cachePCMToDisk') && !currentSong.mashupGroupId) {
-            const trackIds = currentSong.tracks.map(t => t.id);
-            // Wait for any in-flight PCM writes to complete before evicting
-            await TrackManager.awaitPendingPCMWrites(trackIds);
-            audioEngine.clearAudioBuffers(trackIds);
-            console.log(`Evicted ${trackIds.length} AudioBuffers for "${currentSong.songName}" (PCM cached to disk)`);
-        }
     }
     
     // Switch to new song
     State.switchSong(songId);
     
+    // Evict least recently used songs if the new song's audio won't fit the budget
+    await getMemoryBudget().makeRoom(targetSong);
+    
     // Apply the target song's pitch and speed to the audio engine
     const transport = getTransport();
     transport.setSpeed(targetSong.transport.speed);
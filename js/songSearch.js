@@ -0,0 +1,170 @@
+/**
+ * Song Search
+ * Finds songs in the manifest for the song picker: fuzzy search over names and
+ * tags, filters by key, tempo range and tags, and the favourite and recently opened
+ * songs kept in preferences.
+ *
+ * A query matches when every word in it matches the song's name or one of its tags,
+ * either as a substring or as letters in order ("amzg" finds "Amazing Grace").
+ * Substring matches and matches at the start of a word rank higher.
+ */
+
+import * as Storage from './storage.js';
+
+// Recently opened songs kept, newest first
+const MAX_RECENT_SONGS = 8;
+
+// ============================================================================
+// Fuzzy matching
+// ============================================================================
+
+/**
+ * Score how well a query word matches some text
+ * @param {string} word - Query word (lowercase)
+ * @param {string} text - Text to search
+ * @returns {number|null} Score (higher is better), or null if it doesn't match
+ */
+export function fuzzyScore(word, text) {
+    const haystack = text.toLowerCase();
+    const isWordStart = (i) => i === 0 || /[^a-z0-9]/.test(haystack[i - 1]);
+
+    // Substrings: the best occurrence, word starts and earlier ones first
+    let best = null;
+    for (let index = haystack.indexOf(word); index !== -1; index = haystack.indexOf(word, index + 1)) {
+        const score = 100 + (isWordStart(index) ? 50 : 0) - Math.min(index, 40);
+        best = Math.max(best ?? score, score);
+    }
+    if (best !== null) return best;
+
+    // Letters in order: runs of consecutive letters and word starts score higher
+    let score = 0;
+    let from = 0;
+    let previous = -2;
+    for (const char of word) {
+        const position = haystack.indexOf(char, from);
+        if (position === -1) return null;
+        score += (position === previous + 1 ? 3 : 1) + (isWordStart(position) ? 2 : 0);
+        previous = position;
+        from = position + 1;
+    }
+    return score;
+}
+
+/**
+ * Score a song against a search query
+ * @param {Object} song - Manifest song
+ * @param {string} query - Search text
+ * @returns {number|null} Score, or null if any word of the query doesn't match
+ */
+export function scoreSong(song, query) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    let total = 0;
+
+    for (const word of words) {
+        const scores = [song.name, ...(song.tags || [])]
+            .map(text => fuzzyScore(word, text))
+            .filter(score => score !== null);
+        if (scores.length === 0) return null;
+        total += Math.max(...scores);
+    }
+    return total;
+}
+
+// ============================================================================
+// Filtering
+// ============================================================================
+
+/**
+ * Check whether any filter is set
+ * @param {Object} filters - {query, key, minBpm, maxBpm, tags}
+ * @returns {boolean}
+ */
+export function hasFilters(filters) {
+    return !!(filters.query?.trim() || filters.key || filters.minBpm || filters.maxBpm || filters.tags?.length);
+}
+
+/**
+ * Find the songs that match a search
+ * @param {Array} songs - Manifest songs, in the order to list ties
+ * @param {Object} filters - Search and filters:
+ *   query: search text; key: key from METADATA_KEYS or '';
+ *   minBpm/maxBpm: tempo range (null for no limit); tags: tags the song must all have
+ * @returns {Array} Matching songs, best matches first when searching
+ */
+export function searchSongs(songs, filters) {
+    const query = filters.query?.trim() || '';
+    const tags = filters.tags || [];
+
+    const matches = [];
+    for (const song of songs) {
+        if (filters.key && song.key !== filters.key) continue;
+        if (filters.minBpm && !(song.bpm >= filters.minBpm)) continue;
+        if (filters.maxBpm && !(song.bpm <= filters.maxBpm)) continue;
+        if (!tags.every(tag => song.tags?.includes(tag))) continue;
+
+        const score = query ? scoreSong(song, query) : 0;
+        if (score === null) continue;
+        matches.push({ song, score });
+    }
+
+    // Stable sort keeps the given order for equal scores
+    return matches.sort((a, b) => b.score - a.score).map(match => match.song);
+}
+
+/**
+ * List every tag used in the library
+ * @param {Array} songs - Manifest songs
+ * @returns {string[]} Tags, sorted
+ */
+export function getAllTags(songs) {
+    const tags = new Set();
+    for (const song of songs) {
+        for (const tag of song.tags || []) {
+            tags.add(tag);
+        }
+    }
+    return [...tags].sort((a, b) => a.localeCompare(b));
+}
+
+// ============================================================================
+// Favourites and recently opened songs
+// ============================================================================
+
+/**
+ * Get the favourite songs
+ * @returns {string[]} Song names
+ */
+export function getFavouriteSongs() {
+    return Storage.getPreference('favouriteSongs') || [];
+}
+
+/**
+ * Add or remove a favourite song
+ * @param {string} songName - Song name
+ * @returns {boolean} Whether the song is now a favourite
+ */
+export function toggleFavouriteSong(songName) {
+    const favourites = getFavouriteSongs();
+    const isFavourite = favourites.includes(songName);
+    Storage.setPreference('favouriteSongs', isFavourite
+        ? favourites.filter(name => name !== songName)
+        : [...favourites, songName]);
+    return !isFavourite;
+}
+
+/**
+ * Get the recently opened songs
+ * @returns {string[]} Song names, newest first
+ */
+export function getRecentSongs() {
+    return Storage.getPreference('recentSongs') || [];
+}
+
+/**
+ * Note that a song was opened
+ * @param {string} songName - Song name
+ */
+export function recordRecentSong(songName) {
+    const recent = getRecentSongs().filter(name => name !== songName);
+    Storage.setPreference('recentSongs', [songName, ...recent].slice(0, MAX_RECENT_SONGS));
+}
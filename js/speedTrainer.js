@@ -0,0 +1,101 @@
+/**
+ * Speed Trainer
+ * Progressive practice mode for loops: playback starts at a reduced speed and
+ * steps up after every N completed loop passes until the target speed is reached
+ * (e.g. 70% -> 100% in 5% steps, two passes per step).
+ *
+ * Loop passes are announced by the audio engine (LOOP_PASS_COMPLETED) just before
+ * it jumps back to the loop start, so a speed change applies to the next pass.
+ */
+
+import * as State from './state.js';
+import { getTransport } from './transport.js';
+
+/**
+ * Get the number of stages from start to target speed (inclusive)
+ * @param {Object} trainer - Speed trainer settings
+ * @returns {number}
+ */
+export function getStageCount(trainer) {
+    const range = trainer.targetSpeed - trainer.startSpeed;
+    if (range <= 0 || trainer.step <= 0) return 1;
+    // Epsilon absorbs float error: (1.0 - 0.7) / 0.05 is 6.000000000000001
+    return Math.ceil(range / trainer.step - 1e-6) + 1;
+}
+
+/**
+ * Get the playback speed for a stage (the last stage is always the target)
+ * @param {Object} trainer - Speed trainer settings
+ * @param {number} stage - Stage index (0 = start speed)
+ * @returns {number}
+ */
+export function getStageSpeed(trainer, stage) {
+    const speed = Math.min(trainer.targetSpeed, trainer.startSpeed + stage * trainer.step);
+    return Math.round(speed * 100) / 100;
+}
+
+class SpeedTrainer {
+    constructor() {
+        this.transport = null;
+    }
+
+    init() {
+        this.transport = getTransport();
+
+        State.subscribe(State.Events.LOOP_PASS_COMPLETED, () => {
+            this.handleLoopPass();
+        });
+    }
+
+    /**
+     * Start a new trainer run for the active song
+     * @param {Object} settings - { startSpeed, targetSpeed, step, passesPerStep }
+     */
+    start(settings) {
+        const song = State.getActiveSong();
+        if (!song) return;
+
+        State.updateSpeedTrainer({ ...settings, enabled: true, stage: 0, passes: 0 });
+        this.transport.setSpeed(getStageSpeed(song.speedTrainer, 0));
+    }
+
+    /**
+     * Stop the trainer (playback keeps its current speed)
+     */
+    stop() {
+        State.updateSpeedTrainer({ enabled: false, stage: 0, passes: 0 });
+    }
+
+    /**
+     * Count a completed loop pass and advance to the next stage when due
+     */
+    handleLoopPass() {
+        const song = State.getActiveSong();
+        const trainer = song?.speedTrainer;
+        if (!trainer?.enabled || !song.transport.loopEnabled) return;
+
+        let { stage, passes } = trainer;
+        passes++;
+
+        const lastStage = getStageCount(trainer) - 1;
+        if (passes >= trainer.passesPerStep && stage < lastStage) {
+            stage++;
+            passes = 0;
+            this.transport.setSpeed(getStageSpeed(trainer, stage));
+        }
+
+        State.updateSpeedTrainer({ stage, passes });
+    }
+}
+
+// Singleton instance
+let speedTrainerInstance = null;
+
+export function getSpeedTrainer() {
+    if (!speedTrainerInstance) {
+        speedTrainerInstance = new SpeedTrainer();
+    }
+    return speedTrainerInstance;
+}
+
+export default SpeedTrainer;
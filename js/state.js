@@ -30,10 +30,17 @@ export function createDefaultSong(songName) {
         // Phase 4: Waveform-based mute sections (per-track time-based muting)
         // Structure: { trackId: [{ start, end, muted }, ...] }
         muteSections: {},
+        // Per-track volume envelopes (saved with mute sets)
+        // Structure: { trackId: [{ time, gain }, ...] } sorted by time, gain 0-1
+        volumeEnvelopes: {},
         muteSetModified: false,      // True if user has made unsaved changes to mute sections
         currentMuteSetId: null,      // null = "None" (no mute set loaded)
         currentMuteSetName: null,    // Display name (null = "None")
         currentMuteSetProtected: false,  // Whether current mute set is protected
+        // Saved mixer snapshots (per-track volume/pan/solo/mute/pitch-exempt)
+        currentMixName: null,        // null = no mix loaded
+        currentMixProtected: false,  // Whether current mix is protected
+        mixModified: false,          // True if mixer changed since the mix was loaded/saved
         transport: {
             position: 0,
             lastPlayPosition: 0,
@@ -44,6 +51,15 @@ export function createDefaultSong(songName) {
             loopStart: null,  // seconds (null = no loop set)
             loopEnd: null     // seconds
         },
+        // Virtual click track synthesized from the metadata tempo map
+        metronome: {
+            enabled: false,
+            volume: 80,   // 0-100
+            pan: 0,       // -100 to 100
+            mute: false
+        },
+        // Progressive speed trainer for loops (stage/passes track the current run)
+        speedTrainer: createDefaultSpeedTrainer(),
         timeline: {
             mode: 'beats', // 'time' or 'beats'
             zoom: null, // null = auto-fit to window, otherwise zoom multiplier
@@ -55,9 +71,27 @@ export function createDefaultSong(songName) {
     };
 }
 
+/**
+ * Create default speed trainer settings (70% -> 100% in 5% steps, 2 passes each)
+ * @returns {Object}
+ */
+export function createDefaultSpeedTrainer() {
+    return {
+        enabled: false,
+        startSpeed: 0.7,
+        targetSpeed: 1.0,
+        step: 0.05,
+        passesPerStep: 2,
+        stage: 0,   // Current stage (0 = start speed)
+        passes: 0   // Loop passes completed in the current stage
+    };
+}
+
 // Keywords that indicate a track should be exempt from pitch shifting (case-insensitive contains)
 const PITCH_EXEMPT_KEYWORDS = ['click', 'drum', 'perc', 'guide', 'loop', 'tambourine', 'shaker', 'cymbal', 'clap'];
 const MUTE_INVERT_EXEMPT_KEYWORDS = ['click', 'guide', 'reference'];
+// Monitor cue keywords match whole words only ("Count In" yes, "Country Guitar" no)
+const MONITOR_CUE_KEYWORDS = ['click', 'guide', 'reference', 'cue', 'count'];
 
 /**
  * Check if a track name matches pitch-exempt keywords
@@ -89,6 +123,32 @@ export function isTrackPitchExempt(trackId) {
     return isPitchExemptByName(track.name);
 }
 
+/**
+ * Check if a track name marks it as a monitor cue (click/guide) track
+ * Used by split monitor mode to send cues to their own channel
+ * @param {string} trackName - Track name to check
+ * @returns {boolean} True if a word of the track name is a cue keyword (or its plural)
+ */
+export function isMonitorCueByName(trackName) {
+    if (!trackName) return false;
+    // Split camelCase and separators into words: "ClickTrack_v2" -> click, track, v2
+    const words = trackName
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/);
+    return words.some(word => MONITOR_CUE_KEYWORDS.some(kw => word === kw || word === `${kw}s`));
+}
+
+/**
+ * Check if a track is a monitor cue (click/guide) track
+ * @param {string} trackId - Track ID
+ * @returns {boolean}
+ */
+export function isTrackMonitorCue(trackId) {
+    const track = getTrack(trackId);
+    return track ? isMonitorCueByName(track.name) : false;
+}
+
 // Create default track
 // filePath is the path to the static audio file
 // peaks can be null initially - they'll be loaded from IndexedDB cache or extracted
@@ -103,10 +163,30 @@ export function createDefaultTrack(name, filePath, duration, peaks = null) {
         pan: 0,
         solo: false,
         mute: false,
-        pitchExempt: null // null = auto-detect by name, true = manually exempt, false = manually include
+        pitchExempt: null, // null = auto-detect by name, true = manually exempt, false = manually include
+        eq: createDefaultEq()
     };
 }
 
+/**
+ * Create a flat (bypassed) track EQ
+ * highpass is the cutoff in Hz (0 = off); low/mid/high are band gains in dB
+ * @returns {Object} EQ settings
+ */
+export function createDefaultEq() {
+    return { highpass: 0, low: 0, mid: 0, high: 0 };
+}
+
+/**
+ * Check if EQ settings are flat (no filtering applied)
+ * @param {Object} eq - EQ settings
+ * @returns {boolean}
+ */
+export function isEqFlat(eq) {
+    if (!eq) return true;
+    return !eq.highpass && !eq.low && !eq.mid && !eq.high;
+}
+
 // Initial state
 const initialState = {
     songs: [],
@@ -193,6 +273,7 @@ export const Events = {
     
     // Mute set events (Phase 4)
     MUTE_SECTIONS_CHANGED: 'muteSectionsChanged',
+    VOLUME_ENVELOPE_CHANGED: 'volumeEnvelopeChanged',
     
     // Set list events
     SET_LIST_CHANGED: 'setListChanged',
@@ -202,10 +283,15 @@ export const Events = {
     PLAYBACK_STATE_CHANGED: 'playbackStateChanged',
     POSITION_CHANGED: 'positionChanged',
     LOOP_UPDATED: 'loopUpdated',
+    LOOP_BOOKMARKS_CHANGED: 'loopBookmarksChanged',
+    METRONOME_UPDATED: 'metronomeUpdated',
+    LOOP_PASS_COMPLETED: 'loopPassCompleted',
+    SPEED_TRAINER_UPDATED: 'speedTrainerUpdated',
     
     // Timeline events
     TIMELINE_UPDATED: 'timelineUpdated',
     ZOOM_CHANGED: 'zoomChanged',
+    TAP_TEMPO_UPDATED: 'tapTempoUpdated',
     
     // UI events
     LOADING_STATE_CHANGED: 'loadingStateChanged',
@@ -1459,6 +1545,113 @@ export function getMuteSectionAtTime(trackId, time) {
     return null;
 }
 
+// ============================================================================
+// Volume Envelopes (per-track gain automation)
+// ============================================================================
+
+/**
+ * Get the volume envelope for a track
+ * @param {string} trackId - Track ID
+ * @returns {Array} Array of { time, gain } breakpoints sorted by time (empty = no envelope)
+ */
+export function getVolumeEnvelope(trackId) {
+    const song = getActiveSong();
+    if (!song || !song.volumeEnvelopes) return [];
+    return song.volumeEnvelopes[trackId] || [];
+}
+
+/**
+ * Set the volume envelope for a track
+ * @param {string} trackId - Track ID
+ * @param {Array} points - Array of { time, gain } breakpoints
+ * @param {boolean} markModified - Whether to mark mute set as modified (default true)
+ */
+export function setVolumeEnvelope(trackId, points, markModified = true) {
+    const song = getActiveSong();
+    if (!song) return false;
+    
+    if (!song.volumeEnvelopes) {
+        song.volumeEnvelopes = {};
+    }
+    
+    const sorted = [...points].sort((a, b) => a.time - b.time);
+    if (sorted.length > 0) {
+        song.volumeEnvelopes[trackId] = sorted;
+    } else {
+        delete song.volumeEnvelopes[trackId];
+    }
+    
+    if (markModified && !song.muteSetModified) {
+        setMuteSetModified(true);
+    }
+    
+    emit(Events.VOLUME_ENVELOPE_CHANGED, {
+        song,
+        trackId,
+        points: sorted
+    });
+    
+    return true;
+}
+
+/**
+ * Add a breakpoint to a track's volume envelope
+ * @param {string} trackId - Track ID
+ * @param {number} time - Time in seconds (source time)
+ * @param {number} gain - Gain (0-1, relative to the track volume)
+ * @returns {number} Index of the new point, or -1 on failure
+ */
+export function addEnvelopePoint(trackId, time, gain) {
+    const points = getVolumeEnvelope(trackId);
+    if (points.some(p => Math.abs(p.time - time) < 0.001)) return -1;
+    
+    const point = { time, gain: Math.max(0, Math.min(1, gain)) };
+    if (!setVolumeEnvelope(trackId, [...points, point], true)) return -1;
+    
+    return getVolumeEnvelope(trackId).indexOf(point);
+}
+
+/**
+ * Move a breakpoint in a track's volume envelope
+ * The time is clamped between the neighbouring breakpoints so the order never changes
+ * @param {string} trackId - Track ID
+ * @param {number} index - Index of the point to move
+ * @param {number} time - New time in seconds
+ * @param {number} gain - New gain (0-1)
+ * @returns {boolean} Success
+ */
+export function moveEnvelopePoint(trackId, index, time, gain) {
+    const points = getVolumeEnvelope(trackId);
+    if (index < 0 || index >= points.length) return false;
+    
+    const minTime = index > 0 ? points[index - 1].time + 0.001 : 0;
+    const maxTime = index < points.length - 1 ? points[index + 1].time - 0.001 : Infinity;
+    
+    const newPoints = [...points];
+    newPoints[index] = {
+        time: Math.max(minTime, Math.min(maxTime, time)),
+        gain: Math.max(0, Math.min(1, gain))
+    };
+    
+    return setVolumeEnvelope(trackId, newPoints, true);
+}
+
+/**
+ * Remove a breakpoint from a track's volume envelope
+ * @param {string} trackId - Track ID
+ * @param {number} index - Index of the point to remove
+ * @returns {boolean} Success
+ */
+export function removeEnvelopePoint(trackId, index) {
+    const points = getVolumeEnvelope(trackId);
+    if (index < 0 || index >= points.length) return false;
+    
+    const newPoints = [...points];
+    newPoints.splice(index, 1);
+    
+    return setVolumeEnvelope(trackId, newPoints, true);
+}
+
 /**
  * Add a track to the active song
  */
@@ -1697,6 +1890,16 @@ export function loadState(savedState) {
             if (song.muteSetModified === undefined) {
                 song.muteSetModified = false;
             }
+            if (!song.volumeEnvelopes) {
+                song.volumeEnvelopes = {};
+            }
+            
+            // Saved mixes
+            if (song.currentMixName === undefined) {
+                song.currentMixName = null;
+                song.currentMixProtected = false;
+                song.mixModified = false;
+            }
             if (song.currentMuteSetId === undefined) {
                 song.currentMuteSetId = null;
             }
@@ -1704,6 +1907,23 @@ export function loadState(savedState) {
                 song.currentMuteSetName = null;
             }
             
+            // Virtual click track settings
+            if (!song.metronome) {
+                song.metronome = { enabled: false, volume: 80, pan: 0, mute: false };
+            }
+            
+            // Speed trainer settings
+            if (!song.speedTrainer) {
+                song.speedTrainer = createDefaultSpeedTrainer();
+            }
+            
+            // Per-track EQ
+            (song.tracks || []).forEach(track => {
+                if (!track.eq) {
+                    track.eq = createDefaultEq();
+                }
+            });
+            
             // Remove legacy properties if present (migration cleanup)
             delete song.arrangement;
             delete song.virtualSections;
@@ -1869,6 +2089,32 @@ export function toggleLoop() {
     return updateLoop({ enabled: !song.transport.loopEnabled });
 }
 
+/**
+ * Update virtual click track settings for the active song
+ * @param {Object} updates - { enabled?, volume?, pan?, mute? }
+ */
+export function updateMetronome(updates) {
+    const song = getActiveSong();
+    if (!song) return false;
+    
+    Object.assign(song.metronome, updates);
+    emit(Events.METRONOME_UPDATED, { song, metronome: song.metronome, updates });
+    return true;
+}
+
+/**
+ * Update speed trainer settings/progress for the active song
+ * @param {Object} updates - { enabled?, startSpeed?, targetSpeed?, step?, passesPerStep?, stage?, passes? }
+ */
+export function updateSpeedTrainer(updates) {
+    const song = getActiveSong();
+    if (!song) return false;
+    
+    Object.assign(song.speedTrainer, updates);
+    emit(Events.SPEED_TRAINER_UPDATED, { song, speedTrainer: song.speedTrainer, updates });
+    return true;
+}
+
 /**
  * Get track filename from track's filePath
  * @param {Object} track - Track object
@@ -6,6 +6,7 @@
 
 const STATE_KEY = 'worshipPracticeApp_state';
 const PREFS_KEY = 'worshipPracticeApp_prefs';
+const LOOP_BOOKMARKS_KEY = 'worshipPracticeApp_loopBookmarks';
 
 /**
  * Default preferences
@@ -13,7 +14,18 @@ const PREFS_KEY = 'worshipPracticeApp_prefs';
 const DEFAULT_PREFS = {
     pauseOnBlur: false,  // Pause playback when tab loses focus
     enhancedWaveformVisibility: true,  // Scale quiet tracks so waveforms are always visible
-    cachePCMToDisk: false  // Cache decoded audio (PCM) to disk to reduce memory usage
+    cachePCMToDisk: false,  // Cache decoded audio (PCM) to disk to reduce memory usage
+    countInBars: 0,  // Count-in length in bars when pressing play (0 = off, 1 or 2)
+    countInOnLoop: false,  // Also count in each time a loop jumps back to its start
+    masterLimiter: true,  // Limit the master output so soloed/stacked stems don't clip
+    normalizeLoudness: false,  // Measure stem loudness and play every song at a consistent level
+    monitorMode: 'stereo',  // 'stereo', or split monitor: 'cues-left' / 'cues-right' (band mono on the other side)
+    memoryBudgetMB: 0,  // Decoded audio kept in memory for open songs (0 = auto for the device)
+    chordChartNumbers: false,  // Show chord charts as Nashville numbers instead of chord names
+    capoShape: '',  // Chord shapes the player prefers with a capo ('G', 'C', 'D', 'A', 'E', or '' for any)
+    songPickerSort: 'name',  // Song picker order: 'name', 'key', 'bpm', 'duration' or 'modified'
+    favouriteSongs: [],  // Songs starred in the song picker
+    recentSongs: []  // Recently opened songs, newest first (song picker)
 };
 
 /**
@@ -185,3 +197,41 @@ export function setPreference(key, value) {
     prefs[key] = value;
     savePreferences(prefs);
 }
+
+/**
+ * Load a song's saved loop bookmarks from LocalStorage
+ * Bookmarks are kept by song name (not song ID) so they outlive closing the song
+ * @param {string} songName - Song name (manifest folder)
+ * @returns {Array} Bookmarks: {name, start, end}
+ */
+export function loadLoopBookmarks(songName) {
+    try {
+        const bookmarksJson = localStorage.getItem(LOOP_BOOKMARKS_KEY);
+        if (bookmarksJson) {
+            const all = JSON.parse(bookmarksJson);
+            return Array.isArray(all[songName]) ? all[songName] : [];
+        }
+    } catch (error) {
+        console.error('Failed to load loop bookmarks:', error);
+    }
+    return [];
+}
+
+/**
+ * Save a song's loop bookmarks to LocalStorage
+ * @param {string} songName - Song name (manifest folder)
+ * @param {Array} bookmarks - Bookmarks: {name, start, end} (empty removes the song's entry)
+ */
+export function saveLoopBookmarks(songName, bookmarks) {
+    try {
+        const all = JSON.parse(localStorage.getItem(LOOP_BOOKMARKS_KEY) || '{}');
+        if (bookmarks.length > 0) {
+            all[songName] = bookmarks;
+        } else {
+            delete all[songName];
+        }
+        localStorage.setItem(LOOP_BOOKMARKS_KEY, JSON.stringify(all));
+    } catch (error) {
+        console.error('Failed to save loop bookmarks:', error);
+    }
+}
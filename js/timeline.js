@@ -6,6 +6,10 @@
 import * as State from './state.js';
 import { getBeatPositionsInRange, findNearestBeat, findNearestBeatInfo, getTempoAtTime, getTimeSigAtTime } from './metadata.js';
 import { Knob } from './ui/knob.js';
+import { getMetadataEditor } from './ui/metadataEditor.js';
+import { getTapTempo } from './ui/tapTempo.js';
+import { getMarkerSections, loopSection } from './markerNavigation.js';
+import { getPlayedLyrics, getLyricIndexAt } from './lyrics.js';
 
 const BASE_PIXELS_PER_SECOND = 100;
 
@@ -19,10 +23,15 @@ const MARKER_COLOR = 'rgba(255, 255, 0, 0.1)';
 //const MARKER_OUTLINE_COLOR = 'rgba(255, 255, 255, 0.4)';
 const MARKER_TEXT_COLOR = 'rgba(255, 255, 255, 0.4)';
 const MARKER_LINE_COLOR = 'rgba(255, 255, 0, 0.4)'; // Matches waveform SECTION_DIVIDER_COLOR
+const TAP_COLOR = 'rgba(255, 140, 0, 0.8)';
+const TEMPO_CHANGE_COLOR = '#ff8c00';
 
 // Minimum pixels of movement to distinguish drag from click
 const DRAG_THRESHOLD = 5;
 
+// Pixels either side of a marker that grab it while editing metadata
+const MARKER_HIT_THRESHOLD = 6;
+
 class Timeline {
     constructor() {
         // Support both new dual canvas and legacy single canvas
@@ -50,6 +59,11 @@ class Timeline {
         // Section indicator bar (DOM-based, above the canvases)
         this.sectionIndicatorBar = document.getElementById('section-indicator-bar');
         
+        // Lyrics lane (DOM-based, below the arrangement bar)
+        this.lyricsLane = document.getElementById('lyrics-lane');
+        this.lyricLines = [];
+        this.currentLyricIndex = -1;
+        
         this.scrollOffset = 0;
         this.resizeObserver = null;
         
@@ -63,6 +77,10 @@ class Timeline {
         this.mouseDownX = 0;
         this.mouseDownY = 0;
         
+        // Drag state for moving a marker while editing metadata
+        this.isMarkerDragging = false;
+        this.dragMarkerIndex = null;
+        
         // Beat time tooltip for Ctrl+hover
         this.beatTimeTooltip = document.getElementById('beat-time-tooltip');
         this.lastBeatInfo = null; // Cache for Ctrl+click
@@ -137,6 +155,20 @@ class Timeline {
             this.render();
         });
 
+        // Re-render when markers, tempos or time signatures change
+        State.subscribe(State.Events.SONG_METADATA_UPDATED, ({ song }) => {
+            if (song.id === State.state.activeSongId) {
+                this.render();
+            }
+        });
+
+        // Re-render while a tempo map is being tapped (its grid is previewed)
+        State.subscribe(State.Events.TAP_TEMPO_UPDATED, ({ songId }) => {
+            if (songId === State.state.activeSongId) {
+                this.render();
+            }
+        });
+
         State.subscribe(State.Events.STATE_LOADED, () => {
             // Delay zoom control update to ensure DOM layout is complete
             requestAnimationFrame(() => this.updateZoomControls());
@@ -160,6 +192,16 @@ class Timeline {
             requestAnimationFrame(() => this.updateZoomControls());
             this.render();
         });
+        
+        // Disabling a section skips its lyric lines
+        State.subscribe(State.Events.ARRANGEMENT_SECTIONS_CHANGED, () => {
+            this.renderLyricsLane();
+        });
+        
+        // Highlight the lyric line at the play head
+        State.subscribe(State.Events.POSITION_CHANGED, (position) => {
+            this.updateCurrentLyric(position);
+        });
     }
 
     attachUIListeners() {
@@ -181,10 +223,13 @@ class Timeline {
             this.timeCanvas.addEventListener('mousemove', (e) => this.handleMouseMoveHover(e));
             this.beatsCanvas.addEventListener('mouseleave', () => this.hideBeatTimeTooltip());
             this.timeCanvas.addEventListener('mouseleave', () => this.hideBeatTimeTooltip());
+            this.beatsCanvas.addEventListener('dblclick', (e) => this.handleDoubleClick(e));
+            this.timeCanvas.addEventListener('dblclick', (e) => this.handleDoubleClick(e));
         } else if (this.legacyCanvas) {
             this.legacyCanvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
             this.legacyCanvas.addEventListener('mousemove', (e) => this.handleMouseMoveHover(e));
             this.legacyCanvas.addEventListener('mouseleave', () => this.hideBeatTimeTooltip());
+            this.legacyCanvas.addEventListener('dblclick', (e) => this.handleDoubleClick(e));
         }
 
         // Global mouse events for drag handling
@@ -205,6 +250,21 @@ class Timeline {
                 }
             });
         }
+        
+        // Click a lyric line to jump playback to it
+        if (this.lyricsLane) {
+            this.lyricsLane.addEventListener('click', (e) => {
+                const lineEl = e.target.closest('.lyric-line');
+                if (!lineEl) return;
+                const startTime = parseFloat(lineEl.dataset.startTime);
+                if (isNaN(startTime)) return;
+                if (window.audioEngine) {
+                    window.audioEngine.seek(startTime);
+                } else {
+                    State.setPosition(startTime);
+                }
+            });
+        }
 
         // Hide tooltip when Ctrl is released
         document.addEventListener('keyup', (e) => {
@@ -365,6 +425,38 @@ class Timeline {
         return null;
     }
 
+    /**
+     * Check if mouse is on a marker while the active song's metadata is being edited
+     * Returns the marker's index in metadata.markers, or null
+     */
+    getMarkerAtPosition(clientX, canvasRect) {
+        if (!getMetadataEditor().isEditing()) return null;
+        return this.findMarkerAtPosition(clientX, canvasRect);
+    }
+
+    /**
+     * Find the marker drawn under the mouse (its line on the timeline canvases)
+     * Returns the marker's index in metadata.markers, or null
+     */
+    findMarkerAtPosition(clientX, canvasRect) {
+        const markers = State.getActiveSong()?.metadata?.markers;
+        if (!markers || markers.length === 0) return null;
+        
+        const mouseX = clientX - canvasRect.left;
+        let closest = null;
+        let closestDistance = MARKER_HIT_THRESHOLD;
+        
+        markers.forEach((marker, index) => {
+            const distance = Math.abs(mouseX - this.timeToPixel(marker.start));
+            if (distance <= closestDistance) {
+                closest = index;
+                closestDistance = distance;
+            }
+        });
+        
+        return closest;
+    }
+
     /**
      * Update cursor based on hover position and show beat time tooltip if Ctrl is held
      */
@@ -374,6 +466,10 @@ class Timeline {
         
         if (handle) {
             e.target.style.cursor = 'ew-resize';
+        } else if (this.getMarkerAtPosition(e.clientX, rect) !== null) {
+            e.target.style.cursor = 'grab';
+        } else if (this.findMarkerAtPosition(e.clientX, rect) !== null) {
+            e.target.style.cursor = 'pointer'; // Double-click loops the marker's section
         } else {
             e.target.style.cursor = 'default';
         }
@@ -398,6 +494,14 @@ class Timeline {
         const song = State.getActiveSong();
         if (!song) return;
         
+        // While tapping a tempo map, a click is a tap
+        const tapTempo = getTapTempo();
+        if (tapTempo.isActive()) {
+            tapTempo.tap();
+            e.preventDefault();
+            return;
+        }
+        
         const rect = e.target.getBoundingClientRect();
         this.mouseDownX = e.clientX;
         this.mouseDownY = e.clientY;
@@ -414,6 +518,15 @@ class Timeline {
             return;
         }
         
+        // Grab a marker while editing metadata
+        const markerIndex = this.getMarkerAtPosition(e.clientX, rect);
+        if (markerIndex !== null) {
+            this.isMarkerDragging = true;
+            this.dragMarkerIndex = markerIndex;
+            e.preventDefault();
+            return;
+        }
+        
         // Prepare for potential drag (loop selection) or click (seek)
         const clickX = e.clientX - rect.left + this.scrollOffset;
         this.dragStartTime = this.pixelToTime(clickX);
@@ -429,6 +542,13 @@ class Timeline {
         const currentX = e.clientX - rect.left + this.scrollOffset;
         const currentTime = this.pixelToTime(currentX);
         
+        if (this.isMarkerDragging) {
+            // Moving a marker - snapped when released
+            getMetadataEditor().moveMarker(this.dragMarkerIndex, currentTime);
+            this.render();
+            return;
+        }
+        
         if (this.isHandleDragging) {
             // Dragging a loop handle
             const song = State.getActiveSong();
@@ -478,6 +598,21 @@ class Timeline {
             return;
         }
         
+        if (this.isMarkerDragging) {
+            const distance = Math.abs(e.clientX - this.mouseDownX);
+            if (distance > DRAG_THRESHOLD) {
+                // Snap the marker to the nearest beat (Alt keeps the exact position)
+                const rect = this.activeCanvas.getBoundingClientRect();
+                const time = this.pixelToTime(e.clientX - rect.left + this.scrollOffset);
+                const editor = getMetadataEditor();
+                editor.moveMarker(this.dragMarkerIndex, e.altKey ? time : this.snapToBeat(time));
+                editor.finishMarkerMove();
+            }
+            
+            this.resetDragState();
+            return;
+        }
+        
         if (this.isHandleDragging) {
             // Snap the dragged handle to beat
             const { loopStart, loopEnd } = song.transport;
@@ -538,9 +673,38 @@ class Timeline {
         this.resetDragState();
     }
 
+    /**
+     * Double-click on a marker: loop its section (from the marker to the next one).
+     * While editing metadata: edit the marker under the mouse, or add a marker at the nearest beat
+     */
+    handleDoubleClick(e) {
+        const editor = getMetadataEditor();
+        const rect = e.target.getBoundingClientRect();
+        
+        if (!editor.isEditing()) {
+            const song = State.getActiveSong();
+            const markerIndex = this.findMarkerAtPosition(e.clientX, rect);
+            if (markerIndex === null) return;
+            const start = song.metadata.markers[markerIndex].start;
+            loopSection(getMarkerSections(song).find(section => section.start === start));
+            return;
+        }
+        
+        const markerIndex = this.getMarkerAtPosition(e.clientX, rect);
+        
+        if (markerIndex !== null) {
+            editor.editMarker(markerIndex);
+        } else {
+            const time = this.pixelToTime(e.clientX - rect.left + this.scrollOffset);
+            editor.addMarker(e.altKey ? time : this.snapToBeat(time));
+        }
+    }
+
     resetDragState() {
         this.isDragging = false;
         this.isHandleDragging = false;
+        this.isMarkerDragging = false;
+        this.dragMarkerIndex = null;
         this.dragHandle = null;
         this.activeCanvas = null;
     }
@@ -693,6 +857,7 @@ class Timeline {
         
         // Always render section indicators (DOM-based, above the canvases)
         this.renderSectionIndicators();
+        this.renderLyricsLane();
     }
 
     /**
@@ -757,6 +922,69 @@ class Timeline {
         }
     }
 
+    /**
+     * Render the lyrics lane (one block per lyric line, from its start until the next
+     * line or a skipped arrangement section). Lines in disabled sections are dimmed.
+     * The lane is hidden when the song has no lyrics.
+     */
+    renderLyricsLane() {
+        if (!this.lyricsLane) return;
+        
+        this.lyricsLane.innerHTML = '';
+        this.currentLyricIndex = -1;
+        
+        const song = State.getActiveSong();
+        this.lyricLines = song ? getPlayedLyrics(song) : [];
+        
+        // Showing or hiding the lane resizes the canvases (see the resize observer)
+        this.lyricsLane.classList.toggle('hidden', this.lyricLines.length === 0);
+        if (this.lyricLines.length === 0) return;
+        
+        const laneWidth = this.lyricsLane.offsetWidth;
+        if (laneWidth <= 0) return;
+        
+        for (const line of this.lyricLines) {
+            // Empty lines only end the previous line
+            if (!line.text) continue;
+            
+            const startX = this.timeToPixel(line.start);
+            const endX = this.timeToPixel(line.end);
+            const width = endX - startX;
+            
+            // Skip if entirely off-screen or too narrow to see
+            if (endX < 0 || startX > laneWidth || width < 1) continue;
+            
+            const el = document.createElement('div');
+            el.className = line.skipped ? 'lyric-line skipped' : 'lyric-line';
+            el.style.left = `${startX}px`;
+            el.style.width = `${width}px`;
+            el.dataset.index = line.index;
+            el.dataset.startTime = line.start;
+            el.textContent = line.text;
+            el.title = line.skipped ? `${line.text} (in a skipped section)` : line.text;
+            
+            this.lyricsLane.appendChild(el);
+        }
+        
+        this.updateCurrentLyric(song.transport.position);
+    }
+
+    /**
+     * Highlight the lyric line showing at a position
+     * @param {number} position - Position in seconds
+     */
+    updateCurrentLyric(position) {
+        if (!this.lyricsLane || this.lyricLines.length === 0) return;
+        
+        const index = getLyricIndexAt(this.lyricLines, position);
+        if (index === this.currentLyricIndex) return;
+        this.currentLyricIndex = index;
+        
+        for (const el of this.lyricsLane.children) {
+            el.classList.toggle('current', parseInt(el.dataset.index, 10) === index);
+        }
+    }
+
     /**
      * Render vertical marker lines on a timeline canvas
      * Draws yellow vertical lines at each marker position (matching waveform marker lines)
@@ -917,8 +1145,11 @@ class Timeline {
         
         const zoom = this.getEffectiveZoom();
         const offset = song.timeline?.offset || 0;
-        const tempos = song.metadata?.tempos;
-        const timeSigs = song.metadata?.['time-sigs'];
+        // A tempo map being tapped replaces the song's grid
+        const preview = getTapTempo().getPreview(song.id);
+        const tempos = (preview || song.metadata)?.tempos;
+        const timeSigs = (preview || song.metadata)?.['time-sigs'];
+        const allBeatPositions = preview ? preview.beatPositions : song.beatPositions;
         
         const pixelsPerSecond = BASE_PIXELS_PER_SECOND * zoom;
         
@@ -928,9 +1159,9 @@ class Timeline {
         
         // Get beat positions - use pre-calculated if available, otherwise calculate in range
         let beatPositions;
-        if (song.beatPositions && song.beatPositions.length > 0) {
+        if (allBeatPositions && allBeatPositions.length > 0) {
             // Filter pre-calculated beats to visible range
-            beatPositions = song.beatPositions.filter(b => b.time >= startTime && b.time <= endTime);
+            beatPositions = allBeatPositions.filter(b => b.time >= startTime && b.time <= endTime);
         } else {
             beatPositions = getBeatPositionsInRange(startTime, endTime, tempos, timeSigs);
         }
@@ -985,6 +1216,9 @@ class Timeline {
             }
         }
         
+        // Render taps and tempo changes of a tempo map being tapped
+        this.renderTapTempo(ctx, canvas);
+        
         // Render vertical marker lines (yellow lines at section boundaries)
         this.renderMarkerLines(ctx, canvas);
         
@@ -992,6 +1226,42 @@ class Timeline {
         this.renderLoopRegion(ctx, canvas);
     }
 
+    /**
+     * Render the taps (short ticks from the top) and fitted tempo changes (full-height
+     * lines) while a tempo map is being tapped
+     */
+    renderTapTempo(ctx, canvas) {
+        const song = State.getActiveSong();
+        if (!song) return;
+        
+        const tapTempo = getTapTempo();
+        const taps = tapTempo.getTapTimes(song.id);
+        const segments = tapTempo.getPreview(song.id)?.segments || [];
+        
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = TAP_COLOR;
+        for (const time of taps) {
+            const x = this.timeToPixel(time);
+            if (x < 0 || x > canvas.width) continue;
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, canvas.height * 0.3);
+            ctx.stroke();
+        }
+        
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = TEMPO_CHANGE_COLOR;
+        for (const { start } of segments.slice(1)) {
+            const x = this.timeToPixel(start);
+            if (x < 0 || x > canvas.width) continue;
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, canvas.height);
+            ctx.stroke();
+        }
+        ctx.lineWidth = 1;
+    }
+
     /**
      * Render the time timeline (M:SS.mmm format)
      * Shows time labels (e.g., "0:00.0", "1:30.5", "3:00.0")
@@ -11,6 +11,7 @@ import { getAudioEngine } from './audioEngine.js';
 import { getModal } from './ui/modal.js';
 import * as cacheManager from './cache/cacheManager.js';
 import { getPreference } from './storage.js';
+import { measureIntegratedLoudness, hasLoudness } from './loudness.js';
 
 // Track in-flight PCM cache writes so we can await them before evicting AudioBuffers.
 // Maps trackId -> Promise that resolves when the PCM write completes.
@@ -33,6 +34,14 @@ function backgroundCachePCM(trackId, songName, trackFileName, audioBuffer) {
     pendingPCMWrites.set(trackId, writePromise);
 }
 
+// Track in-flight pre-warm loads so switching to the song waits instead of decoding twice.
+// Maps songId -> Promise that resolves when its AudioBuffers are in memory.
+const pendingPreloads = new Map();
+
+// Track in-flight background decodes so analysis can wait for complete audio.
+// Maps trackId -> Promise that resolves when the track's AudioBuffer is fully decoded.
+const pendingDecodes = new Map();
+
 /**
  * Await all pending PCM cache writes for the given track IDs.
  * Called before evicting AudioBuffers to ensure data is safely on disk.
@@ -47,6 +56,36 @@ export async function awaitPendingPCMWrites(trackIds) {
     }
 }
 
+/**
+ * Await the background decoding of the given track IDs.
+ * Called before analyzing audio that may still be partially decoded.
+ * @param {string[]} trackIds - Track IDs to wait for
+ */
+export async function awaitPendingDecodes(trackIds) {
+    const pending = trackIds
+        .map(id => pendingDecodes.get(id))
+        .filter(Boolean);
+    if (pending.length > 0) {
+        await Promise.all(pending);
+    }
+}
+
+/**
+ * Measure a track's integrated loudness into its peaks data (cached with the peaks)
+ * Only runs when loudness normalization is enabled and the track hasn't been measured yet.
+ * @param {Object} peaks - Track peaks object (receives a loudness property in LUFS)
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @returns {boolean} True if a new measurement was added (peaks should be re-cached)
+ */
+function measureLoudnessIfNeeded(peaks, audioBuffer) {
+    if (!getPreference('normalizeLoudness') || !peaks || !audioBuffer || hasLoudness(peaks)) {
+        return false;
+    }
+    peaks.loudness = measureIntegratedLoudness(audioBuffer);
+    console.log(`Measured loudness: ${peaks.loudness.toFixed(1)} LUFS`);
+    return true;
+}
+
 /**
  * Extract filename from a file path
  * @param {string} filePath 
@@ -57,6 +96,69 @@ function getFileNameFromPath(filePath) {
     return decodeURIComponent(parts[parts.length - 1]);
 }
 
+/**
+ * Decode the rest of a progressively decoded track into its AudioBuffer
+ * Peaks are extended and the waveform redrawn after every chunk; a playing track
+ * switches to a fresh source so the new audio is heard.
+ * @param {Object} track - Track object
+ * @param {AudioBuffer} audioBuffer - Track's (partially decoded) AudioBuffer
+ * @param {AsyncGenerator<{start: number, end: number}>} remaining - From decodeAudioProgressively()
+ * @param {Object|null} peaks - Peaks to fill in (null if complete peaks came from the cache)
+ */
+async function decodeRemainingAudio(track, audioBuffer, remaining, peaks) {
+    const audioEngine = getAudioEngine();
+
+    for await (const range of remaining) {
+        if (peaks) {
+            audioEngine.fillPeaks(audioBuffer, peaks, range.start, range.end);
+            State.updateTrack(track.id, { peaks });
+        }
+        // The buffer may have been evicted or the track removed meanwhile
+        if (audioEngine.getAudioBuffer(track.id) === audioBuffer) {
+            audioEngine.refreshTrackSource(track.id);
+        }
+    }
+
+    console.log(`Finished decoding: ${track.name}`);
+}
+
+/**
+ * Cache a track loaded from the manifest once its audio is fully decoded
+ * @param {Object} track - Track object
+ * @param {string} songName - Song name
+ * @param {string} trackFileName - Track filename
+ * @param {Object} loaded - { blob, audioBuffer, peaks, fromCache, cachedPeaks }
+ */
+function finishTrackFromManifest(track, songName, trackFileName, loaded) {
+    const { blob, audioBuffer, peaks, fromCache, cachedPeaks } = loaded;
+
+    // Measure loudness for normalization (if enabled and not already cached)
+    const loudnessMeasured = measureLoudnessIfNeeded(peaks, audioBuffer);
+    if (loudnessMeasured) {
+        State.updateTrack(track.id, { peaks });
+    }
+
+    // Cache audio blob and peaks if not from cache
+    if (!fromCache) {
+        // Cache in background - don't wait
+        cacheManager.cacheTrack(songName, trackFileName, blob, peaks)
+            .catch(err => console.warn('Failed to cache track:', err));
+    } else if (!cachedPeaks) {
+        // Audio was cached but peaks weren't - cache peaks
+        cacheManager.cacheTrack(songName, trackFileName, blob, peaks)
+            .catch(err => console.warn('Failed to cache peaks:', err));
+    } else if (loudnessMeasured) {
+        // Cached peaks predate loudness analysis - update them
+        cacheManager.cachePeaks(songName, trackFileName, peaks)
+            .catch(err => console.warn('Failed to cache peaks:', err));
+    }
+
+    // Cache decoded PCM to OPFS in background (if preference enabled and still loaded)
+    if (getPreference('cachePCMToDisk') && getAudioEngine().getAudioBuffer(track.id) === audioBuffer) {
+        backgroundCachePCM(track.id, songName, trackFileName, audioBuffer);
+    }
+}
+
 /**
  * Add a track from the manifest (static audio file)
  * Uses cache-first strategy: OPFS for audio blobs, IndexedDB for peaks
@@ -97,8 +199,10 @@ export async function addTrackFromManifest(songName, trackFileName) {
             console.log(`Downloaded audio from server: ${songName}/${trackFileName}`);
         }
 
-        // 3. Decode audio
-        audioBuffer = await audioEngine.decodeAudio(blob);
+        // 3. Decode audio - MP3s decode progressively: the buffer has its full length,
+        // but only the first chunk is decoded (the rest fills in below)
+        const decoded = await audioEngine.decodeAudioProgressively(blob);
+        audioBuffer = decoded.audioBuffer;
         
         // Compute duration explicitly from sample count and sample rate
         const computedDuration = audioBuffer.length / audioBuffer.sampleRate;
@@ -109,6 +213,10 @@ export async function addTrackFromManifest(songName, trackFileName) {
         if (cachedPeaks) {
             peaks = cachedPeaks;
             console.log(`Loaded peaks from cache: ${songName}/${trackFileName}`);
+        } else if (decoded.remaining) {
+            // 5. Extract peaks for the decoded part; the rest are added chunk by chunk
+            peaks = audioEngine.createEmptyPeaks(audioBuffer, 200);
+            audioEngine.fillPeaks(audioBuffer, peaks, 0, audioBuffer.length);
         } else {
             // 5. Extract peaks for waveform (200 samples per second, min 2000 total)
             peaks = audioEngine.extractPeaks(audioBuffer, 200);
@@ -121,28 +229,28 @@ export async function addTrackFromManifest(songName, trackFileName) {
         // 7. Add to state
         State.addTrack(track);
 
-        // 8. Cache audio blob and peaks if not from cache
-        if (!fromCache) {
-            // Cache in background - don't wait
-            cacheManager.cacheTrack(songName, trackFileName, blob, peaks)
-                .catch(err => console.warn('Failed to cache track:', err));
-        } else if (!cachedPeaks) {
-            // Audio was cached but peaks weren't - cache peaks
-            cacheManager.cacheTrack(songName, trackFileName, blob, peaks)
-                .catch(err => console.warn('Failed to cache peaks:', err));
-        }
-
-        // 9. Store AudioBuffer in audioEngine memory cache
+        // 8. Store AudioBuffer in audioEngine memory cache
         audioEngine.audioBuffers.set(track.id, audioBuffer);
 
-        // 10. Cache decoded PCM to OPFS in background (if preference enabled)
-        if (getPreference('cachePCMToDisk')) {
-            backgroundCachePCM(track.id, songName, trackFileName, audioBuffer);
-        }
-
-        // 11. Create audio nodes
+        // 9. Create audio nodes - the track is playable from here on
         audioEngine.createTrackNodes(track.id, audioBuffer);
 
+        // 10. Decode the rest in the background, then measure loudness and cache
+        const finishLoading = () => {
+            finishTrackFromManifest(track, songName, trackFileName, {
+                blob, audioBuffer, peaks, fromCache, cachedPeaks
+            });
+        };
+        if (decoded.remaining) {
+            const decodePromise = decodeRemainingAudio(track, audioBuffer, decoded.remaining, cachedPeaks ? null : peaks)
+                .then(finishLoading)
+                .catch(err => console.error(`Failed to decode "${trackName}":`, err))
+                .finally(() => pendingDecodes.delete(track.id));
+            pendingDecodes.set(track.id, decodePromise);
+        } else {
+            finishLoading();
+        }
+
         State.setLoading(false);
         return track;
     } catch (error) {
@@ -233,6 +341,28 @@ export function setTrackPan(trackId, pan) {
     audioEngine.setTrackPan(trackId, pan);
 }
 
+/**
+ * Update track EQ
+ * Partial updates are merged into the track's current EQ settings
+ * @param {string} trackId - Track ID
+ * @param {Object} updates - Any of { highpass (Hz, 0 = off), low, mid, high (dB) }
+ */
+export function setTrackEq(trackId, updates) {
+    const track = State.getTrack(trackId);
+    if (!track) return;
+
+    const eq = { ...(track.eq || State.createDefaultEq()), ...updates };
+    State.updateTrack(trackId, { eq });
+
+    // EQ is saved with mute sets, so flag unsaved changes (once - knob drags fire continuously)
+    if (!State.isMuteSetModified()) {
+        State.setMuteSetModified(true);
+    }
+
+    const audioEngine = getAudioEngine();
+    audioEngine.setTrackEq(trackId, eq);
+}
+
 /**
  * Toggle track solo
  * @param {string} trackId - Track ID
@@ -296,6 +426,32 @@ export function togglePitchExempt(trackId) {
     audioEngine.updateTrackPitchRouting(trackId);
 }
 
+/**
+ * Apply mixer settings to a track (used when loading a saved mix)
+ * @param {string} trackId - Track ID
+ * @param {Object} mix - { volume, pan, solo, mute, pitchExempt }
+ *   pitchExempt is the effective status; it is stored as auto (null) when it matches the name-based default
+ */
+export function setTrackMix(trackId, mix) {
+    const track = State.getTrack(trackId);
+    if (!track) return;
+
+    const pitchExempt = mix.pitchExempt === State.isPitchExemptByName(track.name) ? null : mix.pitchExempt;
+    State.updateTrack(trackId, {
+        volume: mix.volume,
+        pan: mix.pan,
+        solo: mix.solo,
+        mute: mix.mute,
+        pitchExempt
+    });
+
+    const audioEngine = getAudioEngine();
+    audioEngine.setTrackVolume(trackId, mix.volume);
+    audioEngine.setTrackPan(trackId, mix.pan);
+    audioEngine.updateTrackPitchRouting(trackId);
+    audioEngine.updateAllTracksAudibility();
+}
+
 /**
  * Load tracks for a song from their file paths
  * Used when switching back to a song that already has tracks loaded
@@ -305,6 +461,9 @@ export async function loadTracksForSong(song) {
     const audioEngine = getAudioEngine();
     await audioEngine.init();
 
+    // A pre-warm of this song may still be decoding
+    await pendingPreloads.get(song.id);
+
     for (const track of song.tracks) {
         try {
             let audioBuffer = null;
@@ -424,6 +583,13 @@ export async function loadTracksForSong(song) {
                 }
             }
 
+            // Measure loudness for normalization if this track hasn't been analysed yet
+            if (measureLoudnessIfNeeded(track.peaks, audioBuffer)) {
+                State.updateTrack(track.id, { peaks: track.peaks });
+                cacheManager.cachePeaks(song.songName, trackFileName, track.peaks)
+                    .catch(err => console.warn('Failed to cache peaks:', err));
+            }
+
             // Create audio nodes
             audioEngine.createTrackNodes(track.id, audioBuffer);
         } catch (error) {
@@ -435,6 +601,111 @@ export async function loadTracksForSong(song) {
     State.updateSongSections(song.id);
 }
 
+/**
+ * Decode a song's AudioBuffers into memory ahead of switching to it (pre-warm)
+ * No audio nodes are created; loadTracksForSong() then finds the buffers in memory.
+ * Uses the same cache order: PCM (if enabled) -> OPFS blob -> server
+ * @param {Object} song - Song object (not the active song)
+ * @returns {Promise<void>}
+ */
+export function preloadTracksForSong(song) {
+    if (!pendingPreloads.has(song.id)) {
+        const preload = preloadAudioBuffers(song)
+            .finally(() => pendingPreloads.delete(song.id));
+        pendingPreloads.set(song.id, preload);
+    }
+    return pendingPreloads.get(song.id);
+}
+
+/**
+ * Load the AudioBuffers for preloadTracksForSong()
+ * @param {Object} song - Song object
+ */
+async function preloadAudioBuffers(song) {
+    const audioEngine = getAudioEngine();
+    await audioEngine.init();
+
+    for (const track of song.tracks) {
+        // Stop if the song was closed meanwhile
+        if (!State.getSong(song.id)) return;
+        if (audioEngine.hasAudioBuffer(track.id)) continue;
+
+        try {
+            const trackFileName = getFileNameFromPath(track.filePath);
+
+            if (getPreference('cachePCMToDisk')) {
+                const pcmBlob = await cacheManager.getPCM(song.songName, trackFileName);
+                if (pcmBlob) {
+                    const audioBuffer = await audioEngine.deserializeAudioBuffer(pcmBlob);
+                    audioEngine.audioBuffers.set(track.id, audioBuffer);
+                    continue;
+                }
+            }
+
+            const cachedBlob = await cacheManager.getAudioBlob(song.songName, trackFileName);
+            if (cachedBlob) {
+                await audioEngine.loadTrackAudio(track.id, cachedBlob);
+            } else {
+                const response = await fetch(track.filePath);
+                if (!response.ok) continue;
+                const blob = await response.blob();
+                const audioBuffer = await audioEngine.loadTrackAudio(track.id, blob);
+
+                // Cache MP3 blob for future use (in background)
+                const peaks = track.peaks?.left ? track.peaks : audioEngine.extractPeaks(audioBuffer, 200);
+                cacheManager.cacheTrack(song.songName, trackFileName, blob, peaks)
+                    .catch(err => console.warn('Failed to cache track:', err));
+            }
+
+            if (getPreference('cachePCMToDisk')) {
+                backgroundCachePCM(track.id, song.songName, trackFileName, audioEngine.getAudioBuffer(track.id));
+            }
+        } catch (error) {
+            console.warn(`Failed to pre-warm track ${track.name}:`, error);
+        }
+    }
+
+    console.log(`Pre-warmed AudioBuffers for "${song.songName}"`);
+}
+
+/**
+ * Measure loudness for a song's loaded tracks that haven't been analysed yet
+ * Called when loudness normalization is switched on in Preferences.
+ * @param {Object} song - Song object
+ */
+export async function analyzeSongLoudness(song) {
+    if (!song || !getPreference('normalizeLoudness')) return;
+
+    const pending = song.tracks.filter(track => track.peaks && !hasLoudness(track.peaks));
+    if (pending.length === 0) return;
+
+    const audioEngine = getAudioEngine();
+    State.setLoading(true, 'Analyzing loudness...');
+
+    try {
+        // A track still decoding has a full-length but partly filled buffer, which would
+        // measure too quiet and be cached that way for good
+        await awaitPendingDecodes(pending.map(t => t.id));
+
+        for (const track of pending) {
+            if (hasLoudness(track.peaks)) continue; // Measured when its decode finished
+            const audioBuffer = audioEngine.getAudioBuffer(track.id) || audioEngine.getTrackBuffer(track.id);
+            if (!audioBuffer) continue;
+
+            // Yield between tracks so the loading overlay stays responsive
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            if (measureLoudnessIfNeeded(track.peaks, audioBuffer)) {
+                State.updateTrack(track.id, { peaks: track.peaks });
+                cacheManager.cachePeaks(song.songName, getFileNameFromPath(track.filePath), track.peaks)
+                    .catch(err => console.warn('Failed to cache peaks:', err));
+            }
+        }
+    } finally {
+        State.setLoading(false);
+    }
+}
+
 /**
  * Unload tracks for a song (when switching songs)
  */
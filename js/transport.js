@@ -39,7 +39,8 @@ class Transport {
         const song = State.getActiveSong();
         if (!song || song.tracks.length === 0) return;
         
-        this.audioEngine.play();
+        // 'play' trigger allows a count-in (if enabled in Preferences)
+        this.audioEngine.play(null, 'play');
     }
 
     /**
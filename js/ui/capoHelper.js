@@ -0,0 +1,196 @@
+/**
+ * Capo Helper
+ * Transport bar button and popover for guitarists: the key the song sounds in
+ * (capo.js) and the capo and shape combinations that play it. With a preferred
+ * shape saved ("I play in G shapes") the button shows the capo for the active song,
+ * and the popover lists it for every entry of the active mashup.
+ */
+
+import * as State from '../state.js';
+import * as Storage from '../storage.js';
+import { OPEN_SHAPES, MAX_CAPO, getSoundingKey, getCapoFor, getCapoOptions, formatCapo } from '../capo.js';
+import { getModal } from './modal.js';
+
+class CapoHelper {
+    constructor() {
+        this.button = document.getElementById('btn-capo');
+        this.popover = document.getElementById('capo-helper-popover');
+        this.bodyEl = document.getElementById('capo-helper-body');
+        this.isOpen = false;
+    }
+
+    init() {
+        if (!this.button || !this.popover) return;
+
+        this.button.addEventListener('click', () => this.toggle());
+
+        // The shape select is re-rendered with the popover, so listen on the body
+        this.bodyEl.addEventListener('change', (e) => {
+            if (e.target.id === 'capo-shape-select') {
+                Storage.setPreference('capoShape', e.target.value);
+                this.update();
+            }
+        });
+
+        // Close on outside click or Escape
+        document.addEventListener('mousedown', (e) => {
+            if (!this.isOpen) return;
+            if (this.popover.contains(e.target) || this.button.contains(e.target)) return;
+            this.close();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.close();
+            }
+        });
+
+        // The sounding key changes with the song, its key and the pitch
+        State.subscribe(State.Events.SONG_SWITCHED, () => this.update());
+        State.subscribe(State.Events.TRANSPORT_UPDATED, () => this.update());
+        State.subscribe(State.Events.SONG_METADATA_UPDATED, () => this.update());
+        State.subscribe(State.Events.STATE_LOADED, () => this.update());
+
+        this.update();
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Open the popover above the button
+     */
+    open() {
+        this.isOpen = true;
+        this.render();
+        this.popover.classList.remove('hidden');
+        this.button.classList.add('open');
+
+        const rect = this.button.getBoundingClientRect();
+        const left = Math.min(rect.left, window.innerWidth - this.popover.offsetWidth - 8);
+        this.popover.style.left = `${Math.max(8, left)}px`;
+        this.popover.style.bottom = `${window.innerHeight - rect.top + 8}px`;
+    }
+
+    close() {
+        this.isOpen = false;
+        this.popover.classList.add('hidden');
+        this.button.classList.remove('open');
+    }
+
+    /**
+     * Get the saved shape preference
+     * @returns {string} Key of the preferred shapes, or '' for none
+     */
+    getPreferredShape() {
+        return Storage.getPreference('capoShape') || '';
+    }
+
+    /**
+     * Update the button (and the popover if open)
+     */
+    update() {
+        const soundingKey = getSoundingKey(State.getActiveSong());
+        const shape = this.getPreferredShape();
+
+        if (soundingKey && shape) {
+            const capo = formatCapo(getCapoFor(soundingKey, shape));
+            this.button.textContent = capo;
+            this.button.title = `Sounds in ${soundingKey}: ${capo.toLowerCase()} with ${shape} shapes`;
+        } else {
+            this.button.textContent = 'Capo';
+            this.button.title = soundingKey
+                ? `Sounds in ${soundingKey}: show capo positions`
+                : 'Capo positions (needs the song\'s key)';
+        }
+
+        if (this.isOpen) {
+            this.render();
+        }
+    }
+
+    /**
+     * Render the popover contents
+     */
+    render() {
+        const escape = (text) => getModal().escapeHtml(text);
+        const song = State.getActiveSong();
+        const soundingKey = getSoundingKey(song);
+        const shape = this.getPreferredShape();
+
+        const shapeOptions = [`<option value="">Any shapes</option>`]
+            .concat(OPEN_SHAPES.map(key =>
+                `<option value="${key}" ${key === shape ? 'selected' : ''}>${key} shapes</option>`
+            )).join('');
+
+        let html = `
+            <div class="capo-helper-header">
+                <span class="capo-helper-title">Capo Helper</span>
+                <label class="capo-helper-shape">I play in
+                    <select id="capo-shape-select">${shapeOptions}</select>
+                </label>
+            </div>
+        `;
+
+        if (!soundingKey) {
+            html += `<p class="capo-helper-empty">${song ? 'This song has no key in its metadata' : 'No song open'}</p>`;
+            this.bodyEl.innerHTML = html;
+            return;
+        }
+
+        html += `<div class="capo-helper-key">Sounds in <strong>${soundingKey}</strong>${this.describeRecommendation(soundingKey, shape)}</div>`;
+
+        const rows = getCapoOptions(soundingKey).map(option => {
+            const classes = [option.open ? 'open-shape' : '', option.shape === shape ? 'recommended' : ''].filter(Boolean).join(' ');
+            return `<tr class="${classes}"><td>${formatCapo(option.capo)}</td><td>${option.shape} shapes</td></tr>`;
+        }).join('');
+        html += `<table class="capo-helper-table"><tbody>${rows}</tbody></table>`;
+
+        // Every entry of the active mashup, in play order
+        const mashup = State.getActiveMashupGroup();
+        if (mashup && shape) {
+            const entries = mashup.group.tabIds.map(id => State.getSong(id)).filter(Boolean);
+            const entryRows = entries.map(entry => {
+                const key = getSoundingKey(entry);
+                const capo = key ? `${formatCapo(getCapoFor(key, shape))} (${key})` : 'Key unknown';
+                const current = entry.id === song.id ? ' class="current"' : '';
+                return `<tr${current}><td>${escape(entry.name || entry.songName || '')}</td><td>${capo}</td></tr>`;
+            }).join('');
+            html += `
+                <div class="capo-helper-subheading">Mashup with ${shape} shapes</div>
+                <table class="capo-helper-table"><tbody>${entryRows}</tbody></table>
+            `;
+        }
+
+        this.bodyEl.innerHTML = html;
+    }
+
+    /**
+     * Describe the capo for the preferred shape
+     * @param {string} soundingKey - Key the song sounds in
+     * @param {string} shape - Preferred shape, or ''
+     * @returns {string} HTML (empty without a preference)
+     */
+    describeRecommendation(soundingKey, shape) {
+        if (!shape) return '';
+        const capo = getCapoFor(soundingKey, shape);
+        const note = capo > MAX_CAPO ? ' (high up the neck, try other shapes)' : '';
+        return `: <strong>${formatCapo(capo).toLowerCase()}</strong> with ${shape} shapes${note}`;
+    }
+}
+
+// Singleton instance
+let capoHelperInstance = null;
+
+export function getCapoHelper() {
+    if (!capoHelperInstance) {
+        capoHelperInstance = new CapoHelper();
+    }
+    return capoHelperInstance;
+}
+
+export default CapoHelper;
@@ -0,0 +1,244 @@
+/**
+ * Chord Chart Panel
+ * Shows the active song's ChordPro chart (chordChart.js) in a panel beside the
+ * waveforms, with the chords transposed live to match the pitch control, or as
+ * Nashville numbers.
+ */
+
+import * as State from '../state.js';
+import * as Storage from '../storage.js';
+import { loadChart, parseChordPro, getChordFormatter } from '../chordChart.js';
+import { getModal } from './modal.js';
+
+class ChordChartPanel {
+    constructor() {
+        this.panel = document.getElementById('chord-chart-panel');
+        this.titleEl = document.getElementById('chord-chart-title');
+        this.keyEl = document.getElementById('chord-chart-key');
+        this.bodyEl = document.getElementById('chord-chart-body');
+        this.chordsBtn = document.getElementById('chord-chart-chords');
+        this.numbersBtn = document.getElementById('chord-chart-numbers');
+        this.closeBtn = document.getElementById('chord-chart-close');
+
+        // Transport bar toggle (shown only for songs with a chart)
+        this.groupEl = document.getElementById('chart-group');
+        this.showBtn = document.getElementById('btn-chord-chart');
+
+        this.isOpen = false;
+        this.songName = null; // Song the chart was loaded for
+        this.chart = null;    // Parsed chart, null if the song has none
+        this.renderedKey = null; // Song, pitch and view the chart was last rendered for
+    }
+
+    init() {
+        if (!this.panel) return;
+
+        this.showBtn?.addEventListener('click', () => this.toggle());
+        this.closeBtn?.addEventListener('click', () => this.hide());
+        this.chordsBtn?.addEventListener('click', () => this.setNashville(false));
+        this.numbersBtn?.addEventListener('click', () => this.setNashville(true));
+
+        State.subscribe(State.Events.SONG_SWITCHED, () => this.loadForActiveSong());
+        State.subscribe(State.Events.STATE_LOADED, () => this.loadForActiveSong());
+
+        // Pitch changes transpose the chords
+        State.subscribe(State.Events.TRANSPORT_UPDATED, () => this.render());
+
+        // The key comes from metadata.json
+        State.subscribe(State.Events.SONG_METADATA_UPDATED, ({ song }) => {
+            if (song.id === State.state.activeSongId) {
+                this.render(true);
+            }
+        });
+
+        this.updateViewButtons();
+        this.loadForActiveSong();
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    show() {
+        this.isOpen = true;
+        this.panel.classList.remove('hidden');
+        this.showBtn?.classList.add('active');
+        this.render(true);
+    }
+
+    hide() {
+        this.isOpen = false;
+        this.panel.classList.add('hidden');
+        this.showBtn?.classList.remove('active');
+    }
+
+    /**
+     * Load and parse the active song's chart
+     */
+    async loadForActiveSong() {
+        const songName = State.getActiveSong()?.songName || null;
+        if (songName === this.songName) return;
+
+        this.songName = songName;
+        this.chart = null;
+        this.updateButton();
+        this.render(true);
+        if (!songName) return;
+
+        const text = await loadChart(songName);
+
+        // Another song may have been opened while loading
+        if (this.songName !== songName) return;
+
+        this.chart = text ? parseChordPro(text) : null;
+        this.updateButton();
+        this.render(true);
+    }
+
+    /**
+     * Show the transport bar toggle only for songs with a chart
+     */
+    updateButton() {
+        this.groupEl?.classList.toggle('hidden', !this.chart);
+    }
+
+    /**
+     * Switch between chord names and Nashville numbers
+     * @param {boolean} nashville - Show Nashville numbers
+     */
+    setNashville(nashville) {
+        Storage.setPreference('chordChartNumbers', nashville);
+        this.updateViewButtons();
+        this.render(true);
+    }
+
+    updateViewButtons() {
+        const nashville = !!Storage.getPreference('chordChartNumbers');
+        this.chordsBtn?.classList.toggle('active', !nashville);
+        this.numbersBtn?.classList.toggle('active', nashville);
+    }
+
+    /**
+     * Render the chart for the song's current pitch
+     * @param {boolean} [force=false] - Render even if the song and pitch haven't changed
+     */
+    render(force = false) {
+        if (!this.isOpen) return;
+
+        const song = State.getActiveSong();
+        const pitch = song?.transport.pitch ?? 0;
+        const nashville = !!Storage.getPreference('chordChartNumbers');
+
+        const renderKey = `${this.songName}|${pitch}|${nashville}`;
+        if (!force && renderKey === this.renderedKey) return;
+        this.renderedKey = renderKey;
+
+        const escape = (text) => getModal().escapeHtml(text);
+
+        if (!this.chart) {
+            this.titleEl.textContent = 'Chord Chart';
+            this.keyEl.textContent = '';
+            this.bodyEl.innerHTML = `<p class="chord-chart-empty">${song ? 'No chord chart for this song' : 'No song open'}</p>`;
+            return;
+        }
+
+        const { format, key, playedKey } = getChordFormatter(this.chart, song?.metadata, pitch, nashville);
+
+        this.titleEl.textContent = this.chart.title || this.songName;
+        this.keyEl.textContent = this.describeKey(key, playedKey, pitch, nashville);
+
+        let html = '';
+        const subtitle = [this.chart.subtitle, this.chart.artist].filter(Boolean).join(' · ');
+        if (subtitle) {
+            html += `<div class="chord-chart-subtitle">${escape(subtitle)}</div>`;
+        }
+
+        for (const line of this.chart.lines) {
+            switch (line.type) {
+                case 'section':
+                    html += `<div class="chord-chart-section chord-chart-${escape(line.kind)}">`;
+                    html += `<div class="chord-chart-label">${escape(line.label)}</div>`;
+                    break;
+                case 'section-end':
+                    html += '</div>';
+                    break;
+                case 'chorus-repeat':
+                    html += `<div class="chord-chart-comment">${escape(line.label)}</div>`;
+                    break;
+                case 'comment':
+                    html += `<div class="chord-chart-comment${line.italic ? ' italic' : ''}">${escape(line.text)}</div>`;
+                    break;
+                case 'tab':
+                    html += `<pre class="chord-chart-tab">${escape(line.text)}</pre>`;
+                    break;
+                case 'space':
+                    html += '<div class="chord-chart-space"></div>';
+                    break;
+                case 'lyrics':
+                    html += this.renderLyricsLine(line, format, escape);
+                    break;
+            }
+        }
+
+        // Sections left open at the end of the file close with the body
+        this.bodyEl.innerHTML = html;
+    }
+
+    /**
+     * Render a line of lyrics with its chords above the words
+     * @param {Object} line - {segments: [{chord, text}]}
+     * @param {Function} format - Chord formatter
+     * @param {Function} escape - HTML escaper
+     * @returns {string} HTML
+     */
+    renderLyricsLine(line, format, escape) {
+        const hasChords = line.segments.some(segment => segment.chord);
+        const hasText = line.segments.some(segment => segment.text.trim());
+
+        const segments = line.segments.map(segment => {
+            const chord = segment.chord ? escape(format(segment.chord)) : '';
+            // Keep a chord's column open when it has no words under it
+            const text = segment.text ? escape(segment.text) : (segment.chord ? '&nbsp;' : '');
+            return `<span class="chord-chart-segment">` +
+                (hasChords ? `<span class="chord-chart-chord">${chord}</span>` : '') +
+                (hasText ? `<span class="chord-chart-lyric">${text}</span>` : '') +
+                `</span>`;
+        }).join('');
+
+        return `<div class="chord-chart-line">${segments}</div>`;
+    }
+
+    /**
+     * Describe the key the chart is shown in
+     * @param {string|null} key - Written key
+     * @param {string|null} playedKey - Key with the pitch applied
+     * @param {number} pitch - Pitch shift in semitones
+     * @param {boolean} nashville - Showing Nashville numbers
+     * @returns {string}
+     */
+    describeKey(key, playedKey, pitch, nashville) {
+        if (!key) {
+            return nashville ? 'Numbers need the song\'s key' : (pitch ? `${pitch > 0 ? '+' : ''}${pitch}` : '');
+        }
+        if (nashville) {
+            return `1 = ${playedKey}`;
+        }
+        return pitch ? `Key of ${playedKey} (written in ${key})` : `Key of ${key}`;
+    }
+}
+
+// Singleton instance
+let chordChartPanelInstance = null;
+
+export function getChordChartPanel() {
+    if (!chordChartPanelInstance) {
+        chordChartPanelInstance = new ChordChartPanel();
+    }
+    return chordChartPanelInstance;
+}
+
+export default ChordChartPanel;
@@ -0,0 +1,171 @@
+/**
+ * Lyrics Follow View
+ * A full-screen, large-type view of the song's lyrics (lyrics.js) that follows the
+ * play head: the line being sung, with a bar filling over its length, between the
+ * line before and the line coming up. Readable from a music stand or across a room.
+ *
+ * The countdown to the next line is in real seconds: it leaves out skipped
+ * arrangement sections and is scaled by the playback speed.
+ */
+
+import * as State from '../state.js';
+import { getPlayedLyrics, getLyricIndexAt, getPlayedSeconds, hasLyrics } from '../lyrics.js';
+import { getSectionNameAt } from '../markerNavigation.js';
+
+class LyricsView {
+    constructor() {
+        this.overlay = document.getElementById('lyrics-follow');
+        this.songEl = document.getElementById('lyrics-follow-song');
+        this.sectionEl = document.getElementById('lyrics-follow-section');
+        this.previousEl = document.getElementById('lyrics-follow-previous');
+        this.currentEl = document.getElementById('lyrics-follow-current');
+        this.progressFill = document.getElementById('lyrics-follow-progress-fill');
+        this.nextEl = document.getElementById('lyrics-follow-next');
+        this.statusEl = document.getElementById('lyrics-follow-status');
+        this.closeBtn = document.getElementById('lyrics-follow-close');
+
+        // Transport bar toggle (shown only for songs with lyrics)
+        this.groupEl = document.getElementById('lyrics-group');
+        this.followBtn = document.getElementById('btn-lyrics-follow');
+
+        this.isOpen = false;
+        this.lines = null; // Played lyrics of the active song, null = recompute
+    }
+
+    init() {
+        if (!this.overlay) return;
+
+        this.followBtn?.addEventListener('click', () => this.toggle());
+        this.closeBtn?.addEventListener('click', () => this.hide());
+
+        State.subscribe(State.Events.POSITION_CHANGED, (position) => {
+            if (this.isOpen) {
+                this.update(position);
+            }
+        });
+
+        // The lines change with the song, its lyrics, its length and its arrangement
+        const invalidate = () => {
+            this.lines = null;
+            this.updateButton();
+            if (this.isOpen) {
+                this.update(State.getActiveSong()?.transport.position ?? 0);
+            }
+        };
+        State.subscribe(State.Events.SONG_SWITCHED, invalidate);
+        State.subscribe(State.Events.SONG_METADATA_UPDATED, invalidate);
+        State.subscribe(State.Events.TRACK_ADDED, invalidate);
+        State.subscribe(State.Events.ARRANGEMENT_SECTIONS_CHANGED, invalidate);
+        State.subscribe(State.Events.STATE_LOADED, invalidate);
+
+        // The countdown is in real seconds
+        State.subscribe(State.Events.TRANSPORT_UPDATED, () => {
+            if (this.isOpen) {
+                this.update(State.getActiveSong()?.transport.position ?? 0);
+            }
+        });
+
+        this.updateButton();
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    show() {
+        this.isOpen = true;
+        this.overlay.classList.remove('hidden');
+        this.followBtn?.classList.add('active');
+        this.update(State.getActiveSong()?.transport.position ?? 0);
+    }
+
+    hide() {
+        this.isOpen = false;
+        this.overlay.classList.add('hidden');
+        this.followBtn?.classList.remove('active');
+    }
+
+    /**
+     * Show the transport bar toggle only for songs with lyrics
+     */
+    updateButton() {
+        const song = State.getActiveSong();
+        this.groupEl?.classList.toggle('hidden', !hasLyrics(song));
+    }
+
+    /**
+     * Show the lines around a position
+     * @param {number} position - Position in seconds
+     */
+    update(position) {
+        const song = State.getActiveSong();
+        if (!this.lines) {
+            this.lines = song ? getPlayedLyrics(song) : [];
+        }
+        const lines = this.lines;
+
+        this.setText(this.songEl, song?.songName || '');
+        this.setText(this.sectionEl, (song && getSectionNameAt(song, position)) || '');
+
+        if (lines.length === 0) {
+            this.setText(this.previousEl, '');
+            this.setText(this.currentEl, song ? 'No lyrics for this song' : 'No song open');
+            this.setText(this.nextEl, '');
+            this.setText(this.statusEl, '');
+            this.progressFill.style.width = '0%';
+            return;
+        }
+
+        // Lines that are heard and have words (empty lines only clear the display)
+        const isSung = (line) => !line.skipped && line.text;
+
+        const index = getLyricIndexAt(lines, position);
+        const current = index >= 0 && lines[index].text ? lines[index] : null;
+
+        const before = current ? current.start : position;
+        const previous = lines.filter(line => isSung(line) && line.start < before).pop();
+        const next = lines.find(line => isSung(line) && line.start > position);
+
+        this.setText(this.previousEl, previous?.text || '');
+        this.setText(this.currentEl, current?.text || '');
+        this.setText(this.nextEl, next?.text || '');
+
+        const progress = current ? (position - current.start) / (current.end - current.start) : 0;
+        this.progressFill.style.width = `${Math.min(1, Math.max(0, progress)) * 100}%`;
+
+        if (next) {
+            const speed = song.transport.speed || 1;
+            const seconds = Math.ceil(getPlayedSeconds(song, position, next.start) / speed);
+            this.setText(this.statusEl, `${previous || current ? 'Next line' : 'First line'} in ${seconds}s`);
+        } else {
+            this.setText(this.statusEl, current ? 'Last line' : 'End of lyrics');
+        }
+    }
+
+    /**
+     * Set an element's text if it changed (this runs on every position update)
+     * @param {HTMLElement} el - Element
+     * @param {string} text - Text
+     */
+    setText(el, text) {
+        if (el && el.textContent !== text) {
+            el.textContent = text;
+        }
+    }
+}
+
+// Singleton instance
+let lyricsViewInstance = null;
+
+export function getLyricsView() {
+    if (!lyricsViewInstance) {
+        lyricsViewInstance = new LyricsView();
+    }
+    return lyricsViewInstance;
+}
+
+export default LyricsView;
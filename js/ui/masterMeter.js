@@ -0,0 +1,204 @@
+/**
+ * Master Meter UI
+ * Peak/RMS output meter in the transport bar, read from the audio engine's
+ * analysers after the master limiter. Also shows limiter activity.
+ */
+
+import * as State from '../state.js';
+import { getAudioEngine } from '../audioEngine.js';
+
+// Meter scale (dBFS)
+const METER_FLOOR_DB = -48;
+
+// Level colour zones (dBFS)
+const WARNING_DB = -12;
+const DANGER_DB = -3;
+
+// Peak hold and ballistics
+const PEAK_HOLD_MS = 1500;
+const PEAK_FALL_DB_PER_FRAME = 0.5;
+
+// Limiter indicator lights above this much gain reduction (dB)
+const LIMIT_INDICATOR_DB = 1;
+
+/**
+ * Convert a linear level to dBFS
+ * @param {number} level - Linear level (0-1)
+ * @returns {number}
+ */
+function levelToDb(level) {
+    return level > 0 ? 20 * Math.log10(level) : -Infinity;
+}
+
+class MasterMeter {
+    constructor() {
+        this.canvas = document.getElementById('master-meter');
+        this.limitIndicator = document.getElementById('master-meter-limit');
+        this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
+
+        this.animationFrame = null;
+        this.peakDb = [-Infinity, -Infinity];   // Falling peak per channel
+        this.holdDb = [-Infinity, -Infinity];   // Peak hold per channel
+        this.holdTime = [0, 0];
+
+        this.init();
+    }
+
+    init() {
+        if (!this.canvas) return;
+
+        // Click resets peak hold
+        this.canvas.addEventListener('click', () => {
+            this.holdDb = [-Infinity, -Infinity];
+            this.draw([{ rmsDb: -Infinity }, { rmsDb: -Infinity }]);
+        });
+
+        State.subscribe(State.Events.PLAYBACK_STATE_CHANGED, ({ newState }) => {
+            if (newState === 'playing') {
+                this.start();
+            } else {
+                this.stop();
+            }
+        });
+
+        this.draw([{ rmsDb: -Infinity }, { rmsDb: -Infinity }]);
+    }
+
+    /**
+     * Start polling the engine's output levels
+     */
+    start() {
+        if (this.animationFrame) return;
+
+        const update = () => {
+            this.update();
+            this.animationFrame = requestAnimationFrame(update);
+        };
+        this.animationFrame = requestAnimationFrame(update);
+    }
+
+    /**
+     * Stop polling and clear the meter
+     */
+    stop() {
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+        this.peakDb = [-Infinity, -Infinity];
+        this.holdDb = [-Infinity, -Infinity];
+        this.limitIndicator?.classList.remove('active');
+        this.draw([{ rmsDb: -Infinity }, { rmsDb: -Infinity }]);
+    }
+
+    /**
+     * Read levels from the engine and redraw
+     */
+    update() {
+        const levels = getAudioEngine().getOutputLevels();
+        if (!levels) return;
+
+        const now = performance.now();
+        const channels = levels.channels.map((channel, i) => {
+            const peakDb = levelToDb(channel.peak);
+
+            // Peaks jump up instantly and fall back slowly
+            this.peakDb[i] = Math.max(peakDb, this.peakDb[i] - PEAK_FALL_DB_PER_FRAME);
+
+            if (peakDb >= this.holdDb[i] || now - this.holdTime[i] > PEAK_HOLD_MS) {
+                this.holdDb[i] = peakDb;
+                this.holdTime[i] = now;
+            }
+
+            return { rmsDb: levelToDb(channel.rms) };
+        });
+
+        if (this.limitIndicator) {
+            const limiting = levels.reduction >= LIMIT_INDICATOR_DB;
+            this.limitIndicator.classList.toggle('active', limiting);
+            this.limitIndicator.title = `Limiter gain reduction: ${levels.reduction.toFixed(1)} dB`;
+        }
+
+        this.draw(channels);
+    }
+
+    /**
+     * Map a dB value to an x position on the meter
+     * @param {number} db - Level in dBFS
+     * @returns {number}
+     */
+    dbToX(db) {
+        if (!Number.isFinite(db) || db <= METER_FLOOR_DB) return 0;
+        const ratio = Math.min(1, (db - METER_FLOOR_DB) / -METER_FLOOR_DB);
+        return ratio * this.canvas.width;
+    }
+
+    /**
+     * Draw both channel bars: dim peak bar, bright RMS bar, and a peak hold tick
+     * @param {Array<{rmsDb: number}>} channels - RMS per channel (peaks come from this.peakDb)
+     */
+    draw(channels) {
+        if (!this.ctx) return;
+
+        const { width, height } = this.canvas;
+        const barHeight = (height - 2) / 2;
+        const styles = getComputedStyle(document.documentElement);
+        const colors = {
+            background: styles.getPropertyValue('--bg-tertiary').trim(),
+            normal: styles.getPropertyValue('--accent-success').trim(),
+            warning: styles.getPropertyValue('--accent-warning').trim(),
+            danger: styles.getPropertyValue('--accent-danger').trim(),
+            hold: styles.getPropertyValue('--text-primary').trim()
+        };
+        const warningX = this.dbToX(WARNING_DB);
+        const dangerX = this.dbToX(DANGER_DB);
+
+        this.ctx.clearRect(0, 0, width, height);
+
+        channels.forEach((channel, i) => {
+            const y = i * (barHeight + 2);
+
+            this.ctx.globalAlpha = 1;
+            this.ctx.fillStyle = colors.background;
+            this.ctx.fillRect(0, y, width, barHeight);
+
+            const drawBar = (toX) => {
+                this.ctx.fillStyle = colors.normal;
+                this.ctx.fillRect(0, y, Math.min(toX, warningX), barHeight);
+                if (toX > warningX) {
+                    this.ctx.fillStyle = colors.warning;
+                    this.ctx.fillRect(warningX, y, Math.min(toX, dangerX) - warningX, barHeight);
+                }
+                if (toX > dangerX) {
+                    this.ctx.fillStyle = colors.danger;
+                    this.ctx.fillRect(dangerX, y, toX - dangerX, barHeight);
+                }
+            };
+
+            // Peak (dim), then RMS (full)
+            this.ctx.globalAlpha = 0.4;
+            drawBar(this.dbToX(this.peakDb[i]));
+            this.ctx.globalAlpha = 1;
+            drawBar(this.dbToX(channel.rmsDb));
+
+            // Peak hold tick
+            const holdX = this.dbToX(this.holdDb[i]);
+            if (holdX > 0) {
+                this.ctx.fillStyle = this.holdDb[i] >= DANGER_DB ? colors.danger : colors.hold;
+                this.ctx.fillRect(Math.min(holdX, width - 2), y, 2, barHeight);
+            }
+        });
+    }
+}
+
+// Singleton instance
+let masterMeterInstance = null;
+
+export function getMasterMeter() {
+    if (!masterMeterInstance) {
+        masterMeterInstance = new MasterMeter();
+    }
+    return masterMeterInstance;
+}
+
+export default MasterMeter;
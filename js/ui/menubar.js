@@ -1,12 +1,14 @@
 /**
  * MenuBar UI
- * Set List, Arrangement, and Mute Set dropdown menus in the menu bar.
+ * Set List, Arrangement, Mute Set, Mix, Loop, and Marker dropdown menus in the menu bar.
  * Each dropdown opens directly to its content (no nested submenu layer).
  * Delete actions use a nested submenu within each dropdown.
  */
 
 import * as State from '../state.js';
 import { getModal } from './modal.js';
+import { getUsageReport } from './usageReport.js';
+import { chooseSong } from './songPicker.js';
 import * as SongManager from '../songManager.js';
 import { getTransport } from '../transport.js';
 import { 
@@ -18,6 +20,14 @@ import {
     getMuteSet,
     saveMuteSet,
     deleteMuteSet,
+    listMixes,
+    getMix,
+    saveMix,
+    deleteMix,
+    listLoops,
+    getLoop,
+    saveLoop,
+    deleteLoop,
     listSetLists,
     getSetList,
     saveSetList,
@@ -26,11 +36,26 @@ import {
     getMashup,
     saveMashup,
     deleteMashup,
+    recordPerformance,
     validateName
 } from '../api.js';
 import * as Manifest from '../manifest.js';
 import * as Metadata from '../metadata.js';
 import * as TrackManager from '../trackManager.js';
+import * as MarkerNavigation from '../markerNavigation.js';
+import * as LoopBookmarks from '../loopBookmarks.js';
+import { getLocalDate } from '../setListHistory.js';
+
+// Display names for the save dialogs, by item type
+const SAVE_TYPE_LABELS = {
+    arrangement: 'Arrangement',
+    mute: 'Mute Set',
+    mix: 'Mix',
+    loop: 'Loop'
+};
+
+// Track settings stored in a saved mix
+const MIX_SETTINGS = ['volume', 'pan', 'solo', 'mute', 'pitchExempt'];
 
 class MenuBarUI {
     constructor() {
@@ -46,6 +71,23 @@ class MenuBarUI {
         this.muteBtnText = this.muteBtn?.querySelector('.dropdown-btn-text');
         this.muteMenu = document.getElementById('mute-dropdown-menu');
         
+        // Mix dropdown elements
+        this.mixSelector = document.getElementById('mix-selector');
+        this.mixBtn = document.getElementById('mix-dropdown-btn');
+        this.mixBtnText = this.mixBtn?.querySelector('.dropdown-btn-text');
+        this.mixMenu = document.getElementById('mix-dropdown-menu');
+        
+        // Loop dropdown elements
+        this.loopSelector = document.getElementById('loop-selector');
+        this.loopBtn = document.getElementById('loop-dropdown-btn');
+        this.loopBtnText = this.loopBtn?.querySelector('.dropdown-btn-text');
+        this.loopMenu = document.getElementById('loop-dropdown-menu');
+        
+        // Marker dropdown elements
+        this.markerSelector = document.getElementById('marker-selector');
+        this.markerBtn = document.getElementById('marker-dropdown-btn');
+        this.markerMenu = document.getElementById('marker-dropdown-menu');
+        
         // Set List dropdown elements
         this.setlistSelector = document.getElementById('setlist-selector');
         this.setlistBtn = document.getElementById('setlist-dropdown-btn');
@@ -60,6 +102,9 @@ class MenuBarUI {
         // Dropdown state
         this.isArrangementOpen = false;
         this.isMuteOpen = false;
+        this.isMixOpen = false;
+        this.isLoopOpen = false;
+        this.isMarkerOpen = false;
         this.isSetListOpen = false;
         this.isMashupOpen = false;
         this._isRefreshing = false;
@@ -67,6 +112,9 @@ class MenuBarUI {
         // Cache for API data
         this.arrangementCache = new Map(); // songName -> { data: string[], timestamp: number }
         this.muteSetCache = new Map(); // songName -> { data: string[], timestamp: number }
+        this.mixCache = new Map(); // songName -> { data: string[], timestamp: number }
+        this.loopCache = new Map(); // songName -> { data: string[], timestamp: number } (published loops)
+        this.recalledSharedLoop = null; // { songName, name, start, end } of the last published loop recalled
         this.setlistCache = null; // { data: string[], timestamp: number } (global, not per-song)
         this.mashupCache = null; // { data: string[], timestamp: number } (global)
         this.CACHE_TTL = 60000; // 1 minute cache
@@ -92,6 +140,21 @@ class MenuBarUI {
                 !this.muteBtn?.contains(e.target)) {
                 this.closeMuteDropdown();
             }
+            if (this.isMixOpen && 
+                !this.mixMenu?.contains(e.target) && 
+                !this.mixBtn?.contains(e.target)) {
+                this.closeMixDropdown();
+            }
+            if (this.isLoopOpen && 
+                !this.loopMenu?.contains(e.target) && 
+                !this.loopBtn?.contains(e.target)) {
+                this.closeLoopDropdown();
+            }
+            if (this.isMarkerOpen && 
+                !this.markerMenu?.contains(e.target) && 
+                !this.markerBtn?.contains(e.target)) {
+                this.closeMarkerDropdown();
+            }
             if (this.isSetListOpen && 
                 !this.setlistMenu?.contains(e.target) && 
                 !this.setlistBtn?.contains(e.target)) {
@@ -109,6 +172,9 @@ class MenuBarUI {
             if (e.key === 'Escape') {
                 if (this.isArrangementOpen) this.closeArrangementDropdown();
                 if (this.isMuteOpen) this.closeMuteDropdown();
+                if (this.isMixOpen) this.closeMixDropdown();
+                if (this.isLoopOpen) this.closeLoopDropdown();
+                if (this.isMarkerOpen) this.closeMarkerDropdown();
                 if (this.isSetListOpen) this.closeSetListDropdown();
                 if (this.isMashupOpen) this.closeMashupDropdown();
             }
@@ -130,6 +196,30 @@ class MenuBarUI {
             });
         }
         
+        // Mix dropdown button click
+        if (this.mixBtn) {
+            this.mixBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleMixDropdown();
+            });
+        }
+        
+        // Loop dropdown button click
+        if (this.loopBtn) {
+            this.loopBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleLoopDropdown();
+            });
+        }
+        
+        // Marker dropdown button click
+        if (this.markerBtn) {
+            this.markerBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleMarkerDropdown();
+            });
+        }
+        
         // Set List dropdown button click
         if (this.setlistBtn) {
             this.setlistBtn.addEventListener('click', (e) => {
@@ -182,6 +272,25 @@ class MenuBarUI {
             }
         });
         
+        // Flag the loaded mix as modified when the mixer changes
+        State.subscribe(State.Events.TRACK_UPDATED, ({ updates }) => {
+            const song = State.getActiveSong();
+            if (!song?.currentMixName || song.mixModified) return;
+            if (MIX_SETTINGS.some(key => key in updates)) {
+                song.mixModified = true;
+                this.updateMixButtonText(song);
+            }
+        });
+        
+        // Update loop button when the loop or the song's bookmarks change
+        State.subscribe(State.Events.LOOP_UPDATED, () => {
+            this.updateLoopButtonText(State.getActiveSong());
+        });
+        
+        State.subscribe(State.Events.LOOP_BOOKMARKS_CHANGED, () => {
+            this.updateLoopButtonText(State.getActiveSong());
+        });
+        
         // Update set list button when set list changes
         State.subscribe(State.Events.SET_LIST_CHANGED, () => {
             this.updateSetListButtonText();
@@ -199,6 +308,9 @@ class MenuBarUI {
         const hasSongs = State.state.songs.length > 0;
         this.arrangementSelector?.classList.toggle('hidden', !hasSongs);
         this.muteSelector?.classList.toggle('hidden', !hasSongs);
+        this.mixSelector?.classList.toggle('hidden', !hasSongs);
+        this.loopSelector?.classList.toggle('hidden', !hasSongs);
+        this.markerSelector?.classList.toggle('hidden', !hasSongs);
     }
 
     // ========================================
@@ -219,6 +331,9 @@ class MenuBarUI {
         
         // Close other dropdowns if open
         if (this.isMuteOpen) this.closeMuteDropdown();
+        if (this.isMixOpen) this.closeMixDropdown();
+        if (this.isLoopOpen) this.closeLoopDropdown();
+        if (this.isMarkerOpen) this.closeMarkerDropdown();
         if (this.isSetListOpen) this.closeSetListDropdown();
         if (this.isMashupOpen) this.closeMashupDropdown();
         
@@ -254,6 +369,9 @@ class MenuBarUI {
         
         // Close other dropdowns if open
         if (this.isArrangementOpen) this.closeArrangementDropdown();
+        if (this.isMixOpen) this.closeMixDropdown();
+        if (this.isLoopOpen) this.closeLoopDropdown();
+        if (this.isMarkerOpen) this.closeMarkerDropdown();
         if (this.isSetListOpen) this.closeSetListDropdown();
         if (this.isMashupOpen) this.closeMashupDropdown();
         
@@ -271,6 +389,120 @@ class MenuBarUI {
         this.closeAllSubmenus(this.muteMenu);
     }
     
+    // ========================================
+    // Mix Dropdown
+    // ========================================
+    
+    toggleMixDropdown() {
+        if (this.isMixOpen) {
+            this.closeMixDropdown();
+        } else {
+            this.openMixDropdown();
+        }
+    }
+    
+    openMixDropdown() {
+        const song = State.getActiveSong();
+        if (!song || !this.mixMenu) return;
+        
+        // Close other dropdowns if open
+        if (this.isArrangementOpen) this.closeArrangementDropdown();
+        if (this.isMuteOpen) this.closeMuteDropdown();
+        if (this.isLoopOpen) this.closeLoopDropdown();
+        if (this.isMarkerOpen) this.closeMarkerDropdown();
+        if (this.isSetListOpen) this.closeSetListDropdown();
+        if (this.isMashupOpen) this.closeMashupDropdown();
+        
+        this.isMixOpen = true;
+        this.mixBtn?.classList.add('open');
+        this.mixMenu.classList.remove('hidden');
+        
+        this.renderMixMenu(song);
+    }
+    
+    closeMixDropdown() {
+        this.isMixOpen = false;
+        this.mixBtn?.classList.remove('open');
+        this.mixMenu?.classList.add('hidden');
+        this.closeAllSubmenus(this.mixMenu);
+    }
+    
+    // ========================================
+    // Loop Dropdown
+    // ========================================
+    
+    toggleLoopDropdown() {
+        if (this.isLoopOpen) {
+            this.closeLoopDropdown();
+        } else {
+            this.openLoopDropdown();
+        }
+    }
+    
+    openLoopDropdown() {
+        const song = State.getActiveSong();
+        if (!song || !this.loopMenu) return;
+        
+        // Close other dropdowns if open
+        if (this.isArrangementOpen) this.closeArrangementDropdown();
+        if (this.isMuteOpen) this.closeMuteDropdown();
+        if (this.isMixOpen) this.closeMixDropdown();
+        if (this.isMarkerOpen) this.closeMarkerDropdown();
+        if (this.isSetListOpen) this.closeSetListDropdown();
+        if (this.isMashupOpen) this.closeMashupDropdown();
+        
+        this.isLoopOpen = true;
+        this.loopBtn?.classList.add('open');
+        this.loopMenu.classList.remove('hidden');
+        
+        this.renderLoopMenu(song);
+    }
+    
+    closeLoopDropdown() {
+        this.isLoopOpen = false;
+        this.loopBtn?.classList.remove('open');
+        this.loopMenu?.classList.add('hidden');
+        this.closeAllSubmenus(this.loopMenu);
+    }
+    
+    // ========================================
+    // Marker Dropdown
+    // ========================================
+    
+    toggleMarkerDropdown() {
+        if (this.isMarkerOpen) {
+            this.closeMarkerDropdown();
+        } else {
+            this.openMarkerDropdown();
+        }
+    }
+    
+    openMarkerDropdown() {
+        const song = State.getActiveSong();
+        if (!song || !this.markerMenu) return;
+        
+        // Close other dropdowns if open
+        if (this.isArrangementOpen) this.closeArrangementDropdown();
+        if (this.isMuteOpen) this.closeMuteDropdown();
+        if (this.isMixOpen) this.closeMixDropdown();
+        if (this.isLoopOpen) this.closeLoopDropdown();
+        if (this.isSetListOpen) this.closeSetListDropdown();
+        if (this.isMashupOpen) this.closeMashupDropdown();
+        
+        this.isMarkerOpen = true;
+        this.markerBtn?.classList.add('open');
+        this.markerMenu.classList.remove('hidden');
+        
+        this.renderMarkerMenu(song);
+    }
+    
+    closeMarkerDropdown() {
+        this.isMarkerOpen = false;
+        this.markerBtn?.classList.remove('open');
+        this.markerMenu?.classList.add('hidden');
+        this.closeAllSubmenus(this.markerMenu);
+    }
+    
     // ========================================
     // Close any open dropdown (used by save/delete handlers)
     // ========================================
@@ -278,6 +510,9 @@ class MenuBarUI {
     closeAllDropdowns() {
         if (this.isArrangementOpen) this.closeArrangementDropdown();
         if (this.isMuteOpen) this.closeMuteDropdown();
+        if (this.isMixOpen) this.closeMixDropdown();
+        if (this.isLoopOpen) this.closeLoopDropdown();
+        if (this.isMarkerOpen) this.closeMarkerDropdown();
         if (this.isSetListOpen) this.closeSetListDropdown();
         if (this.isMashupOpen) this.closeMashupDropdown();
     }
@@ -294,11 +529,19 @@ class MenuBarUI {
         if (song) {
             this.arrangementSelector?.classList.remove('hidden');
             this.muteSelector?.classList.remove('hidden');
+            this.mixSelector?.classList.remove('hidden');
+            this.loopSelector?.classList.remove('hidden');
+            this.markerSelector?.classList.remove('hidden');
             this.updateArrangementButtonText(song);
             this.updateMuteButtonText(song);
+            this.updateMixButtonText(song);
+            this.updateLoopButtonText(song);
         } else {
             this.arrangementSelector?.classList.add('hidden');
             this.muteSelector?.classList.add('hidden');
+            this.mixSelector?.classList.add('hidden');
+            this.loopSelector?.classList.add('hidden');
+            this.markerSelector?.classList.add('hidden');
         }
         // Set list selector is always visible - just update text
         this.updateSetListButtonText();
@@ -336,6 +579,43 @@ class MenuBarUI {
         this.muteBtnText.textContent = text;
     }
 
+    /**
+     * Update the mix dropdown button text
+     * @param {Object} song - Song object
+     */
+    updateMixButtonText(song) {
+        if (!this.mixBtnText) return;
+        
+        let text = song?.currentMixName || 'None';
+        if (song?.currentMixName && song.mixModified) text += ' *';
+        
+        this.mixBtnText.textContent = text;
+    }
+
+    /**
+     * Update the loop dropdown button text (the bookmark matching the current loop)
+     * @param {Object} song - Song object
+     */
+    updateLoopButtonText(song) {
+        if (!this.loopBtnText) return;
+        
+        let text = 'None';
+        if (song) {
+            const { loopStart, loopEnd } = song.transport;
+            const bookmark = LoopBookmarks.findLoopBookmark(LoopBookmarks.getLoopBookmarks(song.songName), loopStart, loopEnd);
+            const shared = this.recalledSharedLoop?.songName === song.songName
+                ? LoopBookmarks.findLoopBookmark([this.recalledSharedLoop], loopStart, loopEnd)
+                : null;
+            if (bookmark || shared) {
+                text = (bookmark || shared).name;
+            } else if (loopStart !== null && loopEnd !== null) {
+                text = 'Unsaved';
+            }
+        }
+        
+        this.loopBtnText.textContent = text;
+    }
+
     // Keep legacy method name for any external callers
     updateDropdownButtonText(song) {
         this.updateArrangementButtonText(song);
@@ -536,6 +816,255 @@ class MenuBarUI {
         }
     }
 
+    // ========================================
+    // Mix Menu Rendering
+    // ========================================
+    
+    /**
+     * Render the mix dropdown menu content directly
+     * @param {Object} song - Song object
+     */
+    async renderMixMenu(song) {
+        if (!this.mixMenu) return;
+        
+        this.mixMenu.innerHTML = '';
+        
+        // Refresh option
+        const refreshItem = this.createMenuItem('Refresh', () => this.handleMixRefresh(song), false);
+        this.mixMenu.appendChild(refreshItem);
+        
+        this.mixMenu.appendChild(this.createDivider());
+        
+        // Show loading indicator for the list
+        const loadingEl = this.createLoadingIndicator();
+        this.mixMenu.appendChild(loadingEl);
+        
+        try {
+            const mixes = await this.fetchMixes(song.songName);
+            
+            // Remove loading indicator
+            loadingEl.remove();
+            
+            const activeSong = State.getActiveSong();
+            const currentMixName = activeSong?.currentMixName;
+            
+            // "Default (Reset Mixer)" option
+            const defaultItem = this.createMenuItem('Default (Reset Mixer)', () => this.selectDefaultMix(song));
+            if (!currentMixName) {
+                defaultItem.classList.add('active');
+                const checkmark = defaultItem.querySelector('.checkmark');
+                if (checkmark) checkmark.classList.remove('hidden');
+            }
+            this.mixMenu.appendChild(defaultItem);
+            
+            // List of mixes
+            this.mixMenu.appendChild(this.createDivider());
+            if (mixes.length > 0) {
+                mixes.forEach(name => {
+                    const item = this.createMenuItem(name, () => this.selectMix(song, name));
+                    if (currentMixName === name) {
+                        item.classList.add('active');
+                        const checkmark = item.querySelector('.checkmark');
+                        if (checkmark) checkmark.classList.remove('hidden');
+                    }
+                    this.mixMenu.appendChild(item);
+                });
+            } else {
+                this.mixMenu.appendChild(this.createEmptyState('No saved mixes'));
+            }
+            
+            // Divider and actions
+            this.mixMenu.appendChild(this.createDivider());
+            
+            // Save option (enabled if modified and has a name)
+            const saveItem = this.createMenuItem('Save', () => this.saveCurrentMix(song), false);
+            if (!activeSong?.mixModified || !currentMixName) {
+                saveItem.classList.add('disabled');
+            }
+            this.mixMenu.appendChild(saveItem);
+            
+            // Save As option
+            const saveAsItem = this.createMenuItem('Save As...', () => this.saveMixAs(song), false);
+            this.mixMenu.appendChild(saveAsItem);
+            
+            // Only show Delete if there are mixes
+            if (mixes.length > 0) {
+                this.mixMenu.appendChild(this.createDivider());
+                
+                const deleteItem = this.createNestedSubmenuItem('Delete', 'mix-delete-submenu', async (nestedSubmenu) => {
+                    await this.populateDeleteMixesSubmenu(nestedSubmenu, song, mixes);
+                });
+                this.mixMenu.appendChild(deleteItem);
+            }
+            
+        } catch (error) {
+            console.error('Failed to load mixes:', error);
+            loadingEl.remove();
+            this.mixMenu.appendChild(this.createEmptyState('Failed to load'));
+        }
+    }
+
+    // ========================================
+    // Loop Menu Rendering
+    // ========================================
+    
+    /**
+     * Render the loop dropdown menu content directly
+     * My Loops are stored on this device; Shared loops are the published ones
+     * @param {Object} song - Song object
+     */
+    async renderLoopMenu(song) {
+        if (!this.loopMenu) return;
+        
+        this.loopMenu.innerHTML = '';
+        
+        // Refresh option (shared loops)
+        const refreshItem = this.createMenuItem('Refresh', () => this.handleLoopRefresh(song), false);
+        this.loopMenu.appendChild(refreshItem);
+        
+        this.loopMenu.appendChild(this.createDivider());
+        
+        // Save the current loop as a bookmark
+        const { loopStart, loopEnd } = song.transport;
+        const saveItem = this.createMenuItem('Save Current Loop...', () => this.saveCurrentLoop(song), false);
+        if (loopStart === null || loopEnd === null) {
+            saveItem.classList.add('disabled');
+        }
+        this.loopMenu.appendChild(saveItem);
+        
+        // Local bookmarks
+        const bookmarks = LoopBookmarks.getLoopBookmarks(song.songName);
+        const current = LoopBookmarks.findLoopBookmark(bookmarks, loopStart, loopEnd);
+        
+        this.loopMenu.appendChild(this.createDivider());
+        this.loopMenu.appendChild(this.createSectionHeader('My Loops'));
+        if (bookmarks.length > 0) {
+            bookmarks.forEach(bookmark => {
+                const label = `${bookmark.name} (${LoopBookmarks.formatLoopRange(bookmark)})`;
+                const item = this.createMenuItem(label, () => LoopBookmarks.recallLoopBookmark(bookmark));
+                if (bookmark === current) {
+                    item.classList.add('active');
+                    const checkmark = item.querySelector('.checkmark');
+                    if (checkmark) checkmark.classList.remove('hidden');
+                }
+                this.loopMenu.appendChild(item);
+            });
+        } else {
+            this.loopMenu.appendChild(this.createEmptyState('No saved loops'));
+        }
+        
+        // Published loops
+        this.loopMenu.appendChild(this.createSectionHeader('Shared'));
+        const loadingEl = this.createLoadingIndicator();
+        this.loopMenu.appendChild(loadingEl);
+        
+        let sharedLoops = [];
+        try {
+            sharedLoops = await this.fetchLoops(song.songName);
+            loadingEl.remove();
+            
+            if (sharedLoops.length > 0) {
+                sharedLoops.forEach(name => {
+                    const item = this.createMenuItem(name, () => this.selectSharedLoop(song, name), false);
+                    this.loopMenu.appendChild(item);
+                });
+            } else {
+                this.loopMenu.appendChild(this.createEmptyState('No shared loops'));
+            }
+        } catch (error) {
+            console.error('Failed to load loops:', error);
+            loadingEl.remove();
+            this.loopMenu.appendChild(this.createEmptyState('Failed to load'));
+        }
+        
+        if (bookmarks.length === 0 && sharedLoops.length === 0) return;
+        
+        this.loopMenu.appendChild(this.createDivider());
+        
+        // Publish a local bookmark for everyone
+        if (bookmarks.length > 0) {
+            const publishItem = this.createNestedSubmenuItem('Publish', 'loop-publish-submenu', (nestedSubmenu) => {
+                bookmarks.forEach(bookmark => {
+                    nestedSubmenu.appendChild(this.createMenuItem(bookmark.name, () => this.publishLoop(song, bookmark), false));
+                });
+            });
+            this.loopMenu.appendChild(publishItem);
+        }
+        
+        const deleteItem = this.createNestedSubmenuItem('Delete', 'loop-delete-submenu', (nestedSubmenu) => {
+            if (bookmarks.length > 0) {
+                nestedSubmenu.appendChild(this.createSectionHeader('My Loops'));
+                bookmarks.forEach(bookmark => {
+                    nestedSubmenu.appendChild(this.createMenuItem(bookmark.name, () => this.deleteLoopBookmarkWithConfirm(song, bookmark.name), false));
+                });
+            }
+            if (sharedLoops.length > 0) {
+                nestedSubmenu.appendChild(this.createSectionHeader('Shared'));
+                sharedLoops.forEach(name => {
+                    nestedSubmenu.appendChild(this.createMenuItem(name, () => this.deleteSharedLoopWithConfirm(song, name), false));
+                });
+            }
+        });
+        this.loopMenu.appendChild(deleteItem);
+    }
+
+    // ========================================
+    // Marker Menu Rendering
+    // ========================================
+    
+    /**
+     * Render the marker dropdown menu content directly
+     * @param {Object} song - Song object
+     */
+    renderMarkerMenu(song) {
+        if (!this.markerMenu) return;
+        
+        this.markerMenu.innerHTML = '';
+        
+        const sections = MarkerNavigation.getLabeledSections(song);
+        const hasMarkers = MarkerNavigation.getMarkerSections(song).length > 0;
+        
+        // Navigation commands (shortcuts in the labels)
+        const commands = [
+            ['Previous Marker (Ctrl+\u2190)', () => MarkerNavigation.goToPreviousMarker()],
+            ['Next Marker (Ctrl+\u2192)', () => MarkerNavigation.goToNextMarker()],
+            ['Loop Current Section (L)', () => MarkerNavigation.loopCurrentSection()]
+        ];
+        commands.forEach(([label, onClick]) => {
+            const item = this.createMenuItem(label, onClick, false);
+            if (!hasMarkers) item.classList.add('disabled');
+            this.markerMenu.appendChild(item);
+        });
+        
+        // Sections, numbered for the 1-9 shortcuts
+        this.markerMenu.appendChild(this.createDivider());
+        if (sections.length === 0) {
+            this.markerMenu.appendChild(this.createEmptyState('No markers'));
+            return;
+        }
+        
+        this.markerMenu.appendChild(this.createSectionHeader('Go To'));
+        const position = getTransport().getCurrentPosition();
+        const current = sections.filter(section => section.start <= position).pop();
+        sections.forEach((section, i) => {
+            const item = this.createMenuItem(`${i + 1}. ${section.name}`, () => MarkerNavigation.goToSection(i + 1));
+            if (section === current) {
+                item.classList.add('active');
+                const checkmark = item.querySelector('.checkmark');
+                if (checkmark) checkmark.classList.remove('hidden');
+            }
+            this.markerMenu.appendChild(item);
+        });
+        
+        this.markerMenu.appendChild(this.createDivider());
+        const loopItem = this.createNestedSubmenuItem('Loop Section', 'marker-loop-submenu', (nestedSubmenu) => {
+            sections.forEach((section, i) => {
+                nestedSubmenu.appendChild(this.createMenuItem(`${i + 1}. ${section.name}`, () => MarkerNavigation.loopSection(section), false));
+            });
+        });
+        this.markerMenu.appendChild(loopItem);
+    }
+
     // ========================================
     // Shared Menu Item Creators
     // ========================================
@@ -1091,136 +1620,717 @@ class MenuBarUI {
         }
         
         try {
-            const muteSet = await getMuteSet(song.songName, name);
-            
-            this.applyMuteSetToState(song, muteSet);
-            State.setMuteSetModified(false);
+            const muteSet = await getMuteSet(song.songName, name);
+            
+            this.applyMuteSetToState(song, muteSet);
+            State.setMuteSetModified(false);
+            
+            const activeSong = State.getActiveSong();
+            if (activeSong) {
+                activeSong.currentMuteSetId = name;
+                activeSong.currentMuteSetName = name;
+                activeSong.currentMuteSetProtected = muteSet.protected || false;
+            }
+            
+            this.updateMuteButtonText(song);
+        } catch (error) {
+            console.error('Failed to load mute set:', error);
+            const modal = getModal();
+            await modal.alert({
+                title: 'Error',
+                message: `Failed to load mute set: ${error.message}`
+            });
+        }
+    }
+    
+    /**
+     * Apply mute set data to state (mapping filenames to track IDs)
+     */
+    applyMuteSetToState(song, muteSet) {
+        const activeSong = State.getActiveSong();
+        if (!activeSong) return;
+        
+        activeSong.muteSections = {};
+        
+        activeSong.tracks.forEach(track => {
+            if (track.duration > 0) {
+                activeSong.muteSections[track.id] = [{
+                    start: 0,
+                    end: track.duration,
+                    muted: false
+                }];
+            }
+        });
+        
+        if (muteSet.tracks) {
+            for (const [filename, sections] of Object.entries(muteSet.tracks)) {
+                const track = song.tracks?.find(t => {
+                    const parts = t.filePath.split('/');
+                    return parts[parts.length - 1] === filename;
+                });
+                
+                if (track) {
+                    activeSong.muteSections[track.id] = sections;
+                }
+            }
+        }
+        
+        // Track EQ (older mute sets have no eq and leave the current EQ alone)
+        if (muteSet.eq) {
+            activeSong.tracks.forEach(track => {
+                const parts = track.filePath.split('/');
+                const filename = parts[parts.length - 1];
+                TrackManager.setTrackEq(track.id, muteSet.eq[filename] || State.createDefaultEq());
+            });
+        }
+        
+        // Volume envelopes (older mute sets have none and leave the current envelopes alone)
+        if (muteSet.envelopes) {
+            activeSong.tracks.forEach(track => {
+                const parts = track.filePath.split('/');
+                const filename = parts[parts.length - 1];
+                State.setVolumeEnvelope(track.id, muteSet.envelopes[filename] || [], false);
+            });
+        }
+        
+        State.emit(State.Events.MUTE_SECTIONS_CHANGED, { trackId: null });
+    }
+    
+    /**
+     * Save current mute set (overwrite)
+     */
+    async saveCurrentMuteSet(song) {
+        const currentName = State.getCurrentMuteSetDisplayName();
+        if (!currentName || currentName === 'None') return;
+        
+        const currentlyProtected = State.getCurrentMuteSetProtected();
+        
+        const dialogResult = await this.showSaveCurrentDialog('mute', currentlyProtected);
+        if (!dialogResult) return;
+        
+        const { isProtected, secret } = dialogResult;
+        const tracks = this.buildMuteSetTracksData(song);
+        const eq = this.buildMuteSetEqData(song);
+        const envelopes = this.buildMuteSetEnvelopeData(song);
+        
+        try {
+            const data = { tracks, eq, envelopes, protected: isProtected };
+            if (secret) data.secret = secret;
+            
+            await saveMuteSet(song.songName, currentName, data);
+            
+            State.setMuteSetModified(false);
+            State.setCurrentMuteSetProtected(isProtected);
+            this.invalidateMuteSetCache(song.songName);
+            this.updateMuteButtonText(song);
+        } catch (error) {
+            console.error('Failed to save mute set:', error);
+            const modal = getModal();
+            const errorMessage = error.status === 403 
+                ? 'Invalid admin secret. The mute set is protected and cannot be saved without the correct secret.'
+                : `Failed to save mute set: ${error.message}`;
+            await modal.alert({
+                title: 'Error',
+                message: errorMessage
+            });
+        }
+    }
+    
+    /**
+     * Save mute set as new name
+     */
+    async saveMuteSetAs(song) {
+        this.closeMuteDropdown();
+        
+        const result = await this.showSaveDialog('mute', song);
+        if (!result) return;
+        
+        const { name, isProtected, secret } = result;
+        const tracks = this.buildMuteSetTracksData(song);
+        const eq = this.buildMuteSetEqData(song);
+        const envelopes = this.buildMuteSetEnvelopeData(song);
+        
+        try {
+            const data = { tracks, eq, envelopes, protected: isProtected };
+            if (secret) data.secret = secret;
+            
+            await saveMuteSet(song.songName, name, data);
+            
+            const activeSong = State.getActiveSong();
+            if (activeSong) {
+                activeSong.currentMuteSetId = name;
+                activeSong.currentMuteSetName = name;
+                activeSong.currentMuteSetProtected = isProtected;
+            }
+            
+            State.setMuteSetModified(false);
+            this.invalidateMuteSetCache(song.songName);
+            this.updateMuteButtonText(song);
+        } catch (error) {
+            console.error('Failed to save mute set:', error);
+            const modal = getModal();
+            const errorMessage = error.status === 403 
+                ? 'Invalid admin secret. The mute set is protected and cannot be overwritten without the correct secret.'
+                : `Failed to save mute set: ${error.message}`;
+            await modal.alert({
+                title: 'Error',
+                message: errorMessage
+            });
+        }
+    }
+    
+    /**
+     * Build mute set tracks data from current state
+     * Only includes tracks that have at least one muted section
+     */
+    buildMuteSetTracksData(song) {
+        const tracks = {};
+        const activeSong = State.getActiveSong();
+        
+        if (!activeSong?.tracks || !activeSong?.muteSections) {
+            return tracks;
+        }
+        
+        for (const track of activeSong.tracks) {
+            const sections = activeSong.muteSections[track.id];
+            if (sections && sections.some(s => s.muted)) {
+                const parts = track.filePath.split('/');
+                const filename = parts[parts.length - 1];
+                tracks[filename] = sections;
+            }
+        }
+        
+        return tracks;
+    }
+    
+    /**
+     * Build mute set EQ data from current state
+     * Only includes tracks whose EQ isn't flat
+     */
+    buildMuteSetEqData(song) {
+        const eq = {};
+        const activeSong = State.getActiveSong();
+        
+        if (!activeSong?.tracks) {
+            return eq;
+        }
+        
+        for (const track of activeSong.tracks) {
+            if (!State.isEqFlat(track.eq)) {
+                const parts = track.filePath.split('/');
+                const filename = parts[parts.length - 1];
+                eq[filename] = { ...track.eq };
+            }
+        }
+        
+        return eq;
+    }
+    
+    /**
+     * Build mute set volume envelope data from current state
+     * Only includes tracks that have an envelope
+     */
+    buildMuteSetEnvelopeData(song) {
+        const envelopes = {};
+        const activeSong = State.getActiveSong();
+        
+        if (!activeSong?.tracks) {
+            return envelopes;
+        }
+        
+        for (const track of activeSong.tracks) {
+            const points = State.getVolumeEnvelope(track.id);
+            if (points.length > 0) {
+                const parts = track.filePath.split('/');
+                const filename = parts[parts.length - 1];
+                envelopes[filename] = points.map(p => ({ time: p.time, gain: p.gain }));
+            }
+        }
+        
+        return envelopes;
+    }
+    
+    /**
+     * Delete mute set with confirmation
+     */
+    async deleteMuteSetWithConfirm(song, name) {
+        this.closeMuteDropdown();
+        
+        const modal = getModal();
+        
+        let muteSet;
+        try {
+            muteSet = await getMuteSet(song.songName, name);
+        } catch (error) {
+            await modal.alert({
+                title: 'Error',
+                message: `Failed to load mute set: ${error.message}`
+            });
+            return;
+        }
+        
+        let secret = null;
+        if (muteSet.protected) {
+            secret = await this.promptForSecret('Delete Protected Mute Set');
+            if (!secret) return;
+        }
+        
+        const confirmed = await modal.confirm({
+            title: 'Delete Mute Set',
+            message: `<p>Delete mute set "<strong>${this.escapeHtml(name)}</strong>"?</p><p>This cannot be undone.</p>`,
+            confirmText: 'Delete',
+            confirmClass: 'btn-danger'
+        });
+        
+        if (!confirmed) return;
+        
+        try {
+            await deleteMuteSet(song.songName, name, secret);
+            this.invalidateMuteSetCache(song.songName);
+            
+            if (State.getCurrentMuteSetDisplayName() === name) {
+                this.selectNoneMuteSet(song);
+            }
+        } catch (error) {
+            console.error('Failed to delete mute set:', error);
+            if (error.status === 403) {
+                await modal.alert({
+                    title: 'Invalid Secret',
+                    message: 'The admin secret is incorrect.'
+                });
+            } else {
+                await modal.alert({
+                    title: 'Error',
+                    message: `Failed to delete mute set: ${error.message}`
+                });
+            }
+        }
+    }
+    
+    /**
+     * Invalidate mute set cache for a song
+     */
+    invalidateMuteSetCache(songName) {
+        this.muteSetCache.delete(songName);
+    }
+    
+    // ========================================
+    // Mixes: Selection, Save, Delete
+    // ========================================
+    
+    /**
+     * Populate delete mixes submenu
+     */
+    async populateDeleteMixesSubmenu(submenu, song, mixes) {
+        submenu.innerHTML = '';
+        
+        mixes.forEach(name => {
+            const item = this.createMenuItem(name, () => this.deleteMixWithConfirm(song, name), false);
+            submenu.appendChild(item);
+        });
+    }
+    
+    /**
+     * Fetch mixes with caching
+     */
+    async fetchMixes(songName, forceRefresh = false) {
+        const cached = this.mixCache.get(songName);
+        const now = Date.now();
+        
+        if (!forceRefresh && cached && (now - cached.timestamp) < this.CACHE_TTL) {
+            return cached.data;
+        }
+        
+        const data = await listMixes(songName);
+        this.mixCache.set(songName, { data, timestamp: now });
+        return data;
+    }
+    
+    /**
+     * Check for unsaved mix changes before switching mixes
+     * @returns {Promise<boolean>} False if the user cancelled
+     */
+    async confirmDiscardMixChanges(song) {
+        const activeSong = State.getActiveSong();
+        if (!activeSong?.currentMixName || !activeSong.mixModified) return true;
+        
+        const modal = getModal();
+        const result = await modal.unsavedChangesWarning('mix', activeSong.currentMixName);
+        
+        if (result === 'cancel') return false;
+        if (result === 'save') {
+            await this.saveCurrentMix(song);
+        }
+        return true;
+    }
+    
+    /**
+     * Reset every track's mixer settings to the defaults
+     */
+    async selectDefaultMix(song) {
+        if (!await this.confirmDiscardMixChanges(song)) return;
+        
+        this.applyMixToState(song, { tracks: {} });
+        this.setCurrentMix(null, false);
+        this.updateMixButtonText(State.getActiveSong());
+    }
+    
+    /**
+     * Select a saved mix (with unsaved changes check)
+     */
+    async selectMix(song, name) {
+        if (!await this.confirmDiscardMixChanges(song)) return;
+        
+        try {
+            const mix = await getMix(song.songName, name);
+            
+            this.applyMixToState(song, mix);
+            this.setCurrentMix(name, mix.protected || false);
+            this.updateMixButtonText(State.getActiveSong());
+        } catch (error) {
+            console.error('Failed to load mix:', error);
+            const modal = getModal();
+            await modal.alert({
+                title: 'Error',
+                message: `Failed to load mix: ${error.message}`
+            });
+        }
+    }
+    
+    /**
+     * Record the loaded mix on the active song and clear its modified flag
+     * @param {string|null} name - Mix name (null = none)
+     * @param {boolean} isProtected - Whether the mix is protected
+     */
+    setCurrentMix(name, isProtected) {
+        const activeSong = State.getActiveSong();
+        if (!activeSong) return;
+        
+        activeSong.currentMixName = name;
+        activeSong.currentMixProtected = isProtected;
+        activeSong.mixModified = false;
+    }
+    
+    /**
+     * Apply mix data to the tracks (mapping filenames to track IDs)
+     * Tracks missing from the mix get the default mixer settings
+     */
+    applyMixToState(song, mix) {
+        const activeSong = State.getActiveSong();
+        if (!activeSong) return;
+        
+        activeSong.tracks.forEach(track => {
+            const parts = track.filePath.split('/');
+            const filename = parts[parts.length - 1];
+            const settings = mix.tracks?.[filename] || {
+                volume: 100,
+                pan: 0,
+                solo: false,
+                mute: false,
+                pitchExempt: State.isPitchExemptByName(track.name)
+            };
+            TrackManager.setTrackMix(track.id, settings);
+        });
+    }
+    
+    /**
+     * Build mix tracks data from current state
+     */
+    buildMixTracksData(song) {
+        const tracks = {};
+        const activeSong = State.getActiveSong();
+        
+        if (!activeSong?.tracks) {
+            return tracks;
+        }
+        
+        for (const track of activeSong.tracks) {
+            const parts = track.filePath.split('/');
+            const filename = parts[parts.length - 1];
+            tracks[filename] = {
+                volume: track.volume,
+                pan: track.pan,
+                solo: track.solo,
+                mute: track.mute,
+                pitchExempt: State.isTrackPitchExempt(track.id)
+            };
+        }
+        
+        return tracks;
+    }
+    
+    /**
+     * Save current mix (overwrite)
+     */
+    async saveCurrentMix(song) {
+        const activeSong = State.getActiveSong();
+        const currentName = activeSong?.currentMixName;
+        if (!currentName) return;
+        
+        const dialogResult = await this.showSaveCurrentDialog('mix', activeSong.currentMixProtected);
+        if (!dialogResult) return;
+        
+        const { isProtected, secret } = dialogResult;
+        const tracks = this.buildMixTracksData(song);
+        
+        try {
+            const data = { tracks, protected: isProtected };
+            if (secret) data.secret = secret;
+            
+            await saveMix(song.songName, currentName, data);
+            
+            this.setCurrentMix(currentName, isProtected);
+            this.invalidateMixCache(song.songName);
+            this.updateMixButtonText(State.getActiveSong());
+        } catch (error) {
+            console.error('Failed to save mix:', error);
+            const modal = getModal();
+            const errorMessage = error.status === 403 
+                ? 'Invalid admin secret. The mix is protected and cannot be saved without the correct secret.'
+                : `Failed to save mix: ${error.message}`;
+            await modal.alert({
+                title: 'Error',
+                message: errorMessage
+            });
+        }
+    }
+    
+    /**
+     * Save mix as new name
+     */
+    async saveMixAs(song) {
+        this.closeMixDropdown();
+        
+        const result = await this.showSaveDialog('mix', song);
+        if (!result) return;
+        
+        const { name, isProtected, secret } = result;
+        const tracks = this.buildMixTracksData(song);
+        if (Object.keys(tracks).length === 0) {
+            await getModal().alert({
+                title: 'Nothing to Save',
+                message: 'Add tracks to the song before saving a mix.'
+            });
+            return;
+        }
+        
+        try {
+            const data = { tracks, protected: isProtected };
+            if (secret) data.secret = secret;
             
-            const activeSong = State.getActiveSong();
-            if (activeSong) {
-                activeSong.currentMuteSetId = name;
-                activeSong.currentMuteSetName = name;
-                activeSong.currentMuteSetProtected = muteSet.protected || false;
-            }
+            await saveMix(song.songName, name, data);
             
-            this.updateMuteButtonText(song);
+            this.setCurrentMix(name, isProtected);
+            this.invalidateMixCache(song.songName);
+            this.updateMixButtonText(State.getActiveSong());
         } catch (error) {
-            console.error('Failed to load mute set:', error);
+            console.error('Failed to save mix:', error);
             const modal = getModal();
+            const errorMessage = error.status === 403 
+                ? 'Invalid admin secret. The mix is protected and cannot be overwritten without the correct secret.'
+                : `Failed to save mix: ${error.message}`;
             await modal.alert({
                 title: 'Error',
-                message: `Failed to load mute set: ${error.message}`
+                message: errorMessage
             });
         }
     }
     
     /**
-     * Apply mute set data to state (mapping filenames to track IDs)
+     * Delete mix with confirmation
      */
-    applyMuteSetToState(song, muteSet) {
-        const activeSong = State.getActiveSong();
-        if (!activeSong) return;
+    async deleteMixWithConfirm(song, name) {
+        this.closeMixDropdown();
         
-        activeSong.muteSections = {};
+        const modal = getModal();
         
-        activeSong.tracks.forEach(track => {
-            if (track.duration > 0) {
-                activeSong.muteSections[track.id] = [{
-                    start: 0,
-                    end: track.duration,
-                    muted: false
-                }];
-            }
+        let mix;
+        try {
+            mix = await getMix(song.songName, name);
+        } catch (error) {
+            await modal.alert({
+                title: 'Error',
+                message: `Failed to load mix: ${error.message}`
+            });
+            return;
+        }
+        
+        let secret = null;
+        if (mix.protected) {
+            secret = await this.promptForSecret('Delete Protected Mix');
+            if (!secret) return;
+        }
+        
+        const confirmed = await modal.confirm({
+            title: 'Delete Mix',
+            message: `<p>Delete mix "<strong>${this.escapeHtml(name)}</strong>"?</p><p>This cannot be undone.</p>`,
+            confirmText: 'Delete',
+            confirmClass: 'btn-danger'
         });
         
-        if (muteSet.tracks) {
-            for (const [filename, sections] of Object.entries(muteSet.tracks)) {
-                const track = song.tracks?.find(t => {
-                    const parts = t.filePath.split('/');
-                    return parts[parts.length - 1] === filename;
+        if (!confirmed) return;
+        
+        try {
+            await deleteMix(song.songName, name, secret);
+            this.invalidateMixCache(song.songName);
+            
+            // The mixer keeps its settings; it just no longer belongs to a saved mix
+            if (State.getActiveSong()?.currentMixName === name) {
+                this.setCurrentMix(null, false);
+                this.updateMixButtonText(State.getActiveSong());
+            }
+        } catch (error) {
+            console.error('Failed to delete mix:', error);
+            if (error.status === 403) {
+                await modal.alert({
+                    title: 'Invalid Secret',
+                    message: 'The admin secret is incorrect.'
+                });
+            } else {
+                await modal.alert({
+                    title: 'Error',
+                    message: `Failed to delete mix: ${error.message}`
                 });
-                
-                if (track) {
-                    activeSong.muteSections[track.id] = sections;
-                }
             }
         }
+    }
+    
+    /**
+     * Invalidate mix cache for a song
+     */
+    invalidateMixCache(songName) {
+        this.mixCache.delete(songName);
+    }
+    
+    // ========================================
+    // Loops: Save, Recall, Publish, Delete
+    // ========================================
+    
+    /**
+     * Fetch published loops with caching
+     */
+    async fetchLoops(songName, forceRefresh = false) {
+        const cached = this.loopCache.get(songName);
+        const now = Date.now();
         
-        State.emit(State.Events.MUTE_SECTIONS_CHANGED, { trackId: null });
+        if (!forceRefresh && cached && (now - cached.timestamp) < this.CACHE_TTL) {
+            return cached.data;
+        }
+        
+        const data = await listLoops(songName);
+        this.loopCache.set(songName, { data, timestamp: now });
+        return data;
     }
     
     /**
-     * Save current mute set (overwrite)
+     * Save the current loop as a local bookmark
      */
-    async saveCurrentMuteSet(song) {
-        const currentName = State.getCurrentMuteSetDisplayName();
-        if (!currentName || currentName === 'None') return;
+    async saveCurrentLoop(song) {
+        const { loopStart, loopEnd } = song.transport;
+        if (loopStart === null || loopEnd === null) return;
         
-        const currentlyProtected = State.getCurrentMuteSetProtected();
+        const modal = getModal();
+        const input = await modal.prompt({
+            title: 'Save Loop',
+            message: 'Name this loop:',
+            placeholder: 'e.g. Bridge turnaround',
+            confirmText: 'Save'
+        });
+        const name = typeof input === 'string' ? input.trim() : '';
+        if (!name) return;
         
-        const dialogResult = await this.showSaveCurrentDialog('mute', currentlyProtected);
-        if (!dialogResult) return;
+        // Same rules as published names, so the bookmark can be published later
+        const validation = validateName(name);
+        if (!validation.valid) {
+            await modal.alert({
+                title: 'Invalid Name',
+                message: validation.error
+            });
+            return;
+        }
         
-        const { isProtected, secret } = dialogResult;
-        const tracks = this.buildMuteSetTracksData(song);
+        const existing = LoopBookmarks.getLoopBookmarks(song.songName)
+            .find(bookmark => bookmark.name.toLowerCase() === name.toLowerCase());
+        if (existing) {
+            const overwrite = await modal.confirm({
+                title: 'Name Already Exists',
+                message: `<p>A loop named "${this.escapeHtml(existing.name)}" already exists.</p><p>Do you want to overwrite it?</p>`,
+                confirmText: 'Overwrite',
+                confirmClass: 'btn-danger'
+            });
+            if (!overwrite) return;
+        }
         
+        LoopBookmarks.saveLoopBookmark(song.songName, name, loopStart, loopEnd);
+    }
+    
+    /**
+     * Recall a published loop
+     */
+    async selectSharedLoop(song, name) {
         try {
-            const data = { tracks, protected: isProtected };
-            if (secret) data.secret = secret;
-            
-            await saveMuteSet(song.songName, currentName, data);
+            const loop = await getLoop(song.songName, name);
             
-            State.setMuteSetModified(false);
-            State.setCurrentMuteSetProtected(isProtected);
-            this.invalidateMuteSetCache(song.songName);
-            this.updateMuteButtonText(song);
+            this.recalledSharedLoop = { songName: song.songName, name, start: loop.start, end: loop.end };
+            LoopBookmarks.recallLoopBookmark(loop);
         } catch (error) {
-            console.error('Failed to save mute set:', error);
-            const modal = getModal();
-            const errorMessage = error.status === 403 
-                ? 'Invalid admin secret. The mute set is protected and cannot be saved without the correct secret.'
-                : `Failed to save mute set: ${error.message}`;
-            await modal.alert({
+            console.error('Failed to load loop:', error);
+            await getModal().alert({
                 title: 'Error',
-                message: errorMessage
+                message: `Failed to load loop: ${error.message}`
             });
         }
     }
     
     /**
-     * Save mute set as new name
+     * Publish a local bookmark so everyone sees it under Shared
      */
-    async saveMuteSetAs(song) {
-        this.closeMuteDropdown();
+    async publishLoop(song, bookmark) {
+        this.closeLoopDropdown();
         
-        const result = await this.showSaveDialog('mute', song);
-        if (!result) return;
+        const modal = getModal();
         
-        const { name, isProtected, secret } = result;
-        const tracks = this.buildMuteSetTracksData(song);
+        let existing = null;
+        try {
+            existing = await getLoop(song.songName, bookmark.name);
+        } catch (error) {
+            if (error.status !== 404) {
+                await modal.alert({
+                    title: 'Error',
+                    message: `Failed to check shared loops: ${error.message}`
+                });
+                return;
+            }
+        }
+        
+        if (existing && !existing.protected) {
+            const overwrite = await modal.confirm({
+                title: 'Name Already Exists',
+                message: `<p>A shared loop named "${this.escapeHtml(bookmark.name)}" already exists.</p><p>Do you want to overwrite it?</p>`,
+                confirmText: 'Overwrite',
+                confirmClass: 'btn-danger'
+            });
+            if (!overwrite) return;
+        }
+        
+        const dialogResult = existing?.protected
+            ? await this.showProtectedOverwriteDialog('loop', bookmark.name)
+            : await this.showSaveCurrentDialog('loop', false);
+        if (!dialogResult) return;
+        
+        const { isProtected, secret } = dialogResult;
         
         try {
-            const data = { tracks, protected: isProtected };
+            const data = { start: bookmark.start, end: bookmark.end, protected: isProtected };
             if (secret) data.secret = secret;
             
-            await saveMuteSet(song.songName, name, data);
-            
-            const activeSong = State.getActiveSong();
-            if (activeSong) {
-                activeSong.currentMuteSetId = name;
-                activeSong.currentMuteSetName = name;
-                activeSong.currentMuteSetProtected = isProtected;
-            }
-            
-            State.setMuteSetModified(false);
-            this.invalidateMuteSetCache(song.songName);
-            this.updateMuteButtonText(song);
+            await saveLoop(song.songName, bookmark.name, data);
+            this.invalidateLoopCache(song.songName);
         } catch (error) {
-            console.error('Failed to save mute set:', error);
-            const modal = getModal();
+            console.error('Failed to publish loop:', error);
             const errorMessage = error.status === 403 
-                ? 'Invalid admin secret. The mute set is protected and cannot be overwritten without the correct secret.'
-                : `Failed to save mute set: ${error.message}`;
+                ? 'Invalid admin secret. The loop is protected and cannot be overwritten without the correct secret.'
+                : `Failed to publish loop: ${error.message}`;
             await modal.alert({
                 title: 'Error',
                 message: errorMessage
@@ -1229,57 +2339,51 @@ class MenuBarUI {
     }
     
     /**
-     * Build mute set tracks data from current state
-     * Only includes tracks that have at least one muted section
+     * Delete a local bookmark with confirmation
      */
-    buildMuteSetTracksData(song) {
-        const tracks = {};
-        const activeSong = State.getActiveSong();
+    async deleteLoopBookmarkWithConfirm(song, name) {
+        this.closeLoopDropdown();
         
-        if (!activeSong?.tracks || !activeSong?.muteSections) {
-            return tracks;
-        }
+        const confirmed = await getModal().confirm({
+            title: 'Delete Loop',
+            message: `<p>Delete loop "<strong>${this.escapeHtml(name)}</strong>" from this device?</p><p>This cannot be undone.</p>`,
+            confirmText: 'Delete',
+            confirmClass: 'btn-danger'
+        });
         
-        for (const track of activeSong.tracks) {
-            const sections = activeSong.muteSections[track.id];
-            if (sections && sections.some(s => s.muted)) {
-                const parts = track.filePath.split('/');
-                const filename = parts[parts.length - 1];
-                tracks[filename] = sections;
-            }
-        }
+        if (!confirmed) return;
         
-        return tracks;
+        LoopBookmarks.deleteLoopBookmark(song.songName, name);
     }
     
     /**
-     * Delete mute set with confirmation
+     * Delete a published loop with confirmation
      */
-    async deleteMuteSetWithConfirm(song, name) {
-        this.closeMuteDropdown();
+    async deleteSharedLoopWithConfirm(song, name) {
+        this.closeLoopDropdown();
         
         const modal = getModal();
         
-        let muteSet;
+        let loop;
         try {
-            muteSet = await getMuteSet(song.songName, name);
+            loop = await getLoop(song.songName, name);
         } catch (error) {
             await modal.alert({
                 title: 'Error',
-                message: `Failed to load mute set: ${error.message}`
+                message: `Failed to load loop: ${error.message}`
             });
             return;
         }
         
         let secret = null;
-        if (muteSet.protected) {
-            secret = await this.promptForSecret('Delete Protected Mute Set');
+        if (loop.protected) {
+            secret = await this.promptForSecret('Delete Protected Loop');
             if (!secret) return;
         }
         
         const confirmed = await modal.confirm({
-            title: 'Delete Mute Set',
-            message: `<p>Delete mute set "<strong>${this.escapeHtml(name)}</strong>"?</p><p>This cannot be undone.</p>`,
+            title: 'Delete Shared Loop',
+            message: `<p>Delete shared loop "<strong>${this.escapeHtml(name)}</strong>" for everyone?</p><p>This cannot be undone.</p>`,
             confirmText: 'Delete',
             confirmClass: 'btn-danger'
         });
@@ -1287,14 +2391,15 @@ class MenuBarUI {
         if (!confirmed) return;
         
         try {
-            await deleteMuteSet(song.songName, name, secret);
-            this.invalidateMuteSetCache(song.songName);
+            await deleteLoop(song.songName, name, secret);
+            this.invalidateLoopCache(song.songName);
             
-            if (State.getCurrentMuteSetDisplayName() === name) {
-                this.selectNoneMuteSet(song);
+            if (this.recalledSharedLoop?.songName === song.songName && this.recalledSharedLoop.name === name) {
+                this.recalledSharedLoop = null;
+                this.updateLoopButtonText(State.getActiveSong());
             }
         } catch (error) {
-            console.error('Failed to delete mute set:', error);
+            console.error('Failed to delete loop:', error);
             if (error.status === 403) {
                 await modal.alert({
                     title: 'Invalid Secret',
@@ -1303,17 +2408,17 @@ class MenuBarUI {
             } else {
                 await modal.alert({
                     title: 'Error',
-                    message: `Failed to delete mute set: ${error.message}`
+                    message: `Failed to delete loop: ${error.message}`
                 });
             }
         }
     }
     
     /**
-     * Invalidate mute set cache for a song
+     * Invalidate published loop cache for a song
      */
-    invalidateMuteSetCache(songName) {
-        this.muteSetCache.delete(songName);
+    invalidateLoopCache(songName) {
+        this.loopCache.delete(songName);
     }
     
     // ========================================
@@ -1334,6 +2439,8 @@ class MenuBarUI {
         // Close other dropdowns if open
         if (this.isArrangementOpen) this.closeArrangementDropdown();
         if (this.isMuteOpen) this.closeMuteDropdown();
+        if (this.isLoopOpen) this.closeLoopDropdown();
+        if (this.isMarkerOpen) this.closeMarkerDropdown();
         if (this.isMashupOpen) this.closeMashupDropdown();
         
         this.isSetListOpen = true;
@@ -1419,6 +2526,19 @@ class MenuBarUI {
             }
             this.setlistMenu.appendChild(saveAsItem);
             
+            // Mark as Performed (only for a saved set list) and the usage report
+            const markItem = this.createMenuItem('Mark as Performed...', () => this.markSetListPerformed(), false);
+            if (!currentSetListName || currentSetListName === 'None') {
+                markItem.classList.add('disabled');
+            }
+            this.setlistMenu.appendChild(markItem);
+            
+            const reportItem = this.createMenuItem('Usage Report...', () => {
+                this.closeSetListDropdown();
+                getUsageReport().show();
+            }, false);
+            this.setlistMenu.appendChild(reportItem);
+            
             // Only show Delete if there are set lists
             if (setLists.length > 0) {
                 this.setlistMenu.appendChild(this.createDivider());
@@ -1703,6 +2823,55 @@ class MenuBarUI {
         return items;
     }
     
+    /**
+     * Record the active set list as performed on a date (for the usage report)
+     */
+    async markSetListPerformed() {
+        this.closeSetListDropdown();
+        
+        const name = State.getCurrentSetListDisplayName();
+        if (!name || name === 'None') return;
+        
+        const modal = getModal();
+        const entry = await modal.custom({
+            title: 'Mark as Performed',
+            content: `
+                <p>Record "<strong>${this.escapeHtml(name)}</strong>" as performed, for song usage reports.
+                   The saved set list is recorded, so save any changes first.</p>
+                <label class="performed-date">Date
+                    <input type="date" id="performed-date-input" value="${getLocalDate()}">
+                </label>
+                <label class="performed-date">Admin secret
+                    <input type="password" id="performed-secret-input" placeholder="Admin secret">
+                </label>
+            `,
+            confirmText: 'Record',
+            onConfirm: () => ({
+                date: document.getElementById('performed-date-input')?.value || null,
+                secret: document.getElementById('performed-secret-input')?.value || null
+            })
+        });
+        if (!entry?.date || !entry.secret) return;
+        const { date, secret } = entry;
+        
+        try {
+            const result = await recordPerformance(date, name, secret);
+            const count = result.performance.songs.length;
+            await modal.alert({
+                title: 'Performance Recorded',
+                message: `Recorded ${count} song${count === 1 ? '' : 's'} from "${this.escapeHtml(name)}" on ${date}.`
+            });
+        } catch (error) {
+            console.error('Failed to record performance:', error);
+            await modal.alert({
+                title: 'Error',
+                message: error.status === 403
+                    ? 'Invalid admin secret. The performance was not recorded.'
+                    : `Failed to record performance: ${error.message}`
+            });
+        }
+    }
+    
     /**
      * Delete set list with confirmation
      */
@@ -1907,7 +3076,7 @@ class MenuBarUI {
      */
     async showSaveDialog(type, song) {
         const modal = getModal();
-        const typeLabel = type === 'arrangement' ? 'Arrangement' : 'Mute Set';
+        const typeLabel = SAVE_TYPE_LABELS[type];
         
         return new Promise((resolve) => {
             const content = `
@@ -1966,9 +3135,13 @@ class MenuBarUI {
                     try {
                         let existingItem = null;
                         try {
-                            existingItem = type === 'arrangement' 
-                                ? await getArrangement(song.songName, name)
-                                : await getMuteSet(song.songName, name);
+                            if (type === 'arrangement') {
+                                existingItem = await getArrangement(song.songName, name);
+                            } else if (type === 'mix') {
+                                existingItem = await getMix(song.songName, name);
+                            } else {
+                                existingItem = await getMuteSet(song.songName, name);
+                            }
                         } catch (fetchError) {
                             if (fetchError.status !== 404) {
                                 throw fetchError;
@@ -2015,13 +3188,13 @@ class MenuBarUI {
     
     /**
      * Show dialog for overwriting a protected item (includes secret input and protection checkbox)
-     * @param {string} type - 'arrangement' or 'mute'
+     * @param {string} type - 'arrangement', 'mute', 'mix' or 'loop'
      * @param {string} name - Name of the existing item
      * @returns {Promise<{secret: string, isProtected: boolean}|null>}
      */
     async showProtectedOverwriteDialog(type, name) {
         const modal = getModal();
-        const typeLabel = type === 'arrangement' ? 'arrangement' : 'mute set';
+        const typeLabel = SAVE_TYPE_LABELS[type].toLowerCase();
         
         return new Promise((resolve) => {
             const content = `
@@ -2080,14 +3253,14 @@ class MenuBarUI {
     }
     
     /**
-     * Show dialog for saving current arrangement/mute set (with protection option)
-     * @param {string} type - 'arrangement' or 'mute'
+     * Show dialog for saving current arrangement/mute set/mix (with protection option)
+     * @param {string} type - 'arrangement', 'mute', 'mix' or 'loop'
      * @param {boolean} currentlyProtected - Whether the item is currently protected
      * @returns {Promise<{isProtected: boolean, secret?: string}|null>}
      */
     async showSaveCurrentDialog(type, currentlyProtected) {
         const modal = getModal();
-        const typeLabel = type === 'arrangement' ? 'Arrangement' : 'Mute Set';
+        const typeLabel = SAVE_TYPE_LABELS[type];
         
         return new Promise((resolve) => {
             let content = '';
@@ -2194,6 +3367,19 @@ class MenuBarUI {
         }, 500);
     }
     
+    async handleMixRefresh(song) {
+        this.invalidateMixCache(song.songName);
+        this.closeMixDropdown();
+    }
+    
+    /**
+     * Handle loop refresh - only invalidates the published loop cache
+     */
+    async handleLoopRefresh(song) {
+        this.invalidateLoopCache(song.songName);
+        this.closeLoopDropdown();
+    }
+    
     // ========================================
     // Helper Methods
     // ========================================
@@ -2276,6 +3462,8 @@ class MenuBarUI {
         // Close other dropdowns if open
         if (this.isArrangementOpen) this.closeArrangementDropdown();
         if (this.isMuteOpen) this.closeMuteDropdown();
+        if (this.isLoopOpen) this.closeLoopDropdown();
+        if (this.isMarkerOpen) this.closeMarkerDropdown();
         if (this.isSetListOpen) this.closeSetListDropdown();
         
         this.isMashupOpen = true;
@@ -2468,11 +3656,6 @@ class MenuBarUI {
         await Manifest.loadManifest();
         const allSongs = Manifest.getSongs();
         
-        // Build song options HTML
-        const songOptionsHtml = allSongs.map(s => 
-            `<option value="${this.escapeHtml(s.name)}">${this.escapeHtml(s.name)}</option>`
-        ).join('');
-        
         // Pitch options HTML
         const pitchOptionsHtml = this._buildPitchOptionsHtml();
         
@@ -2513,7 +3696,6 @@ class MenuBarUI {
         
         // Store references for reuse
         const editorState = {
-            songOptionsHtml,
             pitchOptionsHtml,
             allSongs,
             metadataCache: {}, // songName -> metadata
@@ -2789,10 +3971,8 @@ class MenuBarUI {
         row.innerHTML = `
             <span class="mashup-entry-drag" title="Drag to reorder">&#x2630;</span>
             <span class="mashup-entry-num">${rowIndex}</span>
-            <select class="mashup-entry-song" title="Song">
-                <option value="">-- Song --</option>
-                ${editorState.songOptionsHtml}
-            </select>
+            <button type="button" class="mashup-entry-song-btn" title="Song">-- Song --</button>
+            <input type="hidden" class="mashup-entry-song" value="">
             <select class="mashup-entry-arrangement" title="Arrangement">
                 <option value="">Original</option>
             </select>
@@ -2804,6 +3984,7 @@ class MenuBarUI {
         `;
         
         const songSelect = row.querySelector('.mashup-entry-song');
+        const songButton = row.querySelector('.mashup-entry-song-btn');
         const arrangementSelect = row.querySelector('.mashup-entry-arrangement');
         const pitchSelect = row.querySelector('.mashup-entry-pitch');
         const bpmInput = row.querySelector('.mashup-entry-bpm');
@@ -2879,6 +4060,15 @@ class MenuBarUI {
             resolveChange();
         });
         
+        // Song button - choose from the song picker
+        songButton.addEventListener('click', async () => {
+            const songName = await chooseSong(songButton, songSelect.value || null);
+            if (!songName || songName === songSelect.value) return;
+            songSelect.value = songName;
+            songButton.textContent = songName;
+            songSelect.dispatchEvent(new Event('change'));
+        });
+        
         // Remove button
         removeBtn.addEventListener('click', () => {
             row.remove();
@@ -2900,8 +4090,10 @@ class MenuBarUI {
             if (prefill.targetBpm !== undefined && prefill.targetBpm !== null) {
                 bpmInput.value = prefill.targetBpm;
             }
-            if (prefill.songName) {
+            // Songs no longer in the manifest are left unset (and dropped on save)
+            if (prefill.songName && editorState.allSongs.some(song => song.name === prefill.songName)) {
                 songSelect.value = prefill.songName;
+                songButton.textContent = prefill.songName;
                 // Trigger change to load arrangements, then set values after it completes
                 songSelect.dispatchEvent(new Event('change'));
                 songChangePromise.then(() => {
@@ -0,0 +1,658 @@
+/**
+ * Metadata Editor
+ * In-app editing of a song's metadata.json - markers, tempo and time signature
+ * changes, and key - and publishing it for everyone through the metadata API.
+ *
+ * Edits apply to the song straight away, so the timeline, beat grid and key labels
+ * reflect them while editing. The metadata from before the edit is kept for Discard.
+ * Markers are dragged, added and renamed on the timeline (see Timeline); the details
+ * dialog edits everything as numbers, along with the catalog fields used for CCLI
+ * reports. The tempo map can also be tapped (Tap Tempo) or read from the song's
+ * click stem.
+ */
+
+import * as State from '../state.js';
+import * as Metadata from '../metadata.js';
+import * as TrackManager from '../trackManager.js';
+import { saveMetadata } from '../api.js';
+import { getAudioEngine } from '../audioEngine.js';
+import { analyzeClickTrack } from '../clickAnalysis.js';
+import { findClickTrack } from '../songAnalysis.js';
+import { getModal } from './modal.js';
+import { getMenuBar } from './menubar.js';
+import { getTapTempo } from './tapTempo.js';
+
+// Entry fields edited in the details dialog, per metadata array
+const TABLES = {
+    tempos: {
+        title: 'Tempo changes',
+        columns: [
+            { field: 'start', label: 'Start (s)', type: 'number', step: '0.001' },
+            { field: 'tempo', label: 'BPM', type: 'number', step: '0.01' }
+        ]
+    },
+    'time-sigs': {
+        title: 'Time signature changes',
+        columns: [
+            { field: 'start', label: 'Start (s)', type: 'number', step: '0.001' },
+            { field: 'sig', label: 'Time sig', type: 'text' }
+        ]
+    },
+    markers: {
+        title: 'Markers',
+        columns: [
+            { field: 'start', label: 'Start (s)', type: 'number', step: '0.001' },
+            { field: 'name', label: 'Name', type: 'text' }
+        ]
+    }
+};
+
+// Catalog fields edited in the details dialog (authors and tags are entered comma-separated)
+const CATALOG_FIELDS = [
+    { field: 'authors', label: 'Authors', placeholder: 'Comma-separated' },
+    { field: 'ccli', label: 'CCLI song #', placeholder: 'e.g. 4768151' },
+    { field: 'copyright', label: 'Copyright', placeholder: 'e.g. 2004 Worship Together Music' },
+    { field: 'publisher', label: 'Publisher', placeholder: 'e.g. Capitol CMG Publishing' },
+    { field: 'tags', label: 'Tags', placeholder: 'e.g. upbeat, communion, christmas' }
+];
+
+/**
+ * Round a time to whole milliseconds (as stored in metadata.json)
+ * @param {number} seconds
+ * @returns {number}
+ */
+function roundTime(seconds) {
+    return Math.round(Math.max(0, seconds) * 1000) / 1000;
+}
+
+/**
+ * Sort metadata entries by start time
+ * @param {Array} entries
+ * @returns {Array} New sorted array
+ */
+function sortByStart(entries) {
+    return [...entries].sort((a, b) => a.start - b.start);
+}
+
+class MetadataEditor {
+    constructor() {
+        this.songId = null;     // Song being edited (null when not editing)
+        this.original = null;   // Metadata from before editing, restored by Discard
+        this.modified = false;
+
+        this.bar = document.getElementById('metadata-edit-bar');
+        this.statusEl = document.getElementById('metadata-edit-status');
+        this.detailsBtn = document.getElementById('metadata-edit-details');
+        this.tapBtn = document.getElementById('metadata-edit-tap');
+        this.clickBtn = document.getElementById('metadata-edit-click');
+        this.publishBtn = document.getElementById('metadata-edit-publish');
+        this.discardBtn = document.getElementById('metadata-edit-discard');
+        this.doneBtn = document.getElementById('metadata-edit-done');
+
+        this.attachEventListeners();
+        this.attachStateListeners();
+    }
+
+    attachEventListeners() {
+        this.detailsBtn?.addEventListener('click', () => this.showDetails());
+        this.tapBtn?.addEventListener('click', () => getTapTempo().start());
+        this.clickBtn?.addEventListener('click', () => this.tempoFromClick());
+        this.publishBtn?.addEventListener('click', () => this.publish());
+        this.discardBtn?.addEventListener('click', () => this.discard());
+        this.doneBtn?.addEventListener('click', () => this.stop());
+    }
+
+    attachStateListeners() {
+        // Editing belongs to one song: switching away or closing it ends the edit
+        // (changes stay on the song for this session)
+        State.subscribe(State.Events.SONG_SWITCHED, (song) => {
+            if (this.songId && song?.id !== this.songId) {
+                this.stop();
+            }
+        });
+
+        State.subscribe(State.Events.SONG_REMOVED, (song) => {
+            if (song?.id === this.songId) {
+                this.stop();
+            }
+        });
+    }
+
+    /**
+     * Check whether a song's metadata is being edited
+     * @param {string} [songId] - Song ID (defaults to the active song)
+     * @returns {boolean}
+     */
+    isEditing(songId = State.state.activeSongId) {
+        return this.songId !== null && this.songId === songId;
+    }
+
+    /**
+     * Start editing the active song's metadata
+     */
+    async start() {
+        const song = State.getActiveSong();
+        if (!song || song.tracks.length === 0) {
+            await getModal().alert({
+                title: 'Edit Metadata',
+                message: 'Open a song with at least one track before editing its metadata.'
+            });
+            return;
+        }
+        if (this.isEditing(song.id)) return;
+
+        this.songId = song.id;
+        this.original = song.metadata ? structuredClone(song.metadata) : null;
+        this.modified = false;
+
+        // Edit a copy, so the loaded (cached) metadata stays untouched until published
+        State.updateSongMetadata(song.id, structuredClone(song.metadata || {}));
+        this.updateBar();
+    }
+
+    /**
+     * Stop editing (changes stay on the song until it is closed)
+     */
+    stop() {
+        this.songId = null;
+        this.original = null;
+        this.modified = false;
+        this.updateBar();
+    }
+
+    /**
+     * Show or hide the edit bar and its unpublished-changes status
+     */
+    updateBar() {
+        if (!this.bar) return;
+        this.bar.classList.toggle('hidden', this.songId === null);
+        if (this.statusEl) {
+            this.statusEl.textContent = this.modified ? 'Unpublished changes' : '';
+        }
+        if (this.clickBtn) {
+            const song = State.getSong(this.songId);
+            this.clickBtn.classList.toggle('hidden', !song || !findClickTrack(song));
+        }
+    }
+
+    /**
+     * Get the metadata of the song being edited
+     * @returns {Object}
+     */
+    getMetadata() {
+        return State.getSong(this.songId)?.metadata || {};
+    }
+
+    /**
+     * Apply an edit to the song being edited (re-derives the beat grid)
+     * @param {Object} changes - Metadata fields to replace
+     */
+    apply(changes) {
+        this.setMetadata({ ...this.getMetadata(), ...changes });
+    }
+
+    /**
+     * Replace the metadata of the song being edited
+     * @param {Object} metadata
+     */
+    setMetadata(metadata) {
+        const song = State.getSong(this.songId);
+        if (!song) return;
+
+        State.updateSongMetadata(song.id, metadata);
+        this.modified = true;
+        this.updateBar();
+    }
+
+    // ========================================================================
+    // Markers (timeline editing)
+    // ========================================================================
+
+    /**
+     * Add a marker, asking for its name
+     * @param {number} time - Position in seconds
+     */
+    async addMarker(time) {
+        const result = await this.showMarkerDialog('Add Marker', '', false);
+        if (!result) return;
+
+        const marker = { name: result.name, start: roundTime(time) };
+        if (!marker.name) marker.unlabeled = true;
+
+        const markers = this.getMetadata().markers || [];
+        this.apply({ markers: sortByStart([...markers, marker]) });
+    }
+
+    /**
+     * Move a marker while it is being dragged
+     * Only the marker's time changes; call finishMarkerMove() when the drag ends.
+     * @param {number} index - Marker index
+     * @param {number} time - New position in seconds
+     */
+    moveMarker(index, time) {
+        const marker = this.getMetadata().markers?.[index];
+        if (marker) {
+            marker.start = roundTime(time);
+        }
+    }
+
+    /**
+     * Finish a marker drag: re-sort the markers and apply them
+     */
+    finishMarkerMove() {
+        const markers = this.getMetadata().markers || [];
+        this.apply({ markers: sortByStart(markers) });
+    }
+
+    /**
+     * Rename or delete a marker
+     * @param {number} index - Marker index
+     */
+    async editMarker(index) {
+        const markers = this.getMetadata().markers || [];
+        const marker = markers[index];
+        if (!marker) return;
+
+        const result = await this.showMarkerDialog('Edit Marker', marker.unlabeled ? '' : marker.name, true);
+        if (!result) return;
+
+        if (result.deleteRequested) {
+            this.apply({ markers: markers.filter((_, i) => i !== index) });
+            return;
+        }
+
+        const renamed = { ...marker, name: result.name };
+        if (result.name) {
+            delete renamed.unlabeled;
+        } else {
+            renamed.unlabeled = true;
+        }
+        this.apply({ markers: markers.map((m, i) => (i === index ? renamed : m)) });
+    }
+
+    /**
+     * Ask for a marker name
+     * @param {string} title - Dialog title
+     * @param {string} name - Current name
+     * @param {boolean} allowDelete - Show a Delete Marker button
+     * @returns {Promise<{name: string, deleteRequested: boolean}|null>} Null if cancelled
+     */
+    async showMarkerDialog(title, name, allowDelete) {
+        const modal = getModal();
+        let deleteRequested = false;
+
+        const dialog = modal.custom({
+            title,
+            content: `
+                <p>Section name (leave empty for an unlabeled marker):</p>
+                <input type="text" id="marker-name-input" class="metadata-input wide"
+                       value="${modal.escapeHtml(name)}" placeholder="e.g. Verse 1">
+                ${allowDelete ? '<button type="button" id="marker-delete-btn" class="btn btn-danger btn-small metadata-delete-marker">Delete Marker</button>' : ''}
+            `,
+            confirmText: 'Save',
+            onConfirm: () => ({
+                name: document.getElementById('marker-name-input').value.trim(),
+                deleteRequested
+            })
+        });
+
+        const input = document.getElementById('marker-name-input');
+        setTimeout(() => input.select(), 50);
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                modal.close(true);
+            }
+        });
+        document.getElementById('marker-delete-btn')?.addEventListener('click', () => {
+            deleteRequested = true;
+            modal.close(true);
+        });
+
+        return dialog;
+    }
+
+    // ========================================================================
+    // Details dialog
+    // ========================================================================
+
+    /**
+     * Edit the key, tempo and time signature changes, and markers as numbers
+     */
+    async showDetails() {
+        const song = State.getSong(this.songId);
+        if (!song) return;
+
+        const metadata = this.getMetadata();
+        const draft = {
+            key: metadata.key || '',
+            tempos: (metadata.tempos || []).map(t => ({ ...t })),
+            'time-sigs': (metadata['time-sigs'] || []).map(t => ({ ...t })),
+            markers: (metadata.markers || []).map(m => ({ ...m })),
+            catalog: {
+                authors: (metadata.authors || []).join(', '),
+                ccli: metadata.ccli || '',
+                copyright: metadata.copyright || '',
+                publisher: metadata.publisher || '',
+                tags: (metadata.tags || []).join(', ')
+            }
+        };
+
+        // Reopen with the entered values until they validate or the dialog is cancelled
+        for (;;) {
+            const result = await this.showDetailsDialog(song, draft);
+            if (!result) return;
+
+            // "Not set" removes the key, and empty catalog fields are removed
+            const { key: _previousKey, authors: _authors, ccli: _ccli, copyright: _copyright, publisher: _publisher, tags: _tags, ...rest } = this.getMetadata();
+            const next = {
+                ...rest,
+                tempos: sortByStart(result.tempos),
+                'time-sigs': sortByStart(result['time-sigs']),
+                markers: sortByStart(result.markers)
+            };
+            if (result.key) next.key = result.key;
+
+            for (const field of ['authors', 'tags']) {
+                const list = result.catalog[field].split(',').map(item => item.trim()).filter(Boolean);
+                if (list.length > 0) next[field] = list;
+            }
+            for (const field of ['ccli', 'copyright', 'publisher']) {
+                const value = result.catalog[field].trim();
+                if (value) next[field] = value;
+            }
+
+            const validation = Metadata.validateMetadata(next);
+            if (validation.valid) {
+                this.setMetadata(next);
+                return;
+            }
+
+            await getModal().alert({
+                title: 'Invalid Metadata',
+                message: validation.error
+            });
+        }
+    }
+
+    /**
+     * Show the details dialog for a draft (edited in place)
+     * @param {Object} song - Song object
+     * @param {Object} draft - { key, tempos, time-sigs, markers, catalog }
+     * @returns {Promise<Object|null>} The draft, or null if cancelled
+     */
+    async showDetailsDialog(song, draft) {
+        const modal = getModal();
+        const keyOptions = Metadata.METADATA_KEYS
+            .map(key => `<option value="${key}" ${key === draft.key ? 'selected' : ''}>${key}</option>`)
+            .join('');
+
+        const tables = Object.entries(TABLES).map(([name, table]) => `
+            <div class="metadata-table">
+                <div class="metadata-table-header">
+                    <span class="title">${table.title}</span>
+                    <button type="button" class="btn btn-secondary btn-small" data-add="${name}">Add at Playhead</button>
+                </div>
+                <div class="metadata-rows" data-table="${name}"></div>
+            </div>
+        `).join('');
+
+        const dialog = modal.custom({
+            title: 'Edit Metadata',
+            content: `
+                <div class="preference-item">
+                    <div class="preference-label"><span class="title">Key</span></div>
+                    <select id="metadata-key" class="preference-select">
+                        <option value="" ${draft.key ? '' : 'selected'}>Not set</option>
+                        ${keyOptions}
+                    </select>
+                </div>
+                ${tables}
+                <div class="metadata-table">
+                    <div class="metadata-table-header">
+                        <span class="title">Catalog</span>
+                    </div>
+                    <div class="metadata-catalog">
+                        ${CATALOG_FIELDS.map(c => `
+                            <label for="metadata-catalog-${c.field}">${c.label}</label>
+                            <input type="text" id="metadata-catalog-${c.field}" class="metadata-input wide"
+                                   data-catalog="${c.field}" placeholder="${c.placeholder}"
+                                   value="${modal.escapeHtml(draft.catalog[c.field])}">
+                        `).join('')}
+                    </div>
+                </div>
+            `,
+            confirmText: 'Apply',
+            onConfirm: () => draft
+        });
+
+        const renderRows = (name) => {
+            const container = modal.contentEl.querySelector(`.metadata-rows[data-table="${name}"]`);
+            const { columns } = TABLES[name];
+            if (draft[name].length === 0) {
+                container.innerHTML = '<div class="metadata-empty">None</div>';
+                return;
+            }
+            container.innerHTML = `
+                <div class="metadata-row header">
+                    ${columns.map(c => `<span>${c.label}</span>`).join('')}
+                    <span></span>
+                </div>
+                ${draft[name].map((entry, index) => `
+                    <div class="metadata-row" data-index="${index}">
+                        ${columns.map(c => `
+                            <input type="${c.type}" class="metadata-input" data-field="${c.field}"
+                                   ${c.step ? `step="${c.step}" min="0"` : ''}
+                                   value="${modal.escapeHtml(String(entry[c.field] ?? ''))}">
+                        `).join('')}
+                        <button type="button" class="metadata-row-remove" title="Remove">&times;</button>
+                    </div>
+                `).join('')}
+            `;
+        };
+
+        Object.keys(TABLES).forEach(renderRows);
+
+        document.getElementById('metadata-key').addEventListener('change', (e) => {
+            draft.key = e.target.value;
+        });
+
+        modal.contentEl.querySelector('.metadata-catalog').addEventListener('input', (e) => {
+            const field = e.target.dataset.catalog;
+            if (field) draft.catalog[field] = e.target.value;
+        });
+
+        modal.contentEl.querySelectorAll('.metadata-table').forEach(tableEl => {
+            const name = tableEl.querySelector('.metadata-rows').dataset.table;
+
+            tableEl.querySelector('[data-add]').addEventListener('click', () => {
+                const position = song.transport.position;
+                const { tempos, 'time-sigs': timeSigs } = this.getMetadata();
+                const start = roundTime(Metadata.findNearestBeat(position, tempos, timeSigs));
+                const entry = {
+                    tempos: { tempo: Metadata.getTempoAtTime(start, draft.tempos), start },
+                    'time-sigs': { sig: Metadata.getTimeSigAtTime(start, draft['time-sigs']), start },
+                    markers: { name: 'New Section', start }
+                }[name];
+                draft[name] = sortByStart([...draft[name], entry]);
+                renderRows(name);
+            });
+
+            tableEl.addEventListener('input', (e) => {
+                const input = e.target.closest('.metadata-input');
+                const row = e.target.closest('.metadata-row');
+                if (!input || !row) return;
+                const entry = draft[name][parseInt(row.dataset.index, 10)];
+                const field = input.dataset.field;
+                entry[field] = input.type === 'number' ? parseFloat(input.value) : input.value;
+                if (name === 'markers' && field === 'name') {
+                    if (entry.name.trim()) delete entry.unlabeled;
+                    else entry.unlabeled = true;
+                }
+            });
+
+            tableEl.addEventListener('click', (e) => {
+                const row = e.target.closest('.metadata-row');
+                if (!e.target.closest('.metadata-row-remove') || !row) return;
+                draft[name].splice(parseInt(row.dataset.index, 10), 1);
+                renderRows(name);
+            });
+        });
+
+        return dialog;
+    }
+
+    // ========================================================================
+    // Tempo map from the click stem
+    // ========================================================================
+
+    /**
+     * Replace the tempo and time signature changes with those of the click stem
+     */
+    async tempoFromClick() {
+        const song = State.getSong(this.songId);
+        const clickTrack = song && findClickTrack(song);
+        if (!clickTrack) return;
+
+        const modal = getModal();
+        State.setLoading(true, `Analyzing "${clickTrack.name}"...`);
+        let result;
+        try {
+            // Analysis needs the whole stem, not just the first decoded chunk
+            await TrackManager.awaitPendingDecodes([clickTrack.id]);
+            const audioEngine = getAudioEngine();
+            const buffer = audioEngine.getAudioBuffer(clickTrack.id) || audioEngine.getTrackBuffer(clickTrack.id);
+            result = buffer ? analyzeClickTrack(buffer) : null;
+            State.setLoading(false);
+        } catch (error) {
+            State.setLoading(false);
+            console.error('Failed to analyze click track:', error);
+            await modal.alert({
+                title: 'Analysis Failed',
+                message: `<p>The click track could not be analyzed.</p><p>${error.message}</p>`
+            });
+            return;
+        }
+
+        if (!result) {
+            await modal.alert({
+                title: 'No Clicks Found',
+                message: `No steady clicks were found in "${modal.escapeHtml(clickTrack.name)}".`
+            });
+            return;
+        }
+
+        const { tempos, timeSigs } = result;
+        const bpms = [...new Set(tempos.map(t => t.tempo))];
+        const confirmed = await modal.confirm({
+            title: 'Tempo from Click',
+            message: `
+                <p>Found ${result.clickCount} clicks: ${tempos.length} tempo change${tempos.length === 1 ? '' : 's'}
+                   (${bpms.length > 4 ? `${bpms.length} tempos` : bpms.map(bpm => `${bpm} BPM`).join(', ')})
+                   and ${timeSigs.length} time signature change${timeSigs.length === 1 ? '' : 's'}.</p>
+                ${result.accented ? '' : '<p>The click has no accented downbeats, so its first click is taken as a downbeat.</p>'}
+                <p>Replace the song's tempo and time signature changes?</p>
+            `,
+            confirmText: 'Replace'
+        });
+        if (!confirmed) return;
+
+        this.apply({ tempos, 'time-sigs': timeSigs });
+    }
+
+    // ========================================================================
+    // Publish / discard
+    // ========================================================================
+
+    /**
+     * Publish the edited metadata as the song's metadata.json
+     */
+    async publish() {
+        const song = State.getSong(this.songId);
+        if (!song) return;
+
+        const modal = getModal();
+        // Stamp the song's length for the manifest (the song picker shows and sorts by it)
+        const duration = song.tracks.reduce((max, t) => Math.max(max, t.duration || 0), 0);
+        const metadata = duration > 0
+            ? { ...this.getMetadata(), duration: roundTime(duration) }
+            : this.getMetadata();
+
+        const validation = Metadata.validateMetadata(metadata);
+        if (!validation.valid) {
+            await modal.alert({ title: 'Invalid Metadata', message: validation.error });
+            return;
+        }
+
+        const secret = await getMenuBar().promptForSecret('Publish Metadata');
+        if (!secret) return;
+
+        State.setLoading(true, 'Publishing metadata...');
+        try {
+            const result = await saveMetadata(song.songName, metadata, secret);
+
+            // Wait for the CloudFront invalidation, so the cached copy is the published one
+            State.setLoading(true, 'Waiting for the published metadata...');
+            const { modifiedAt } = result.metadata;
+            const fresh = await Metadata.refreshMetadataWithRetry(
+                song.songName,
+                (m) => m?.modifiedAt === modifiedAt
+            );
+            State.setLoading(false);
+
+            const propagated = fresh?.modifiedAt === modifiedAt;
+            State.updateSongMetadata(song.id, propagated ? fresh : result.metadata);
+            this.stop();
+
+            if (!propagated) {
+                await modal.alert({
+                    title: 'Metadata Published',
+                    message: 'The metadata was published, but the CDN is still serving the old copy. Others will see the change once its cache updates.'
+                });
+            }
+        } catch (error) {
+            State.setLoading(false);
+            console.error('Failed to publish metadata:', error);
+            const errorMessage = error.status === 403
+                ? 'Invalid admin secret. Metadata cannot be published without the correct secret.'
+                : `Failed to publish metadata: ${error.message}`;
+            await modal.alert({
+                title: 'Error',
+                message: errorMessage
+            });
+        }
+    }
+
+    /**
+     * Discard the edit and restore the metadata from before it
+     */
+    async discard() {
+        const song = State.getSong(this.songId);
+        if (!song) return;
+
+        if (this.modified) {
+            const confirmed = await getModal().confirm({
+                title: 'Discard Changes',
+                message: 'Discard all metadata changes made since editing started?',
+                confirmText: 'Discard',
+                confirmClass: 'btn-danger'
+            });
+            if (!confirmed) return;
+        }
+
+        State.updateSongMetadata(song.id, this.original);
+        this.stop();
+    }
+}
+
+// Singleton instance
+let metadataEditorInstance = null;
+
+export function getMetadataEditor() {
+    if (!metadataEditorInstance) {
+        metadataEditorInstance = new MetadataEditor();
+    }
+    return metadataEditorInstance;
+}
+
+export default MetadataEditor;
@@ -367,6 +367,71 @@ class ModalManager {
                             <span class="toggle-slider"></span>
                         </label>
                     </div>
+                    <div class="preference-item">
+                        <div class="preference-label">
+                            <span class="title">Memory budget</span>
+                            <span class="description">Decoded audio kept in memory for open songs. Songs not used recently are unloaded beyond this (see Diagnostics).</span>
+                        </div>
+                        <select id="pref-memory-budget" class="preference-select">
+                            <option value="0" ${prefs.memoryBudgetMB === 0 ? 'selected' : ''}>Auto</option>
+                            <option value="512" ${prefs.memoryBudgetMB === 512 ? 'selected' : ''}>512 MB</option>
+                            <option value="1024" ${prefs.memoryBudgetMB === 1024 ? 'selected' : ''}>1 GB</option>
+                            <option value="2048" ${prefs.memoryBudgetMB === 2048 ? 'selected' : ''}>2 GB</option>
+                            <option value="4096" ${prefs.memoryBudgetMB === 4096 ? 'selected' : ''}>4 GB</option>
+                        </select>
+                    </div>
+                    <div class="preference-item">
+                        <div class="preference-label">
+                            <span class="title">Count-in</span>
+                            <span class="description">Play clicks before playback starts, using the tempo and time signature at the start position</span>
+                        </div>
+                        <select id="pref-count-in-bars" class="preference-select">
+                            <option value="0" ${prefs.countInBars === 0 ? 'selected' : ''}>Off</option>
+                            <option value="1" ${prefs.countInBars === 1 ? 'selected' : ''}>1 bar</option>
+                            <option value="2" ${prefs.countInBars === 2 ? 'selected' : ''}>2 bars</option>
+                        </select>
+                    </div>
+                    <div class="preference-item">
+                        <div class="preference-label">
+                            <span class="title">Count-in on loop repeats</span>
+                            <span class="description">Also count in each time a loop jumps back to its start</span>
+                        </div>
+                        <label class="toggle-switch">
+                            <input type="checkbox" id="pref-count-in-loop" ${prefs.countInOnLoop ? 'checked' : ''}>
+                            <span class="toggle-slider"></span>
+                        </label>
+                    </div>
+                    <div class="preference-item">
+                        <div class="preference-label">
+                            <span class="title">Master limiter</span>
+                            <span class="description">Prevent clipping when several loud stems play together</span>
+                        </div>
+                        <label class="toggle-switch">
+                            <input type="checkbox" id="pref-master-limiter" ${prefs.masterLimiter ? 'checked' : ''}>
+                            <span class="toggle-slider"></span>
+                        </label>
+                    </div>
+                    <div class="preference-item">
+                        <div class="preference-label">
+                            <span class="title">Normalize song loudness</span>
+                            <span class="description">Measure each song's stems and play every song at a consistent level (the balance between stems is unchanged)</span>
+                        </div>
+                        <label class="toggle-switch">
+                            <input type="checkbox" id="pref-normalize-loudness" ${prefs.normalizeLoudness ? 'checked' : ''}>
+                            <span class="toggle-slider"></span>
+                        </label>
+                    </div>
+                    <div class="preference-item">
+                        <div class="preference-label">
+                            <span class="title">Monitor output</span>
+                            <span class="description">Split mode sends click/guide tracks, the click and the count-in to one side and the rest of the band (in mono) to the other, for in-ear monitors</span>
+                        </div>
+                        <select id="pref-monitor-mode" class="preference-select">
+                            <option value="stereo" ${prefs.monitorMode === 'stereo' ? 'selected' : ''}>Stereo</option>
+                            <option value="cues-left" ${prefs.monitorMode === 'cues-left' ? 'selected' : ''}>Split: cues left</option>
+                            <option value="cues-right" ${prefs.monitorMode === 'cues-right' ? 'selected' : ''}>Split: cues right</option>
+                        </select>
+                    </div>
                 </div>
             `;
             
@@ -393,6 +458,48 @@ class ModalManager {
                 }));
             });
             
+            const memoryBudgetSelect = document.getElementById('pref-memory-budget');
+            memoryBudgetSelect.addEventListener('change', (e) => {
+                setPreference('memoryBudgetMB', parseInt(e.target.value, 10));
+                window.dispatchEvent(new CustomEvent('preferenceChanged', {
+                    detail: { key: 'memoryBudgetMB', value: parseInt(e.target.value, 10) }
+                }));
+            });
+            
+            const countInSelect = document.getElementById('pref-count-in-bars');
+            countInSelect.addEventListener('change', (e) => {
+                setPreference('countInBars', parseInt(e.target.value, 10));
+            });
+            
+            const countInLoopToggle = document.getElementById('pref-count-in-loop');
+            countInLoopToggle.addEventListener('change', (e) => {
+                setPreference('countInOnLoop', e.target.checked);
+            });
+            
+            const limiterToggle = document.getElementById('pref-master-limiter');
+            limiterToggle.addEventListener('change', (e) => {
+                setPreference('masterLimiter', e.target.checked);
+                window.dispatchEvent(new CustomEvent('preferenceChanged', {
+                    detail: { key: 'masterLimiter', value: e.target.checked }
+                }));
+            });
+            
+            const loudnessToggle = document.getElementById('pref-normalize-loudness');
+            loudnessToggle.addEventListener('change', (e) => {
+                setPreference('normalizeLoudness', e.target.checked);
+                window.dispatchEvent(new CustomEvent('preferenceChanged', {
+                    detail: { key: 'normalizeLoudness', value: e.target.checked }
+                }));
+            });
+            
+            const monitorSelect = document.getElementById('pref-monitor-mode');
+            monitorSelect.addEventListener('change', (e) => {
+                setPreference('monitorMode', e.target.value);
+                window.dispatchEvent(new CustomEvent('preferenceChanged', {
+                    detail: { key: 'monitorMode', value: e.target.value }
+                }));
+            });
+            
             this.confirmBtn.textContent = 'Close';
             this.confirmBtn.className = 'btn btn-primary';
             this.cancelBtn.style.display = 'none';
@@ -404,6 +511,87 @@ class ModalManager {
         });
     }
 
+    /**
+     * Show the diagnostics view (memory used by decoded audio), refreshed while open
+     * @param {Function} getStatus - Returns a memory budget status snapshot (see MemoryBudget.getStatus)
+     */
+    showDiagnostics(getStatus) {
+        const formatMB = (bytes) => `${(bytes / (1024 * 1024)).toFixed(0)} MB`;
+        const formatAge = (time) => {
+            if (!time) return '—';
+            const seconds = Math.round((Date.now() - time) / 1000);
+            return seconds < 60 ? `${seconds}s ago` : `${Math.round(seconds / 60)}m ago`;
+        };
+        const prewarmLabels = { loading: 'Pre-warming', ready: 'Pre-warmed', skipped: 'Next (over budget)' };
+
+        const render = () => {
+            const status = getStatus();
+            const percent = status.budget > 0 ? Math.min(100, (status.total / status.budget) * 100) : 0;
+
+            const rows = status.songs.map(song => {
+                let state = song.tracksInMemory === 0 ? 'Unloaded' : 'In memory';
+                if (song.prewarm) state = prewarmLabels[song.prewarm];
+                if (song.isActive) state = 'Active';
+                return `
+                    <tr class="${song.isActive ? 'active' : ''}">
+                        <td>${this.escapeHtml(song.songName)}</td>
+                        <td>${state}</td>
+                        <td>${song.tracksInMemory}/${song.trackCount}</td>
+                        <td>${formatMB(song.bytes)} / ${formatMB(song.estimatedBytes)}</td>
+                        <td>${formatAge(song.lastUsed)}</td>
+                    </tr>
+                `;
+            }).join('');
+
+            const evictions = status.evictions.map(e =>
+                `<li>${this.escapeHtml(e.songName)} — ${formatMB(e.bytes)} (${formatAge(e.time)})</li>`
+            ).join('');
+
+            this.contentEl.innerHTML = `
+                <div class="diagnostics-content">
+                    <div class="diagnostics-summary">
+                        Decoded audio in memory: <strong>${formatMB(status.total)}</strong> of ${formatMB(status.budget)} budget
+                    </div>
+                    <div class="diagnostics-bar"><div class="diagnostics-bar-fill" style="width: ${percent}%"></div></div>
+                    <table class="diagnostics-table">
+                        <thead>
+                            <tr><th>Song</th><th>Status</th><th>Tracks</th><th>Memory / full</th><th>Last used</th></tr>
+                        </thead>
+                        <tbody>${rows || '<tr><td colspan="5">No songs open</td></tr>'}</tbody>
+                    </table>
+                    <div class="diagnostics-heading">Recent evictions</div>
+                    ${evictions ? `<ul class="diagnostics-evictions">${evictions}</ul>` : '<p class="diagnostics-empty">None</p>'}
+                </div>
+            `;
+        };
+
+        let refreshInterval = null;
+        return new Promise((resolve) => {
+            this.titleEl.textContent = 'Diagnostics';
+            render();
+            refreshInterval = setInterval(render, 1000);
+
+            this.confirmBtn.textContent = 'Close';
+            this.confirmBtn.className = 'btn btn-primary';
+            this.cancelBtn.style.display = 'none';
+
+            this.currentResolve = resolve;
+            this.show();
+        }).finally(() => {
+            clearInterval(refreshInterval);
+            this.cancelBtn.style.display = '';
+        });
+    }
+
+    /**
+     * Escape HTML for safe insertion
+     */
+    escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+
     /**
      * Show a prompt dialog with text input
      */
@@ -0,0 +1,293 @@
+/**
+ * Practice Dashboard
+ * Shows the practice log (practiceLog.js): per-song totals, the loops practised the
+ * most, and recent sessions, for the last week, month or all time. The log can be
+ * exported as a CSV file to send to a team lead, since it's only stored in this
+ * browser.
+ */
+
+import * as PracticeStore from '../practiceStore.js';
+import { summarizePractice } from '../practiceLog.js';
+import { getModal } from './modal.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Date range choices: label -> days (0 = all time)
+const RANGES = [
+    { label: 'Last 7 days', days: 7 },
+    { label: 'Last 30 days', days: 30 },
+    { label: 'All time', days: 0 }
+];
+
+// Rows shown in the loops and recent activity tables
+const MAX_ROWS = 10;
+
+// How long the Clear History button waits for the second click
+const CLEAR_CONFIRM_MS = 3000;
+
+/**
+ * Format a duration as "1h 05m", "12m" or "45s"
+ * @param {number} seconds - Duration in seconds
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    if (total < 60) return `${total}s`;
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    return hours > 0 ? `${hours}h ${minutes.toString().padStart(2, '0')}m` : `${minutes}m`;
+}
+
+/**
+ * Format a time as a short local date and time
+ * @param {number} time - Milliseconds since epoch
+ * @returns {string}
+ */
+function formatWhen(time) {
+    return new Date(time).toLocaleString(undefined, {
+        weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+    });
+}
+
+/**
+ * Get a session's time-weighted average speed
+ * @param {Object} session - Session record
+ * @returns {number}
+ */
+function getAverageSpeed(session) {
+    let weighted = 0;
+    for (const [speed, seconds] of Object.entries(session.speeds)) {
+        weighted += parseFloat(speed) * seconds;
+    }
+    return session.seconds > 0 ? weighted / session.seconds : 1;
+}
+
+/**
+ * Get a session's sections, most played first
+ * @param {Object} session - Session record
+ * @returns {string[]}
+ */
+function getSessionSections(session) {
+    return Object.entries(session.sections)
+        .sort((a, b) => b[1] - a[1])
+        .map(([name]) => name);
+}
+
+/**
+ * Quote a CSV field if needed
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+function csvField(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class PracticeDashboard {
+    constructor() {
+        this.rangeDays = RANGES[0].days;
+        this.sessions = [];
+    }
+
+    /**
+     * Open the dashboard
+     */
+    async show() {
+        const modal = getModal();
+        modal.dialog.classList.add('modal-practice');
+
+        const options = RANGES.map(range =>
+            `<option value="${range.days}" ${range.days === this.rangeDays ? 'selected' : ''}>${range.label}</option>`
+        ).join('');
+
+        modal.show({
+            title: 'Practice Log',
+            content: `
+                <div class="practice-dashboard">
+                    <div class="practice-toolbar">
+                        <select id="practice-range">${options}</select>
+                        <button id="practice-export" class="btn btn-secondary">Export CSV</button>
+                        <button id="practice-clear" class="btn btn-secondary">Clear History</button>
+                    </div>
+                    <div id="practice-body" class="practice-body"></div>
+                </div>
+            `,
+            confirmText: 'Close',
+            showCancel: false,
+            onShow: () => {
+                document.getElementById('practice-range').addEventListener('change', (e) => {
+                    this.rangeDays = parseInt(e.target.value, 10);
+                    this.load();
+                });
+                document.getElementById('practice-export').addEventListener('click', () => this.exportCsv());
+                this.attachClearButton(document.getElementById('practice-clear'));
+                this.load();
+            },
+            onConfirm: () => modal.dialog.classList.remove('modal-practice'),
+            onCancel: () => modal.dialog.classList.remove('modal-practice')
+        });
+    }
+
+    /**
+     * Read the sessions for the selected range and render them
+     */
+    async load() {
+        const body = document.getElementById('practice-body');
+        if (!body) return;
+        body.innerHTML = '<p class="practice-empty">Loading...</p>';
+
+        const since = this.rangeDays > 0 ? Date.now() - this.rangeDays * DAY_MS : 0;
+        this.sessions = await PracticeStore.getSessions(since);
+
+        // The dialog may have been closed or reused while reading
+        if (document.getElementById('practice-body') === body) {
+            this.render(body);
+        }
+    }
+
+    /**
+     * Render the summary tables
+     * @param {HTMLElement} body - Container
+     */
+    render(body) {
+        const modal = getModal();
+        const escape = (text) => modal.escapeHtml(text);
+
+        if (this.sessions.length === 0) {
+            body.innerHTML = '<p class="practice-empty">No practice logged in this period. Time is logged while a song plays.</p>';
+            return;
+        }
+
+        const summary = summarizePractice(this.sessions);
+
+        const songRows = summary.songs.map(song => `
+            <tr>
+                <td>${escape(song.songName)}</td>
+                <td>${formatDuration(song.seconds)}</td>
+                <td>${song.sessions}</td>
+                <td>${Math.round(song.averageSpeed * 100)}%</td>
+                <td>${song.loopPasses}</td>
+                <td>${formatWhen(song.lastPractised)}</td>
+            </tr>
+        `).join('');
+
+        const loopRows = summary.loops.slice(0, MAX_ROWS).map(loop => `
+            <tr>
+                <td>${escape(loop.label)}</td>
+                <td>${escape(loop.songName)}</td>
+                <td>${loop.passes}</td>
+                <td>${formatDuration(loop.seconds)}</td>
+            </tr>
+        `).join('');
+
+        const recentRows = summary.recent.slice(0, MAX_ROWS).map(session => `
+            <tr>
+                <td>${formatWhen(session.startedAt)}</td>
+                <td>${escape(session.songName)}</td>
+                <td>${formatDuration(session.seconds)}</td>
+                <td>${Math.round(getAverageSpeed(session) * 100)}%</td>
+                <td class="practice-sections">${escape(getSessionSections(session).join(', ') || '—')}</td>
+            </tr>
+        `).join('');
+
+        body.innerHTML = `
+            <div class="practice-summary">
+                Practised <strong>${formatDuration(summary.totalSeconds)}</strong>
+                in ${summary.sessionCount} session${summary.sessionCount === 1 ? '' : 's'}
+                across ${summary.songs.length} song${summary.songs.length === 1 ? '' : 's'}
+            </div>
+            <div class="practice-heading">Songs</div>
+            <table class="practice-table">
+                <thead>
+                    <tr><th>Song</th><th>Time</th><th>Sessions</th><th>Avg speed</th><th>Loop passes</th><th>Last practised</th></tr>
+                </thead>
+                <tbody>${songRows}</tbody>
+            </table>
+            <div class="practice-heading">Sections you loop the most</div>
+            ${loopRows ? `
+                <table class="practice-table">
+                    <thead>
+                        <tr><th>Loop</th><th>Song</th><th>Passes</th><th>Time</th></tr>
+                    </thead>
+                    <tbody>${loopRows}</tbody>
+                </table>
+            ` : '<p class="practice-empty">No loop passes yet</p>'}
+            <div class="practice-heading">Recent activity</div>
+            <table class="practice-table">
+                <thead>
+                    <tr><th>When</th><th>Song</th><th>Time</th><th>Avg speed</th><th>Sections</th></tr>
+                </thead>
+                <tbody>${recentRows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Make the Clear History button ask for a second click before deleting the log
+     * @param {HTMLButtonElement} button - Clear History button
+     */
+    attachClearButton(button) {
+        let confirmTimeout = null;
+
+        button.addEventListener('click', async () => {
+            if (!confirmTimeout) {
+                button.textContent = 'Click again to clear';
+                button.classList.add('btn-danger');
+                confirmTimeout = setTimeout(() => {
+                    confirmTimeout = null;
+                    button.textContent = 'Clear History';
+                    button.classList.remove('btn-danger');
+                }, CLEAR_CONFIRM_MS);
+                return;
+            }
+
+            clearTimeout(confirmTimeout);
+            confirmTimeout = null;
+            button.textContent = 'Clear History';
+            button.classList.remove('btn-danger');
+
+            await PracticeStore.clearSessions();
+            this.load();
+        });
+    }
+
+    /**
+     * Download the sessions in the selected range as a CSV file
+     */
+    exportCsv() {
+        const header = ['Started', 'Song', 'Minutes', 'Average speed', 'Loop passes', 'Sections'];
+        const rows = [...this.sessions]
+            .sort((a, b) => a.startedAt - b.startedAt)
+            .map(session => [
+                new Date(session.startedAt).toISOString(),
+                session.songName,
+                (session.seconds / 60).toFixed(1),
+                getAverageSpeed(session).toFixed(2),
+                session.loops.reduce((sum, loop) => sum + loop.passes, 0),
+                getSessionSections(session).join('; ')
+            ]);
+
+        const csv = [header, ...rows].map(row => row.map(csvField).join(',')).join('\n');
+        const blob = new Blob([csv], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `practice-log-${new Date().toISOString().slice(0, 10)}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Singleton instance
+let practiceDashboardInstance = null;
+
+export function getPracticeDashboard() {
+    if (!practiceDashboardInstance) {
+        practiceDashboardInstance = new PracticeDashboard();
+    }
+    return practiceDashboardInstance;
+}
+
+export default PracticeDashboard;
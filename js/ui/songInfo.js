@@ -0,0 +1,97 @@
+/**
+ * Song Info
+ * A panel with the active song's catalog details from metadata.json (authors, CCLI
+ * song number, copyright, publisher) alongside its key, tempo, time signature and
+ * sections, for copying into slides, bulletins and licensing reports.
+ */
+
+import * as State from '../state.js';
+import { getCatalogInfo, transposeKey } from '../metadata.js';
+import { getLabeledSections } from '../markerNavigation.js';
+import { getModal } from './modal.js';
+
+class SongInfo {
+    /**
+     * Open the panel for the active song
+     */
+    show() {
+        const modal = getModal();
+        const song = State.getActiveSong();
+
+        if (!song) {
+            modal.alert({ title: 'Song Info', message: 'Open a song to see its details.' });
+            return;
+        }
+
+        const escape = (text) => modal.escapeHtml(text);
+        const metadata = song.metadata || {};
+        const catalog = getCatalogInfo(metadata);
+        const hasCatalog = catalog.authors.length > 0 || catalog.ccli || catalog.copyright || catalog.publisher;
+
+        const rows = [
+            ['Song', escape(song.name || song.songName)],
+            ['Authors', escape(catalog.authors.join(', '))],
+            ['CCLI song #', escape(catalog.ccli)],
+            ['Copyright', escape(catalog.copyright)],
+            ['Publisher', escape(catalog.publisher)],
+            ['Key', this.describeKey(metadata.key, song.transport.pitch)],
+            ['Tempo', this.describeTempo(metadata.tempos)],
+            ['Time signature', escape([...new Set((metadata['time-sigs'] || []).map(t => t.sig))].join(', '))],
+            ['Sections', escape(getLabeledSections(song).map(section => section.name).join(' · '))]
+        ];
+
+        const tableRows = rows.map(([label, value]) => `
+            <tr>
+                <th>${label}</th>
+                <td>${value || '<span class="song-info-missing">—</span>'}</td>
+            </tr>
+        `).join('');
+
+        modal.show({
+            title: 'Song Info',
+            content: `
+                <table class="song-info-table">${tableRows}</table>
+                ${hasCatalog ? '' : '<p class="song-info-note">No catalog details yet. An admin can add them with Edit Song Metadata.</p>'}
+            `,
+            confirmText: 'Close',
+            showCancel: false
+        });
+    }
+
+    /**
+     * Describe the song's key, and the key it's played in if pitched
+     * @param {string|undefined} key - Key from metadata
+     * @param {number} pitch - Pitch shift in semitones
+     * @returns {string}
+     */
+    describeKey(key, pitch) {
+        if (!key) return '';
+        if (!pitch) return key;
+        return `${key} (playing in ${transposeKey(key, pitch)})`;
+    }
+
+    /**
+     * Describe the song's tempo, as a range if it changes
+     * @param {Array|undefined} tempos - Tempo changes from metadata
+     * @returns {string}
+     */
+    describeTempo(tempos) {
+        if (!tempos || tempos.length === 0) return '';
+        const bpms = tempos.map(t => Math.round(t.tempo));
+        const min = Math.min(...bpms);
+        const max = Math.max(...bpms);
+        return min === max ? `${min} BPM` : `${min}–${max} BPM`;
+    }
+}
+
+// Singleton instance
+let songInfoInstance = null;
+
+export function getSongInfo() {
+    if (!songInfoInstance) {
+        songInfoInstance = new SongInfo();
+    }
+    return songInfoInstance;
+}
+
+export default SongInfo;
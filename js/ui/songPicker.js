@@ -0,0 +1,398 @@
+/**
+ * Song Picker
+ * Searchable song list used by the tab bar's Open Song dropdown and the mashup
+ * editor's song buttons. Fuzzy search, key/tempo/tag filters, favourites and
+ * recently opened songs come from songSearch.js.
+ *
+ * Everything works from the keyboard: typing searches, the arrow keys move through
+ * the list, Enter chooses, Ctrl+D stars the highlighted song and Esc closes. Keys
+ * pressed in the picker don't reach the app's shortcuts (Space doesn't play).
+ */
+
+import * as Storage from '../storage.js';
+import * as Manifest from '../manifest.js';
+import * as SongSearch from '../songSearch.js';
+import { METADATA_KEYS } from '../metadata.js';
+
+// Popover opened by chooseSong(), if any
+let activePopover = null;
+
+class SongPicker {
+    /**
+     * @param {HTMLElement} root - Element to build the picker in (its contents are replaced)
+     * @param {Object} options
+     * @param {Function} options.onSelect - Called with the chosen song name
+     * @param {Function} options.onCancel - Called when Esc is pressed
+     * @param {string} [options.selected] - Song to mark as the current choice
+     */
+    constructor(root, { onSelect, onCancel, selected = null }) {
+        this.root = root;
+        this.onSelect = onSelect;
+        this.onCancel = onCancel;
+        this.selected = selected;
+
+        this.filters = { query: '', key: '', minBpm: null, maxBpm: null, tags: [] };
+        this.items = [];      // Song names in list order (a song may be listed in several sections)
+        this.itemEls = [];
+        this.activeIndex = -1;
+
+        this.build();
+    }
+
+    /**
+     * Build the picker's elements and attach its listeners
+     */
+    build() {
+        const keyOptions = METADATA_KEYS.map(key => `<option value="${key}">${key}</option>`).join('');
+        const sortOptions = Object.entries(Manifest.SONG_SORTS)
+            .map(([value, sort]) => `<option value="${value}">${sort.label}</option>`)
+            .join('');
+
+        this.root.innerHTML = `
+            <div class="picker-header">
+                SELECT A SONG
+                <label class="picker-sort">Sort
+                    <select class="song-picker-sort">${sortOptions}</select>
+                </label>
+            </div>
+            <div class="song-picker-controls">
+                <input type="search" class="song-picker-query" placeholder="Search songs and tags..."
+                       aria-label="Search songs" autocomplete="off">
+                <div class="song-picker-filters">
+                    <select class="song-picker-key" aria-label="Key"><option value="">Any key</option>${keyOptions}</select>
+                    <input type="number" class="song-picker-bpm" data-bound="minBpm" placeholder="Min BPM" min="1" aria-label="Minimum BPM">
+                    <span>–</span>
+                    <input type="number" class="song-picker-bpm" data-bound="maxBpm" placeholder="Max BPM" min="1" aria-label="Maximum BPM">
+                    <button type="button" class="song-picker-clear" title="Clear search and filters">Clear</button>
+                </div>
+                <div class="song-picker-tags"></div>
+            </div>
+            <div class="picker-list song-picker-list" role="listbox"></div>
+            <div class="song-picker-hint">&uarr;&darr; move · Enter choose · Ctrl+D favourite · Esc close</div>
+        `;
+
+        this.queryInput = this.root.querySelector('.song-picker-query');
+        this.keySelect = this.root.querySelector('.song-picker-key');
+        this.sortSelect = this.root.querySelector('.song-picker-sort');
+        this.tagsEl = this.root.querySelector('.song-picker-tags');
+        this.listEl = this.root.querySelector('.song-picker-list');
+
+        this.sortSelect.value = Storage.getPreference('songPickerSort') || 'name';
+
+        this.queryInput.addEventListener('input', () => {
+            this.filters.query = this.queryInput.value;
+            this.renderList();
+        });
+        this.keySelect.addEventListener('change', () => {
+            this.filters.key = this.keySelect.value;
+            this.renderList();
+        });
+        this.sortSelect.addEventListener('change', () => {
+            Storage.setPreference('songPickerSort', this.sortSelect.value);
+            this.renderList();
+        });
+        this.root.querySelectorAll('.song-picker-bpm').forEach(input => {
+            input.addEventListener('input', () => {
+                const bpm = parseFloat(input.value);
+                this.filters[input.dataset.bound] = bpm > 0 ? bpm : null;
+                this.renderList();
+            });
+        });
+        this.root.querySelector('.song-picker-clear').addEventListener('click', () => {
+            this.clearFilters();
+            this.queryInput.focus();
+        });
+
+        this.tagsEl.addEventListener('click', (e) => {
+            const chip = e.target.closest('.song-picker-tag');
+            if (!chip) return;
+            const tag = chip.dataset.tag;
+            this.filters.tags = this.filters.tags.includes(tag)
+                ? this.filters.tags.filter(t => t !== tag)
+                : [...this.filters.tags, tag];
+            this.renderTags();
+            this.renderList();
+        });
+
+        this.listEl.addEventListener('click', (e) => {
+            const item = e.target.closest('.picker-item');
+            if (!item) return;
+            if (e.target.closest('.song-picker-star')) {
+                this.toggleFavourite(parseInt(item.dataset.index, 10));
+            } else {
+                this.onSelect(item.dataset.song);
+            }
+        });
+        this.listEl.addEventListener('mousemove', (e) => {
+            const item = e.target.closest('.picker-item');
+            if (item) this.setActive(parseInt(item.dataset.index, 10), false);
+        });
+
+        this.root.addEventListener('keydown', (e) => this.handleKeydown(e));
+    }
+
+    /**
+     * Refresh the picker from the manifest and focus the search box
+     */
+    async open() {
+        await Manifest.loadManifest();
+        this.renderTags();
+        this.renderList();
+        this.queryInput.focus();
+        this.queryInput.select();
+    }
+
+    clearFilters() {
+        this.filters = { query: '', key: '', minBpm: null, maxBpm: null, tags: [] };
+        this.queryInput.value = '';
+        this.keySelect.value = '';
+        this.root.querySelectorAll('.song-picker-bpm').forEach(input => { input.value = ''; });
+        this.renderTags();
+        this.renderList();
+    }
+
+    /**
+     * @param {KeyboardEvent} e
+     */
+    handleKeydown(e) {
+        // The picker owns its keys: app shortcuts and dialogs underneath don't see them
+        e.stopPropagation();
+
+        // Number inputs and selects keep their own arrow keys
+        const ownsArrows = e.target.tagName === 'SELECT' || e.target.type === 'number';
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.onCancel();
+        } else if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && !ownsArrows) {
+            e.preventDefault();
+            this.setActive(this.activeIndex + (e.key === 'ArrowDown' ? 1 : -1));
+        } else if (e.key === 'Enter' && (e.target === this.queryInput || ownsArrows)) {
+            e.preventDefault();
+            const songName = this.items[this.activeIndex];
+            if (songName) this.onSelect(songName);
+        } else if (e.key.toLowerCase() === 'd' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            this.toggleFavourite(this.activeIndex);
+        }
+    }
+
+    /**
+     * Highlight a list item
+     * @param {number} index - Item index (clamped to the list)
+     * @param {boolean} [scroll=true] - Scroll it into view
+     */
+    setActive(index, scroll = true) {
+        if (this.itemEls.length === 0) return;
+        this.activeIndex = Math.max(0, Math.min(index, this.itemEls.length - 1));
+        this.itemEls.forEach((el, i) => el.classList.toggle('active', i === this.activeIndex));
+
+        const activeEl = this.itemEls[this.activeIndex];
+        this.queryInput.setAttribute('aria-activedescendant', activeEl.id);
+        if (scroll) activeEl.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Star or unstar a listed song
+     * @param {number} index - Item index
+     */
+    toggleFavourite(index) {
+        const songName = this.items[index];
+        if (!songName) return;
+        SongSearch.toggleFavouriteSong(songName);
+
+        // Keep the same song highlighted as the sections change
+        this.renderList();
+        const newIndex = this.items.indexOf(songName);
+        if (newIndex !== -1) this.setActive(newIndex);
+    }
+
+    /**
+     * Render the tag chips (only tags in use)
+     */
+    renderTags() {
+        const tags = SongSearch.getAllTags(Manifest.getSongs());
+        this.tagsEl.classList.toggle('hidden', tags.length === 0);
+        this.tagsEl.innerHTML = '';
+        for (const tag of tags) {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'song-picker-tag';
+            chip.classList.toggle('active', this.filters.tags.includes(tag));
+            chip.dataset.tag = tag;
+            chip.textContent = tag;
+            this.tagsEl.appendChild(chip);
+        }
+    }
+
+    /**
+     * Render the song list: search results, or favourites, recent and all songs
+     */
+    renderList() {
+        const allSongs = Manifest.sortSongs(Manifest.getSongs(), this.sortSelect.value);
+        const byName = new Map(allSongs.map(song => [song.name, song]));
+
+        let sections;
+        if (SongSearch.hasFilters(this.filters)) {
+            const results = SongSearch.searchSongs(allSongs, this.filters);
+            sections = [{ label: `${results.length} match${results.length === 1 ? '' : 'es'}`, songs: results }];
+        } else {
+            const pick = (names) => names.map(name => byName.get(name)).filter(Boolean);
+            sections = [
+                { label: 'Favourites', songs: pick(SongSearch.getFavouriteSongs()).sort((a, b) => a.name.localeCompare(b.name)) },
+                { label: 'Recently opened', songs: pick(SongSearch.getRecentSongs()) },
+                { label: 'All songs', songs: allSongs }
+            ].filter(section => section.songs.length > 0);
+        }
+
+        this.listEl.innerHTML = '';
+        this.items = [];
+        this.itemEls = [];
+        this.activeIndex = -1;
+
+        if (allSongs.length === 0) {
+            this.listEl.innerHTML = '<div class="picker-empty">No songs available</div>';
+            return;
+        }
+
+        const favourites = SongSearch.getFavouriteSongs();
+        for (const section of sections) {
+            const heading = document.createElement('div');
+            heading.className = 'song-picker-section';
+            heading.textContent = section.label;
+            this.listEl.appendChild(heading);
+
+            for (const song of section.songs) {
+                this.listEl.appendChild(this.createItem(song, favourites.includes(song.name)));
+            }
+        }
+
+        if (this.items.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'picker-empty';
+            empty.textContent = 'No songs match';
+            this.listEl.appendChild(empty);
+            return;
+        }
+
+        // Start on the current choice when it's listed
+        const selectedIndex = this.selected ? this.items.indexOf(this.selected) : -1;
+        this.setActive(selectedIndex === -1 ? 0 : selectedIndex);
+    }
+
+    /**
+     * Create a list item for a song
+     * @param {Object} song - Manifest song
+     * @param {boolean} isFavourite - Whether the song is starred
+     * @returns {HTMLElement}
+     */
+    createItem(song, isFavourite) {
+        const index = this.items.length;
+        const item = document.createElement('div');
+        item.className = 'picker-item song-picker-item';
+        item.classList.toggle('selected', song.name === this.selected);
+        item.id = `${this.root.id || 'song-picker'}-item-${index}`;
+        item.setAttribute('role', 'option');
+        item.dataset.song = song.name;
+        item.dataset.index = index;
+
+        const star = document.createElement('span');
+        star.className = 'song-picker-star';
+        star.classList.toggle('starred', isFavourite);
+        star.textContent = isFavourite ? '★' : '☆';
+        star.title = isFavourite ? 'Remove from favourites (Ctrl+D)' : 'Add to favourites (Ctrl+D)';
+        item.appendChild(star);
+
+        const textEl = document.createElement('div');
+        textEl.className = 'song-picker-text';
+
+        const nameEl = document.createElement('div');
+        nameEl.className = 'picker-item-name';
+        nameEl.textContent = song.name;
+        textEl.appendChild(nameEl);
+
+        const summary = Manifest.describeSong(song);
+        if (summary || song.tags?.length) {
+            const detailsEl = document.createElement('div');
+            detailsEl.className = 'picker-item-details';
+            detailsEl.textContent = summary;
+            for (const tag of song.tags || []) {
+                const tagEl = document.createElement('span');
+                tagEl.className = 'picker-tag';
+                tagEl.textContent = tag;
+                detailsEl.appendChild(tagEl);
+            }
+            textEl.appendChild(detailsEl);
+        }
+        item.appendChild(textEl);
+
+        if (song.size) {
+            const updated = song.modified ? `, updated ${new Date(song.modified).toLocaleDateString()}` : '';
+            item.title = `${song.tracks.length} tracks, ${(song.size / (1024 * 1024)).toFixed(1)} MB${updated}`;
+        }
+
+        this.items.push(song.name);
+        this.itemEls.push(item);
+        return item;
+    }
+}
+
+/**
+ * Choose a song from a picker popover beside an element (e.g. a button in a dialog)
+ * @param {HTMLElement} anchor - Element to show the popover under
+ * @param {string|null} [selected] - Current choice, highlighted in the list
+ * @returns {Promise<string|null>} The chosen song name, or null if closed without choosing
+ */
+export function chooseSong(anchor, selected = null) {
+    // Clicking the button again closes its popover
+    if (activePopover) {
+        const sameAnchor = activePopover.anchor === anchor;
+        activePopover.cancel();
+        if (sameAnchor) return Promise.resolve(null);
+    }
+
+    return new Promise((resolve) => {
+        const popover = document.createElement('div');
+        popover.className = 'picker-dropdown song-picker-popover';
+        popover.id = 'song-picker-popover';
+        popover.style.visibility = 'hidden';
+        document.body.appendChild(popover);
+
+        let done = false;
+        const finish = (songName) => {
+            if (done) return;
+            done = true;
+            document.removeEventListener('mousedown', onOutsideClick, true);
+            popover.remove();
+            activePopover = null;
+            anchor.focus();
+            resolve(songName);
+        };
+        const onOutsideClick = (e) => {
+            if (!popover.contains(e.target) && !anchor.contains(e.target)) finish(null);
+        };
+
+        const picker = new SongPicker(popover, {
+            selected,
+            onSelect: (songName) => finish(songName),
+            onCancel: () => finish(null)
+        });
+        activePopover = { anchor, cancel: () => finish(null) };
+        document.addEventListener('mousedown', onOutsideClick, true);
+
+        picker.open().then(() => {
+            // Below the anchor, or above it if there isn't room (measured once the list is in)
+            const rect = anchor.getBoundingClientRect();
+            const spaceBelow = window.innerHeight - rect.bottom;
+            popover.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - popover.offsetWidth - 8))}px`;
+            if (spaceBelow < popover.offsetHeight + 8 && rect.top > spaceBelow) {
+                popover.style.bottom = `${window.innerHeight - rect.top + 4}px`;
+            } else {
+                popover.style.top = `${rect.bottom + 4}px`;
+            }
+            popover.style.visibility = '';
+        });
+    });
+}
+
+export default SongPicker;
@@ -6,15 +6,18 @@
 
 import * as State from '../state.js';
 import * as SongManager from '../songManager.js';
-import * as Manifest from '../manifest.js';
 import { getTrackPanel } from './trackPanel.js';
+import SongPicker from './songPicker.js';
 
 class TabsUI {
     constructor() {
         this.container = document.getElementById('tabs-container');
         this.addBtn = document.getElementById('add-song-btn');
         this.songPicker = document.getElementById('song-picker');
-        this.songPickerList = document.getElementById('song-picker-list');
+        this.picker = new SongPicker(this.songPicker, {
+            onSelect: (songName) => this.selectSong(songName),
+            onCancel: () => this.closeSongPicker()
+        });
         
         this.tabElements = new Map(); // songId -> element (for standalone songs)
         this.mashupTabElements = new Map(); // groupId -> element (for mashup group tabs)
@@ -35,9 +38,11 @@ class TabsUI {
             this.toggleSongPicker();
         });
 
-        // Close picker when clicking outside
+        // Close picker when clicking outside (the event's path, since the picker
+        // re-renders the clicked tag or star before this runs)
         document.addEventListener('click', (e) => {
-            if (this.isPickerOpen && !this.songPicker.contains(e.target) && !this.addBtn.contains(e.target)) {
+            const path = e.composedPath();
+            if (this.isPickerOpen && !path.includes(this.songPicker) && !path.includes(this.addBtn)) {
                 this.closeSongPicker();
             }
         });
@@ -265,28 +270,9 @@ class TabsUI {
     }
 
     async openSongPicker() {
-        await Manifest.loadManifest();
-        
-        const allSongs = Manifest.getSongs();
-        
-        this.songPickerList.innerHTML = '';
-        
-        if (allSongs.length === 0) {
-            this.songPickerList.innerHTML = '<div class="picker-empty">No songs available</div>';
-        } else {
-            for (const song of allSongs) {
-                const item = document.createElement('div');
-                item.className = 'picker-item';
-                item.textContent = song.name;
-                item.addEventListener('click', () => {
-                    this.selectSong(song.name);
-                });
-                this.songPickerList.appendChild(item);
-            }
-        }
-        
         this.songPicker.classList.remove('hidden');
         this.isPickerOpen = true;
+        await this.picker.open();
     }
 
     closeSongPicker() {
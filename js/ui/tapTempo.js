@@ -0,0 +1,488 @@
+/**
+ * Tap Tempo
+ * Builds a song's tempo map from taps while it plays, for songs with rubato intros or
+ * tempo drift that a single tempo can't follow.
+ *
+ * Each tap (T key, or a click on the timeline) records the playback position. Taps are
+ * numbered as beats (missed beats are filled in, double taps ignored) and split into
+ * segments of steady tempo wherever two taps in a row fall off the running tempo. The
+ * first tap is the first downbeat: the fitted map lands a bar line on it, with a pickup
+ * before it. The map previews as the timeline's beat grid; change points can be nudged
+ * a tap earlier or later, or removed, before the map is used as the song's tempos
+ * (through the metadata editor, so it can be published from there).
+ */
+
+import * as State from '../state.js';
+import * as Metadata from '../metadata.js';
+import { getTransport } from '../transport.js';
+import { getModal } from './modal.js';
+import { getMetadataEditor } from './metadataEditor.js';
+
+// Taps closer than this fraction of a beat to the previous tap are double taps
+const DOUBLE_TAP_FRACTION = 0.5;
+
+// Intervals averaged (median) for the running beat length
+const RUNNING_INTERVALS = 4;
+
+// How far a tap may fall from its segment's tempo before it counts as a change
+const TOLERANCE_SECONDS = 0.05;
+const TOLERANCE_FRACTION = 0.1;
+
+/**
+ * Get the median of a list of numbers
+ * @param {number[]} values
+ * @returns {number|null} Null for an empty list
+ */
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Number taps as beats
+ * A gap of several beats counts as missed taps; a tap right after another is dropped.
+ * @param {number[]} times - Tap positions in seconds, ascending
+ * @returns {Array<{time: number, beat: number}>} Beat 0 is the first tap
+ */
+function assignBeats(times) {
+    const taps = [];
+    const intervals = [];
+
+    for (const time of times) {
+        const previous = taps[taps.length - 1];
+        if (!previous) {
+            taps.push({ time, beat: 0 });
+            continue;
+        }
+
+        const elapsed = time - previous.time;
+        const beatLength = median(intervals.slice(-RUNNING_INTERVALS)) ?? elapsed;
+        if (elapsed < beatLength * DOUBLE_TAP_FRACTION) continue;
+
+        const beats = Math.max(1, Math.round(elapsed / beatLength));
+        intervals.push(elapsed / beats);
+        taps.push({ time, beat: previous.beat + beats });
+    }
+
+    return taps;
+}
+
+/**
+ * Least-squares fit of tap time against beat number over a run of taps
+ * @param {Array} taps - From assignBeats()
+ * @param {number} first - Index of the first tap
+ * @param {number} last - Index of the last tap (at least first + 1)
+ * @returns {{beatLength: number, at: Function}} at(beat) gives the fitted time of a beat
+ */
+function fitTaps(taps, first, last) {
+    const count = last - first + 1;
+    let sumBeat = 0, sumTime = 0, sumBeatBeat = 0, sumBeatTime = 0;
+    for (let i = first; i <= last; i++) {
+        const { beat, time } = taps[i];
+        sumBeat += beat;
+        sumTime += time;
+        sumBeatBeat += beat * beat;
+        sumBeatTime += beat * time;
+    }
+
+    const beatLength = (count * sumBeatTime - sumBeat * sumTime) / (count * sumBeatBeat - sumBeat * sumBeat);
+    const intercept = (sumTime - beatLength * sumBeat) / count;
+    return { beatLength, at: (beat) => intercept + beatLength * beat };
+}
+
+/**
+ * Get how far a tap may fall from the fitted tempo
+ * @param {number} beatLength - Seconds per beat
+ * @returns {number} Seconds
+ */
+function getTolerance(beatLength) {
+    return Math.max(TOLERANCE_SECONDS, beatLength * TOLERANCE_FRACTION);
+}
+
+/**
+ * Find where the tempo changes
+ * A segment grows while its taps fit one tempo; two taps in a row off the same way
+ * start a new segment at the last tap that fit (one stray tap is ignored).
+ * @param {Array} taps - From assignBeats()
+ * @returns {number[]} Indexes of the taps that start a new segment
+ */
+function findChangePoints(taps) {
+    const changes = [];
+    let first = 0;
+
+    for (let i = first + 2; i < taps.length; i++) {
+        const fit = fitTaps(taps, first, i - 1);
+        const tolerance = getTolerance(fit.beatLength);
+        const deviation = taps[i].time - fit.at(taps[i].beat);
+        if (Math.abs(deviation) <= tolerance) continue;
+
+        const next = taps[i + 1];
+        if (!next) break;
+        const nextDeviation = next.time - fit.at(next.beat);
+        if (Math.abs(nextDeviation) <= tolerance || Math.sign(nextDeviation) !== Math.sign(deviation)) continue;
+
+        changes.push(i - 1);
+        first = i - 1;
+        i = first + 1;
+    }
+
+    return changes;
+}
+
+/**
+ * Fit each segment between change points
+ * Segments share their boundary tap; its time is the mean of both segments' fits.
+ * @param {Array} taps - From assignBeats()
+ * @param {number[]} changes - Change point tap indexes, ascending
+ * @returns {Array<{first: number, last: number, beats: number, start: number, end: number}>}
+ */
+function fitSegments(taps, changes) {
+    const bounds = [0, ...changes, taps.length - 1];
+    const fits = bounds.slice(1).map((last, k) => fitTaps(taps, bounds[k], last));
+
+    const boundaryTimes = bounds.map((index, k) => {
+        const { beat } = taps[index];
+        if (k === 0) return fits[0].at(beat);
+        if (k === fits.length) return fits[k - 1].at(beat);
+        return (fits[k - 1].at(beat) + fits[k].at(beat)) / 2;
+    });
+
+    return fits.map((_, k) => ({
+        first: bounds[k],
+        last: bounds[k + 1],
+        beats: taps[bounds[k + 1]].beat - taps[bounds[k]].beat,
+        start: boundaryTimes[k],
+        end: boundaryTimes[k + 1]
+    }));
+}
+
+/**
+ * Build a metadata tempo map from fitted segments
+ * @param {Array} segments - From fitSegments()
+ * @param {string} sig - Time signature at the first downbeat (taps are its beats)
+ * @param {Array} laterTimeSigs - Time signature changes after the first downbeat
+ * @param {number} duration - Song duration in seconds
+ * @returns {{tempos: Array, 'time-sigs': Array, segments: Array<{start: number, tempo: number}>}}
+ *          segments are where each segment starts on the new grid, and its tempo
+ */
+function buildTempoMap(segments, sig, laterTimeSigs, duration) {
+    const round3 = (value) => Math.round(value * 1000) / 1000;
+    const [, denominator] = sig.split('/').map(Number);
+    const toTempo = (beatLength) => Math.round(60 * 4 / denominator / beatLength * 100) / 100;
+    const toBeatLength = (tempo) => (60 / tempo) * (4 / denominator);
+
+    const first = segments[0];
+    const pickup = Metadata.buildPickup(first.start, (first.end - first.start) / first.beats, sig);
+    const tempos = [...pickup.tempos];
+    const starts = [];
+
+    // Each segment starts where the stored (rounded) tempo of the one before ends, so the
+    // grid lands on every change point exactly
+    let time = pickup.downbeat;
+    for (const segment of segments) {
+        const tempo = toTempo((segment.end - segment.start) / segment.beats);
+        starts.push({ start: round3(time), tempo });
+        if (tempo !== tempos[tempos.length - 1]?.tempo) {
+            tempos.push({ tempo, start: round3(time) });
+        }
+        time += segment.beats * toBeatLength(tempo);
+    }
+
+    // Later time signature changes move to the nearest beat of the new grid
+    const timeSigs = [...pickup.timeSigs];
+    for (const change of laterTimeSigs) {
+        const start = round3(Metadata.findNearestBeat(change.start, tempos, timeSigs));
+        const previous = timeSigs[timeSigs.length - 1];
+        if (start <= previous.start || start >= duration || change.sig === previous.sig) continue;
+        timeSigs.push({ sig: change.sig, start });
+    }
+
+    return { tempos, 'time-sigs': timeSigs, segments: starts };
+}
+
+class TapTempo {
+    constructor() {
+        this.songId = null;     // Song being tapped (null when not tapping)
+        this.times = [];        // Tap positions in seconds, ascending
+        this.taps = [];         // Taps numbered as beats
+        this.changes = [];      // Change point tap indexes
+        this.preview = null;    // { tempos, time-sigs, segments, beatPositions } of the fitted map
+
+        this.bar = document.getElementById('tap-tempo-bar');
+        this.statusEl = document.getElementById('tap-tempo-status');
+        this.changesEl = document.getElementById('tap-tempo-changes');
+        this.clearBtn = document.getElementById('tap-tempo-clear');
+        this.saveBtn = document.getElementById('tap-tempo-save');
+        this.cancelBtn = document.getElementById('tap-tempo-cancel');
+
+        this.attachEventListeners();
+        this.attachStateListeners();
+    }
+
+    attachEventListeners() {
+        this.clearBtn?.addEventListener('click', () => this.clear());
+        this.saveBtn?.addEventListener('click', () => this.save());
+        this.cancelBtn?.addEventListener('click', () => this.stop());
+
+        this.changesEl?.addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-change]');
+            const button = e.target.closest('button');
+            if (!chip || !button) return;
+            const index = parseInt(chip.dataset.change, 10);
+            if (button.dataset.nudge) {
+                this.nudgeChange(index, parseInt(button.dataset.nudge, 10));
+            } else if ('remove' in button.dataset) {
+                this.removeChange(index);
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.code !== 'KeyT' || e.repeat || e.ctrlKey || e.altKey || e.metaKey) return;
+            if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName) || e.target.contentEditable === 'true') return;
+            if (!this.isActive()) return;
+            e.preventDefault();
+            this.tap();
+        });
+    }
+
+    attachStateListeners() {
+        // Tapping belongs to one song
+        State.subscribe(State.Events.SONG_SWITCHED, (song) => {
+            if (this.songId && song?.id !== this.songId) {
+                this.stop();
+            }
+        });
+
+        State.subscribe(State.Events.SONG_REMOVED, (song) => {
+            if (song?.id === this.songId) {
+                this.stop();
+            }
+        });
+
+        State.subscribe(State.Events.PLAYBACK_STATE_CHANGED, () => {
+            if (this.songId) this.updateBar();
+        });
+    }
+
+    /**
+     * Check whether taps are being recorded for a song
+     * @param {string} [songId] - Song ID (defaults to the active song)
+     * @returns {boolean}
+     */
+    isActive(songId = State.state.activeSongId) {
+        return this.songId !== null && this.songId === songId;
+    }
+
+    /**
+     * Get the fitted tempo map to preview on the timeline
+     * @param {string} songId - Song ID
+     * @returns {Object|null} { tempos, time-sigs, segments, beatPositions }, or null
+     */
+    getPreview(songId) {
+        return this.isActive(songId) ? this.preview : null;
+    }
+
+    /**
+     * Get the recorded tap positions
+     * @param {string} songId - Song ID
+     * @returns {number[]} Seconds (empty if not tapping this song)
+     */
+    getTapTimes(songId) {
+        return this.isActive(songId) ? this.taps.map(t => t.time) : [];
+    }
+
+    /**
+     * Start tapping for the active song
+     */
+    async start() {
+        const song = State.getActiveSong();
+        if (!song || song.tracks.length === 0) {
+            await getModal().alert({
+                title: 'Tap Tempo',
+                message: 'Open a song with at least one track before tapping a tempo map.'
+            });
+            return;
+        }
+        if (this.isActive(song.id)) return;
+
+        this.songId = song.id;
+        this.clear();
+    }
+
+    /**
+     * Stop tapping and drop the taps
+     */
+    stop() {
+        this.songId = null;
+        this.times = [];
+        this.refit();
+    }
+
+    /**
+     * Drop all taps
+     */
+    clear() {
+        this.times = [];
+        this.refit();
+    }
+
+    /**
+     * Record a tap at the playback position
+     * Tapping before the last tap (after rewinding) re-taps from there.
+     */
+    tap() {
+        const transport = getTransport();
+        const engine = transport.audioEngine;
+        if (State.state.playbackState !== 'playing' || engine.getCountInRemaining() > 0) return;
+
+        // The tap answers what was heard, which left the speakers outputLatency ago
+        const song = State.getSong(this.songId);
+        const latency = engine.audioContext.outputLatency || 0;
+        const time = transport.getCurrentPosition() - latency * song.transport.speed;
+        if (time < 0) return;
+
+        this.times = this.times.filter(t => t < time);
+        this.times.push(time);
+        this.refit();
+    }
+
+    /**
+     * Move a change point one tap earlier or later
+     * @param {number} index - Change point index
+     * @param {number} direction - -1 (earlier) or 1 (later)
+     */
+    nudgeChange(index, direction) {
+        const tap = this.changes[index] + direction;
+        const lowest = (this.changes[index - 1] ?? 0) + 1;
+        const highest = (this.changes[index + 1] ?? this.taps.length - 1) - 1;
+        if (tap < lowest || tap > highest) return;
+
+        this.changes[index] = tap;
+        this.updatePreview();
+    }
+
+    /**
+     * Remove a change point, joining the segments either side
+     * @param {number} index - Change point index
+     */
+    removeChange(index) {
+        this.changes.splice(index, 1);
+        this.updatePreview();
+    }
+
+    /**
+     * Renumber the taps and find the change points again
+     */
+    refit() {
+        this.taps = assignBeats(this.times);
+        this.changes = findChangePoints(this.taps);
+        this.updatePreview();
+    }
+
+    /**
+     * Fit the tempo map for the current taps and change points
+     */
+    updatePreview() {
+        const song = State.getSong(this.songId);
+        this.preview = null;
+
+        if (song && this.taps.length >= 2) {
+            const segments = fitSegments(this.taps, this.changes);
+            const duration = Math.max(...song.tracks.map(t => t.duration || 0));
+            const timeSigs = song.metadata?.['time-sigs'] || [];
+            const downbeat = segments[0].start;
+            // A hair past the downbeat, so a bar starting right on it counts
+            const sig = Metadata.getTimeSigAtTime(downbeat + 0.01, timeSigs);
+            const laterTimeSigs = timeSigs.filter(t => t.start > downbeat + 0.01);
+
+            const map = buildTempoMap(segments, sig, laterTimeSigs, duration);
+            this.preview = {
+                ...map,
+                beatPositions: Metadata.calculateAllBeatPositions(duration, null, map.tempos, map['time-sigs'])
+            };
+        }
+
+        this.updateBar();
+        State.emit(State.Events.TAP_TEMPO_UPDATED, { songId: this.songId });
+    }
+
+    /**
+     * Show or hide the tap bar and list the change points
+     */
+    updateBar() {
+        if (!this.bar) return;
+        this.bar.classList.toggle('hidden', this.songId === null);
+        if (this.songId === null) return;
+
+        const transport = getTransport();
+        const segments = this.preview?.segments || [];
+
+        if (this.statusEl) {
+            if (State.state.playbackState !== 'playing' && this.taps.length === 0) {
+                this.statusEl.textContent = 'Play the song, then press T (or click the timeline) on every beat, starting on a downbeat';
+            } else if (this.taps.length < 2) {
+                this.statusEl.textContent = 'Tap on every beat, starting on a downbeat';
+            } else {
+                const current = segments[segments.length - 1];
+                this.statusEl.textContent = `${this.taps.length} taps · ${transport.formatTempo(current.tempo)} · rewind and tap again to redo a passage`;
+            }
+        }
+
+        if (this.changesEl) {
+            this.changesEl.innerHTML = segments.slice(1).map(({ start, tempo }, index) => {
+                const beat = this.preview.beatPositions.find(b => Math.abs(b.time - start) < 0.001);
+                const position = beat ? `${beat.measure}:${beat.beat}` : transport.formatTime(start);
+                return `
+                    <span class="tap-tempo-change" data-change="${index}" title="${transport.formatTime(start)}">
+                        <button type="button" data-nudge="-1" title="One tap earlier">&lsaquo;</button>
+                        ${position} &rarr; ${transport.formatTempo(tempo)}
+                        <button type="button" data-nudge="1" title="One tap later">&rsaquo;</button>
+                        <button type="button" data-remove title="Remove this tempo change">&times;</button>
+                    </span>
+                `;
+            }).join('');
+        }
+
+        if (this.saveBtn) {
+            this.saveBtn.disabled = !this.preview;
+        }
+    }
+
+    /**
+     * Use the fitted map as the song's tempos (and time signatures, for the pickup)
+     * The change goes through the metadata editor, which stays open for publishing.
+     */
+    async save() {
+        if (!this.preview) return;
+
+        const editor = getMetadataEditor();
+        const { tempos, 'time-sigs': timeSigs } = this.preview;
+        const next = { ...(State.getSong(this.songId)?.metadata || {}), tempos, 'time-sigs': timeSigs };
+
+        const validation = Metadata.validateMetadata(next);
+        if (!validation.valid) {
+            await getModal().alert({ title: 'Invalid Tempo Map', message: validation.error });
+            return;
+        }
+
+        if (!editor.isEditing(this.songId)) {
+            await editor.start();
+        }
+        editor.apply({ tempos, 'time-sigs': timeSigs });
+        this.stop();
+    }
+}
+
+// Singleton instance
+let tapTempoInstance = null;
+
+export function getTapTempo() {
+    if (!tapTempoInstance) {
+        tapTempoInstance = new TapTempo();
+    }
+    return tapTempoInstance;
+}
+
+export default TapTempo;
@@ -8,6 +8,7 @@ import * as TrackManager from '../trackManager.js';
 import * as Manifest from '../manifest.js';
 import { Knob } from './knob.js';
 import { getModal } from './modal.js';
+import { isSplitMonitor } from '../monitorRouting.js';
 
 class TrackPanel {
     constructor() {
@@ -21,10 +22,22 @@ class TrackPanel {
         // Drag-and-drop state
         this.draggedTrackId = null;
         
+        // Virtual click track strip
+        this.metronomeStrip = document.getElementById('metronome-strip');
+        this.metronomeKnobs = null;
+        
+        // Track EQ popover (shared by all tracks)
+        this.eqPopover = document.getElementById('track-eq-popover');
+        this.eqKnobs = null;
+        this.eqTrackId = null;
+        
         this.init();
         this.attachStateListeners();
         this.setupScrollSync();
         this.initDragDrop();
+        this.initMetronomeStrip();
+        this.initEqPopover();
+        this.initMonitorMode();
     }
 
     init() {
@@ -69,7 +82,7 @@ class TrackPanel {
 
         // Build modal content
         const modal = getModal();
-        const content = this.buildTrackPickerContent(availableTracks, loadedTracks);
+        const content = this.buildTrackPickerContent(song.songName, availableTracks, loadedTracks);
         
         const result = await modal.custom({
             title: 'Add Tracks',
@@ -89,7 +102,7 @@ class TrackPanel {
     /**
      * Build the track picker modal content HTML
      */
-    buildTrackPickerContent(availableTracks, loadedTracks) {
+    buildTrackPickerContent(songName, availableTracks, loadedTracks) {
         const allLoaded = availableTracks.every(t => loadedTracks.includes(t));
         const noneLoaded = loadedTracks.length === 0;
 
@@ -105,12 +118,14 @@ class TrackPanel {
         for (const trackFileName of availableTracks) {
             const isLoaded = loadedTracks.includes(trackFileName);
             const displayName = Manifest.getTrackDisplayName(trackFileName);
+            const info = Manifest.getTrackInfo(songName, trackFileName);
+            const size = info ? `${(info.size / (1024 * 1024)).toFixed(1)} MB` : '';
             
             html += `
                 <label class="file-select-item track-picker-item ${isLoaded ? 'disabled' : ''}">
                     <input type="checkbox" value="${trackFileName}" ${isLoaded ? 'disabled checked' : ''}>
                     <span class="file-name">${displayName}</span>
-                    ${isLoaded ? '<span class="file-size">Already loaded</span>' : ''}
+                    ${isLoaded ? '<span class="file-size">Already loaded</span>' : (size ? `<span class="file-size">${size}</span>` : '')}
                 </label>
             `;
         }
@@ -142,6 +157,234 @@ class TrackPanel {
         return html;
     }
 
+    /**
+     * Dim the pan knobs while split monitor mode overrides them
+     */
+    initMonitorMode() {
+        const panel = document.getElementById('track-controls-panel');
+        if (!panel) return;
+
+        const update = () => panel.classList.toggle('split-monitor', isSplitMonitor());
+
+        window.addEventListener('preferenceChanged', (e) => {
+            if (e.detail?.key === 'monitorMode') update();
+        });
+        update();
+    }
+
+    /**
+     * Initialize the virtual click track strip (enable toggle, volume, pan, mute)
+     */
+    initMetronomeStrip() {
+        if (!this.metronomeStrip) return;
+
+        const toggleBtn = document.getElementById('metronome-toggle');
+        const muteBtn = document.getElementById('metronome-mute');
+        const volumeValue = document.getElementById('metronome-volume-value');
+        const panValue = document.getElementById('metronome-pan-value');
+
+        const volKnob = new Knob(document.getElementById('metronome-vol-knob'), {
+            min: 0,
+            max: 100,
+            value: 80,
+            step: 1,
+            size: 28,
+            defaultValue: 80,
+            onChange: (value) => {
+                volumeValue.textContent = `${value}%`;
+                State.updateMetronome({ volume: value });
+            }
+        });
+
+        const panKnob = new Knob(document.getElementById('metronome-pan-knob'), {
+            min: -100,
+            max: 100,
+            value: 0,
+            step: 1,
+            size: 28,
+            bipolar: true,
+            onChange: (value) => {
+                panValue.textContent = this.formatPan(value);
+                State.updateMetronome({ pan: value });
+            }
+        });
+        this.metronomeKnobs = { volume: volKnob, pan: panKnob };
+
+        toggleBtn.addEventListener('click', () => {
+            const song = State.getActiveSong();
+            if (!song) return;
+            State.updateMetronome({ enabled: !song.metronome.enabled });
+        });
+
+        muteBtn.addEventListener('click', () => {
+            const song = State.getActiveSong();
+            if (!song) return;
+            State.updateMetronome({ mute: !song.metronome.mute });
+        });
+
+        const refresh = () => this.updateMetronomeStrip(State.getActiveSong());
+        State.subscribe(State.Events.METRONOME_UPDATED, refresh);
+        State.subscribe(State.Events.SONG_SWITCHED, refresh);
+        State.subscribe(State.Events.STATE_LOADED, refresh);
+    }
+
+    /**
+     * Sync the click track strip with a song's metronome settings
+     * @param {Object|null} song - Active song
+     */
+    updateMetronomeStrip(song) {
+        if (!this.metronomeStrip) return;
+
+        this.metronomeStrip.classList.toggle('hidden', !song);
+        if (!song || !song.metronome) return;
+
+        const { enabled, volume, pan, mute } = song.metronome;
+        const toggleBtn = document.getElementById('metronome-toggle');
+        toggleBtn.classList.toggle('active', enabled);
+        toggleBtn.title = enabled ? 'Disable click track' : 'Enable click track (generated from song tempo map)';
+
+        this.metronomeStrip.classList.toggle('disabled', !enabled);
+        document.getElementById('metronome-mute').classList.toggle('active', mute);
+        document.getElementById('metronome-volume-value').textContent = `${volume}%`;
+        document.getElementById('metronome-pan-value').textContent = this.formatPan(pan);
+
+        if (this.metronomeKnobs) {
+            this.metronomeKnobs.volume.setValue(volume, false);
+            this.metronomeKnobs.pan.setValue(pan, false);
+        }
+    }
+
+    /**
+     * Initialize the track EQ popover (high-pass + low/mid/high knobs)
+     */
+    initEqPopover() {
+        if (!this.eqPopover) return;
+
+        const createBandKnob = (band) => new Knob(document.getElementById(`track-eq-${band}-knob`), {
+            min: -12,
+            max: 12,
+            value: 0,
+            step: 0.5,
+            size: 28,
+            bipolar: true,
+            onChange: (value) => this.handleEqChange(band, value)
+        });
+
+        this.eqKnobs = {
+            highpass: new Knob(document.getElementById('track-eq-highpass-knob'), {
+                min: 0,
+                max: 400,
+                value: 0,
+                step: 10,
+                size: 28,
+                defaultValue: 0,
+                onChange: (value) => this.handleEqChange('highpass', value)
+            }),
+            low: createBandKnob('low'),
+            mid: createBandKnob('mid'),
+            high: createBandKnob('high')
+        };
+
+        document.getElementById('track-eq-reset').addEventListener('click', () => {
+            if (!this.eqTrackId) return;
+            TrackManager.setTrackEq(this.eqTrackId, State.createDefaultEq());
+        });
+
+        // Close on outside click or Escape
+        document.addEventListener('mousedown', (e) => {
+            if (!this.eqTrackId) return;
+            if (this.eqPopover.contains(e.target) || e.target.closest('.track-eq-btn')) return;
+            this.closeEqPopover();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.eqTrackId) {
+                this.closeEqPopover();
+            }
+        });
+    }
+
+    /**
+     * Open the EQ popover for a track, anchored to its EQ button
+     * Clicking the same track's button again closes it.
+     * @param {string} trackId - Track ID
+     * @param {HTMLElement} anchor - EQ button to position next to
+     */
+    toggleEqPopover(trackId, anchor) {
+        if (!this.eqPopover) return;
+
+        if (this.eqTrackId === trackId) {
+            this.closeEqPopover();
+            return;
+        }
+
+        const track = State.getTrack(trackId);
+        if (!track) return;
+
+        this.eqTrackId = trackId;
+        document.getElementById('track-eq-title').textContent = `EQ - ${track.name}`;
+        this.updateEqPopover(track.eq);
+
+        this.eqPopover.classList.remove('hidden');
+        const rect = anchor.getBoundingClientRect();
+        const popoverHeight = this.eqPopover.offsetHeight;
+        const top = Math.min(rect.top, window.innerHeight - popoverHeight - 8);
+        this.eqPopover.style.left = `${rect.right + 8}px`;
+        this.eqPopover.style.top = `${Math.max(8, top)}px`;
+
+        this.trackElements.forEach((element, id) => {
+            element.querySelector('.track-eq-btn')?.classList.toggle('open', id === trackId);
+        });
+    }
+
+    /**
+     * Close the EQ popover
+     */
+    closeEqPopover() {
+        if (!this.eqPopover) return;
+        this.eqTrackId = null;
+        this.eqPopover.classList.add('hidden');
+        this.trackElements.forEach((element) => {
+            element.querySelector('.track-eq-btn')?.classList.remove('open');
+        });
+    }
+
+    /**
+     * Handle an EQ knob change for the track the popover is open for
+     * @param {string} band - 'highpass', 'low', 'mid' or 'high'
+     * @param {number} value - New value
+     */
+    handleEqChange(band, value) {
+        if (!this.eqTrackId) return;
+        document.getElementById(`track-eq-${band}-value`).textContent = this.formatEqValue(band, value);
+        TrackManager.setTrackEq(this.eqTrackId, { [band]: value });
+    }
+
+    /**
+     * Sync the EQ popover knobs and labels with EQ settings
+     * @param {Object} eq - EQ settings
+     */
+    updateEqPopover(eq) {
+        const settings = eq || State.createDefaultEq();
+        ['highpass', 'low', 'mid', 'high'].forEach(band => {
+            const value = settings[band] || 0;
+            this.eqKnobs[band].setValue(value, false);
+            document.getElementById(`track-eq-${band}-value`).textContent = this.formatEqValue(band, value);
+        });
+    }
+
+    /**
+     * Format an EQ value for display
+     * @param {string} band - 'highpass', 'low', 'mid' or 'high'
+     * @param {number} value - Value (Hz for highpass, dB otherwise)
+     * @returns {string}
+     */
+    formatEqValue(band, value) {
+        if (band === 'highpass') {
+            return value > 0 ? `${value} Hz` : 'Off';
+        }
+        return `${value > 0 ? '+' : ''}${value} dB`;
+    }
+
     /**
      * Set up scroll synchronization with waveform panel
      */
@@ -360,6 +603,7 @@ class TrackPanel {
                     &#9835;
                     ${isPitchExempt ? '<span class="pitch-exempt-slash"></span>' : ''}
                 </button>
+                <button class="track-eq-btn ${State.isEqFlat(track.eq) ? '' : 'active'}" title="EQ">EQ</button>
                 <button class="track-delete-btn" title="Delete track">
                     <svg viewBox="0 0 24 24" width="14" height="14">
                         <path fill="currentColor" d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
@@ -445,6 +689,13 @@ class TrackPanel {
             TrackManager.togglePitchExempt(trackId);
         });
 
+        // EQ button
+        const eqBtn = element.querySelector('.track-eq-btn');
+        eqBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleEqPopover(trackId, eqBtn);
+        });
+
         // Solo button
         const soloBtn = element.querySelector('.track-btn.solo');
         soloBtn.addEventListener('click', (e) => {
@@ -464,6 +715,10 @@ class TrackPanel {
      * Remove a track element
      */
     removeTrackElement(trackId) {
+        if (this.eqTrackId === trackId) {
+            this.closeEqPopover();
+        }
+
         const element = this.trackElements.get(trackId);
         if (element) {
             element.remove();
@@ -520,6 +775,13 @@ class TrackPanel {
             this.updatePitchExemptButton(trackId, element);
         }
 
+        if ('eq' in updates) {
+            element.querySelector('.track-eq-btn').classList.toggle('active', !State.isEqFlat(updates.eq));
+            if (this.eqTrackId === trackId) {
+                this.updateEqPopover(updates.eq);
+            }
+        }
+
         // Update audibility
         this.updateTrackAudibility(trackId);
     }
@@ -646,6 +908,8 @@ class TrackPanel {
      * Clear all track elements
      */
     clear() {
+        this.closeEqPopover();
+
         // Cleanup knobs
         this.knobs.forEach((knobs) => {
             if (knobs.pan) knobs.pan.destroy();
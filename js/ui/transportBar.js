@@ -5,23 +5,19 @@
 
 import * as State from '../state.js';
 import { getTransport } from '../transport.js';
-import { getTempoAtTime, getTimeSigAtTime } from '../metadata.js';
+import { getSpeedTrainer, getStageCount, getStageSpeed } from '../speedTrainer.js';
+import { getModal } from './modal.js';
+import { getTempoAtTime, getTimeSigAtTime, METADATA_KEYS, transposeKey } from '../metadata.js';
+import { analyzeSong, isMissingKeyOrTempo } from '../songAnalysis.js';
+import { getSectionNameAt } from '../markerNavigation.js';
+import * as TrackManager from '../trackManager.js';
 import { Knob } from './knob.js';
 
-// Key names in chromatic order starting from A
-const KEYS = ['A', 'Bb', 'B', 'C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab'];
-
-/**
- * Transpose a key by semitones
- * @param {string} originalKey - Original key (e.g., 'C', 'Bb')
- * @param {number} semitones - Number of semitones to transpose
- * @returns {string|null} Transposed key or null if invalid
- */
-function transposeKey(originalKey, semitones) {
-    const index = KEYS.indexOf(originalKey);
-    if (index === -1) return null;
-    return KEYS[((index + semitones) % 12 + 12) % 12];
-}
+// Speed trainer setup choices (percent of original speed)
+const TRAINER_START_PERCENTS = [50, 55, 60, 65, 70, 75, 80, 85, 90, 95];
+const TRAINER_TARGET_PERCENTS = [60, 65, 70, 75, 80, 85, 90, 95, 100, 105, 110, 115, 120, 125];
+const TRAINER_STEP_PERCENTS = [1, 2, 5, 10];
+const TRAINER_PASS_COUNTS = [1, 2, 3, 4, 5, 6, 8];
 
 class TransportBar {
     constructor() {
@@ -31,15 +27,19 @@ class TransportBar {
         this.stopBtn = document.getElementById('btn-stop');
         this.pauseBtn = document.getElementById('btn-pause');
         this.loopBtn = document.getElementById('btn-loop');
+        this.speedTrainerBtn = document.getElementById('btn-speed-trainer');
+        this.speedTrainerStatusEl = document.getElementById('speed-trainer-status');
         
         // Time display
         this.currentTimeEl = document.getElementById('current-time');
         this.totalTimeEl = document.getElementById('total-time');
         this.arrangementDurationEl = document.getElementById('arrangement-duration');
+        this.currentSectionEl = document.getElementById('current-section');
         
         // Value displays
         this.speedValueEl = document.getElementById('speed-value');
         this.tempoValueEl = document.getElementById('tempo-value');
+        this.detectMetadataBtn = document.getElementById('btn-detect-metadata');
         
         // Knob containers
         this.speedKnobContainer = document.getElementById('speed-knob-container');
@@ -131,6 +131,30 @@ class TransportBar {
             State.toggleLoop();
         });
 
+        // Speed trainer: set up and start when off, stop when running
+        if (this.speedTrainerBtn) {
+            this.speedTrainerBtn.addEventListener('click', () => {
+                const song = State.getActiveSong();
+                if (!song) return;
+                
+                if (song.speedTrainer.enabled) {
+                    getSpeedTrainer().stop();
+                } else {
+                    this.showSpeedTrainerSetup(song);
+                }
+            });
+        }
+
+        // Detect key/tempo for songs whose metadata lacks them
+        if (this.detectMetadataBtn) {
+            this.detectMetadataBtn.addEventListener('click', () => {
+                const song = State.getActiveSong();
+                if (song && song.tracks.length > 0) {
+                    this.detectSongMetadata(song);
+                }
+            });
+        }
+
         // Pitch select
         this.pitchSelect.addEventListener('change', () => {
             this.transport.setPitch(parseInt(this.pitchSelect.value));
@@ -205,6 +229,7 @@ class TransportBar {
         // Update time display on position change
         State.subscribe(State.Events.POSITION_CHANGED, (position) => {
             this.updateTimeDisplay(position);
+            this.updateSectionDisplay(position);
             this.updateTempoFromPosition(position);
             this.updateTimeSigFromPosition(position);
         });
@@ -212,15 +237,20 @@ class TransportBar {
         // Update total time when tracks change
         State.subscribe(State.Events.TRACK_ADDED, () => {
             this.updateTotalTime();
+            this.updateDetectButton(State.getActiveSong());
         });
 
         State.subscribe(State.Events.TRACK_REMOVED, () => {
             this.updateTotalTime();
+            this.updateDetectButton(State.getActiveSong());
         });
 
         // Update controls when song changes
         State.subscribe(State.Events.SONG_SWITCHED, (song) => {
             this.updateFromSong(song);
+            if (!song) {
+                this.updateSectionDisplay(0);
+            }
         });
 
         // Update controls when transport settings change
@@ -239,6 +269,12 @@ class TransportBar {
         // Update loop button state
         State.subscribe(State.Events.LOOP_UPDATED, ({ enabled }) => {
             this.updateLoopButton(enabled);
+            this.updateSpeedTrainerDisplay(State.getActiveSong());
+        });
+
+        // Update speed trainer stage/pass display
+        State.subscribe(State.Events.SPEED_TRAINER_UPDATED, ({ song }) => {
+            this.updateSpeedTrainerDisplay(song);
         });
 
         // Update pitch label and tempo editability when metadata is loaded
@@ -279,10 +315,237 @@ class TransportBar {
         this.loopBtn.classList.toggle('active', enabled);
     }
 
+    /**
+     * Update the speed trainer button and its stage/pass readout
+     * @param {Object} song - Song object
+     */
+    updateSpeedTrainerDisplay(song) {
+        if (!this.speedTrainerBtn || !this.speedTrainerStatusEl) return;
+        
+        const trainer = song?.speedTrainer;
+        const enabled = !!trainer?.enabled;
+        
+        this.speedTrainerBtn.classList.toggle('active', enabled);
+        this.speedTrainerBtn.textContent = enabled ? 'On' : 'Off';
+        this.speedTrainerStatusEl.classList.toggle('hidden', !enabled);
+        if (!enabled) return;
+        
+        const stageCount = getStageCount(trainer);
+        const speed = getStageSpeed(trainer, trainer.stage);
+        const waiting = !song.transport.loopEnabled;
+        
+        // Passes keep counting once the target speed is reached
+        const passText = trainer.stage < stageCount - 1
+            ? `pass ${trainer.passes}/${trainer.passesPerStep}`
+            : `pass ${trainer.passes}`;
+        
+        this.speedTrainerStatusEl.textContent = waiting
+            ? 'Enable loop'
+            : `Stage ${trainer.stage + 1}/${stageCount} · ${Math.round(speed * 100)}% · ${passText}`;
+        this.speedTrainerStatusEl.classList.toggle('waiting', waiting);
+    }
+
+    /**
+     * Show the speed trainer setup dialog and start a run
+     * @param {Object} song - Song object
+     */
+    async showSpeedTrainerSetup(song) {
+        const trainer = song.speedTrainer;
+        const percent = (value) => Math.round(value * 100);
+        const options = (values, selected, format) => values
+            .map(value => `<option value="${value}" ${value === selected ? 'selected' : ''}>${format(value)}</option>`)
+            .join('');
+        
+        const modal = getModal();
+        const settings = await modal.custom({
+            title: 'Speed Trainer',
+            content: `
+                <p>Starts the loop slow and raises the speed after every few passes until it reaches the target.</p>
+                <div class="preference-item">
+                    <div class="preference-label"><span class="title">Start speed</span></div>
+                    <select id="trainer-start-speed" class="preference-select">
+                        ${options(TRAINER_START_PERCENTS, percent(trainer.startSpeed), v => `${v}%`)}
+                    </select>
+                </div>
+                <div class="preference-item">
+                    <div class="preference-label"><span class="title">Target speed</span></div>
+                    <select id="trainer-target-speed" class="preference-select">
+                        ${options(TRAINER_TARGET_PERCENTS, percent(trainer.targetSpeed), v => `${v}%`)}
+                    </select>
+                </div>
+                <div class="preference-item">
+                    <div class="preference-label"><span class="title">Step</span></div>
+                    <select id="trainer-step" class="preference-select">
+                        ${options(TRAINER_STEP_PERCENTS, percent(trainer.step), v => `+${v}%`)}
+                    </select>
+                </div>
+                <div class="preference-item">
+                    <div class="preference-label"><span class="title">Loop passes per step</span></div>
+                    <select id="trainer-passes" class="preference-select">
+                        ${options(TRAINER_PASS_COUNTS, trainer.passesPerStep, v => `${v}`)}
+                    </select>
+                </div>
+            `,
+            confirmText: 'Start',
+            onConfirm: () => ({
+                startSpeed: parseInt(document.getElementById('trainer-start-speed').value, 10) / 100,
+                targetSpeed: parseInt(document.getElementById('trainer-target-speed').value, 10) / 100,
+                step: parseInt(document.getElementById('trainer-step').value, 10) / 100,
+                passesPerStep: parseInt(document.getElementById('trainer-passes').value, 10)
+            })
+        });
+        
+        if (!settings) return;
+        
+        if (settings.targetSpeed <= settings.startSpeed) {
+            await modal.alert({
+                title: 'Speed Trainer',
+                message: 'The target speed must be faster than the start speed.'
+            });
+            return;
+        }
+        
+        getSpeedTrainer().start(settings);
+    }
+
+    /**
+     * Show the detect button only for songs with stems whose metadata lacks a key or tempo map
+     * @param {Object|null} song - Active song
+     */
+    updateDetectButton(song) {
+        if (!this.detectMetadataBtn) return;
+        const show = song && song.tracks.length > 0 && isMissingKeyOrTempo(song);
+        this.detectMetadataBtn.classList.toggle('hidden', !show);
+    }
+
+    /**
+     * Estimate the key and tempo map from the song's stems and offer them for review
+     * Accepted suggestions apply to this session only; the downloaded metadata.json
+     * is what an admin publishes.
+     * @param {Object} song - Song object
+     */
+    async detectSongMetadata(song) {
+        const modal = getModal();
+
+        State.setLoading(true, `Analyzing "${song.name}"...`);
+        let result;
+        try {
+            // Analysis needs the whole song, not just the first decoded chunk
+            await TrackManager.awaitPendingDecodes(song.tracks.map(t => t.id));
+            result = await analyzeSong(song, (message) => State.setLoading(true, message));
+            State.setLoading(false);
+        } catch (error) {
+            State.setLoading(false);
+            console.error('Failed to analyze song:', error);
+            await modal.alert({
+                title: 'Analysis Failed',
+                message: `<p>The stems could not be analyzed.</p><p>${error.message}</p>`
+            });
+            return;
+        }
+
+        if (!result.key && !result.tempos) {
+            await modal.alert({
+                title: 'Nothing Detected',
+                message: 'No key or steady beat could be found in the stems.'
+            });
+            return;
+        }
+
+        const metadata = song.metadata || {};
+        const percent = (value) => `${Math.round(value * 100)}%`;
+        const keyDetail = result.keyMode === 'minor'
+            ? `${result.keyName} detected, shown as its relative major`
+            : `${result.keyName} detected`;
+        const tempoSource = result.tempoSource ? `from the "${result.tempoSource}" track` : 'from the full mix';
+        const tempoList = (result.tempos || [])
+            .map(t => `<li>${this.transport.formatTime(t.start)} &rarr; ${this.transport.formatTempo(t.tempo)}</li>`)
+            .join('');
+        const timeSigs = (result['time-sigs'] || []).map(t => t.sig).join(', ');
+
+        // Fill in what's missing by default; replacing existing values is opt-in
+        const dialogPromise = modal.custom({
+            title: 'Suggested Metadata',
+            content: `
+                <p>Estimated from the stems. Check the suggestions by ear before publishing them.</p>
+                ${result.key ? `
+                <label class="analysis-option">
+                    <input type="checkbox" id="analysis-use-key" ${metadata.key ? '' : 'checked'}>
+                    <span>
+                        Key: <strong>${result.key}</strong>${metadata.key ? ` (replaces ${metadata.key})` : ''}
+                        <span class="analysis-detail">${keyDetail} &middot; confidence ${percent(result.keyConfidence)}</span>
+                    </span>
+                </label>` : ''}
+                ${result.tempos ? `
+                <label class="analysis-option">
+                    <input type="checkbox" id="analysis-use-tempo" ${metadata.tempos?.length > 0 ? '' : 'checked'}>
+                    <span>
+                        Tempo map: <strong>${timeSigs}</strong>${metadata.tempos?.length > 0 ? ' (replaces the current tempo map)' : ''}
+                        <span class="analysis-detail">${tempoSource} &middot; confidence ${percent(result.tempoConfidence)}</span>
+                        <ul class="analysis-tempo-list">${tempoList}</ul>
+                    </span>
+                </label>` : ''}
+                <button type="button" id="analysis-download" class="btn btn-secondary">Download metadata.json</button>
+            `,
+            confirmText: 'Use for This Song',
+            onConfirm: () => ({
+                useKey: document.getElementById('analysis-use-key')?.checked ?? false,
+                useTempo: document.getElementById('analysis-use-tempo')?.checked ?? false
+            })
+        });
+
+        const buildMetadata = (useKey, useTempo) => {
+            const merged = { ...metadata };
+            if (useKey) merged.key = result.key;
+            if (useTempo) {
+                merged.tempos = result.tempos;
+                merged['time-sigs'] = result['time-sigs'];
+            }
+            return merged;
+        };
+
+        document.getElementById('analysis-download').addEventListener('click', () => {
+            const merged = buildMetadata(
+                document.getElementById('analysis-use-key')?.checked ?? false,
+                document.getElementById('analysis-use-tempo')?.checked ?? false
+            );
+            const blob = new Blob([JSON.stringify(merged, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = 'metadata.json';
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        });
+
+        const choice = await dialogPromise;
+        if (!choice || (!choice.useKey && !choice.useTempo)) return;
+
+        State.updateSongMetadata(song.id, buildMetadata(choice.useKey, choice.useTempo));
+    }
+
     updateTimeDisplay(position) {
         this.currentTimeEl.textContent = this.transport.formatTime(position);
     }
 
+    /**
+     * Show the name of the marker section at a position (hidden when the song has no
+     * labeled markers or the position is before the first one)
+     * @param {number} position - Position in seconds
+     */
+    updateSectionDisplay(position) {
+        if (!this.currentSectionEl) return;
+
+        const song = State.getActiveSong();
+        const name = song ? getSectionNameAt(song, position) : null;
+        if (this.currentSectionEl.textContent !== (name || '')) {
+            this.currentSectionEl.textContent = name || '';
+            this.currentSectionEl.classList.toggle('hidden', !name);
+        }
+    }
+
     updateTotalTime() {
         const duration = State.getMaxDuration();
         this.totalTimeEl.textContent = this.transport.formatTime(duration);
@@ -344,17 +607,21 @@ class TransportBar {
 
         // Update time display
         this.updateTimeDisplay(transport.position);
+        this.updateSectionDisplay(transport.position);
         this.updateTotalTime();
         this.updateArrangementDuration();
 
         // Update loop button
         this.updateLoopButton(transport.loopEnabled);
+        this.updateSpeedTrainerDisplay(song);
 
         // Update pitch label with transposed key
         this.updatePitchLabel(song);
         
         // Update pitch select dropdown options with transposed keys
         this.updatePitchSelectOptions(song);
+
+        this.updateDetectButton(song);
     }
 
     /**
@@ -391,7 +658,7 @@ class TransportBar {
         const originalKey = song?.metadata?.key;
         const pitch = song?.transport?.pitch ?? 0;
         
-        if (originalKey && KEYS.includes(originalKey)) {
+        if (originalKey && METADATA_KEYS.includes(originalKey)) {
             const transposedKey = transposeKey(originalKey, pitch);
             this.pitchLabel.textContent = `PITCH (${transposedKey})`;
         } else {
@@ -412,7 +679,7 @@ class TransportBar {
             const sign = semitones > 0 ? '+' : '';
             const simpleText = `${sign}${semitones}`;
             
-            if (originalKey && KEYS.includes(originalKey)) {
+            if (originalKey && METADATA_KEYS.includes(originalKey)) {
                 const transposedKey = transposeKey(originalKey, semitones);
                 // Show key in dropdown options, but not for the selected value
                 options[i].textContent = options[i].selected 
@@ -0,0 +1,225 @@
+/**
+ * Usage Report
+ * Lists the set lists marked as performed in a date range and how often each song
+ * was used (setListHistory.js), and exports the usage as a CCLI-style CSV for
+ * licensing reports. Admins can remove performances recorded by mistake.
+ */
+
+import { listPerformances, deletePerformance } from '../api.js';
+import { summarizeUsage, fillCatalogFromMetadata, buildUsageCsv, getLocalDate } from '../setListHistory.js';
+import { getModal } from './modal.js';
+
+// Default report range, in months back from today
+const DEFAULT_MONTHS = 6;
+
+class UsageReport {
+    constructor() {
+        this.from = null;
+        this.to = null;
+        this.performances = [];
+        this.summary = [];
+    }
+
+    /**
+     * Open the report
+     */
+    show() {
+        const modal = getModal();
+        modal.dialog.classList.add('modal-practice');
+
+        if (!this.from || !this.to) {
+            const start = new Date();
+            start.setMonth(start.getMonth() - DEFAULT_MONTHS);
+            this.from = getLocalDate(start);
+            this.to = getLocalDate();
+        }
+
+        modal.show({
+            title: 'Usage Report',
+            content: `
+                <div class="practice-dashboard">
+                    <div class="practice-toolbar">
+                        <label class="usage-range">From <input type="date" id="usage-from" value="${this.from}"></label>
+                        <label class="usage-range">To <input type="date" id="usage-to" value="${this.to}"></label>
+                        <button id="usage-export" class="btn btn-secondary">Export CSV</button>
+                    </div>
+                    <div id="usage-body" class="practice-body"></div>
+                </div>
+            `,
+            confirmText: 'Close',
+            showCancel: false,
+            onShow: () => {
+                const onRangeChange = () => {
+                    this.from = document.getElementById('usage-from').value;
+                    this.to = document.getElementById('usage-to').value;
+                    this.load();
+                };
+                document.getElementById('usage-from').addEventListener('change', onRangeChange);
+                document.getElementById('usage-to').addEventListener('change', onRangeChange);
+                document.getElementById('usage-export').addEventListener('click', () => this.exportCsv());
+                document.getElementById('usage-body').addEventListener('click', (e) => this.handleBodyClick(e));
+                document.getElementById('usage-body').addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter' && e.target.classList.contains('usage-secret')) {
+                        e.preventDefault();
+                        this.removePerformance(e.target.closest('tr'));
+                    }
+                });
+                this.load();
+            },
+            onConfirm: () => modal.dialog.classList.remove('modal-practice'),
+            onCancel: () => modal.dialog.classList.remove('modal-practice')
+        });
+    }
+
+    /**
+     * Fetch the performances in the selected range and render them
+     */
+    async load() {
+        const body = document.getElementById('usage-body');
+        if (!body) return;
+        body.innerHTML = '<p class="practice-empty">Loading...</p>';
+
+        try {
+            this.performances = await listPerformances(this.from || null, this.to || null);
+            this.summary = await fillCatalogFromMetadata(summarizeUsage(this.performances));
+        } catch (error) {
+            console.error('Failed to load performances:', error);
+            this.performances = [];
+            this.summary = [];
+            if (document.getElementById('usage-body') === body) {
+                body.innerHTML = `<p class="practice-empty">Failed to load the set list history: ${getModal().escapeHtml(error.message)}</p>`;
+            }
+            return;
+        }
+
+        // The dialog may have been closed or reused while loading
+        if (document.getElementById('usage-body') === body) {
+            this.render(body);
+        }
+    }
+
+    /**
+     * Render the song usage and performance tables
+     * @param {HTMLElement} body - Container
+     */
+    render(body) {
+        const escape = (text) => getModal().escapeHtml(text);
+
+        if (this.performances.length === 0) {
+            body.innerHTML = '<p class="practice-empty">No set lists marked as performed in this period. Use Set List &gt; Mark as Performed after a service.</p>';
+            return;
+        }
+
+        const songRows = this.summary.map(entry => `
+            <tr>
+                <td>${escape(entry.songName)}</td>
+                <td>${escape(entry.ccli) || '<span class="usage-missing">missing</span>'}</td>
+                <td>${escape(entry.authors.join(', ')) || '—'}</td>
+                <td>${entry.count}</td>
+            </tr>
+        `).join('');
+
+        const performanceRows = this.performances.map(performance => `
+            <tr data-date="${escape(performance.date)}" data-name="${escape(performance.setListName)}">
+                <td>${escape(performance.date)}</td>
+                <td>${escape(performance.setListName)}</td>
+                <td>${performance.songs.length}</td>
+                <td class="usage-actions"><button class="btn btn-secondary usage-remove">Remove</button></td>
+            </tr>
+        `).join('');
+
+        const missing = this.summary.filter(entry => !entry.ccli).length;
+        const uses = this.summary.reduce((sum, entry) => sum + entry.count, 0);
+
+        body.innerHTML = `
+            <div class="practice-summary">
+                <strong>${this.summary.length}</strong> song${this.summary.length === 1 ? '' : 's'}
+                used ${uses} time${uses === 1 ? '' : 's'}
+                in ${this.performances.length} performance${this.performances.length === 1 ? '' : 's'}
+                ${missing ? `<span class="usage-missing">(${missing} without a CCLI number)</span>` : ''}
+            </div>
+            <div class="practice-heading">Songs</div>
+            <table class="practice-table">
+                <thead>
+                    <tr><th>Song</th><th>CCLI #</th><th>Authors</th><th>Times used</th></tr>
+                </thead>
+                <tbody>${songRows}</tbody>
+            </table>
+            <div class="practice-heading">Performances</div>
+            <table class="practice-table">
+                <thead>
+                    <tr><th>Date</th><th>Set list</th><th>Songs</th><th></th></tr>
+                </thead>
+                <tbody>${performanceRows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Handle clicks on the Remove buttons: the first asks for the admin secret in the row
+     * @param {MouseEvent} e - Click event
+     */
+    handleBodyClick(e) {
+        const row = e.target.closest('tr');
+        if (!row) return;
+
+        if (e.target.classList.contains('usage-remove')) {
+            const cell = row.querySelector('.usage-actions');
+            cell.innerHTML = `
+                <input type="password" class="usage-secret" placeholder="Admin secret">
+                <button class="btn btn-danger usage-confirm">Remove</button>
+            `;
+            cell.querySelector('.usage-secret').focus();
+        } else if (e.target.classList.contains('usage-confirm')) {
+            this.removePerformance(row);
+        }
+    }
+
+    /**
+     * Remove a performance from the history
+     * @param {HTMLTableRowElement} row - Performance row with the secret entered
+     */
+    async removePerformance(row) {
+        const secret = row.querySelector('.usage-secret')?.value;
+        if (!secret) return;
+
+        try {
+            await deletePerformance(row.dataset.date, row.dataset.name, secret);
+            this.load();
+        } catch (error) {
+            console.error('Failed to delete performance:', error);
+            const cell = row.querySelector('.usage-actions');
+            cell.innerHTML = `<span class="usage-missing">${error.status === 403 ? 'Invalid secret' : 'Failed to remove'}</span>`;
+        }
+    }
+
+    /**
+     * Download the song usage in the selected range as a CSV file
+     */
+    exportCsv() {
+        if (this.summary.length === 0) return;
+
+        const csv = buildUsageCsv(this.summary);
+        const blob = new Blob([csv], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `song-usage-${this.from || 'start'}-to-${this.to || getLocalDate()}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Singleton instance
+let usageReportInstance = null;
+
+export function getUsageReport() {
+    if (!usageReportInstance) {
+        usageReportInstance = new UsageReport();
+    }
+    return usageReportInstance;
+}
+
+export default UsageReport;
@@ -27,6 +27,7 @@ class WaveformPanel {
         this.trackWrappers = new Map(); // trackId -> wrapper element
         this.muteDividerContainers = new Map(); // trackId -> mute section divider container (Phase 4)
         this.muteSectionBtnContainers = new Map(); // trackId -> mute section button container (Phase 4)
+        this.envelopeContainers = new Map(); // trackId -> volume envelope handle container
         this.resizeObserver = null;
         
         // Phase 4: Mute section divider drag state
@@ -39,6 +40,16 @@ class WaveformPanel {
             dividerElement: null  // The DOM element being dragged
         };
         
+        // Volume envelope point drag state
+        this.envelopeDragState = {
+            isDragging: false,
+            trackId: null,
+            index: -1,            // Index of the point being dragged
+            time: 0,              // Current drag position (time)
+            gain: 0,              // Current drag position (gain)
+            handleElement: null   // The DOM element being dragged
+        };
+        
         this.init();
         this.attachStateListeners();
         this.createLoopRegionElement();
@@ -74,26 +85,28 @@ class WaveformPanel {
             this.handleWheelZoom(e);
         }, { passive: false });
 
-        // Phase 4: Listen for Ctrl key to update cursor on waveform tracks
+        // Phase 4: Listen for Ctrl (mute split) and Shift (envelope point) keys to update cursor on waveform tracks
         document.addEventListener('keydown', (e) => {
-            if (e.key === 'Control') {
+            if (e.key === 'Control' || e.key === 'Shift') {
                 this.updateAllWaveformCursors();
             }
         });
         
         document.addEventListener('keyup', (e) => {
-            if (e.key === 'Control') {
+            if (e.key === 'Control' || e.key === 'Shift') {
                 this.updateAllWaveformCursors();
             }
         });
 
-        // Phase 4: Global mouse handlers for mute divider dragging
+        // Phase 4: Global mouse handlers for mute divider (and envelope point) dragging
         document.addEventListener('mousemove', (e) => {
             this.handleMuteDividerDragMove(e);
+            this.handleEnvelopeDragMove(e);
         });
         
         document.addEventListener('mouseup', (e) => {
             this.handleMuteDividerDragEnd(e);
+            this.handleEnvelopeDragEnd(e);
         });
         
         // Listen for preference changes (e.g., enhanced waveform visibility)
@@ -154,6 +167,7 @@ class WaveformPanel {
             this.updateDisabledSectionsOverlay();
             this.renderAllMuteSectionDividers(); // Phase 4: Update mute dividers
             this.renderAllMuteSectionButtons();  // Phase 4: Update mute buttons
+            this.renderAllEnvelopePoints();
             
             // Scroll to keep playhead visible (centered in viewport)
             const song = State.getActiveSong();
@@ -217,6 +231,17 @@ class WaveformPanel {
                 this.redrawAllWaveforms();
             }
         });
+
+        // Update envelope handles and lines when a volume envelope changes
+        State.subscribe(State.Events.VOLUME_ENVELOPE_CHANGED, ({ trackId }) => {
+            if (trackId) {
+                this.renderEnvelopePoints(trackId);
+                this.drawWaveform(trackId);
+            } else {
+                this.renderAllEnvelopePoints();
+                this.redrawAllWaveforms();
+            }
+        });
     }
 
     /**
@@ -282,17 +307,24 @@ class WaveformPanel {
         muteSectionBtnContainer.className = 'mute-section-btn-container';
         wrapper.appendChild(muteSectionBtnContainer);
         
+        // Volume envelope handle container
+        const envelopeContainer = document.createElement('div');
+        envelopeContainer.className = 'envelope-point-container';
+        wrapper.appendChild(envelopeContainer);
+        
         this.container.appendChild(wrapper);
         this.trackCanvases.set(track.id, canvas);
         this.trackWrappers.set(track.id, wrapper);
         this.muteDividerContainers.set(track.id, muteDividerContainer);
         this.muteSectionBtnContainers.set(track.id, muteSectionBtnContainer);
+        this.envelopeContainers.set(track.id, envelopeContainer);
 
         // Initial draw
         requestAnimationFrame(() => {
             this.drawWaveform(track.id);
             this.renderMuteSectionDividers(track.id);
             this.renderMuteSectionButtons(track.id);
+            this.renderEnvelopePoints(track.id);
         });
 
         // Handle mousedown for seeking or split interactions
@@ -323,6 +355,7 @@ class WaveformPanel {
         this.trackWrappers.delete(trackId);
         this.muteDividerContainers.delete(trackId);
         this.muteSectionBtnContainers.delete(trackId);
+        this.envelopeContainers.delete(trackId);
     }
 
     /**
@@ -431,6 +464,17 @@ class WaveformPanel {
                 offset
             });
         }
+        
+        // Volume envelope line (only drawn once the track has breakpoints)
+        const envelope = State.getVolumeEnvelope(trackId);
+        if (envelope.length > 0) {
+            Waveform.renderVolumeEnvelope(canvas.getContext('2d'), canvas.width, canvas.height, envelope, {
+                zoom,
+                scrollOffset: this.scrollArea.scrollLeft,
+                pixelsPerSecond: BASE_PIXELS_PER_SECOND,
+                offset
+            });
+        }
     }
 
     /**
@@ -508,6 +552,7 @@ class WaveformPanel {
      * Handle mousedown on waveform for seeking or split interaction
      * Using mousedown (not click) so drag initiation happens before mouseup
      * - Ctrl+Click: Add a mute section split
+     * - Shift+Click: Add a volume envelope point
      * - Alt+Click near divider: Remove the split
      * - Click near divider (no modifier): Start drag
      * - Regular click: Seek to position
@@ -544,6 +589,17 @@ class WaveformPanel {
             return;
         }
         
+        // Shift+Click adds a volume envelope point (gain from the vertical position)
+        if (e.shiftKey && !e.ctrlKey) {
+            e.preventDefault();
+            e.stopPropagation();
+            const wrapper = this.trackWrappers.get(trackId);
+            const wrapperRect = wrapper.getBoundingClientRect();
+            const gain = Waveform.envelopeYToGain(e.clientY - wrapperRect.top, wrapperRect.height);
+            State.addEnvelopePoint(trackId, snappedPosition, gain);
+            return;
+        }
+        
         // Phase 4: Handle Ctrl+Click to add split
         if (e.ctrlKey) {
             e.preventDefault();
@@ -675,6 +731,9 @@ class WaveformPanel {
         } else if (e.ctrlKey) {
             // Ctrl held - show crosshair for adding split
             wrapper.style.cursor = 'crosshair';
+        } else if (e.shiftKey) {
+            // Shift held - adding an envelope point
+            wrapper.style.cursor = 'cell';
         } else {
             // Default cursor
             wrapper.style.cursor = 'default';
@@ -826,6 +885,7 @@ class WaveformPanel {
         this.trackWrappers.clear();
         this.muteDividerContainers.clear();
         this.muteSectionBtnContainers.clear();
+        this.envelopeContainers.clear();
     }
 
     /**
@@ -1204,6 +1264,151 @@ class WaveformPanel {
             this.updateMuteSectionButtonPositions(trackId);
         });
     }
+
+    // ========================================================================
+    // Volume Envelopes
+    // ========================================================================
+
+    /**
+     * Render the volume envelope handles for a track
+     * Alt+Click a handle to remove it, drag it to move it (time snaps to beats)
+     * @param {string} trackId - Track ID
+     */
+    renderEnvelopePoints(trackId) {
+        const container = this.envelopeContainers.get(trackId);
+        if (!container) return;
+        
+        container.innerHTML = '';
+        
+        const song = State.getActiveSong();
+        if (!song) return;
+        
+        const points = State.getVolumeEnvelope(trackId);
+        if (points.length === 0) return;
+        
+        const zoom = this.getEffectiveZoom();
+        const offset = song.timeline?.offset || 0;
+        const height = container.parentElement.getBoundingClientRect().height;
+        
+        points.forEach((point, index) => {
+            const handle = document.createElement('div');
+            handle.className = 'envelope-point';
+            handle.style.left = `${(point.time + offset) * BASE_PIXELS_PER_SECOND * zoom}px`;
+            handle.style.top = `${Waveform.envelopeGainToY(point.gain, height)}px`;
+            handle.title = `${Math.round(point.gain * 100)}% (Alt+Click to remove)`;
+            
+            handle.addEventListener('mousedown', (e) => {
+                e.stopPropagation(); // Prevent waveform seek
+                e.preventDefault();
+                if (e.altKey) {
+                    State.removeEnvelopePoint(trackId, index);
+                    return;
+                }
+                this.startEnvelopeDrag(trackId, index, handle);
+            });
+            
+            container.appendChild(handle);
+        });
+    }
+
+    /**
+     * Render volume envelope handles for all tracks
+     */
+    renderAllEnvelopePoints() {
+        const song = State.getActiveSong();
+        if (!song) return;
+        
+        song.tracks.forEach(track => {
+            this.renderEnvelopePoints(track.id);
+        });
+    }
+
+    /**
+     * Start dragging a volume envelope point
+     * @param {string} trackId - Track ID
+     * @param {number} index - Point index
+     * @param {HTMLElement} handle - Handle element
+     */
+    startEnvelopeDrag(trackId, index, handle) {
+        const point = State.getVolumeEnvelope(trackId)[index];
+        if (!point) return;
+        
+        this.envelopeDragState = {
+            isDragging: true,
+            trackId,
+            index,
+            time: point.time,
+            gain: point.gain,
+            handleElement: handle
+        };
+        
+        handle.classList.add('dragging');
+        document.body.style.cursor = 'move';
+    }
+
+    /**
+     * Handle mouse move during envelope point drag
+     * @param {MouseEvent} e - Mouse event
+     */
+    handleEnvelopeDragMove(e) {
+        if (!this.envelopeDragState.isDragging) return;
+        
+        const song = State.getActiveSong();
+        if (!song) return;
+        
+        const { trackId, index, handleElement } = this.envelopeDragState;
+        const wrapper = this.trackWrappers.get(trackId);
+        if (!wrapper) return;
+        
+        const rect = this.scrollArea.getBoundingClientRect();
+        const mouseX = e.clientX - rect.left + this.scrollArea.scrollLeft;
+        const zoom = this.getEffectiveZoom();
+        const offset = song.timeline?.offset || 0;
+        
+        // Snap to beat, and keep the point between its neighbours
+        let time = Math.max(0, mouseX / (BASE_PIXELS_PER_SECOND * zoom) - offset);
+        time = findNearestBeat(time, song.metadata?.tempos, song.metadata?.['time-sigs']);
+        const points = State.getVolumeEnvelope(trackId);
+        if (index > 0) time = Math.max(time, points[index - 1].time + 0.001);
+        if (index < points.length - 1) time = Math.min(time, points[index + 1].time - 0.001);
+        
+        const wrapperRect = wrapper.getBoundingClientRect();
+        const gain = Waveform.envelopeYToGain(e.clientY - wrapperRect.top, wrapperRect.height);
+        
+        handleElement.style.left = `${(time + offset) * BASE_PIXELS_PER_SECOND * zoom}px`;
+        handleElement.style.top = `${Waveform.envelopeGainToY(gain, wrapperRect.height)}px`;
+        handleElement.title = `${Math.round(gain * 100)}%`;
+        
+        this.envelopeDragState.time = time;
+        this.envelopeDragState.gain = gain;
+    }
+
+    /**
+     * Handle mouse up to end envelope point drag
+     * @param {MouseEvent} e - Mouse event
+     */
+    handleEnvelopeDragEnd(e) {
+        if (!this.envelopeDragState.isDragging) return;
+        
+        const { trackId, index, time, gain, handleElement } = this.envelopeDragState;
+        
+        handleElement?.classList.remove('dragging');
+        document.body.style.cursor = '';
+        
+        const point = State.getVolumeEnvelope(trackId)[index];
+        if (point && (Math.abs(point.time - time) > 0.001 || Math.abs(point.gain - gain) > 0.001)) {
+            State.moveEnvelopePoint(trackId, index, time, gain);
+        }
+        
+        this.envelopeDragState = {
+            isDragging: false,
+            trackId: null,
+            index: -1,
+            time: 0,
+            gain: 0,
+            handleElement: null
+        };
+    }
 }
 
 // Singleton instance
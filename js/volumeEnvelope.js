@@ -0,0 +1,60 @@
+/**
+ * Volume Envelopes
+ * Per-track gain automation drawn on the waveform lanes. Breakpoints are stored in
+ * source time as { time, gain } (gain 0-1, multiplied with the track volume) and
+ * interpolated linearly; before the first and after the last point the gain holds.
+ *
+ * The envelope runs on its own GainNode in the track chain, so volume, solo/mute and
+ * mute section changes (which all drive the track's main gain node) never disturb it.
+ */
+
+/**
+ * Get the envelope gain at a source time
+ * @param {Array} points - Breakpoints sorted by time
+ * @param {number} time - Source time in seconds
+ * @returns {number} Gain (1 if the track has no envelope)
+ */
+export function getEnvelopeGainAtTime(points, time) {
+    if (!points || points.length === 0) return 1;
+
+    if (time <= points[0].time) return points[0].gain;
+
+    for (let i = 1; i < points.length; i++) {
+        const next = points[i];
+        if (time < next.time) {
+            const prev = points[i - 1];
+            const ratio = (time - prev.time) / (next.time - prev.time);
+            return prev.gain + (next.gain - prev.gain) * ratio;
+        }
+    }
+
+    return points[points.length - 1].gain;
+}
+
+/**
+ * Schedule one contiguous stretch of source audio's envelope onto a gain parameter
+ * Sets the gain at the segment start, then ramps to every breakpoint inside it with
+ * linearRampToValueAtTime. Arrangement skips and loops restart the sources, so each
+ * playback segment is scheduled separately.
+ * @param {AudioParam} param - Envelope gain parameter
+ * @param {Array} points - Breakpoints sorted by time
+ * @param {number} start - Segment start in source time
+ * @param {number} end - Segment end in source time
+ * @param {number} when - Context time at which the segment start plays
+ * @param {number} speed - Playback speed multiplier
+ */
+export function scheduleEnvelopeSegment(param, points, start, end, when, speed) {
+    param.setValueAtTime(getEnvelopeGainAtTime(points, start), when);
+    if (!points || points.length === 0) return;
+
+    for (const point of points) {
+        if (point.time > start && point.time < end) {
+            param.linearRampToValueAtTime(point.gain, when + (point.time - start) / speed);
+        }
+    }
+
+    // Land on the interpolated value at the segment end (a ramp may be in progress)
+    if (Number.isFinite(end)) {
+        param.linearRampToValueAtTime(getEnvelopeGainAtTime(points, end), when + (end - start) / speed);
+    }
+}
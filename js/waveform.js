@@ -13,6 +13,8 @@ const ACTIVE_COLOR = '#00a8cc';
 const INACTIVE_COLOR = '#4a4a4a';
 const BACKGROUND_COLOR = '#1a1a1a';
 const SECTION_DIVIDER_COLOR = 'rgba(255, 255, 0, 0.4)'; // Matches marker color
+const ENVELOPE_COLOR = 'rgba(255, 150, 50, 0.9)';
+const ENVELOPE_PADDING = 6; // Keeps the envelope line (and its handles) off the lane edges
 
 /**
  * Render waveform to a canvas
@@ -606,4 +608,63 @@ export function renderMarkerLines(ctx, canvasWidth, canvasHeight, markers, optio
     }
 }
 
+/**
+ * Convert an envelope gain to a y position in a lane
+ * @param {number} gain - Gain (0-1)
+ * @param {number} height - Lane height in pixels
+ * @returns {number}
+ */
+export function envelopeGainToY(gain, height) {
+    return ENVELOPE_PADDING + (1 - gain) * (height - 2 * ENVELOPE_PADDING);
+}
+
+/**
+ * Convert a y position in a lane to an envelope gain
+ * @param {number} y - Y position in pixels
+ * @param {number} height - Lane height in pixels
+ * @returns {number} Gain (0-1)
+ */
+export function envelopeYToGain(y, height) {
+    const gain = 1 - (y - ENVELOPE_PADDING) / (height - 2 * ENVELOPE_PADDING);
+    return Math.max(0, Math.min(1, gain));
+}
+
+/**
+ * Render a track's volume envelope as a line across the visible canvas
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ * @param {Array} points - Breakpoints ({ time, gain }) sorted by time
+ * @param {Object} options - Rendering options
+ */
+export function renderVolumeEnvelope(ctx, canvasWidth, canvasHeight, points, options = {}) {
+    if (!points || points.length === 0) {
+        return;
+    }
+    
+    const {
+        zoom = 1,
+        scrollOffset = 0,
+        pixelsPerSecond = 100,
+        offset = 0
+    } = options;
+    
+    const pixelsPerSecondZoomed = pixelsPerSecond * zoom;
+    const toScreenX = (time) => (time + offset) * pixelsPerSecondZoomed - scrollOffset;
+    
+    ctx.strokeStyle = ENVELOPE_COLOR;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    
+    // Gain holds before the first and after the last breakpoint
+    ctx.moveTo(Math.min(0, toScreenX(points[0].time)), envelopeGainToY(points[0].gain, canvasHeight));
+    for (const point of points) {
+        ctx.lineTo(toScreenX(point.time), envelopeGainToY(point.gain, canvasHeight));
+    }
+    const last = points[points.length - 1];
+    ctx.lineTo(Math.max(canvasWidth, toScreenX(last.time)), envelopeGainToY(last.gain, canvasHeight));
+    
+    ctx.stroke();
+}
+
 export { ACTIVE_COLOR, INACTIVE_COLOR, BACKGROUND_COLOR, SECTION_DIVIDER_COLOR };
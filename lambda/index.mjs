@@ -143,6 +143,122 @@ export const handler = async (event) => {
         }
     }
 
+    // Handle GET /mixes/{songName} - list mixes (public, no auth required)
+    if (event.httpMethod === 'GET' && event.resource === '/mixes/{songName}') {
+        try {
+            const { songName } = event.pathParameters;
+            return await handleListMixes(decodeURIComponent(songName));
+        } catch (err) {
+            console.error('Error in handleListMixes:', err);
+            return response(500, { error: 'Internal server error', details: err.message });
+        }
+    }
+
+    // Handle GET /mixes/{songName}/{name} - get specific mix (public, no auth required)
+    if (event.httpMethod === 'GET' && event.resource === '/mixes/{songName}/{name}') {
+        try {
+            const { songName, name } = event.pathParameters;
+            return await handleGetMix(
+                decodeURIComponent(songName),
+                decodeURIComponent(name)
+            );
+        } catch (err) {
+            console.error('Error in handleGetMix:', err);
+            return response(500, { error: 'Internal server error', details: err.message });
+        }
+    }
+
+    // Handle PUT /mixes/{songName}/{name} - save mix
+    if (event.httpMethod === 'PUT' && event.resource === '/mixes/{songName}/{name}') {
+        try {
+            const { songName, name } = event.pathParameters;
+            const body = JSON.parse(event.body || '{}');
+            return await handleSaveMix(
+                decodeURIComponent(songName),
+                decodeURIComponent(name),
+                body
+            );
+        } catch (err) {
+            console.error('Error in handleSaveMix:', err);
+            return response(500, { error: 'Internal server error', details: err.message });
+        }
+    }
+
+    // Handle DELETE /mixes/{songName}/{name} - delete mix
+    if (event.httpMethod === 'DELETE' && event.resource === '/mixes/{songName}/{name}') {
+        try {
+            const { songName, name } = event.pathParameters;
+            const body = JSON.parse(event.body || '{}');
+            const { secret } = body;
+            return await handleDeleteMix(
+                decodeURIComponent(songName),
+                decodeURIComponent(name),
+                secret
+            );
+        } catch (err) {
+            console.error('Error in handleDeleteMix:', err);
+            return response(500, { error: 'Internal server error', details: err.message });
+        }
+    }
+
+    // Handle GET /loops/{songName} - list loops (public, no auth required)
+    if (event.httpMethod === 'GET' && event.resource === '/loops/{songName}') {
+        try {
+            const { songName } = event.pathParameters;
+            return await handleListLoops(decodeURIComponent(songName));
+        } catch (err) {
+            console.error('Error in handleListLoops:', err);
+            return response(500, { error: 'Internal server error', details: err.message });
+        }
+    }
+
+    // Handle GET /loops/{songName}/{name} - get specific loop (public, no auth required)
+    if (event.httpMethod === 'GET' && event.resource === '/loops/{songName}/{name}') {
+        try {
+            const { songName, name } = event.pathParameters;
+            return await handleGetLoop(
+                decodeURIComponent(songName),
+                decodeURIComponent(name)
+            );
+        } catch (err) {
+            console.error('Error in handleGetLoop:', err);
+            return response(500, { error: 'Internal server error', details: err.message });
+        }
+    }
+
+    // Handle PUT /loops/{songName}/{name} - save loop
+    if (event.httpMethod === 'PUT' && event.resource === '/loops/{songName}/{name}') {
+        try {
+            const { songName, name } = event.pathParameters;
+            const body = JSON.parse(event.body || '{}');
+            return await handleSaveLoop(
+                decodeURIComponent(songName),
+                decodeURIComponent(name),
+                body
+            );
+        } catch (err) {
+            console.error('Error in handleSaveLoop:', err);
+            return response(500, { error: 'Internal server error', details: err.message });
+        }
+    }
+
+    // Handle DELETE /loops/{songName}/{name} - delete loop
+    if (event.httpMethod === 'DELETE' && event.resource === '/loops/{songName}/{name}') {
+        try {
+            const { songName, name } = event.pathParameters;
+            const body = JSON.parse(event.body || '{}');
+            const { secret } = body;
+            return await handleDeleteLoop(
+                decodeURIComponent(songName),
+                decodeURIComponent(name),
+                secret
+            );
+        } catch (err) {
+            console.error('Error in handleDeleteLoop:', err);
+            return response(500, { error: 'Internal server error', details: err.message });
+        }
+    }
+
     // Handle GET /setlists - list all set lists (public, no auth required)
     if (event.httpMethod === 'GET' && event.resource === '/setlists') {
         try {
@@ -247,6 +363,65 @@ export const handler = async (event) => {
         }
     }
 
+    // Handle GET /performances - list performed set lists, optionally ?from=&to= (public, no auth required)
+    if (event.httpMethod === 'GET' && event.resource === '/performances') {
+        try {
+            const { from, to } = event.queryStringParameters || {};
+            return await handleListPerformances(from, to);
+        } catch (err) {
+            console.error('Error in handleListPerformances:', err);
+            return response(500, { error: 'Internal server error', details: err.message });
+        }
+    }
+
+    // Handle PUT /performances/{date}/{name} - mark a set list as performed on a date (admin only)
+    if (event.httpMethod === 'PUT' && event.resource === '/performances/{date}/{name}') {
+        try {
+            const { date, name } = event.pathParameters;
+            const body = JSON.parse(event.body || '{}');
+            return await handleRecordPerformance(
+                decodeURIComponent(date),
+                decodeURIComponent(name),
+                body
+            );
+        } catch (err) {
+            console.error('Error in handleRecordPerformance:', err);
+            return response(500, { error: 'Internal server error', details: err.message });
+        }
+    }
+
+    // Handle DELETE /performances/{date}/{name} - remove a performance from the history (admin only)
+    if (event.httpMethod === 'DELETE' && event.resource === '/performances/{date}/{name}') {
+        try {
+            const { date, name } = event.pathParameters;
+            const body = JSON.parse(event.body || '{}');
+            const { secret } = body;
+            return await handleDeletePerformance(
+                decodeURIComponent(date),
+                decodeURIComponent(name),
+                secret
+            );
+        } catch (err) {
+            console.error('Error in handleDeletePerformance:', err);
+            return response(500, { error: 'Internal server error', details: err.message });
+        }
+    }
+
+    // Handle PUT /metadata/{songName} - publish a song's metadata.json (admin only)
+    if (event.httpMethod === 'PUT' && event.resource === '/metadata/{songName}') {
+        try {
+            const { songName } = event.pathParameters;
+            const body = JSON.parse(event.body || '{}');
+            return await handleSaveMetadata(
+                decodeURIComponent(songName),
+                body
+            );
+        } catch (err) {
+            console.error('Error in handleSaveMetadata:', err);
+            return response(500, { error: 'Internal server error', details: err.message });
+        }
+    }
+
     // No matching route
     return response(400, { error: 'Invalid request' });
 };
@@ -275,6 +450,7 @@ async function handleGetManifest() {
     // Parse objects into songs and tracks
     // Key format: audio/{songName}/{trackFileName}
     const songMap = new Map();
+    const metadataModified = new Map(); // songName -> metadata.json upload time
     
     for (const obj of allObjects) {
         const key = obj.Key;
@@ -295,6 +471,12 @@ async function handleGetManifest() {
         
         const [songName, trackFileName] = parts;
         
+        // Note songs with a metadata.json, for the summary fields
+        if (trackFileName === 'metadata.json') {
+            metadataModified.set(songName, obj.LastModified.toISOString());
+            continue;
+        }
+        
         // Skip if not an mp3 file
         if (!trackFileName.toLowerCase().endsWith('.mp3')) {
             continue;
@@ -309,15 +491,38 @@ async function handleGetManifest() {
         if (!songMap.has(songName)) {
             songMap.set(songName, []);
         }
-        songMap.get(songName).push(trackFileName);
+        songMap.get(songName).push({
+            name: trackFileName,
+            size: obj.Size,
+            modified: obj.LastModified.toISOString()
+        });
     }
     
     // Convert to array and sort
     const songs = [];
-    for (const [name, tracks] of songMap) {
+    for (const [name, trackInfo] of songMap) {
         // Sort tracks alphabetically
-        tracks.sort((a, b) => a.localeCompare(b));
-        songs.push({ name, tracks });
+        trackInfo.sort((a, b) => a.name.localeCompare(b.name));
+        songs.push({
+            name,
+            tracks: trackInfo.map(t => t.name),
+            trackInfo,
+            size: trackInfo.reduce((sum, t) => sum + t.size, 0),
+            modified: trackInfo.reduce((latest, t) => (t.modified > latest ? t.modified : latest), ''),
+            key: null,
+            bpm: null,
+            duration: null,
+            tags: []
+        });
+    }
+    
+    // Summary fields from each song's metadata.json, via the summary index
+    const summaries = await getManifestSummaries(metadataModified);
+    for (const song of songs) {
+        if (summaries[song.name]) {
+            const { key, bpm, duration, tags } = summaries[song.name];
+            Object.assign(song, { key, bpm, duration, tags });
+        }
     }
     
     // Sort songs alphabetically
@@ -334,6 +539,121 @@ async function handleGetManifest() {
     return response(200, manifest);
 }
 
+// The manifest's summary fields are kept in one index object, so listing the library
+// doesn't read every song's metadata.json. handleSaveMetadata updates a song's entry when
+// it publishes; metadata.json files uploaded another way are read (a few at a time) the
+// next time the manifest is built and cached in the index.
+const SUMMARY_INDEX_KEY = 'manifest/summaries.json';
+const SUMMARY_READ_CONCURRENCY = 8;
+
+/**
+ * Get the summary fields of every song with a metadata.json, refreshing stale index entries
+ * metadataModified: Map of songName -> metadata.json upload time (ISO string)
+ * Returns { songName: { key, bpm, duration, tags, metadataModified } }
+ */
+async function getManifestSummaries(metadataModified) {
+    const index = await readSummaryIndex();
+    let changed = false;
+    
+    // Drop songs whose metadata.json is gone
+    for (const songName of Object.keys(index)) {
+        if (!metadataModified.has(songName)) {
+            delete index[songName];
+            changed = true;
+        }
+    }
+    
+    // (Re)read metadata.json files that are new or newer than their index entry
+    const stale = [...metadataModified]
+        .filter(([songName, modified]) => !index[songName] || index[songName].metadataModified < modified);
+    
+    await mapWithConcurrency(stale, SUMMARY_READ_CONCURRENCY, async ([songName, modified]) => {
+        let summary;
+        try {
+            summary = getManifestSummary(await getJsonObject(`audio/${songName}/metadata.json`) || {});
+        } catch (err) {
+            // A bad metadata file shouldn't stop the song being listed (or be re-read every time)
+            console.warn(`Skipping metadata for '${songName}':`, err.message);
+            summary = getManifestSummary({});
+        }
+        index[songName] = { ...summary, metadataModified: modified };
+        changed = true;
+    });
+    
+    if (changed) {
+        await putSummaryIndex(index);
+    }
+    return index;
+}
+
+/**
+ * Update one song's entry in the summary index after its metadata.json is published
+ */
+async function updateManifestSummary(songName, metadata) {
+    const index = await readSummaryIndex();
+    // Taken after the upload, so the entry isn't older than the file's LastModified
+    index[songName] = { ...getManifestSummary(metadata), metadataModified: new Date().toISOString() };
+    await putSummaryIndex(index);
+}
+
+/**
+ * Read the summary index; an unreadable index is rebuilt rather than failing the request
+ */
+async function readSummaryIndex() {
+    try {
+        return await getJsonObject(SUMMARY_INDEX_KEY) || {};
+    } catch (err) {
+        console.warn('Rebuilding manifest summary index:', err.message);
+        return {};
+    }
+}
+
+/**
+ * Save the summary index; if this fails, stale entries are simply re-read next time
+ */
+async function putSummaryIndex(index) {
+    try {
+        await s3.send(new PutObjectCommand({
+            Bucket: BUCKET,
+            Key: SUMMARY_INDEX_KEY,
+            Body: JSON.stringify(index),
+            ContentType: 'application/json'
+        }));
+    } catch (err) {
+        console.warn('Failed to save manifest summary index:', err.message);
+    }
+}
+
+/**
+ * Run an async function over items, at most `limit` at a time
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    let next = 0;
+    const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            await fn(items[next++]);
+        }
+    });
+    await Promise.all(workers);
+}
+
+/**
+ * Pick the manifest's summary fields from a song's metadata.json
+ */
+function getManifestSummary(metadata) {
+    // The tempo at the start of the song (tempos are sorted by start)
+    const initialTempo = Array.isArray(metadata.tempos) && metadata.tempos.length > 0
+        ? metadata.tempos[0].tempo
+        : null;
+    
+    return {
+        key: METADATA_KEYS.includes(metadata.key) ? metadata.key : null,
+        bpm: typeof initialTempo === 'number' ? Math.round(initialTempo * 10) / 10 : null,
+        duration: typeof metadata.duration === 'number' ? metadata.duration : null,
+        tags: Array.isArray(metadata.tags) ? metadata.tags.filter(t => typeof t === 'string') : []
+    };
+}
+
 async function handleGetArrangement(songName, name) {
     console.log('handleGetArrangement called for:', songName, name);
     
@@ -602,10 +922,38 @@ async function handleGetMuteSet(songName, name) {
 async function handleSaveMuteSet(songName, name, body) {
     console.log('handleSaveMuteSet called for:', songName, name);
     
-    const { tracks, protected: isProtected, secret } = body;
+    const { tracks, eq, envelopes, protected: isProtected, secret } = body;
     
-    // Validate required fields
-    if (!tracks || typeof tracks !== 'object' || Object.keys(tracks).length === 0) {
+    // Validate optional per-track EQ (keyed by track file name)
+    if (eq !== undefined) {
+        if (!eq || typeof eq !== 'object' || Array.isArray(eq)) {
+            return response(400, { error: 'Invalid eq object' });
+        }
+        for (const [trackName, settings] of Object.entries(eq)) {
+            if (!settings || typeof settings !== 'object' ||
+                !['highpass', 'low', 'mid', 'high'].every(band => typeof settings[band] === 'number')) {
+                return response(400, { error: `EQ for track '${trackName}' must have highpass, low, mid and high (numbers)` });
+            }
+        }
+    }
+    const hasEq = eq !== undefined && Object.keys(eq).length > 0;
+    
+    // Validate optional per-track volume envelopes (keyed by track file name)
+    if (envelopes !== undefined) {
+        if (!envelopes || typeof envelopes !== 'object' || Array.isArray(envelopes)) {
+            return response(400, { error: 'Invalid envelopes object' });
+        }
+        for (const [trackName, points] of Object.entries(envelopes)) {
+            if (!Array.isArray(points) ||
+                !points.every(p => p && typeof p.time === 'number' && typeof p.gain === 'number')) {
+                return response(400, { error: `Envelope for track '${trackName}' must be an array of points with time and gain (numbers)` });
+            }
+        }
+    }
+    const hasEnvelopes = envelopes !== undefined && Object.keys(envelopes).length > 0;
+    
+    // Validate required fields (a mute set may hold only EQ settings or envelopes)
+    if (!tracks || typeof tracks !== 'object' || (Object.keys(tracks).length === 0 && !hasEq && !hasEnvelopes)) {
         return response(400, { error: 'Missing or invalid tracks object' });
     }
     
@@ -655,6 +1003,12 @@ async function handleSaveMuteSet(songName, name, body) {
         createdAt: existingMuteSet?.createdAt || now,
         modifiedAt: now
     };
+    if (eq !== undefined) {
+        muteSet.eq = eq;
+    }
+    if (envelopes !== undefined) {
+        muteSet.envelopes = envelopes;
+    }
     
     // Save to S3
     const putCommand = new PutObjectCommand({
@@ -714,12 +1068,12 @@ async function handleDeleteMuteSet(songName, name, secret) {
     });
 }
 
-// ============ Set List Handlers ============
+// ============ Mix Handlers ============
 
-async function handleListSetLists() {
-    console.log('handleListSetLists called');
+async function handleListMixes(songName) {
+    console.log('handleListMixes called for:', songName);
     
-    const prefix = 'setlists/';
+    const prefix = `audio/${songName}/Mixes/`;
     
     try {
         const command = new ListObjectsV2Command({
@@ -731,12 +1085,12 @@ async function handleListSetLists() {
         
         // If no Contents, folder doesn't exist or is empty - return empty array
         if (!result.Contents || result.Contents.length === 0) {
-            return response(200, { setLists: [] });
+            return response(200, { mixes: [] });
         }
         
-        // Extract set list names from keys
-        // Key format: setlists/{name}.json
-        const setLists = [];
+        // Extract mix names from keys
+        // Key format: audio/{songName}/Mixes/{name}.json
+        const mixes = [];
         
         for (const obj of result.Contents) {
             const key = obj.Key;
@@ -756,113 +1110,92 @@ async function handleListSetLists() {
             
             // Remove .json extension and URL-decode the name
             const name = decodeURIComponent(filename.slice(0, -5));
-            setLists.push(name);
+            mixes.push(name);
         }
         
         // Sort alphabetically
-        setLists.sort((a, b) => a.localeCompare(b));
+        mixes.sort((a, b) => a.localeCompare(b));
         
-        return response(200, { setLists });
+        return response(200, { mixes });
     } catch (err) {
-        console.error('Error listing set lists:', err);
-        return response(500, { error: 'Failed to list set lists', details: err.message });
+        console.error('Error listing mixes:', err);
+        return response(500, { error: 'Failed to list mixes', details: err.message });
     }
 }
 
-async function handleGetSetList(name) {
-    console.log('handleGetSetList called for:', name);
+async function handleGetMix(songName, name) {
+    console.log('handleGetMix called for:', songName, name);
     
-    const key = `setlists/${name}.json`;
+    const key = `audio/${songName}/Mixes/${name}.json`;
     
     try {
         const command = new GetObjectCommand({ Bucket: BUCKET, Key: key });
         const result = await s3.send(command);
         const bodyString = await result.Body.transformToString();
-        const setList = JSON.parse(bodyString);
+        const mix = JSON.parse(bodyString);
         
-        return response(200, setList);
+        return response(200, mix);
     } catch (err) {
         if (err.name === 'NoSuchKey') {
-            return response(404, { error: `Set list '${name}' not found` });
+            return response(404, { error: `Mix '${name}' not found for song '${songName}'` });
         }
-        console.error('Error getting set list:', err);
-        return response(500, { error: 'Failed to get set list', details: err.message });
+        console.error('Error getting mix:', err);
+        return response(500, { error: 'Failed to get mix', details: err.message });
     }
 }
 
-async function handleSaveSetList(name, body) {
-    console.log('handleSaveSetList called for:', name);
+async function handleSaveMix(songName, name, body) {
+    console.log('handleSaveMix called for:', songName, name);
     
-    const { items, protected: isProtected, secret } = body;
+    const { tracks, protected: isProtected, secret } = body;
     
     // Validate required fields
-    if (!items || !Array.isArray(items) || items.length === 0) {
-        return response(400, { error: 'Missing or invalid items array' });
+    if (!tracks || typeof tracks !== 'object' || Array.isArray(tracks) || Object.keys(tracks).length === 0) {
+        return response(400, { error: 'Missing or invalid tracks object' });
     }
     
-    // Validate each item entry
-    for (const entry of items) {
-        if (!entry.type || (entry.type !== 'song' && entry.type !== 'mashup')) {
-            return response(400, { error: 'Each item must have a type of "song" or "mashup"' });
-        }
-        
-        if (entry.type === 'song') {
-            if (!entry.songName || typeof entry.songName !== 'string') {
-                return response(400, { error: 'Each song item must have a songName (string)' });
-            }
-            if (entry.arrangementName !== null && entry.arrangementName !== undefined && typeof entry.arrangementName !== 'string') {
-                return response(400, { error: `Song '${entry.songName}': arrangementName must be a string or null` });
-            }
-            if (typeof entry.pitch !== 'number' || !Number.isInteger(entry.pitch) || entry.pitch < -6 || entry.pitch > 6) {
-                return response(400, { error: `Song '${entry.songName}': pitch must be an integer from -6 to 6` });
-            }
-        } else if (entry.type === 'mashup') {
-            if (!entry.mashupName || typeof entry.mashupName !== 'string') {
-                return response(400, { error: 'Each mashup item must have a mashupName (string)' });
-            }
+    // Validate each track's mixer settings
+    for (const [trackName, settings] of Object.entries(tracks)) {
+        if (!settings || typeof settings !== 'object' ||
+            typeof settings.volume !== 'number' ||
+            typeof settings.pan !== 'number' ||
+            typeof settings.solo !== 'boolean' ||
+            typeof settings.mute !== 'boolean' ||
+            typeof settings.pitchExempt !== 'boolean') {
+            return response(400, { error: `Track '${trackName}' must have volume (number), pan (number), solo (boolean), mute (boolean), and pitchExempt (boolean)` });
         }
     }
     
-    const key = `setlists/${name}.json`;
+    const key = `audio/${songName}/Mixes/${name}.json`;
     
-    // Check if set list already exists
-    let existingSetList = null;
+    // Check if mix already exists
+    let existingMix = null;
     try {
         const getCommand = new GetObjectCommand({ Bucket: BUCKET, Key: key });
         const result = await s3.send(getCommand);
         const bodyString = await result.Body.transformToString();
-        existingSetList = JSON.parse(bodyString);
+        existingMix = JSON.parse(bodyString);
     } catch (err) {
         if (err.name !== 'NoSuchKey') {
             throw err; // Unexpected error
         }
-        // NoSuchKey means it's a new set list - that's fine
+        // NoSuchKey means it's a new mix - that's fine
     }
     
-    // If existing set list is protected, require secret
-    if (existingSetList?.protected) {
+    // If existing mix is protected, require secret
+    if (existingMix?.protected) {
         if (secret !== ADMIN_SECRET) {
-            return response(403, { error: 'This set list is protected. Valid secret required to overwrite.' });
+            return response(403, { error: 'This mix is protected. Valid secret required to overwrite.' });
         }
     }
     
-    // Build the set list object
+    // Build the mix object
     const now = new Date().toISOString();
-    const setList = {
+    const mix = {
         name: name,
-        items: items.map(entry => {
-            if (entry.type === 'mashup') {
-                return { type: 'mashup', mashupName: entry.mashupName };
-            }
-            return {
-                type: 'song',
-                songName: entry.songName,
-                arrangementName: entry.arrangementName || null,
-                pitch: entry.pitch
-            };
-        }),
+        tracks: tracks,
         protected: isProtected || false,
-        createdAt: existingSetList?.createdAt || now,
+        createdAt: existingMix?.createdAt || now,
         modifiedAt: now
     };
     
@@ -870,23 +1203,412 @@ async function handleSaveSetList(name, body) {
     const putCommand = new PutObjectCommand({
         Bucket: BUCKET,
         Key: key,
-        Body: JSON.stringify(setList, null, '\t'),
+        Body: JSON.stringify(mix, null, '\t'),
         ContentType: 'application/json'
     });
     await s3.send(putCommand);
     
     // Invalidate CloudFront cache
-    await invalidateCache(`/setlists/${encodeURIComponent(name)}.json`);
+    await invalidateCache(`/audio/${encodeURIComponent(songName)}/Mixes/${encodeURIComponent(name)}.json`);
     
     return response(200, { 
         success: true, 
-        message: existingSetList ? `Set list '${name}' updated` : `Set list '${name}' created`,
-        setList: setList
+        message: existingMix ? `Mix '${name}' updated` : `Mix '${name}' created`,
+        mix: mix
     });
 }
 
-async function handleDeleteSetList(name, secret) {
-    console.log('handleDeleteSetList called for:', name);
+async function handleDeleteMix(songName, name, secret) {
+    console.log('handleDeleteMix called for:', songName, name);
+    
+    const key = `audio/${songName}/Mixes/${name}.json`;
+    
+    // First, check if mix exists and if it's protected
+    let existingMix = null;
+    try {
+        const getCommand = new GetObjectCommand({ Bucket: BUCKET, Key: key });
+        const result = await s3.send(getCommand);
+        const bodyString = await result.Body.transformToString();
+        existingMix = JSON.parse(bodyString);
+    } catch (err) {
+        if (err.name === 'NoSuchKey') {
+            return response(404, { error: `Mix '${name}' not found for song '${songName}'` });
+        }
+        throw err;
+    }
+    
+    // If mix is protected, require secret
+    if (existingMix.protected) {
+        if (secret !== ADMIN_SECRET) {
+            return response(403, { error: 'This mix is protected. Valid secret required to delete.' });
+        }
+    }
+    
+    // Delete from S3
+    const deleteCommand = new DeleteObjectCommand({ Bucket: BUCKET, Key: key });
+    await s3.send(deleteCommand);
+    
+    // Invalidate CloudFront cache
+    await invalidateCache(`/audio/${encodeURIComponent(songName)}/Mixes/${encodeURIComponent(name)}.json`);
+    
+    return response(200, { 
+        success: true, 
+        message: `Mix '${name}' deleted from '${songName}'`
+    });
+}
+
+// ============ Loop Handlers ============
+
+async function handleListLoops(songName) {
+    console.log('handleListLoops called for:', songName);
+    
+    const prefix = `audio/${songName}/Loops/`;
+    
+    try {
+        const command = new ListObjectsV2Command({
+            Bucket: BUCKET,
+            Prefix: prefix
+        });
+        
+        const result = await s3.send(command);
+        
+        // If no Contents, folder doesn't exist or is empty - return empty array
+        if (!result.Contents || result.Contents.length === 0) {
+            return response(200, { loops: [] });
+        }
+        
+        // Extract loop names from keys
+        // Key format: audio/{songName}/Loops/{name}.json
+        const loops = [];
+        
+        for (const obj of result.Contents) {
+            const key = obj.Key;
+            
+            // Skip if not a .json file
+            if (!key.endsWith('.json')) {
+                continue;
+            }
+            
+            // Extract filename from key
+            const filename = key.slice(prefix.length); // Remove prefix
+            
+            // Skip if empty or contains subdirectories
+            if (!filename || filename.includes('/')) {
+                continue;
+            }
+            
+            // Remove .json extension and URL-decode the name
+            const name = decodeURIComponent(filename.slice(0, -5));
+            loops.push(name);
+        }
+        
+        // Sort alphabetically
+        loops.sort((a, b) => a.localeCompare(b));
+        
+        return response(200, { loops });
+    } catch (err) {
+        console.error('Error listing loops:', err);
+        return response(500, { error: 'Failed to list loops', details: err.message });
+    }
+}
+
+async function handleGetLoop(songName, name) {
+    console.log('handleGetLoop called for:', songName, name);
+    
+    const key = `audio/${songName}/Loops/${name}.json`;
+    
+    try {
+        const command = new GetObjectCommand({ Bucket: BUCKET, Key: key });
+        const result = await s3.send(command);
+        const bodyString = await result.Body.transformToString();
+        const loop = JSON.parse(bodyString);
+        
+        return response(200, loop);
+    } catch (err) {
+        if (err.name === 'NoSuchKey') {
+            return response(404, { error: `Loop '${name}' not found for song '${songName}'` });
+        }
+        console.error('Error getting loop:', err);
+        return response(500, { error: 'Failed to get loop', details: err.message });
+    }
+}
+
+async function handleSaveLoop(songName, name, body) {
+    console.log('handleSaveLoop called for:', songName, name);
+    
+    const { start, end, protected: isProtected, secret } = body;
+    
+    // Validate the loop region
+    if (typeof start !== 'number' || typeof end !== 'number' ||
+        !Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end <= start) {
+        return response(400, { error: 'Loop must have start and end (numbers, in seconds) with end after start' });
+    }
+    
+    const key = `audio/${songName}/Loops/${name}.json`;
+    
+    // Check if loop already exists
+    let existingLoop = null;
+    try {
+        const getCommand = new GetObjectCommand({ Bucket: BUCKET, Key: key });
+        const result = await s3.send(getCommand);
+        const bodyString = await result.Body.transformToString();
+        existingLoop = JSON.parse(bodyString);
+    } catch (err) {
+        if (err.name !== 'NoSuchKey') {
+            throw err; // Unexpected error
+        }
+        // NoSuchKey means it's a new loop - that's fine
+    }
+    
+    // If existing loop is protected, require secret
+    if (existingLoop?.protected) {
+        if (secret !== ADMIN_SECRET) {
+            return response(403, { error: 'This loop is protected. Valid secret required to overwrite.' });
+        }
+    }
+    
+    // Build the loop object
+    const now = new Date().toISOString();
+    const loop = {
+        name: name,
+        start: start,
+        end: end,
+        protected: isProtected || false,
+        createdAt: existingLoop?.createdAt || now,
+        modifiedAt: now
+    };
+    
+    // Save to S3
+    const putCommand = new PutObjectCommand({
+        Bucket: BUCKET,
+        Key: key,
+        Body: JSON.stringify(loop, null, '\t'),
+        ContentType: 'application/json'
+    });
+    await s3.send(putCommand);
+    
+    // Invalidate CloudFront cache
+    await invalidateCache(`/audio/${encodeURIComponent(songName)}/Loops/${encodeURIComponent(name)}.json`);
+    
+    return response(200, { 
+        success: true, 
+        message: existingLoop ? `Loop '${name}' updated` : `Loop '${name}' created`,
+        loop: loop
+    });
+}
+
+async function handleDeleteLoop(songName, name, secret) {
+    console.log('handleDeleteLoop called for:', songName, name);
+    
+    const key = `audio/${songName}/Loops/${name}.json`;
+    
+    // First, check if loop exists and if it's protected
+    let existingLoop = null;
+    try {
+        const getCommand = new GetObjectCommand({ Bucket: BUCKET, Key: key });
+        const result = await s3.send(getCommand);
+        const bodyString = await result.Body.transformToString();
+        existingLoop = JSON.parse(bodyString);
+    } catch (err) {
+        if (err.name === 'NoSuchKey') {
+            return response(404, { error: `Loop '${name}' not found for song '${songName}'` });
+        }
+        throw err;
+    }
+    
+    // If loop is protected, require secret
+    if (existingLoop.protected) {
+        if (secret !== ADMIN_SECRET) {
+            return response(403, { error: 'This loop is protected. Valid secret required to delete.' });
+        }
+    }
+    
+    // Delete from S3
+    const deleteCommand = new DeleteObjectCommand({ Bucket: BUCKET, Key: key });
+    await s3.send(deleteCommand);
+    
+    // Invalidate CloudFront cache
+    await invalidateCache(`/audio/${encodeURIComponent(songName)}/Loops/${encodeURIComponent(name)}.json`);
+    
+    return response(200, { 
+        success: true, 
+        message: `Loop '${name}' deleted from '${songName}'`
+    });
+}
+
+// ============ Set List Handlers ============
+
+async function handleListSetLists() {
+    console.log('handleListSetLists called');
+    
+    const prefix = 'setlists/';
+    
+    try {
+        const command = new ListObjectsV2Command({
+            Bucket: BUCKET,
+            Prefix: prefix
+        });
+        
+        const result = await s3.send(command);
+        
+        // If no Contents, folder doesn't exist or is empty - return empty array
+        if (!result.Contents || result.Contents.length === 0) {
+            return response(200, { setLists: [] });
+        }
+        
+        // Extract set list names from keys
+        // Key format: setlists/{name}.json
+        const setLists = [];
+        
+        for (const obj of result.Contents) {
+            const key = obj.Key;
+            
+            // Skip if not a .json file
+            if (!key.endsWith('.json')) {
+                continue;
+            }
+            
+            // Extract filename from key
+            const filename = key.slice(prefix.length); // Remove prefix
+            
+            // Skip if empty or contains subdirectories
+            if (!filename || filename.includes('/')) {
+                continue;
+            }
+            
+            // Remove .json extension and URL-decode the name
+            const name = decodeURIComponent(filename.slice(0, -5));
+            setLists.push(name);
+        }
+        
+        // Sort alphabetically
+        setLists.sort((a, b) => a.localeCompare(b));
+        
+        return response(200, { setLists });
+    } catch (err) {
+        console.error('Error listing set lists:', err);
+        return response(500, { error: 'Failed to list set lists', details: err.message });
+    }
+}
+
+async function handleGetSetList(name) {
+    console.log('handleGetSetList called for:', name);
+    
+    const key = `setlists/${name}.json`;
+    
+    try {
+        const command = new GetObjectCommand({ Bucket: BUCKET, Key: key });
+        const result = await s3.send(command);
+        const bodyString = await result.Body.transformToString();
+        const setList = JSON.parse(bodyString);
+        
+        return response(200, setList);
+    } catch (err) {
+        if (err.name === 'NoSuchKey') {
+            return response(404, { error: `Set list '${name}' not found` });
+        }
+        console.error('Error getting set list:', err);
+        return response(500, { error: 'Failed to get set list', details: err.message });
+    }
+}
+
+async function handleSaveSetList(name, body) {
+    console.log('handleSaveSetList called for:', name);
+    
+    const { items, protected: isProtected, secret } = body;
+    
+    // Validate required fields
+    if (!items || !Array.isArray(items) || items.length === 0) {
+        return response(400, { error: 'Missing or invalid items array' });
+    }
+    
+    // Validate each item entry
+    for (const entry of items) {
+        if (!entry.type || (entry.type !== 'song' && entry.type !== 'mashup')) {
+            return response(400, { error: 'Each item must have a type of "song" or "mashup"' });
+        }
+        
+        if (entry.type === 'song') {
+            if (!entry.songName || typeof entry.songName !== 'string') {
+                return response(400, { error: 'Each song item must have a songName (string)' });
+            }
+            if (entry.arrangementName !== null && entry.arrangementName !== undefined && typeof entry.arrangementName !== 'string') {
+                return response(400, { error: `Song '${entry.songName}': arrangementName must be a string or null` });
+            }
+            if (typeof entry.pitch !== 'number' || !Number.isInteger(entry.pitch) || entry.pitch < -6 || entry.pitch > 6) {
+                return response(400, { error: `Song '${entry.songName}': pitch must be an integer from -6 to 6` });
+            }
+        } else if (entry.type === 'mashup') {
+            if (!entry.mashupName || typeof entry.mashupName !== 'string') {
+                return response(400, { error: 'Each mashup item must have a mashupName (string)' });
+            }
+        }
+    }
+    
+    const key = `setlists/${name}.json`;
+    
+    // Check if set list already exists
+    let existingSetList = null;
+    try {
+        const getCommand = new GetObjectCommand({ Bucket: BUCKET, Key: key });
+        const result = await s3.send(getCommand);
+        const bodyString = await result.Body.transformToString();
+        existingSetList = JSON.parse(bodyString);
+    } catch (err) {
+        if (err.name !== 'NoSuchKey') {
+            throw err; // Unexpected error
+        }
+        // NoSuchKey means it's a new set list - that's fine
+    }
+    
+    // If existing set list is protected, require secret
+    if (existingSetList?.protected) {
+        if (secret !== ADMIN_SECRET) {
+            return response(403, { error: 'This set list is protected. Valid secret required to overwrite.' });
+        }
+    }
+    
+    // Build the set list object
+    const now = new Date().toISOString();
+    const setList = {
+        name: name,
+        items: items.map(entry => {
+            if (entry.type === 'mashup') {
+                return { type: 'mashup', mashupName: entry.mashupName };
+            }
+            return {
+                type: 'song',
+                songName: entry.songName,
+                arrangementName: entry.arrangementName || null,
+                pitch: entry.pitch
+            };
+        }),
+        protected: isProtected || false,
+        createdAt: existingSetList?.createdAt || now,
+        modifiedAt: now
+    };
+    
+    // Save to S3
+    const putCommand = new PutObjectCommand({
+        Bucket: BUCKET,
+        Key: key,
+        Body: JSON.stringify(setList, null, '\t'),
+        ContentType: 'application/json'
+    });
+    await s3.send(putCommand);
+    
+    // Invalidate CloudFront cache
+    await invalidateCache(`/setlists/${encodeURIComponent(name)}.json`);
+    
+    return response(200, { 
+        success: true, 
+        message: existingSetList ? `Set list '${name}' updated` : `Set list '${name}' created`,
+        setList: setList
+    });
+}
+
+async function handleDeleteSetList(name, secret) {
+    console.log('handleDeleteSetList called for:', name);
     
     const key = `setlists/${name}.json`;
     
@@ -1122,6 +1844,387 @@ async function handleDeleteMashup(name, secret) {
     });
 }
 
+// Keys as spelled in metadata.json (major keys only)
+const METADATA_KEYS = ['A', 'Bb', 'B', 'C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab'];
+
+/**
+ * Validate the fields of a metadata.json object that the app reads
+ * Returns an error message, or null if valid. Other fields are passed through untouched.
+ */
+function validateMetadata(metadata) {
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+        return 'Missing or invalid metadata object';
+    }
+    
+    const isTime = (value) => typeof value === 'number' && isFinite(value) && value >= 0;
+    const isAscending = (entries) => entries.every((entry, i) => i === 0 || entry.start > entries[i - 1].start);
+    
+    if (metadata.key !== undefined && !METADATA_KEYS.includes(metadata.key)) {
+        return `Key must be one of: ${METADATA_KEYS.join(', ')}`;
+    }
+    
+    if (metadata.tempos !== undefined) {
+        if (!Array.isArray(metadata.tempos)) {
+            return 'tempos must be an array';
+        }
+        for (const entry of metadata.tempos) {
+            if (typeof entry?.tempo !== 'number' || !(entry.tempo >= 20 && entry.tempo <= 400) || !isTime(entry.start)) {
+                return 'Each tempo must have tempo (20-400 BPM) and start (seconds)';
+            }
+        }
+        if (!isAscending(metadata.tempos)) {
+            return 'Tempo changes must be in order, with different start times';
+        }
+    }
+    
+    if (metadata['time-sigs'] !== undefined) {
+        if (!Array.isArray(metadata['time-sigs'])) {
+            return 'time-sigs must be an array';
+        }
+        for (const entry of metadata['time-sigs']) {
+            if (typeof entry?.sig !== 'string' || !/^([1-9]|1[0-9])\/(2|4|8|16)$/.test(entry.sig) || !isTime(entry.start)) {
+                return 'Each time signature must have sig (e.g. "4/4", "6/8") and start (seconds)';
+            }
+        }
+        if (!isAscending(metadata['time-sigs'])) {
+            return 'Time signature changes must be in order, with different start times';
+        }
+    }
+    
+    if (metadata.markers !== undefined) {
+        if (!Array.isArray(metadata.markers)) {
+            return 'markers must be an array';
+        }
+        for (const marker of metadata.markers) {
+            // Unlabeled markers may have no name
+            const hasName = typeof marker?.name === 'string' && marker.name.length <= 100;
+            if ((!hasName && !(marker?.name === undefined && marker?.unlabeled === true)) || !isTime(marker?.start)) {
+                return 'Each marker must have name (up to 100 characters) and start (seconds)';
+            }
+            if (marker.unlabeled !== undefined && typeof marker.unlabeled !== 'boolean') {
+                return 'Marker unlabeled flag must be a boolean';
+            }
+        }
+    }
+    
+    if (metadata.lyrics !== undefined) {
+        if (!Array.isArray(metadata.lyrics)) {
+            return 'lyrics must be an array';
+        }
+        for (const line of metadata.lyrics) {
+            // Empty text is allowed: it clears the display for an instrumental
+            if (typeof line?.text !== 'string' || line.text.length > 200 || !isTime(line.start)) {
+                return 'Each lyric line must have text (up to 200 characters) and start (seconds)';
+            }
+        }
+        if (!isAscending(metadata.lyrics)) {
+            return 'Lyric lines must be in order, with different start times';
+        }
+    }
+    
+    // Catalog fields (used for CCLI usage reports)
+    if (metadata.authors !== undefined) {
+        if (!Array.isArray(metadata.authors) ||
+            metadata.authors.some(a => typeof a !== 'string' || !a.trim() || a.length > 100)) {
+            return 'authors must be an array of names (up to 100 characters)';
+        }
+    }
+    if (metadata.ccli !== undefined && (typeof metadata.ccli !== 'string' || !/^\d{1,10}$/.test(metadata.ccli))) {
+        return 'ccli must be the CCLI song number as a string of digits';
+    }
+    for (const field of ['copyright', 'publisher']) {
+        if (metadata[field] !== undefined && (typeof metadata[field] !== 'string' || metadata[field].length > 200)) {
+            return `${field} must be a string (up to 200 characters)`;
+        }
+    }
+    
+    // Summary fields (shown in the manifest)
+    if (metadata.tags !== undefined) {
+        if (!Array.isArray(metadata.tags) || metadata.tags.length > 20 ||
+            metadata.tags.some(t => typeof t !== 'string' || !t.trim() || t.length > 30)) {
+            return 'tags must be an array of up to 20 tags (up to 30 characters each)';
+        }
+    }
+    if (metadata.duration !== undefined &&
+        !(typeof metadata.duration === 'number' && metadata.duration > 0 && isFinite(metadata.duration))) {
+        return 'duration must be a positive number (seconds)';
+    }
+    
+    return null;
+}
+
+async function handleSaveMetadata(songName, body) {
+    console.log('handleSaveMetadata called for:', songName);
+    
+    const { metadata, secret } = body;
+    
+    // Metadata is shared by every user of the song, so publishing always requires the secret
+    if (!ADMIN_SECRET || secret !== ADMIN_SECRET) {
+        return response(403, { error: 'Valid secret required to publish metadata.' });
+    }
+    
+    const validationError = validateMetadata(metadata);
+    if (validationError) {
+        return response(400, { error: validationError });
+    }
+    
+    // The song must already exist (have files under its folder)
+    const listCommand = new ListObjectsV2Command({
+        Bucket: BUCKET,
+        Prefix: `audio/${songName}/`,
+        MaxKeys: 1
+    });
+    const listResult = await s3.send(listCommand);
+    if (!listResult.Contents || listResult.Contents.length === 0) {
+        return response(404, { error: `Song '${songName}' not found` });
+    }
+    
+    const key = `audio/${songName}/metadata.json`;
+    
+    // Stamp the modification time so clients can tell when the published file has propagated
+    const saved = {
+        ...metadata,
+        modifiedAt: new Date().toISOString()
+    };
+    
+    // Save to S3
+    const putCommand = new PutObjectCommand({
+        Bucket: BUCKET,
+        Key: key,
+        Body: JSON.stringify(saved, null, '\t'),
+        ContentType: 'application/json'
+    });
+    await s3.send(putCommand);
+    
+    // Keep the manifest's key, tempo, length and tags current
+    await updateManifestSummary(songName, saved);
+    
+    // Invalidate CloudFront cache
+    await invalidateCache(`/audio/${encodeURIComponent(songName)}/metadata.json`);
+    
+    return response(200, {
+        success: true,
+        message: `Metadata for '${songName}' published`,
+        metadata: saved
+    });
+}
+
+// ============ Performance History Handlers ============
+
+// Performances are stored as performances/{YYYY-MM-DD}/{setListName}.json and only
+// read through the API (never CloudFront), so they need no cache invalidation.
+
+/**
+ * Check a YYYY-MM-DD date string
+ */
+function isValidDate(date) {
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return false;
+    }
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return !isNaN(parsed) && parsed.toISOString().startsWith(date);
+}
+
+/**
+ * Read and parse a JSON object from S3, or null if it doesn't exist
+ */
+async function getJsonObject(key) {
+    try {
+        const result = await s3.send(new GetObjectCommand({ Bucket: BUCKET, Key: key }));
+        return JSON.parse(await result.Body.transformToString());
+    } catch (err) {
+        if (err.name === 'NoSuchKey') {
+            return null;
+        }
+        throw err;
+    }
+}
+
+async function handleListPerformances(from, to) {
+    console.log('handleListPerformances called:', from, to);
+    
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+        return response(400, { error: 'from and to must be dates (YYYY-MM-DD)' });
+    }
+    
+    const prefix = 'performances/';
+    
+    // Key format: performances/{date}/{name}.json
+    const keys = [];
+    let continuationToken;
+    do {
+        const result = await s3.send(new ListObjectsV2Command({
+            Bucket: BUCKET,
+            Prefix: prefix,
+            ContinuationToken: continuationToken
+        }));
+        for (const obj of result.Contents || []) {
+            const [date, filename] = obj.Key.slice(prefix.length).split('/');
+            if (!filename || !filename.endsWith('.json')) continue;
+            // Dates sort as strings
+            if ((from && date < from) || (to && date > to)) continue;
+            keys.push(obj.Key);
+        }
+        continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+    } while (continuationToken);
+    
+    const performances = (await Promise.all(keys.map(key => getJsonObject(key)))).filter(Boolean);
+    
+    // Newest first, then by set list name
+    performances.sort((a, b) => b.date.localeCompare(a.date) || a.setListName.localeCompare(b.setListName));
+    
+    return response(200, { performances });
+}
+
+/**
+ * Copy a song's catalog fields for a performance record
+ * metadata.json files written before validateMetadata existed may hold other types
+ * (e.g. a numeric ccli), so values are coerced to strings and trimmed to size.
+ */
+function snapshotCatalog(songName, metadata) {
+    const text = (value, maxLength) =>
+        (value === null || value === undefined || value === '') ? null : String(value).slice(0, maxLength);
+    
+    return {
+        songName,
+        ccli: text(metadata.ccli, 20),
+        authors: Array.isArray(metadata.authors)
+            ? metadata.authors.filter(author => typeof author === 'string' && author).map(author => author.slice(0, 100))
+            : [],
+        copyright: text(metadata.copyright, 200),
+        publisher: text(metadata.publisher, 200)
+    };
+}
+
+/**
+ * Validate a performance record before it's saved
+ * (catalog fields come from snapshotCatalog and aren't checked again)
+ * Returns an error message, or null if valid
+ */
+function validatePerformance(performance) {
+    if (typeof performance.setListName !== 'string' || !performance.setListName.trim() ||
+        performance.setListName.length > 100 || performance.setListName.includes('/')) {
+        return 'Set list name must be 1-100 characters, without "/"';
+    }
+    if (!isValidDate(performance.date)) {
+        return 'Date must be YYYY-MM-DD';
+    }
+    if (!Array.isArray(performance.songs) || performance.songs.length === 0) {
+        return 'The set list has no songs to record';
+    }
+    if (performance.songs.length > 200) {
+        return 'A performance can have up to 200 songs';
+    }
+    for (const song of performance.songs) {
+        if (typeof song?.songName !== 'string' || !song.songName || song.songName.length > 200) {
+            return 'Each song must have a songName (string)';
+        }
+    }
+    return null;
+}
+
+async function handleRecordPerformance(date, name, body) {
+    console.log('handleRecordPerformance called for:', date, name);
+    
+    const { secret } = body;
+    
+    // The history feeds licensing reports, so recording always requires the secret
+    if (!ADMIN_SECRET || secret !== ADMIN_SECRET) {
+        return response(403, { error: 'Valid secret required to record a performance.' });
+    }
+    
+    if (!isValidDate(date)) {
+        return response(400, { error: 'Date must be YYYY-MM-DD' });
+    }
+    
+    const setList = await getJsonObject(`setlists/${name}.json`);
+    if (!setList) {
+        return response(404, { error: `Set list '${name}' not found` });
+    }
+    
+    // Every song played, in set order: mashups expand to their entries, repeats count once
+    const songNames = [];
+    for (const item of setList.items || []) {
+        if (item.type === 'mashup') {
+            const mashup = await getJsonObject(`mashups/${item.mashupName}.json`);
+            for (const entry of mashup?.entries || []) {
+                songNames.push(entry.songName);
+            }
+        } else {
+            songNames.push(item.songName);
+        }
+    }
+    
+    const key = `performances/${date}/${name}.json`;
+    const existing = await getJsonObject(key);
+    
+    // Marking the same set list twice on a date merges into the one record: songs already
+    // recorded keep their snapshot, and songs added to the set list since are appended
+    const songs = (existing?.songs || []).map(song => snapshotCatalog(song.songName, song));
+    const recorded = new Set(songs.map(song => song.songName));
+    const previousCount = songs.length;
+    
+    // Snapshot each new song's catalog fields so the report reflects them as they were
+    for (const songName of songNames) {
+        if (recorded.has(songName)) continue;
+        recorded.add(songName);
+        const metadata = await getJsonObject(`audio/${songName}/metadata.json`) || {};
+        songs.push(snapshotCatalog(songName, metadata));
+    }
+    
+    const now = new Date().toISOString();
+    const performance = {
+        setListName: name,
+        date,
+        songs,
+        recordedAt: existing?.recordedAt || now,
+        modifiedAt: now
+    };
+    
+    const validationError = validatePerformance(performance);
+    if (validationError) {
+        return response(400, { error: validationError });
+    }
+    
+    const putCommand = new PutObjectCommand({
+        Bucket: BUCKET,
+        Key: key,
+        Body: JSON.stringify(performance, null, '\t'),
+        ContentType: 'application/json'
+    });
+    await s3.send(putCommand);
+    
+    return response(200, {
+        success: true,
+        message: existing
+            ? `Performance of '${name}' on ${date} updated (${songs.length - previousCount} song(s) added)`
+            : `Performance of '${name}' on ${date} recorded`,
+        performance
+    });
+}
+
+async function handleDeletePerformance(date, name, secret) {
+    console.log('handleDeletePerformance called for:', date, name);
+    
+    // The history feeds licensing reports, so removing entries always requires the secret
+    if (!ADMIN_SECRET || secret !== ADMIN_SECRET) {
+        return response(403, { error: 'Valid secret required to delete a performance.' });
+    }
+    
+    const key = `performances/${date}/${name}.json`;
+    if (!await getJsonObject(key)) {
+        return response(404, { error: `No performance of '${name}' on ${date}` });
+    }
+    
+    const deleteCommand = new DeleteObjectCommand({ Bucket: BUCKET, Key: key });
+    await s3.send(deleteCommand);
+    
+    return response(200, {
+        success: true,
+        message: `Performance of '${name}' on ${date} deleted`
+    });
+}
+
 async function invalidateCache(path) {
     const command = new CreateInvalidationCommand({
         DistributionId: DISTRIBUTION_ID,